@@ -9,6 +9,22 @@ const envSchema = z.object({
   JWT_REFRESH_SECRET: z.string().min(1, 'JWT_REFRESH_SECRET is required'),
   JWT_REFRESH_EXPIRES_IN: z.string().default('7d'),
   CORS_ORIGIN: z.string().default('http://localhost:5173'),
+  // Web Push keys; reminders are not sent without them
+  VAPID_PUBLIC_KEY: z.string().optional(),
+  VAPID_PRIVATE_KEY: z.string().optional(),
+  VAPID_SUBJECT: z.string().default('mailto:admin@localhost'),
+  // Where emails go: an SMTP server, files in MAIL_DIR, or the console
+  MAIL_TRANSPORT: z.enum(['smtp', 'file', 'console']).default('console'),
+  SMTP_URL: z.string().optional(),
+  MAIL_FROM: z.string().default('Cortex <no-reply@localhost>'),
+  MAIL_DIR: z.string().default('mail'),
+  // Public addresses used for links in emails
+  APP_URL: z.string().default('http://localhost:5173'),
+  PUBLIC_API_URL: z.string().default('http://localhost:3000/api/v1'),
+  // Days back that past occurrences of recurring tasks still count as open work
+  OCCURRENCE_LOOKBACK_DAYS: z.coerce.number().int().min(0).default(14),
+  // Days deleted tasks and todos stay in the trash before they are purged
+  TRASH_RETENTION_DAYS: z.coerce.number().int().min(1).default(30),
 });
 
 type Env = z.infer<typeof envSchema>;
@@ -0,0 +1,49 @@
+import mongoose, { Document, Schema } from 'mongoose';
+
+export type IdempotentResource = 'task' | 'todo';
+
+// Changes queued offline for longer than this are retried as new creations
+export const IDEMPOTENCY_KEY_RETENTION_DAYS = 30;
+
+/**
+ * The ID a record created with a client's `Idempotency-Key` was given, so a retried
+ * request finds the record instead of creating it twice.
+ */
+export interface IIdempotencyKey extends Document {
+  _id: mongoose.Types.ObjectId;
+  workspaceId: mongoose.Types.ObjectId;
+  resource: IdempotentResource;
+  key: string;
+  recordId: mongoose.Types.ObjectId;
+  createdAt: Date;
+}
+
+const idempotencyKeySchema = new Schema<IIdempotencyKey>({
+  workspaceId: {
+    type: Schema.Types.ObjectId,
+    ref: 'Workspace',
+    required: true,
+  },
+  resource: {
+    type: String,
+    enum: ['task', 'todo'],
+    required: true,
+  },
+  key: {
+    type: String,
+    required: true,
+  },
+  recordId: {
+    type: Schema.Types.ObjectId,
+    required: true,
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now,
+  },
+});
+
+idempotencyKeySchema.index({ workspaceId: 1, resource: 1, key: 1 }, { unique: true });
+idempotencyKeySchema.index({ createdAt: 1 }, { expireAfterSeconds: IDEMPOTENCY_KEY_RETENTION_DAYS * 24 * 60 * 60 });
+
+export const IdempotencyKey = mongoose.model<IIdempotencyKey>('IdempotencyKey', idempotencyKeySchema);
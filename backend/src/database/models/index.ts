@@ -1,4 +1,12 @@
 export { User, IUser, IUserModel } from './user.model';
-export { Task, ITask, ISubtask } from './task.model';
+export { Task, ITask, ISubtask, IRecurrence } from './task.model';
 export { Todo, ITodo } from './todo.model';
 export { Template, ITemplate } from './template.model';
+export { Project, IProject } from './project.model';
+export { Workspace, IWorkspace, IWorkspaceMember, IWorkspaceInvitation, WorkspaceRole } from './workspace.model';
+export { Tombstone, ITombstone, TombstoneResource } from './tombstone.model';
+export { IdempotencyKey, IIdempotencyKey, IdempotentResource } from './idempotencyKey.model';
+export { TaskEvent, ITaskEvent, ITaskEventChange, TaskEventAction } from './taskEvent.model';
+export { TimeEntry, ITimeEntry } from './timeEntry.model';
+export { PushSubscription, IPushSubscription } from './pushSubscription.model';
+export { Reminder, IReminder } from './reminder.model';
@@ -0,0 +1,60 @@
+import mongoose, { Document, Schema } from 'mongoose';
+
+export interface IProject extends Document {
+  _id: mongoose.Types.ObjectId;
+  workspaceId: mongoose.Types.ObjectId;
+  createdBy: mongoose.Types.ObjectId;
+  name: string;
+  color: string;
+  icon?: string;
+  isArchived: boolean;
+  order: number;
+  createdAt: Date;
+  updatedAt: Date;
+}
+
+const projectSchema = new Schema<IProject>(
+  {
+    workspaceId: {
+      type: Schema.Types.ObjectId,
+      ref: 'Workspace',
+      required: true,
+      index: true,
+    },
+    createdBy: {
+      type: Schema.Types.ObjectId,
+      ref: 'User',
+      required: true,
+    },
+    name: {
+      type: String,
+      required: [true, 'Project name is required'],
+      trim: true,
+      maxlength: [60, 'Project name cannot exceed 60 characters'],
+    },
+    color: {
+      type: String,
+      default: '#6366f1',
+    },
+    icon: {
+      type: String,
+    },
+    isArchived: {
+      type: Boolean,
+      default: false,
+    },
+    order: {
+      type: Number,
+      required: true,
+    },
+  },
+  {
+    timestamps: true,
+    toJSON: { virtuals: true },
+    toObject: { virtuals: true },
+  }
+);
+
+projectSchema.index({ workspaceId: 1, order: 1 });
+
+export const Project = mongoose.model<IProject>('Project', projectSchema);
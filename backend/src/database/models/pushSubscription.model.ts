@@ -0,0 +1,33 @@
+import mongoose, { Document, Schema } from 'mongoose';
+
+export interface IPushSubscription extends Document {
+  _id: mongoose.Types.ObjectId;
+  user: mongoose.Types.ObjectId;
+  endpoint: string;
+  keys: { p256dh: string; auth: string };
+  createdAt: Date;
+  updatedAt: Date;
+}
+
+const pushSubscriptionSchema = new Schema<IPushSubscription>(
+  {
+    user: {
+      type: Schema.Types.ObjectId,
+      ref: 'User',
+      required: true,
+      index: true,
+    },
+    endpoint: {
+      type: String,
+      required: true,
+      unique: true,
+    },
+    keys: {
+      p256dh: { type: String, required: true },
+      auth: { type: String, required: true },
+    },
+  },
+  { timestamps: true }
+);
+
+export const PushSubscription = mongoose.model<IPushSubscription>('PushSubscription', pushSubscriptionSchema);
@@ -0,0 +1,63 @@
+import mongoose, { Document, Schema } from 'mongoose';
+
+// Sent reminders are kept this long so the scheduler does not send them twice
+export const REMINDER_RETENTION_DAYS = 30;
+
+export interface IReminder extends Document {
+  _id: mongoose.Types.ObjectId;
+  workspaceId: mongoose.Types.ObjectId;
+  // The task, or the series for an occurrence of a recurring task
+  taskId: mongoose.Types.ObjectId;
+  occurrenceDate: string | null;
+  user: mongoose.Types.ObjectId;
+  remindAt: Date;
+  // Null until delivered; snoozed reminders wait here until remindAt
+  sentAt: Date | null;
+  // Hash of the token that lets the notification's actions act on the reminder
+  actionToken: string;
+  createdAt: Date;
+}
+
+const reminderSchema = new Schema<IReminder>(
+  {
+    workspaceId: {
+      type: Schema.Types.ObjectId,
+      ref: 'Workspace',
+      required: true,
+    },
+    taskId: {
+      type: Schema.Types.ObjectId,
+      ref: 'Task',
+      required: true,
+    },
+    occurrenceDate: {
+      type: String,
+      default: null,
+    },
+    user: {
+      type: Schema.Types.ObjectId,
+      ref: 'User',
+      required: true,
+    },
+    remindAt: {
+      type: Date,
+      required: true,
+    },
+    sentAt: {
+      type: Date,
+      default: null,
+    },
+    actionToken: {
+      type: String,
+      required: true,
+      select: false,
+    },
+  },
+  { timestamps: { createdAt: true, updatedAt: false } }
+);
+
+reminderSchema.index({ taskId: 1, occurrenceDate: 1, user: 1, remindAt: 1 }, { unique: true });
+reminderSchema.index({ sentAt: 1, remindAt: 1 });
+reminderSchema.index({ createdAt: 1 }, { expireAfterSeconds: REMINDER_RETENTION_DAYS * 24 * 60 * 60 });
+
+export const Reminder = mongoose.model<IReminder>('Reminder', reminderSchema);
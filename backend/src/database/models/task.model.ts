@@ -1,4 +1,6 @@
 import mongoose, { Document, Schema } from 'mongoose';
+import { recordTombstones } from './tombstone.model';
+import { softDelete } from '../softDelete';
 
 export interface ISubtask extends Document {
   _id: mongoose.Types.ObjectId;
@@ -7,8 +9,21 @@ export interface ISubtask extends Document {
   createdAt: Date;
 }
 
+export interface IRecurrence {
+  rrule: string;
+  exdates: string[];
+}
+
+// One sitting of a task split across several slots
+export interface IScheduledBlock {
+  date: string;
+  time: string;
+  duration: number;
+}
+
 export interface ITask extends Document {
   _id: mongoose.Types.ObjectId;
+  workspaceId: mongoose.Types.ObjectId;
   createdBy: mongoose.Types.ObjectId;
   title: string;
   description?: string;
@@ -20,13 +35,32 @@ export interface ITask extends Document {
   isCompleted: boolean;
   completedAt?: Date;
   assignedSlot?: { date: string; time: string } | null;
+  // Set when the task is split; assignedSlot then holds the first block's start
+  scheduledBlocks: IScheduledBlock[];
   tags: string[];
+  projectId?: mongoose.Types.ObjectId | null;
+  // Tasks that must be completed before this one can start
+  blockedBy: mongoose.Types.ObjectId[];
+  // Workspace members responsible for the task; empty means unassigned
+  assignees: mongoose.Types.ObjectId[];
+  // Minutes before dueTime at which members are reminded
+  reminders: number[];
   repeatFrequency: 'none' | 'daily' | 'weekly' | 'monthly' | 'yearly';
   repeatUntil?: string;
+  recurrence?: IRecurrence | null;
+  seriesId?: mongoose.Types.ObjectId | null;
+  recurrenceId?: string;
+  icsUid?: string;
+  // Name of the calendar the task was imported from
+  icsSource?: string;
   type?: string;
+  // Fixed events keep their time; null leaves it to the user's fixed-event rules
+  isFixed: boolean | null;
   subtasks: ISubtask[];
   createdAt: Date;
   updatedAt: Date;
+  // Set while the record is in the trash
+  deletedAt: Date | null;
 }
 
 const subtaskSchema = new Schema<ISubtask>(
@@ -47,13 +81,41 @@ const subtaskSchema = new Schema<ISubtask>(
   { _id: true }
 );
 
+const recurrenceSchema = new Schema<IRecurrence>(
+  {
+    rrule: {
+      type: String,
+      required: true,
+    },
+    exdates: {
+      type: [String],
+      default: [],
+    },
+  },
+  { _id: false }
+);
+
+const scheduledBlockSchema = new Schema<IScheduledBlock>(
+  {
+    date: { type: String, required: true },
+    time: { type: String, required: true },
+    duration: { type: Number, required: true, min: 1 },
+  },
+  { _id: false }
+);
+
 const taskSchema = new Schema<ITask>(
   {
+    workspaceId: {
+      type: Schema.Types.ObjectId,
+      ref: 'Workspace',
+      required: true,
+      index: true,
+    },
     createdBy: {
       type: Schema.Types.ObjectId,
       ref: 'User',
       required: true,
-      index: true,
     },
     title: {
       type: String,
@@ -96,10 +158,31 @@ const taskSchema = new Schema<ITask>(
       date: String,
       time: String,
     },
+    scheduledBlocks: {
+      type: [scheduledBlockSchema],
+      default: [],
+    },
     tags: {
       type: [String],
       default: [],
     },
+    projectId: {
+      type: Schema.Types.ObjectId,
+      ref: 'Project',
+      default: null,
+    },
+    blockedBy: {
+      type: [{ type: Schema.Types.ObjectId, ref: 'Task' }],
+      default: [],
+    },
+    assignees: {
+      type: [{ type: Schema.Types.ObjectId, ref: 'User' }],
+      default: [],
+    },
+    reminders: {
+      type: [Number],
+      default: [],
+    },
     repeatFrequency: {
       type: String,
       enum: ['none', 'daily', 'weekly', 'monthly', 'yearly'],
@@ -108,9 +191,31 @@ const taskSchema = new Schema<ITask>(
     repeatUntil: {
       type: String,
     },
+    recurrence: {
+      type: recurrenceSchema,
+      default: null,
+    },
+    seriesId: {
+      type: Schema.Types.ObjectId,
+      ref: 'Task',
+      default: null,
+    },
+    recurrenceId: {
+      type: String,
+    },
+    icsUid: {
+      type: String,
+    },
+    icsSource: {
+      type: String,
+    },
     type: {
       type: String,
     },
+    isFixed: {
+      type: Boolean,
+      default: null,
+    },
     subtasks: [subtaskSchema],
   },
   {
@@ -120,9 +225,17 @@ const taskSchema = new Schema<ITask>(
   }
 );
 
-taskSchema.index({ createdBy: 1, dueDate: 1 });
-taskSchema.index({ createdBy: 1, isCompleted: 1 });
-taskSchema.index({ createdBy: 1, priority: 1 });
-taskSchema.index({ createdBy: 1, tags: 1 });
+taskSchema.index({ workspaceId: 1, dueDate: 1 });
+taskSchema.index({ workspaceId: 1, isCompleted: 1 });
+taskSchema.index({ workspaceId: 1, priority: 1 });
+taskSchema.index({ workspaceId: 1, tags: 1 });
+taskSchema.index({ workspaceId: 1, projectId: 1 });
+taskSchema.index({ workspaceId: 1, blockedBy: 1 });
+taskSchema.index({ workspaceId: 1, assignees: 1 });
+taskSchema.index({ workspaceId: 1, seriesId: 1, recurrenceId: 1 });
+taskSchema.index({ workspaceId: 1, icsUid: 1 });
+
+taskSchema.plugin(softDelete);
+taskSchema.plugin(recordTombstones, { resource: 'task' });
 
 export const Task = mongoose.model<ITask>('Task', taskSchema);
@@ -0,0 +1,77 @@
+import mongoose, { Document, Schema } from 'mongoose';
+
+export type TaskEventAction = 'created' | 'updated' | 'deleted' | 'restored';
+
+export interface ITaskEventChange {
+  field: string;
+  from: unknown;
+  to: unknown;
+  // Title of the subtask a `subtask.*` change belongs to
+  subtask?: string;
+}
+
+/**
+ * One entry in a task's history. Entries last as long as the task: purging it from the
+ * trash or deleting its workspace removes them too.
+ */
+export interface ITaskEvent extends Document {
+  _id: mongoose.Types.ObjectId;
+  workspaceId: mongoose.Types.ObjectId;
+  taskId: mongoose.Types.ObjectId;
+  actor: mongoose.Types.ObjectId;
+  action: TaskEventAction;
+  changes: ITaskEventChange[];
+  createdAt: Date;
+}
+
+const changeSchema = new Schema<ITaskEventChange>(
+  {
+    field: {
+      type: String,
+      required: true,
+    },
+    from: Schema.Types.Mixed,
+    to: Schema.Types.Mixed,
+    subtask: String,
+  },
+  { _id: false }
+);
+
+const taskEventSchema = new Schema<ITaskEvent>(
+  {
+    workspaceId: {
+      type: Schema.Types.ObjectId,
+      ref: 'Workspace',
+      required: true,
+    },
+    taskId: {
+      type: Schema.Types.ObjectId,
+      ref: 'Task',
+      required: true,
+    },
+    actor: {
+      type: Schema.Types.ObjectId,
+      ref: 'User',
+      required: true,
+    },
+    action: {
+      type: String,
+      enum: ['created', 'updated', 'deleted', 'restored'],
+      required: true,
+    },
+    changes: {
+      type: [changeSchema],
+      default: [],
+    },
+  },
+  {
+    // Events are only ever appended
+    timestamps: { createdAt: true, updatedAt: false },
+    toJSON: { virtuals: true },
+    toObject: { virtuals: true },
+  }
+);
+
+taskEventSchema.index({ taskId: 1, createdAt: -1 });
+
+export const TaskEvent = mongoose.model<ITaskEvent>('TaskEvent', taskEventSchema);
@@ -1,7 +1,9 @@
 import mongoose, { Document, Schema } from 'mongoose';
+import { recordTombstones } from './tombstone.model';
 
 export interface ITemplate extends Document {
   _id: mongoose.Types.ObjectId;
+  workspaceId: mongoose.Types.ObjectId;
   createdBy: mongoose.Types.ObjectId;
   name: string;
   descriptionType: 'text' | 'list' | 'chunks';
@@ -17,11 +19,16 @@ export interface ITemplate extends Document {
 
 const templateSchema = new Schema<ITemplate>(
   {
+    workspaceId: {
+      type: Schema.Types.ObjectId,
+      ref: 'Workspace',
+      required: true,
+      index: true,
+    },
     createdBy: {
       type: Schema.Types.ObjectId,
       ref: 'User',
       required: true,
-      index: true,
     },
     name: {
       type: String,
@@ -59,4 +66,6 @@ const templateSchema = new Schema<ITemplate>(
   }
 );
 
+templateSchema.plugin(recordTombstones, { resource: 'template' });
+
 export const Template = mongoose.model<ITemplate>('Template', templateSchema);
@@ -0,0 +1,67 @@
+import mongoose, { Document, Schema } from 'mongoose';
+
+export interface ITimeEntry extends Document {
+  _id: mongoose.Types.ObjectId;
+  workspaceId: mongoose.Types.ObjectId;
+  taskId: mongoose.Types.ObjectId;
+  user: mongoose.Types.ObjectId;
+  startedAt: Date;
+  // Null while the timer is running
+  endedAt: Date | null;
+  note?: string;
+  minutes: number | null;
+  createdAt: Date;
+  updatedAt: Date;
+}
+
+const timeEntrySchema = new Schema<ITimeEntry>(
+  {
+    workspaceId: {
+      type: Schema.Types.ObjectId,
+      ref: 'Workspace',
+      required: true,
+    },
+    taskId: {
+      type: Schema.Types.ObjectId,
+      ref: 'Task',
+      required: true,
+    },
+    user: {
+      type: Schema.Types.ObjectId,
+      ref: 'User',
+      required: true,
+    },
+    startedAt: {
+      type: Date,
+      required: true,
+    },
+    endedAt: {
+      type: Date,
+      default: null,
+    },
+    note: {
+      type: String,
+      trim: true,
+    },
+  },
+  {
+    timestamps: true,
+    toJSON: { virtuals: true },
+    toObject: { virtuals: true },
+  }
+);
+
+timeEntrySchema.index({ taskId: 1, startedAt: -1 });
+timeEntrySchema.index({ workspaceId: 1, user: 1, endedAt: 1 });
+// One running timer per user and workspace
+timeEntrySchema.index(
+  { workspaceId: 1, user: 1 },
+  { unique: true, partialFilterExpression: { endedAt: { $type: 'null' } } }
+);
+
+timeEntrySchema.virtual('minutes').get(function (this: ITimeEntry) {
+  if (!this.endedAt) return null;
+  return Math.round((this.endedAt.getTime() - this.startedAt.getTime()) / 60000);
+});
+
+export const TimeEntry = mongoose.model<ITimeEntry>('TimeEntry', timeEntrySchema);
@@ -1,24 +1,36 @@
 import mongoose, { Document, Schema } from 'mongoose';
+import { recordTombstones } from './tombstone.model';
+import { softDelete } from '../softDelete';
 
 export interface ITodo extends Document {
   _id: mongoose.Types.ObjectId;
+  workspaceId: mongoose.Types.ObjectId;
   createdBy: mongoose.Types.ObjectId;
   order: number;
   title: string;
   description?: string;
   priority: 'high' | 'medium' | 'low';
   isCompleted: boolean;
+  projectId?: mongoose.Types.ObjectId | null;
+  assignees: mongoose.Types.ObjectId[];
   createdAt: Date;
   updatedAt: Date;
+  // Set while the record is in the trash
+  deletedAt: Date | null;
 }
 
 const todoSchema = new Schema<ITodo>(
   {
+    workspaceId: {
+      type: Schema.Types.ObjectId,
+      ref: 'Workspace',
+      required: true,
+      index: true,
+    },
     createdBy: {
       type: Schema.Types.ObjectId,
       ref: 'User',
       required: true,
-      index: true,
     },
     order: {
       type: Number,
@@ -42,6 +54,15 @@ const todoSchema = new Schema<ITodo>(
       type: Boolean,
       default: false,
     },
+    projectId: {
+      type: Schema.Types.ObjectId,
+      ref: 'Project',
+      default: null,
+    },
+    assignees: {
+      type: [{ type: Schema.Types.ObjectId, ref: 'User' }],
+      default: [],
+    },
   },
   {
     timestamps: true,
@@ -50,6 +71,9 @@ const todoSchema = new Schema<ITodo>(
   }
 );
 
-todoSchema.index({ createdBy: 1, order: 1 });
+todoSchema.index({ workspaceId: 1, order: 1 });
+
+todoSchema.plugin(softDelete);
+todoSchema.plugin(recordTombstones, { resource: 'todo' });
 
 export const Todo = mongoose.model<ITodo>('Todo', todoSchema);
@@ -0,0 +1,84 @@
+import mongoose, { Document, Query, Schema } from 'mongoose';
+
+export type TombstoneResource = 'task' | 'todo' | 'template';
+
+// Clients that have not synced for longer than this get a full snapshot instead
+export const TOMBSTONE_RETENTION_DAYS = 30;
+
+export interface ITombstone extends Document {
+  _id: mongoose.Types.ObjectId;
+  workspaceId: mongoose.Types.ObjectId;
+  resource: TombstoneResource;
+  recordId: mongoose.Types.ObjectId;
+  deletedAt: Date;
+}
+
+const tombstoneSchema = new Schema<ITombstone>({
+  workspaceId: {
+    type: Schema.Types.ObjectId,
+    ref: 'Workspace',
+    required: true,
+  },
+  resource: {
+    type: String,
+    enum: ['task', 'todo', 'template'],
+    required: true,
+  },
+  recordId: {
+    type: Schema.Types.ObjectId,
+    required: true,
+  },
+  deletedAt: {
+    type: Date,
+    default: Date.now,
+  },
+});
+
+tombstoneSchema.index({ workspaceId: 1, deletedAt: 1 });
+tombstoneSchema.index({ deletedAt: 1 }, { expireAfterSeconds: TOMBSTONE_RETENTION_DAYS * 24 * 60 * 60 });
+
+export const Tombstone = mongoose.model<ITombstone>('Tombstone', tombstoneSchema);
+
+const DELETE_OPERATIONS: Array<'deleteOne' | 'deleteMany' | 'findOneAndDelete'> = [
+  'deleteOne',
+  'deleteMany',
+  'findOneAndDelete',
+];
+
+type DeletedRecord = { _id: mongoose.Types.ObjectId; workspaceId: mongoose.Types.ObjectId };
+
+/**
+ * Schema plugin that leaves a tombstone for every record removed by a query delete,
+ * so delta sync can tell clients about deletions. The tombstones are written in the
+ * delete's session, if it has one.
+ */
+export const recordTombstones = (schema: Schema, { resource }: { resource: TombstoneResource }): void => {
+  const pending = new WeakMap<object, DeletedRecord[]>();
+
+  for (const operation of DELETE_OPERATIONS) {
+    // A limit of 0 means none
+    const limit = operation === 'deleteMany' ? 0 : 1;
+
+    schema.pre(operation, { document: false, query: true }, async function (this: Query<any, any>) {
+      const deleted = await this.model
+        .find(this.getFilter(), { workspaceId: 1 })
+        .setOptions({ withDeleted: true })
+        .limit(limit)
+        .session(this.getOptions().session ?? null)
+        .lean<DeletedRecord[]>();
+      pending.set(this, deleted);
+    });
+
+    schema.post(operation, { document: false, query: true }, async function (this: Query<any, any>, result: any) {
+      const deleted = pending.get(this);
+      pending.delete(this);
+      const removedNothing = result === null || result?.deletedCount === 0;
+      if (!deleted?.length || removedNothing) return;
+
+      await Tombstone.insertMany(
+        deleted.map((doc) => ({ workspaceId: doc.workspaceId, resource, recordId: doc._id })),
+        { session: this.getOptions().session ?? null }
+      );
+    });
+  }
+};
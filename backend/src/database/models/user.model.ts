@@ -1,6 +1,33 @@
 import mongoose, { Document, Schema, Model } from 'mongoose';
 import bcrypt from 'bcryptjs';
 
+export type DigestFrequency = 'off' | 'daily' | 'weekly';
+
+export type FixedRuleType = 'tag' | 'source' | 'title';
+
+export interface IAvailabilityWindow {
+  start: string;
+  end: string;
+}
+
+export interface IWeeklyWindow extends IAvailabilityWindow {
+  // 0 = Sunday
+  weekday: number;
+}
+
+export interface IAvailabilityOverride {
+  // Inclusive date range; no windows means the user is away
+  from: string;
+  to: string;
+  windows: IAvailabilityWindow[];
+  label?: string;
+}
+
+export interface IFixedEventRule {
+  type: FixedRuleType;
+  value: string;
+}
+
 export interface IUser extends Document {
   _id: mongoose.Types.ObjectId;
   name: string;
@@ -8,11 +35,34 @@ export interface IUser extends Document {
   password: string;
   passwordChangedAt?: Date;
   refreshToken?: string;
+  calendarFeedToken?: string;
   settings: {
     theme: 'light' | 'dark';
+    // IANA zone that decides the user's "today", overdue tasks, slot times, digests,
+    // reminders and calendar files
+    timeZone: string;
     availableHours: { start: string; end: string };
+    // Replaces availableHours once any weekly window is set
+    availability: {
+      weekly: IWeeklyWindow[];
+      overrides: IAvailabilityOverride[];
+    };
+    // Free time the planner keeps between tasks
+    bufferMinutes: number;
+    // Shortest block the planner splits long tasks into
+    minChunkMinutes: number;
+    // Tasks matching any rule are fixed events the scheduler plans around
+    fixedEventRules: IFixedEventRule[];
     dailyTipIndex?: { date: string; index: number };
     recentSearches: string[];
+    digest: {
+      frequency: DigestFrequency;
+      // Local time and, for weekly digests, day (0 = Sunday) to send at
+      time: string;
+      weekday: number;
+      // Local date of the last digest, so each day gets at most one
+      lastSentOn?: string;
+    };
   };
   createdAt: Date;
   updatedAt: Date;
@@ -24,6 +74,41 @@ export interface IUserModel extends Model<IUser> {
   findByEmail(email: string): Promise<IUser | null>;
 }
 
+const windowSchema = new Schema<IAvailabilityWindow>(
+  {
+    start: { type: String, required: true },
+    end: { type: String, required: true },
+  },
+  { _id: false }
+);
+
+const weeklyWindowSchema = new Schema<IWeeklyWindow>(
+  {
+    weekday: { type: Number, required: true, min: 0, max: 6 },
+    start: { type: String, required: true },
+    end: { type: String, required: true },
+  },
+  { _id: false }
+);
+
+const availabilityOverrideSchema = new Schema<IAvailabilityOverride>(
+  {
+    from: { type: String, required: true },
+    to: { type: String, required: true },
+    windows: { type: [windowSchema], default: [] },
+    label: String,
+  },
+  { _id: false }
+);
+
+const fixedEventRuleSchema = new Schema<IFixedEventRule>(
+  {
+    type: { type: String, enum: ['tag', 'source', 'title'], required: true },
+    value: { type: String, required: true },
+  },
+  { _id: false }
+);
+
 const userSchema = new Schema<IUser, IUserModel>(
   {
     name: {
@@ -50,16 +135,44 @@ const userSchema = new Schema<IUser, IUserModel>(
       type: String,
       select: false,
     },
+    calendarFeedToken: {
+      type: String,
+      select: false,
+      index: { unique: true, sparse: true },
+    },
     settings: {
       theme: {
         type: String,
         enum: ['light', 'dark'],
         default: 'light',
       },
+      timeZone: { type: String, default: 'UTC' },
       availableHours: {
         start: { type: String, default: '13:00' },
         end: { type: String, default: '22:00' },
       },
+      availability: {
+        weekly: { type: [weeklyWindowSchema], default: [] },
+        overrides: { type: [availabilityOverrideSchema], default: [] },
+      },
+      bufferMinutes: {
+        type: Number,
+        min: 0,
+        max: 120,
+        default: 10,
+      },
+      minChunkMinutes: {
+        type: Number,
+        min: 15,
+        max: 480,
+        default: 60,
+      },
+      // The tags that marked fixed events before the rules could be configured
+      fixedEventRules: {
+        type: [fixedEventRuleSchema],
+        default: () =>
+          ['lecture', 'section', 'meeting', 'deadline', 'course'].map((value) => ({ type: 'tag', value })),
+      },
       dailyTipIndex: {
         date: String,
         index: Number,
@@ -69,6 +182,16 @@ const userSchema = new Schema<IUser, IUserModel>(
         default: [],
         maxlength: [5, 'Recent searches cannot exceed 5'],
       },
+      digest: {
+        frequency: {
+          type: String,
+          enum: ['off', 'daily', 'weekly'],
+          default: 'off',
+        },
+        time: { type: String, default: '07:00' },
+        weekday: { type: Number, min: 0, max: 6, default: 1 },
+        lastSentOn: String,
+      },
     },
   },
   {
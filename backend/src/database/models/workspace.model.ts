@@ -0,0 +1,112 @@
+import mongoose, { Document, Schema } from 'mongoose';
+
+export type WorkspaceRole = 'owner' | 'editor' | 'viewer';
+
+export const WORKSPACE_ROLES: WorkspaceRole[] = ['viewer', 'editor', 'owner'];
+
+export interface IWorkspaceMember {
+  user: mongoose.Types.ObjectId;
+  role: WorkspaceRole;
+  joinedAt: Date;
+}
+
+export interface IWorkspaceInvitation {
+  _id: mongoose.Types.ObjectId;
+  tokenHash: string;
+  role: Exclude<WorkspaceRole, 'owner'>;
+  invitedBy: mongoose.Types.ObjectId;
+  expiresAt: Date;
+}
+
+export interface IWorkspace extends Document {
+  _id: mongoose.Types.ObjectId;
+  createdBy: mongoose.Types.ObjectId;
+  name: string;
+  isPersonal: boolean;
+  members: IWorkspaceMember[];
+  invitations: IWorkspaceInvitation[];
+  createdAt: Date;
+  updatedAt: Date;
+}
+
+const memberSchema = new Schema<IWorkspaceMember>(
+  {
+    user: {
+      type: Schema.Types.ObjectId,
+      ref: 'User',
+      required: true,
+    },
+    role: {
+      type: String,
+      enum: WORKSPACE_ROLES,
+      required: true,
+    },
+    joinedAt: {
+      type: Date,
+      default: Date.now,
+    },
+  },
+  { _id: false }
+);
+
+const invitationSchema = new Schema<IWorkspaceInvitation>({
+  tokenHash: {
+    type: String,
+    required: true,
+  },
+  role: {
+    type: String,
+    enum: ['editor', 'viewer'],
+    required: true,
+  },
+  invitedBy: {
+    type: Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+  },
+  expiresAt: {
+    type: Date,
+    required: true,
+  },
+});
+
+const workspaceSchema = new Schema<IWorkspace>(
+  {
+    createdBy: {
+      type: Schema.Types.ObjectId,
+      ref: 'User',
+      required: true,
+    },
+    name: {
+      type: String,
+      required: [true, 'Workspace name is required'],
+      trim: true,
+      maxlength: [60, 'Workspace name cannot exceed 60 characters'],
+    },
+    isPersonal: {
+      type: Boolean,
+      default: false,
+    },
+    members: {
+      type: [memberSchema],
+      default: [],
+    },
+    invitations: {
+      type: [invitationSchema],
+      default: [],
+      select: false,
+    },
+  },
+  {
+    timestamps: true,
+    toJSON: { virtuals: true },
+    toObject: { virtuals: true },
+  }
+);
+
+workspaceSchema.index({ 'members.user': 1 });
+workspaceSchema.index({ 'invitations.tokenHash': 1 });
+// Every user has exactly one personal workspace
+workspaceSchema.index({ createdBy: 1 }, { unique: true, partialFilterExpression: { isPersonal: true } });
+
+export const Workspace = mongoose.model<IWorkspace>('Workspace', workspaceSchema);
@@ -0,0 +1,34 @@
+import { Aggregate, Query, Schema } from 'mongoose';
+
+const READ_OPERATIONS: Array<'find' | 'findOne' | 'countDocuments' | 'distinct' | 'findOneAndUpdate'> = [
+  'find',
+  'findOne',
+  'countDocuments',
+  'distinct',
+  'findOneAndUpdate',
+];
+
+/**
+ * Schema plugin for records that go to the trash before they are deleted. Trashed
+ * records have a `deletedAt` and are left out of reads unless the filter mentions
+ * `deletedAt` or the query sets the `withDeleted` option. Bulk updates and deletes
+ * still reach them, so cleanups cover the trash too.
+ */
+export const softDelete = (schema: Schema): void => {
+  schema.add({ deletedAt: { type: Date, default: null } });
+  // The trash service purges expired records, along with what refers to them
+  schema.index({ deletedAt: 1 });
+
+  for (const operation of READ_OPERATIONS) {
+    schema.pre(operation, { document: false, query: true }, function (this: Query<any, any>) {
+      if (this.getOptions().withDeleted || 'deletedAt' in this.getFilter()) return;
+      this.where({ deletedAt: null });
+    });
+  }
+
+  schema.pre('aggregate', function (this: Aggregate<any>) {
+    const [first] = this.pipeline() as any[];
+    if (first?.$match && 'deletedAt' in first.$match) return;
+    this.pipeline().unshift({ $match: { deletedAt: null } });
+  });
+};
@@ -0,0 +1,43 @@
+import mongoose, { ClientSession } from 'mongoose';
+import { AppError } from '../utils/handlers/appError';
+
+let warnedUnsupported = false;
+
+const isTransactionUnsupported = (error: any): boolean =>
+  error?.code === 20 || /Transaction numbers are only allowed/i.test(error?.message || '');
+
+interface TransactionOptions {
+  // Refuse the work instead of running it without a transaction
+  required?: boolean;
+}
+
+/**
+ * Runs `work` inside a transaction so its writes are applied all-or-nothing.
+ * Standalone servers (such as a local development mongod) reject transactions on the
+ * first operation, before anything is written; there the work is re-run without a session,
+ * unless it is `required` to be atomic.
+ */
+const runInTransaction = async <T>(
+  work: (session?: ClientSession) => Promise<T>,
+  { required = false }: TransactionOptions = {}
+): Promise<T> => {
+  try {
+    return await mongoose.connection.transaction((session) => work(session));
+  } catch (error) {
+    if (!isTransactionUnsupported(error)) {
+      throw error;
+    }
+
+    if (required) {
+      throw new AppError('This operation needs a MongoDB replica set, which supports transactions', 503);
+    }
+
+    if (!warnedUnsupported) {
+      console.warn('MongoDB deployment does not support transactions; writes will not be atomic');
+      warnedUnsupported = true;
+    }
+    return work();
+  }
+};
+
+export { runInTransaction };
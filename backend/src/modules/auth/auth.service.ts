@@ -1,10 +1,10 @@
 import jwt from 'jsonwebtoken';
 import crypto from 'crypto';
 import { User, IUser } from '../../database/models/user.model';
-import { Template } from '../../database/models/template.model';
 import { AppError } from '../../utils/handlers/appError';
 import env from '../../config/environment';
 import type { RegisterInput, LoginInput } from './auth.types';
+import workspaceService from '../workspaces/workspace.service';
 
 interface TokenPayload {
   userId: string;
@@ -45,7 +45,7 @@ class AuthService {
       password: data.password,
     });
 
-    await this.seedSystemTemplates(user._id);
+    await workspaceService.createPersonal(user._id.toString());
 
     const tokens = this.generateTokens(user);
     user.refreshToken = crypto.createHash('sha256').update(tokens.refreshToken).digest('hex');
@@ -99,38 +99,6 @@ class AuthService {
     }
     return user;
   }
-
-  private async seedSystemTemplates(userId: any): Promise<void> {
-    const templates = [
-      {
-        createdBy: userId,
-        name: 'Text',
-        descriptionType: 'text' as const,
-        defaults: { title: '', description: '', descriptionType: 'text' },
-        isSystem: true,
-      },
-      {
-        createdBy: userId,
-        name: 'List',
-        descriptionType: 'list' as const,
-        defaults: { title: '', description: '- ', descriptionType: 'list' },
-        isSystem: true,
-      },
-      {
-        createdBy: userId,
-        name: 'Chunk',
-        descriptionType: 'chunks' as const,
-        defaults: {
-          title: '',
-          description: '[Objective]\n\n[Key Results]\n\n[Context]',
-          descriptionType: 'chunks',
-        },
-        isSystem: true,
-      },
-    ];
-
-    await Template.insertMany(templates);
-  }
 }
 
 export default new AuthService();
@@ -1,10 +1,10 @@
 import { Request, Response } from 'express';
 import { catchAsync } from '../../utils/handlers/catchAsync';
-import dataService from './data.service';
+import dataService, { ImportMode } from './data.service';
 
 export const exportAll = catchAsync(async (req: Request, res: Response) => {
   const userId = req.user!._id.toString();
-  const data = await dataService.exportAll(userId);
+  const data = await dataService.exportAll(req.workspace!.id, userId);
 
   res.json({
     status: 'success',
@@ -15,7 +15,8 @@ export const exportAll = catchAsync(async (req: Request, res: Response) => {
 export const importJSON = catchAsync(async (req: Request, res: Response) => {
   const userId = req.user!._id.toString();
   const json = req.body;
-  const result = await dataService.importJSON(userId, json);
+  const { mode } = req.query as { mode?: ImportMode };
+  const result = await dataService.importJSON(req.workspace!.id, userId, json, mode);
 
   res.json({
     status: 'success',
@@ -25,11 +26,41 @@ export const importJSON = catchAsync(async (req: Request, res: Response) => {
 
 export const importICS = catchAsync(async (req: Request, res: Response) => {
   const userId = req.user!._id.toString();
-  const fileContent = req.body.file;
-  const result = await dataService.importICS(userId, fileContent);
+  const result = await dataService.importICS(req.workspace!.id, userId, req.body.file);
 
   res.json({
     status: 'success',
     ...result,
   });
 });
+
+export const exportICS = catchAsync(async (req: Request, res: Response) => {
+  const userId = req.user!._id.toString();
+  const calendar = await dataService.exportICS(req.workspace!.id, userId);
+
+  res.set('Content-Disposition', 'attachment; filename="cortex-tasks.ics"');
+  res.type('text/calendar; charset=utf-8').send(calendar);
+});
+
+export const createFeed = catchAsync(async (req: Request, res: Response) => {
+  const userId = req.user!._id.toString();
+  const token = await dataService.createFeed(userId);
+
+  res.status(201).json({
+    status: 'success',
+    data: {
+      token,
+      url: `${req.protocol}://${req.get('host')}/api/v1/feeds/${token}.ics`,
+    },
+  });
+});
+
+export const revokeFeed = catchAsync(async (req: Request, res: Response) => {
+  const userId = req.user!._id.toString();
+  await dataService.revokeFeed(userId);
+
+  res.json({
+    status: 'success',
+    data: null,
+  });
+});
@@ -1,13 +1,19 @@
 import { Router } from 'express';
 import * as dataController from './data.controller';
 import { authenticate } from '../../utils/middleware/auth.middleware';
+import { resolveWorkspace, requireRole } from '../../utils/middleware/workspace.middleware';
+import { validate } from '../../utils/middleware/validate.middleware';
+import { ImportJSONDTO } from './data.validator';
 
 const router = Router();
 
-router.use(authenticate);
+router.use(authenticate, resolveWorkspace);
 
 router.get('/export', dataController.exportAll);
-router.post('/import/json', dataController.importJSON);
-router.post('/import/ics', dataController.importICS);
+router.get('/export/ics', dataController.exportICS);
+router.post('/feed', dataController.createFeed);
+router.delete('/feed', dataController.revokeFeed);
+router.post('/import/json', requireRole('editor'), validate(ImportJSONDTO), dataController.importJSON);
+router.post('/import/ics', requireRole('editor'), dataController.importICS);
 
 export default router;
@@ -1,143 +1,589 @@
-import mongoose from 'mongoose';
-import { Task } from '../../database/models/task.model';
+import mongoose, { ClientSession } from 'mongoose';
+import crypto from 'crypto';
+import { Task, ITask } from '../../database/models/task.model';
 import { Todo } from '../../database/models/todo.model';
 import { User } from '../../database/models/user.model';
+import { Template } from '../../database/models/template.model';
+import { Project } from '../../database/models/project.model';
 import { AppError } from '../../utils/handlers/appError';
-import { parseICS } from '../../utils/importExport/icsParser';
+import { runInTransaction } from '../../database/transaction';
+import { parseICS, ParsedICSEvent } from '../../utils/importExport/icsParser';
+import { generateICS } from '../../utils/importExport/icsGenerator';
+import { BACKUP_VERSION } from '../../utils/importExport/backupSchema';
+import { parseBackup } from '../../utils/importExport/backupMigrations';
+import { repeatFieldsFromRRule } from '../../utils/recurrence/rrule';
+import workspaceService from '../workspaces/workspace.service';
+import eventService from '../events/event.service';
+import historyService from '../tasks/history.service';
+import trashService from '../trash/trash.service';
+import type { TrashResource } from '../trash/trash.types';
+
+export type ImportMode = 'merge' | 'replace' | 'dryRun';
+
+interface ImportCounts {
+  created: number;
+  updated: number;
+  skipped: number;
+  conflicting: number;
+  deleted: number;
+}
+
+interface ImportReport {
+  mode: ImportMode;
+  tasksImported: number;
+  todosImported: number;
+  projectsImported: number;
+  templatesImported: number;
+  tasks: ImportCounts;
+  todos: ImportCounts;
+  projects: ImportCounts;
+  templates: ImportCounts;
+  conflicts: Array<{ collection: 'tasks' | 'todos' | 'projects' | 'templates'; id: string; title: string }>;
+}
+
+interface ImportPlan {
+  creates: Array<Record<string, any>>;
+  updates: Array<{ _id: mongoose.Types.ObjectId; fields: Record<string, any> }>;
+  conflicts: Array<{ id: string; title: string }>;
+  skipped: number;
+  // Backup _id → _id the record has in this account
+  idMap: Map<string, mongoose.Types.ObjectId>;
+}
+
+interface ImportSpec {
+  // Fields that identify a record when ids do not match
+  identity: string[];
+  // Fields compared to decide whether a matched record changed
+  compared: string[];
+  // Picks the importable fields of a backup record, filling in defaults
+  fields: (record: any) => Record<string, any>;
+  // Replaced records go to the trash as this resource instead of being deleted
+  trash?: TrashResource;
+}
+
+const pick = (record: any, keys: string[]): Record<string, any> =>
+  Object.fromEntries(keys.filter((key) => record?.[key] !== undefined).map((key) => [key, record[key]]));
+
+const TASK_FIELDS = [
+  'title',
+  'description',
+  'descriptionType',
+  'dueDate',
+  'dueTime',
+  'priority',
+  'estimatedDuration',
+  'isCompleted',
+  'completedAt',
+  'assignedSlot',
+  'scheduledBlocks',
+  'tags',
+  'projectId',
+  'blockedBy',
+  'repeatFrequency',
+  'repeatUntil',
+  'recurrence',
+  'seriesId',
+  'recurrenceId',
+  'icsUid',
+  'icsSource',
+  'type',
+  'isFixed',
+  'subtasks',
+];
+
+const TASK_IMPORT: ImportSpec = {
+  identity: ['title', 'dueDate', 'dueTime'],
+  trash: 'task',
+  // References to other records differ between accounts, so they do not count as changes
+  compared: TASK_FIELDS.filter((key) => !['seriesId', 'projectId', 'blockedBy'].includes(key)),
+  fields: (record) => ({
+    ...pick(record, TASK_FIELDS),
+    repeatFrequency: record?.repeatFrequency || 'none',
+    priority: record?.priority || 'medium',
+    descriptionType: record?.descriptionType || 'text',
+    dueDate: record?.dueDate || new Date().toISOString().split('T')[0],
+    subtasks: (record?.subtasks || []).map((s: any) => ({ title: s.title, isCompleted: !!s.isCompleted })),
+  }),
+};
+
+const TODO_FIELDS = ['order', 'title', 'description', 'priority', 'isCompleted', 'projectId'];
+
+const TODO_IMPORT: ImportSpec = {
+  identity: ['title', 'description'],
+  trash: 'todo',
+  compared: TODO_FIELDS.filter((key) => key !== 'projectId'),
+  fields: (record) => ({
+    ...pick(record, TODO_FIELDS),
+    order: record?.order ?? 0,
+  }),
+};
+
+const PROJECT_FIELDS = ['name', 'color', 'icon', 'isArchived', 'order'];
+
+const PROJECT_IMPORT: ImportSpec = {
+  identity: ['name'],
+  compared: PROJECT_FIELDS,
+  fields: (record) => ({
+    ...pick(record, PROJECT_FIELDS),
+    isArchived: !!record?.isArchived,
+    order: record?.order ?? 0,
+  }),
+};
+
+const TEMPLATE_FIELDS = ['name', 'descriptionType', 'defaults'];
+
+const TEMPLATE_IMPORT: ImportSpec = {
+  identity: ['name'],
+  compared: TEMPLATE_FIELDS,
+  fields: (record) => ({
+    ...pick(record, TEMPLATE_FIELDS),
+    descriptionType: record?.descriptionType || 'text',
+    defaults: { title: '', description: '', descriptionType: 'text', ...pick(record?.defaults, ['title', 'description', 'descriptionType']) },
+  }),
+};
+
+const SETTINGS_FIELDS = ['theme', 'availableHours'];
 
 class DataService {
-  async exportAll(userId: string) {
-    const userObjectId = new mongoose.Types.ObjectId(userId);
+  async exportAll(workspaceId: string, userId: string) {
+    const workspaceObjectId = new mongoose.Types.ObjectId(workspaceId);
 
-    const [tasks, todos, user] = await Promise.all([
-      Task.find({ createdBy: userObjectId }),
-      Todo.find({ createdBy: userObjectId }),
+    const [tasks, todos, projects, templates, user] = await Promise.all([
+      Task.find({ workspaceId: workspaceObjectId }),
+      Todo.find({ workspaceId: workspaceObjectId }),
+      Project.find({ workspaceId: workspaceObjectId }),
+      // System templates are seeded for every workspace, so only custom ones are backed up
+      Template.find({ workspaceId: workspaceObjectId, isSystem: false }),
       User.findById(userId),
     ]);
 
     return {
-      tasks,
-      todos,
-      settings: user?.settings,
+      version: BACKUP_VERSION,
       exportDate: new Date().toISOString(),
-      version: '2.0',
+      tasks: tasks.map((task) => ({
+        ...this.toBackupRecord(task, TASK_FIELDS),
+        seriesId: task.seriesId ? task.seriesId.toString() : null,
+        projectId: task.projectId ? task.projectId.toString() : null,
+        blockedBy: task.blockedBy.map(String),
+        subtasks: task.subtasks.map((s) => ({ title: s.title, isCompleted: s.isCompleted, createdAt: s.createdAt })),
+      })),
+      todos: todos.map((todo) => ({
+        ...this.toBackupRecord(todo, TODO_FIELDS),
+        projectId: todo.projectId ? todo.projectId.toString() : null,
+      })),
+      projects: projects.map((project) => this.toBackupRecord(project, PROJECT_FIELDS)),
+      templates: templates.map((template) => this.toBackupRecord(template, TEMPLATE_FIELDS)),
+      settings: user ? pick(user.toObject().settings, SETTINGS_FIELDS) : undefined,
     };
   }
 
-  async importJSON(userId: string, json: any) {
-    const isLegacyFormat = !json.version || json.version !== '2.0';
-    
-    if (isLegacyFormat) {
-      if (!json.tasks || !Array.isArray(json.tasks)) {
-        throw new AppError('Invalid JSON format: missing tasks array', 400);
-      }
+  /**
+   * Writes the workspace's tasks as iCalendar, with times in the user's zone.
+   */
+  async exportICS(workspaceId: string, userId: string): Promise<string> {
+    const workspaceObjectId = new mongoose.Types.ObjectId(workspaceId);
+    const [tasks, user] = await Promise.all([
+      Task.find({ workspaceId: workspaceObjectId }).sort({ dueDate: 1, dueTime: 1 }),
+      User.findById(userId),
+    ]);
 
-      const userObjectId = new mongoose.Types.ObjectId(userId);
-      await Task.deleteMany({ createdBy: userObjectId });
-
-      const tasksToInsert = json.tasks.map((t: any) => ({
-        ...t,
-        createdBy: userObjectId,
-        _id: new mongoose.Types.ObjectId(),
-        repeatFrequency: t.repeatFrequency || 'none',
-        priority: t.priority || 'medium',
-        descriptionType: t.descriptionType || 'text',
-        dueDate: t.dueDate || new Date().toISOString().split('T')[0],
-      }));
-
-      if (tasksToInsert.length > 0) {
-        await Task.insertMany(tasksToInsert);
-      }
+    return generateICS(tasks, {
+      calendarName: user ? `Cortex – ${user.name}` : 'Cortex',
+      timeZone: user?.settings.timeZone,
+    });
+  }
 
-      return {
-        tasksImported: tasksToInsert.length,
-        todosImported: 0,
-      };
+  /**
+   * Issues a new secret calendar feed token, replacing any previous one.
+   * Only the hash is stored, so the plain token is returned once.
+   */
+  async createFeed(userId: string): Promise<string> {
+    const token = crypto.randomBytes(24).toString('hex');
+    const user = await User.findByIdAndUpdate(userId, {
+      calendarFeedToken: this.hashFeedToken(token),
+    });
+    if (!user) {
+      throw new AppError('User not found', 404);
     }
 
-    if (!json.tasks || !Array.isArray(json.tasks)) {
-      throw new AppError('Invalid JSON format: missing tasks array', 400);
-    }
+    return token;
+  }
 
-    if (!json.todos || !Array.isArray(json.todos)) {
-      throw new AppError('Invalid JSON format: missing todos array', 400);
+  async revokeFeed(userId: string): Promise<void> {
+    await User.findByIdAndUpdate(userId, {
+      $unset: { calendarFeedToken: '' },
+    });
+  }
+
+  async getFeed(token: string): Promise<string> {
+    const user = await User.findOne({ calendarFeedToken: this.hashFeedToken(token) });
+    if (!user) {
+      throw new AppError('Calendar feed not found', 404);
     }
 
-    const userObjectId = new mongoose.Types.ObjectId(userId);
+    // Feeds belong to a user rather than a workspace and publish their personal tasks
+    const userId = user._id.toString();
+    const personal = await workspaceService.resolveAccess(userId);
+    return this.exportICS(personal.id, userId);
+  }
 
-    await Promise.all([
-      Task.deleteMany({ createdBy: userObjectId }),
-      Todo.deleteMany({ createdBy: userObjectId }),
-    ]);
+  /**
+   * Imports a JSON backup. Older backup versions are upgraded and every file is validated
+   * against the current schema first (see utils/importExport/backupMigrations).
+   *
+   * `merge` keeps existing data: records are matched by their backup _id, then by a hash
+   * of their identifying content. Unmatched records are created, identical ones skipped,
+   * and changed ones updated only when the backup copy is newer; otherwise they are
+   * reported as conflicts and left alone. `replace` swaps the workspace's data for the
+   * backup, moving replaced tasks and todos to the trash, and `dryRun` reports what a
+   * merge would do without writing anything. Replacing needs transactions, so a failed
+   * import never leaves the workspace half emptied.
+   */
+  async importJSON(workspaceId: string, userId: string, json: any, mode: ImportMode = 'merge'): Promise<ImportReport> {
+    const backup = parseBackup(json);
+    const owner = {
+      workspaceId: new mongoose.Types.ObjectId(workspaceId),
+      createdBy: new mongoose.Types.ObjectId(userId),
+    };
+    const inWorkspace = { workspaceId: owner.workspaceId };
+    // Collections missing from the backup (e.g. in upgraded older files) are left untouched
+    const todoRecords = backup.todos ?? null;
+    const projectRecords = backup.projects ?? null;
+    const templateRecords = backup.templates ?? null;
+    const templateFilter = { ...inWorkspace, isSystem: false };
 
-    const tasksToInsert = json.tasks.map((t: any) => ({
-      ...t,
-      createdBy: userObjectId,
-      _id: new mongoose.Types.ObjectId(),
-      repeatFrequency: t.repeatFrequency || 'none',
-      priority: t.priority || 'medium',
-      descriptionType: t.descriptionType || 'text',
-      dueDate: t.dueDate || new Date().toISOString().split('T')[0],
-    }));
-
-    const todosToInsert = json.todos.map((t: any) => ({
-      ...t,
-      createdBy: userObjectId,
-      _id: new mongoose.Types.ObjectId(),
-    }));
-
-    await Promise.all([
-      tasksToInsert.length > 0 ? Task.insertMany(tasksToInsert) : Promise.resolve(),
-      todosToInsert.length > 0 ? Todo.insertMany(todosToInsert) : Promise.resolve(),
+    const [existingTasks, existingTodos, existingProjects, existingTemplates] = await Promise.all([
+      Task.find(inWorkspace),
+      todoRecords ? Todo.find(inWorkspace) : [],
+      projectRecords ? Project.find(inWorkspace) : [],
+      templateRecords ? Template.find(templateFilter) : [],
     ]);
 
-    return {
-      tasksImported: tasksToInsert.length,
-      todosImported: todosToInsert.length,
+    const replace = mode === 'replace';
+    const taskPlan = await this.planImport(Task, owner, backup.tasks, existingTasks, TASK_IMPORT, replace);
+    const todoPlan = todoRecords
+      ? await this.planImport(Todo, owner, todoRecords, existingTodos, TODO_IMPORT, replace)
+      : this.emptyPlan();
+    const projectPlan = projectRecords
+      ? await this.planImport(Project, owner, projectRecords, existingProjects, PROJECT_IMPORT, replace)
+      : this.emptyPlan();
+    const templatePlan = templateRecords
+      ? await this.planImport(Template, owner, templateRecords, existingTemplates, TEMPLATE_IMPORT, replace)
+      : this.emptyPlan();
+
+    // Series exceptions, dependents and project members point at other records by _id,
+    // which may have been reassigned
+    for (const fields of [...taskPlan.creates, ...taskPlan.updates.map((u) => u.fields)]) {
+      if (fields.seriesId) {
+        fields.seriesId = taskPlan.idMap.get(fields.seriesId.toString()) || null;
+      }
+      if (fields.blockedBy) {
+        fields.blockedBy = fields.blockedBy
+          .map((id: string) => taskPlan.idMap.get(id.toString()))
+          .filter((id: mongoose.Types.ObjectId | undefined) => !!id);
+      }
+    }
+    for (const fields of [taskPlan, todoPlan].flatMap((plan) => [...plan.creates, ...plan.updates.map((u) => u.fields)])) {
+      if (fields.projectId) {
+        fields.projectId = projectPlan.idMap.get(fields.projectId.toString()) || null;
+      }
+    }
+
+    const report: ImportReport = {
+      mode,
+      tasksImported: taskPlan.creates.length + taskPlan.updates.length,
+      todosImported: todoPlan.creates.length + todoPlan.updates.length,
+      projectsImported: projectPlan.creates.length + projectPlan.updates.length,
+      templatesImported: templatePlan.creates.length + templatePlan.updates.length,
+      tasks: this.countPlan(taskPlan, replace ? existingTasks.length : 0),
+      todos: this.countPlan(todoPlan, replace ? existingTodos.length : 0),
+      projects: this.countPlan(projectPlan, replace ? existingProjects.length : 0),
+      templates: this.countPlan(templatePlan, replace ? existingTemplates.length : 0),
+      conflicts: [
+        ...taskPlan.conflicts.map((c) => ({ ...c, collection: 'tasks' as const })),
+        ...todoPlan.conflicts.map((c) => ({ ...c, collection: 'todos' as const })),
+        ...projectPlan.conflicts.map((c) => ({ ...c, collection: 'projects' as const })),
+        ...templatePlan.conflicts.map((c) => ({ ...c, collection: 'templates' as const })),
+      ],
     };
+
+    if (mode === 'dryRun') {
+      return report;
+    }
+
+    await runInTransaction(async (session) => {
+      if (replace) {
+        await trashService.discard('task', workspaceId, {}, session);
+        if (todoRecords) {
+          await trashService.discard('todo', workspaceId, {}, session);
+        }
+        if (projectRecords) {
+          await Project.deleteMany(inWorkspace, { session });
+        }
+        if (templateRecords) {
+          await Template.deleteMany(templateFilter, { session });
+        }
+      }
+
+      await this.applyPlan(Project, projectPlan, session);
+      await this.applyPlan(Task, taskPlan, session);
+      await this.applyPlan(Todo, todoPlan, session);
+      await this.applyPlan(Template, templatePlan, session);
+    }, { required: replace });
+
+    await this.recordTaskHistory(userId, taskPlan, existingTasks, replace);
+    eventService.reset(workspaceId, 'task', 'todo', 'template');
+    return report;
   }
 
-  async importICS(userId: string, fileContent: string) {
-    const events = parseICS(fileContent);
+  /**
+   * Imports the events of an ICS file as tasks. Zoned and UTC times are converted into
+   * the user's zone.
+   */
+  async importICS(workspaceId: string, userId: string, fileContent: string) {
+    if (typeof fileContent !== 'string' || !fileContent.trim()) {
+      throw new AppError('No ICS content provided', 400);
+    }
+
+    const user = await User.findById(userId);
+    const timeZone = user?.settings.timeZone || 'UTC';
+    const { events, skipped, calendarName } = parseICS(fileContent, timeZone);
 
     if (events.length === 0) {
       throw new AppError('No valid events found in ICS file', 400);
     }
 
-    const userObjectId = new mongoose.Types.ObjectId(userId);
+    const workspaceObjectId = new mongoose.Types.ObjectId(workspaceId);
+    const uids = [...new Set(events.map((e) => e.uid).filter((uid): uid is string => !!uid))];
+
+    // Events with a UID are matched on it (plus RECURRENCE-ID for single instances);
+    // the rest fall back to the title/date/time key older exports relied on
+    const [uidTasks, legacyTasks] = await Promise.all([
+      uids.length > 0 ? Task.find({ workspaceId: workspaceObjectId, icsUid: { $in: uids } }) : [],
+      events.some((e) => !e.uid) ? Task.find({ workspaceId: workspaceObjectId, icsUid: null }) : [],
+    ]);
+
+    const existingByUid = new Map(uidTasks.map((t) => [`${t.icsUid}|${t.recurrenceId || ''}`, t]));
+    const legacyKeys = new Set(legacyTasks.map((t) => `${t.title}-${t.dueDate}-${t.dueTime || ''}`));
+
+    const added: ITask[] = [];
+    let tasksUpdated = 0;
+
+    const save = async (event: ParsedICSEvent, seriesId?: mongoose.Types.ObjectId) => {
+      const fields = this.icsTaskFields(event, calendarName, seriesId);
+
+      if (!event.uid) {
+        const key = `${event.title}-${event.dueDate}-${event.dueTime || ''}`;
+        if (legacyKeys.has(key)) return;
+        legacyKeys.add(key);
+      }
+
+      const existing = event.uid && existingByUid.get(`${event.uid}|${event.recurrenceId || ''}`);
+      if (existing) {
+        // Keep exclusions the user added by editing single occurrences in Cortex
+        if (fields.recurrence && existing.recurrence) {
+          fields.recurrence.exdates = [...new Set([...fields.recurrence.exdates, ...existing.recurrence.exdates])];
+        }
+        const current = existing.toObject();
+        const changed = Object.entries(fields).some(
+          ([key, value]) => JSON.stringify(value ?? null) !== JSON.stringify(current[key as keyof typeof current] ?? null)
+        );
+        if (changed) {
+          const updated = await Task.findByIdAndUpdate(existing._id, this.toUpdate(fields), { new: true });
+          await historyService.recordUpdate(userId, existing, updated!);
+          tasksUpdated++;
+        }
+        return existing;
+      }
+
+      const created = await Task.create({
+        ...fields,
+        workspaceId: workspaceObjectId,
+        createdBy: userId,
+        isCompleted: event.isCompleted,
+        assignedSlot: null,
+        subtasks: [],
+      });
+      added.push(created);
+      if (event.uid) existingByUid.set(`${event.uid}|${event.recurrenceId || ''}`, created);
+      return created;
+    };
+
+    // Masters first so that modified instances can be linked to their series
+    for (const event of events.filter((e) => !e.recurrenceId)) {
+      await save(event);
+    }
+
+    for (const event of events.filter((e) => e.recurrenceId)) {
+      const series = existingByUid.get(`${event.uid}|`);
+      if (series?.recurrence?.rrule) {
+        await Task.updateOne(
+          { _id: series._id },
+          { $addToSet: { 'recurrence.exdates': event.recurrenceId } }
+        );
+        await save(event, series._id);
+      } else {
+        await save(event);
+      }
+    }
+
+    await historyService.record(userId, 'created', added);
+    eventService.reset(workspaceId, 'task');
+    return { tasksAdded: added.length, tasksUpdated, skipped };
+  }
+
+  /**
+   * Records an import in the history of the tasks it touched: replaced tasks as deleted,
+   * new ones as created and updated ones with what changed.
+   */
+  private async recordTaskHistory(userId: string, plan: ImportPlan, existing: ITask[], replace: boolean) {
+    if (replace) {
+      await historyService.record(userId, 'deleted', existing);
+    }
+    await historyService.record(userId, 'created', plan.creates.map(({ _id, workspaceId }) => ({ _id, workspaceId })));
+
+    const before = new Map(existing.map((task) => [task._id.toString(), task]));
+    const updated = plan.updates.length > 0 ? await Task.find({ _id: { $in: plan.updates.map((u) => u._id) } }) : [];
+    for (const task of updated) {
+      await historyService.recordUpdate(userId, before.get(task._id.toString())!, task);
+    }
+  }
+
+  private async planImport(
+    model: mongoose.Model<any>,
+    owner: { workspaceId: mongoose.Types.ObjectId; createdBy: mongoose.Types.ObjectId },
+    records: any[],
+    existing: any[],
+    spec: ImportSpec,
+    replace: boolean
+  ): Promise<ImportPlan> {
+    const plan = this.emptyPlan();
+    const existingById = new Map(existing.map((doc) => [doc._id.toString(), doc]));
+    const existingByHash = new Map(existing.map((doc) => [this.contentHash(spec, doc), doc]));
+    const claimed = new Set<string>();
 
-    const existingTasks = await Task.find({ createdBy: userObjectId });
-    const existingKeys = new Set(
-      existingTasks.map((t) => `${t.title}-${t.dueDate}-${t.dueTime || ''}`)
+    // Backup ids still held by another record, elsewhere or in the trash, can never be
+    // reused; replacing frees the ids of records it deletes outright
+    const backupIds = records.map((r) => r.id).filter((id): id is string => !!id);
+    const takenIds = new Set(
+      (await model.find({ _id: { $in: backupIds } }).setOptions({ withDeleted: true }).distinct('_id')).map(String)
     );
+    const freedIds = replace && !spec.trash ? existingById : new Map();
 
-    const newTasks = [];
-    for (const event of events) {
-      const key = `${event.title}-${event.dueDate}-${event.dueTime || ''}`;
-      if (!existingKeys.has(key)) {
-        newTasks.push({
-          createdBy: userObjectId,
-          title: event.title,
-          description: event.description,
-          descriptionType: 'text',
-          dueDate: event.dueDate,
-          dueTime: event.dueTime,
-          priority: event.priority,
-          estimatedDuration: event.estimatedDuration,
-          isCompleted: false,
-          assignedSlot: null,
-          tags: [],
-          repeatFrequency: 'none',
-          type: 'ics-import',
-        });
+    for (const record of records) {
+      const fields = spec.fields(record);
+      const backupId: string | null = record.id || null;
+      const match = replace
+        ? null
+        : (backupId && existingById.get(backupId)) || existingByHash.get(this.contentHash(spec, fields));
+
+      if (!match) {
+        const keepId =
+          backupId && !plan.idMap.has(backupId) && (!takenIds.has(backupId) || freedIds.has(backupId));
+        const _id = keepId ? new mongoose.Types.ObjectId(backupId) : new mongoose.Types.ObjectId();
+        if (backupId) plan.idMap.set(backupId, _id);
+        plan.creates.push({ ...fields, _id, ...owner });
+        continue;
+      }
+
+      const matchId = match._id.toString();
+      if (backupId) plan.idMap.set(backupId, match._id);
+
+      if (claimed.has(matchId) || this.sameContent(spec, fields, match)) {
+        plan.skipped++;
+      } else if (record.updatedAt && new Date(record.updatedAt) >= match.updatedAt) {
+        plan.updates.push({ _id: match._id, fields });
+      } else {
+        plan.conflicts.push({ id: matchId, title: match.title ?? match.name });
       }
+      claimed.add(matchId);
     }
 
-    if (newTasks.length > 0) {
-      await Task.insertMany(newTasks);
+    return plan;
+  }
+
+  private async applyPlan(model: mongoose.Model<any>, plan: ImportPlan, session?: ClientSession) {
+    if (plan.creates.length > 0) {
+      await model.insertMany(plan.creates, { session });
     }
+    if (plan.updates.length > 0) {
+      await model.bulkWrite(
+        plan.updates.map(({ _id, fields }) => ({ updateOne: { filter: { _id }, update: { $set: fields } } })),
+        { session }
+      );
+    }
+  }
+
+  private emptyPlan(): ImportPlan {
+    return { creates: [], updates: [], conflicts: [], skipped: 0, idMap: new Map() };
+  }
 
-    return { tasksAdded: newTasks.length };
+  private countPlan(plan: ImportPlan, deleted: number): ImportCounts {
+    return {
+      created: plan.creates.length,
+      updated: plan.updates.length,
+      skipped: plan.skipped,
+      conflicting: plan.conflicts.length,
+      deleted,
+    };
+  }
+
+  private contentHash(spec: ImportSpec, record: any): string {
+    const identity = spec.identity.map((key) => record[key] ?? '');
+    return crypto.createHash('sha256').update(JSON.stringify(identity)).digest('hex');
+  }
+
+  private sameContent(spec: ImportSpec, fields: Record<string, any>, doc: any): boolean {
+    const current = spec.fields(doc.toObject());
+    return spec.compared.every((key) => JSON.stringify(fields[key] ?? null) === JSON.stringify(current[key] ?? null));
+  }
+
+  private toBackupRecord(doc: any, fields: string[]) {
+    return {
+      id: doc._id.toString(),
+      ...pick(doc.toObject(), fields),
+      createdAt: doc.createdAt,
+      updatedAt: doc.updatedAt,
+    };
+  }
+
+  private hashFeedToken(token: string): string {
+    return crypto.createHash('sha256').update(token).digest('hex');
+  }
+
+  private icsTaskFields(event: ParsedICSEvent, calendarName?: string, seriesId?: mongoose.Types.ObjectId) {
+    const recurrence = event.rrule ? { rrule: event.rrule, exdates: event.exdates } : null;
+
+    return {
+      title: event.title,
+      description: event.description || '',
+      descriptionType: 'text',
+      dueDate: event.dueDate,
+      dueTime: event.dueTime,
+      priority: event.priority,
+      estimatedDuration: event.estimatedDuration,
+      tags: event.tags,
+      recurrence,
+      ...(recurrence ? repeatFieldsFromRRule(recurrence.rrule) : { repeatFrequency: 'none', repeatUntil: undefined }),
+      seriesId: seriesId || null,
+      recurrenceId: event.recurrenceId,
+      icsUid: event.uid,
+      icsSource: calendarName,
+      type: 'ics-import',
+    };
+  }
+
+  private toUpdate(fields: Record<string, any>) {
+    const $set: Record<string, any> = {};
+    const $unset: Record<string, ''> = {};
+    for (const [key, value] of Object.entries(fields)) {
+      if (value === undefined) {
+        $unset[key] = '';
+      } else {
+        $set[key] = value;
+      }
+    }
+    return Object.keys($unset).length > 0 ? { $set, $unset } : { $set };
   }
 }
 
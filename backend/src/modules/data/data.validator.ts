@@ -0,0 +1,8 @@
+import { z } from 'zod';
+
+export const ImportJSONDTO = z.object({
+  query: z.object({
+    mode: z.enum(['merge', 'replace', 'dryRun']).optional(),
+  }),
+  body: z.any(),
+});
@@ -0,0 +1,41 @@
+import { Request, Response } from 'express';
+import { catchAsync } from '../../utils/handlers/catchAsync';
+import digestService from './digest.service';
+
+export const preview = catchAsync(async (req: Request, res: Response) => {
+  const userId = req.user!._id.toString();
+  const digest = await digestService.preview(userId);
+
+  res.json({
+    status: 'success',
+    data: digest,
+  });
+});
+
+// Mail scanners and link previews open links, so opening one only asks to confirm
+export const confirmUnsubscribe = catchAsync(async (req: Request, res: Response) => {
+  const token = String(req.query.token ?? '');
+  digestService.verifyUnsubscribeToken(token);
+
+  res
+    .type('html')
+    .send(
+      '<!doctype html><title>Unsubscribe</title>' +
+        `<form method="post" action="unsubscribe?token=${encodeURIComponent(token)}">` +
+        '<p>Stop receiving digest emails?</p><button type="submit">Unsubscribe</button></form>'
+    );
+});
+
+export const unsubscribe = catchAsync(async (req: Request, res: Response) => {
+  const token = String(req.query.token ?? '');
+  await digestService.unsubscribe(token);
+
+  // Mail clients' one-click unsubscribe (RFC 8058) sends this body and shows no page
+  if (req.body?.['List-Unsubscribe'] === 'One-Click') {
+    res.status(204).send();
+    return;
+  }
+  res
+    .type('html')
+    .send('<!doctype html><title>Unsubscribed</title><p>You will no longer receive digest emails.</p>');
+});
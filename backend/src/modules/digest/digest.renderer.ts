@@ -0,0 +1,71 @@
+import env from '../../config/environment';
+import type { DigestAgendaItem, DigestContent, DigestSuggestion, RenderedDigest } from './digest.types';
+
+const escapeHtml = (value: string): string =>
+  value.replace(/[&<>"']/g, (char) => `&#${char.charCodeAt(0)};`);
+
+const agendaLine = (item: DigestAgendaItem, showDate: boolean): string =>
+  [showDate ? item.date : null, item.time, item.title].filter(Boolean).join(' · ');
+
+const suggestionLine = (item: DigestSuggestion): string =>
+  `${item.title}${item.dueDate ? ` (due ${item.dueDate})` : ''} → ${item.slot.date} ${item.slot.time}`;
+
+const htmlList = (heading: string, lines: string[]): string =>
+  lines.length === 0
+    ? ''
+    : `<h3 style="margin:16px 0 4px;font-size:15px">${escapeHtml(heading)}</h3>` +
+      `<ul style="margin:0;padding-left:20px">${lines.map((line) => `<li>${escapeHtml(line)}</li>`).join('')}</ul>`;
+
+const textList = (heading: string, lines: string[]): string =>
+  lines.length === 0 ? '' : `${heading}\n${lines.map((line) => `  - ${line}`).join('\n')}\n`;
+
+/**
+ * Renders a digest as the subject, HTML body and plain-text body of an email.
+ */
+export const renderDigest = (digest: DigestContent): RenderedDigest => {
+  const weekly = digest.frequency === 'weekly';
+  const agendaHeading = weekly ? 'This week' : 'Today';
+  const subject = weekly ? `Your week ahead from ${digest.date}` : `Your day: ${digest.date}`;
+  const showWorkspace = digest.sections.length > 1;
+
+  const lists = digest.sections.map((section) => ({
+    workspace: section.workspace,
+    agenda: section.agenda.map((item) => agendaLine(item, weekly)),
+    overdue: section.overdue.map(suggestionLine),
+    suggestions: section.suggestions.map(suggestionLine),
+  }));
+
+  const html = [
+    '<div style="font-family:sans-serif;max-width:560px;margin:auto;color:#111">',
+    `<h2 style="font-size:18px">Good morning, ${escapeHtml(digest.name)}</h2>`,
+    ...lists.map((list) =>
+      [
+        showWorkspace ? `<h2 style="font-size:16px;margin-top:24px">${escapeHtml(list.workspace)}</h2>` : '',
+        htmlList(agendaHeading, list.agenda),
+        htmlList('Overdue, with a suggested new slot', list.overdue),
+        htmlList('Suggested slots for unscheduled tasks', list.suggestions),
+      ].join('')
+    ),
+    `<p style="margin-top:24px"><a href="${escapeHtml(env.APP_URL)}">Open Cortex</a></p>`,
+    `<p style="font-size:12px;color:#666">You get this ${digest.frequency} digest because you turned it on in your settings. ` +
+      `<a href="${escapeHtml(digest.unsubscribeUrl)}">Unsubscribe</a></p>`,
+    '</div>',
+  ].join('\n');
+
+  const text = [
+    `Good morning, ${digest.name}`,
+    '',
+    ...lists.map((list) =>
+      [
+        showWorkspace ? `== ${list.workspace} ==\n` : '',
+        textList(agendaHeading, list.agenda),
+        textList('Overdue, with a suggested new slot', list.overdue),
+        textList('Suggested slots for unscheduled tasks', list.suggestions),
+      ].join('')
+    ),
+    `Open Cortex: ${env.APP_URL}`,
+    `Unsubscribe: ${digest.unsubscribeUrl}`,
+  ].join('\n');
+
+  return { subject, html, text };
+};
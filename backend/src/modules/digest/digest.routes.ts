@@ -0,0 +1,15 @@
+import { Router } from 'express';
+import * as digestController from './digest.controller';
+import { authenticate } from '../../utils/middleware/auth.middleware';
+
+const router = Router();
+
+// Opened from an email, so the signed token in the link is the credential
+router.get('/unsubscribe', digestController.confirmUnsubscribe);
+router.post('/unsubscribe', digestController.unsubscribe);
+
+router.use(authenticate);
+
+router.get('/preview', digestController.preview);
+
+export default router;
@@ -0,0 +1,198 @@
+import crypto from 'crypto';
+import mongoose from 'mongoose';
+import env from '../../config/environment';
+import { User, IUser } from '../../database/models/user.model';
+import { Task } from '../../database/models/task.model';
+import { Workspace } from '../../database/models/workspace.model';
+import { AppError } from '../../utils/handlers/appError';
+import mailer from '../../utils/mail/mailer';
+import { toZonedDateTime } from '../../utils/timezone/zonedTime';
+import { addDaysToDate } from '../../utils/recurrence/rrule';
+import { expandForScheduling } from '../../utils/recurrence/occurrences';
+import schedulerService from '../scheduler/scheduler.service';
+import { renderDigest } from './digest.renderer';
+import type { DigestContent, DigestSection, RenderedDigest } from './digest.types';
+
+const TICK_MS = 5 * 60 * 1000;
+
+const dayOfWeek = (date: string): number => new Date(`${date}T00:00:00Z`).getUTCDay();
+
+class DigestService {
+  private timer: NodeJS.Timeout | null = null;
+
+  /**
+   * Checks every few minutes for users whose digest time has come.
+   */
+  start(): void {
+    if (this.timer) return;
+
+    this.timer = setInterval(() => {
+      this.run().catch((error) => console.error('Sending digests failed:', error));
+    }, TICK_MS);
+  }
+
+  stop(): void {
+    if (this.timer) clearInterval(this.timer);
+    this.timer = null;
+  }
+
+  /**
+   * Emails every opted-in user whose local digest time has passed today and who has not
+   * had today's digest. The day is claimed before sending, so several servers send it
+   * once, and a digest with nothing in it is skipped. When building or sending fails
+   * the claim is released, so the next check tries that user again.
+   * @returns How many digests were sent
+   */
+  async run(now = new Date()): Promise<number> {
+    const users = await User.find({ 'settings.digest.frequency': { $in: ['daily', 'weekly'] } });
+    let sent = 0;
+
+    for (const user of users) {
+      const { frequency, time, weekday, lastSentOn } = user.settings.digest;
+      const local = toZonedDateTime(now, user.settings.timeZone);
+      if (local.time < time || lastSentOn === local.date) continue;
+      if (frequency === 'weekly' && dayOfWeek(local.date) !== weekday) continue;
+
+      const { modifiedCount } = await User.updateOne(
+        { _id: user._id, 'settings.digest.lastSentOn': { $ne: local.date } },
+        { $set: { 'settings.digest.lastSentOn': local.date } }
+      );
+      if (modifiedCount === 0) continue;
+
+      try {
+        if (await this.send(user, now)) sent++;
+      } catch (error) {
+        console.error(`Sending the digest to user ${user._id} failed:`, error);
+        await User.updateOne(
+          { _id: user._id, 'settings.digest.lastSentOn': local.date },
+          { $unset: { 'settings.digest.lastSentOn': '' } }
+        );
+      }
+    }
+    return sent;
+  }
+
+  /**
+   * @returns Whether there was anything to send
+   */
+  private async send(user: IUser, now: Date): Promise<boolean> {
+    const digest = await this.build(user, now);
+    if (!digest.sections.length) return false;
+
+    const { subject, html, text } = renderDigest(digest);
+    await mailer.send({
+      to: user.email,
+      subject,
+      html,
+      text,
+      headers: {
+        'List-Unsubscribe': `<${digest.unsubscribeUrl}>`,
+        'List-Unsubscribe-Post': 'List-Unsubscribe=One-Click',
+      },
+    });
+    return true;
+  }
+
+  /**
+   * Renders the user's digest as it would be sent now, whether or not they opted in.
+   */
+  async preview(userId: string): Promise<RenderedDigest> {
+    const user = await User.findById(userId);
+    if (!user) {
+      throw new AppError('User not found', 404);
+    }
+    return renderDigest(await this.build(user, new Date()));
+  }
+
+  /**
+   * Gathers, per workspace, the user's tasks for the day (or week), their overdue tasks
+   * with a suggested new slot, and slots suggested for their unscheduled tasks.
+   * Workspaces with nothing to report are left out.
+   */
+  async build(user: IUser, now: Date): Promise<DigestContent> {
+    const userId = user._id.toString();
+    const frequency = user.settings.digest.frequency === 'weekly' ? 'weekly' : 'daily';
+    const today = toZonedDateTime(now, user.settings.timeZone).date;
+    const lastDay = addDaysToDate(today, frequency === 'weekly' ? 6 : 0);
+
+    const workspaces = await Workspace.find({ 'members.user': user._id }).sort({ isPersonal: -1, name: 1 });
+    const sections: DigestSection[] = [];
+
+    for (const workspace of workspaces) {
+      const workspaceId = workspace._id.toString();
+      const tasks = await Task.find({
+        workspaceId: workspace._id,
+        ...schedulerService.responsibleFilter(userId),
+        isCompleted: false,
+      });
+
+      const agenda = expandForScheduling(tasks, today, lastDay)
+        .map((task) => ({
+          title: task.title,
+          date: task.assignedSlot?.date || task.dueDate,
+          time: task.assignedSlot?.time || task.dueTime || undefined,
+          priority: task.priority,
+        }))
+        .filter((item) => item.date >= today && item.date <= lastDay)
+        .sort((a, b) => `${a.date}T${a.time || ''}`.localeCompare(`${b.date}T${b.time || ''}`));
+
+      const [overdue, unscheduled] = await Promise.all([
+        schedulerService.getOverdueSuggestions(workspaceId, userId, now),
+        schedulerService.optimizeUnscheduled(workspaceId, userId, now),
+      ]);
+
+      const section: DigestSection = {
+        workspace: workspace.name,
+        agenda,
+        overdue: overdue.map((s) => ({ title: s.taskTitle, dueDate: s.currentDueDate, slot: s.suggestedSlot })),
+        suggestions: unscheduled.map((s) => ({ title: s.taskTitle, slot: s.suggestedSlot })),
+      };
+      if (section.agenda.length || section.overdue.length || section.suggestions.length) {
+        sections.push(section);
+      }
+    }
+
+    return {
+      name: user.name,
+      frequency,
+      date: today,
+      sections,
+      unsubscribeUrl: `${env.PUBLIC_API_URL}/digest/unsubscribe?token=${this.unsubscribeToken(userId)}`,
+    };
+  }
+
+  /**
+   * Unsubscribe links carry the user id signed with the server secret, so they work
+   * without signing in and need nothing stored.
+   */
+  unsubscribeToken(userId: string): string {
+    return `${userId}.${this.sign(userId)}`;
+  }
+
+  /**
+   * @returns The id of the user the unsubscribe link was made for
+   */
+  verifyUnsubscribeToken(token: string): string {
+    const [userId, signature = ''] = token.split('.');
+    const expected = mongoose.isValidObjectId(userId) ? this.sign(userId) : '';
+    const valid =
+      expected.length > 0 &&
+      signature.length === expected.length &&
+      crypto.timingSafeEqual(Buffer.from(signature), Buffer.from(expected));
+    if (!valid) {
+      throw new AppError('Invalid unsubscribe link', 400);
+    }
+    return userId;
+  }
+
+  async unsubscribe(token: string): Promise<void> {
+    const userId = this.verifyUnsubscribeToken(token);
+    await User.updateOne({ _id: userId }, { $set: { 'settings.digest.frequency': 'off' } });
+  }
+
+  private sign(userId: string): string {
+    return crypto.createHmac('sha256', env.JWT_SECRET).update(`digest-unsubscribe:${userId}`).digest('base64url');
+  }
+}
+
+export default new DigestService();
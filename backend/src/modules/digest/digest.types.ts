@@ -0,0 +1,37 @@
+import type { DigestFrequency } from '../../database/models/user.model';
+
+export interface DigestAgendaItem {
+  title: string;
+  date: string;
+  time?: string;
+  priority: 'high' | 'medium' | 'low';
+}
+
+export interface DigestSuggestion {
+  title: string;
+  // Set for overdue tasks
+  dueDate?: string;
+  slot: { date: string; time: string };
+}
+
+export interface DigestSection {
+  workspace: string;
+  agenda: DigestAgendaItem[];
+  overdue: DigestSuggestion[];
+  suggestions: DigestSuggestion[];
+}
+
+export interface DigestContent {
+  name: string;
+  frequency: Exclude<DigestFrequency, 'off'>;
+  // Local date the digest covers from
+  date: string;
+  sections: DigestSection[];
+  unsubscribeUrl: string;
+}
+
+export interface RenderedDigest {
+  subject: string;
+  html: string;
+  text: string;
+}
@@ -0,0 +1,33 @@
+import { Request, Response } from 'express';
+import eventService from './event.service';
+import type { ChangeEvent } from './event.types';
+
+// Keeps proxies from closing an idle stream
+const HEARTBEAT_INTERVAL_MS = 25 * 1000;
+const RETRY_MS = 5000;
+
+export const stream = (req: Request, res: Response) => {
+  res.writeHead(200, {
+    'Content-Type': 'text/event-stream',
+    // no-transform also stops the compression middleware from buffering the stream
+    'Cache-Control': 'no-cache, no-transform',
+    Connection: 'keep-alive',
+    'X-Accel-Buffering': 'no',
+  });
+  res.write(`retry: ${RETRY_MS}\n\n`);
+
+  const send = (event: ChangeEvent) => {
+    res.write(`event: ${event.resource}\ndata: ${JSON.stringify(event)}\n\n`);
+  };
+  const unsubscribe = eventService.subscribe(req.workspace!.id, {
+    userId: req.user!._id.toString(),
+    send,
+    close: () => res.end(),
+  });
+  const heartbeat = setInterval(() => res.write(': ping\n\n'), HEARTBEAT_INTERVAL_MS);
+
+  res.on('close', () => {
+    clearInterval(heartbeat);
+    unsubscribe();
+  });
+};
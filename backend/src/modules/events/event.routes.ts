@@ -0,0 +1,13 @@
+import { Router } from 'express';
+import * as eventController from './event.controller';
+import { authenticate } from '../../utils/middleware/auth.middleware';
+import { resolveWorkspace } from '../../utils/middleware/workspace.middleware';
+
+const router = Router();
+
+router.use(authenticate, resolveWorkspace);
+
+// Server-sent events for the workspace in the X-Workspace-Id header
+router.get('/', eventController.stream);
+
+export default router;
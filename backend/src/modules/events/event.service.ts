@@ -0,0 +1,51 @@
+import type { ChangeEvent, ChangeResource, Subscriber } from './event.types';
+
+/**
+ * In-process fan-out of record changes to open event streams. Each server instance
+ * only reaches the clients connected to it.
+ */
+class EventService {
+  private subscribers = new Map<string, Set<Subscriber>>();
+
+  subscribe(workspaceId: string, subscriber: Subscriber): () => void {
+    const subscribers = this.subscribers.get(workspaceId) ?? new Set<Subscriber>();
+    subscribers.add(subscriber);
+    this.subscribers.set(workspaceId, subscribers);
+
+    return () => {
+      subscribers.delete(subscriber);
+      if (subscribers.size === 0) {
+        this.subscribers.delete(workspaceId);
+      }
+    };
+  }
+
+  publish(workspaceId: string, event: ChangeEvent): void {
+    this.subscribers.get(workspaceId)?.forEach((subscriber) => subscriber.send(event));
+  }
+
+  upserted(workspaceId: string, resource: ChangeResource, doc: { toJSON(): Record<string, any> }): void {
+    this.publish(workspaceId, { resource, action: 'upsert', data: doc.toJSON() });
+  }
+
+  deleted(workspaceId: string, resource: ChangeResource, id: string): void {
+    this.publish(workspaceId, { resource, action: 'delete', id });
+  }
+
+  reset(workspaceId: string, ...resources: ChangeResource[]): void {
+    resources.forEach((resource) => this.publish(workspaceId, { resource, action: 'reset' }));
+  }
+
+  /**
+   * Closes a user's streams for a workspace they no longer belong to.
+   */
+  disconnect(workspaceId: string, userId: string): void {
+    this.subscribers.get(workspaceId)?.forEach((subscriber) => {
+      if (subscriber.userId === userId) {
+        subscriber.close();
+      }
+    });
+  }
+}
+
+export default new EventService();
@@ -0,0 +1,16 @@
+export type ChangeResource = 'task' | 'todo' | 'template';
+
+/**
+ * A change pushed to every device connected to a workspace. `reset` means too many
+ * records changed to describe individually and clients should refetch the resource.
+ */
+export type ChangeEvent =
+  | { resource: ChangeResource; action: 'upsert'; data: Record<string, any> }
+  | { resource: ChangeResource; action: 'delete'; id: string }
+  | { resource: ChangeResource; action: 'reset' };
+
+export interface Subscriber {
+  userId: string;
+  send: (event: ChangeEvent) => void;
+  close: () => void;
+}
@@ -0,0 +1,11 @@
+import { Request, Response } from 'express';
+import { catchAsync } from '../../utils/handlers/catchAsync';
+import dataService from '../data/data.service';
+
+export const getFeed = catchAsync(async (req: Request, res: Response) => {
+  const { token } = req.params as { token: string };
+  const calendar = await dataService.getFeed(token);
+
+  res.set('Cache-Control', 'private, max-age=300');
+  res.type('text/calendar; charset=utf-8').send(calendar);
+});
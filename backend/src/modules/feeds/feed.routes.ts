@@ -0,0 +1,9 @@
+import { Router } from 'express';
+import * as feedController from './feed.controller';
+
+const router = Router();
+
+// Calendar clients cannot send auth headers, so the secret token in the URL is the credential
+router.get('/:token.ics', feedController.getFeed);
+
+export default router;
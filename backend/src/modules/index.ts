@@ -2,19 +2,35 @@ import { Router } from 'express';
 import authRoutes from './auth/auth.routes';
 import taskRoutes from './tasks/task.routes';
 import todoRoutes from './todos/todo.routes';
+import projectRoutes from './projects/project.routes';
 import templateRoutes from './templates/template.routes';
 import settingsRoutes from './settings/settings.routes';
 import schedulerRoutes from './scheduler/scheduler.routes';
 import dataRoutes from './data/data.routes';
+import feedRoutes from './feeds/feed.routes';
+import workspaceRoutes from './workspaces/workspace.routes';
+import eventRoutes from './events/event.routes';
+import syncRoutes from './sync/sync.routes';
+import trashRoutes from './trash/trash.routes';
+import notificationRoutes from './notifications/notification.routes';
+import digestRoutes from './digest/digest.routes';
 
 const router = Router();
 
 router.use('/auth', authRoutes);
 router.use('/tasks', taskRoutes);
 router.use('/todos', todoRoutes);
+router.use('/projects', projectRoutes);
 router.use('/templates', templateRoutes);
 router.use('/settings', settingsRoutes);
 router.use('/scheduler', schedulerRoutes);
 router.use('/data', dataRoutes);
+router.use('/feeds', feedRoutes);
+router.use('/workspaces', workspaceRoutes);
+router.use('/events', eventRoutes);
+router.use('/sync', syncRoutes);
+router.use('/trash', trashRoutes);
+router.use('/notifications', notificationRoutes);
+router.use('/digest', digestRoutes);
 
 export default router;
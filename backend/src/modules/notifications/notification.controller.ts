@@ -0,0 +1,46 @@
+import { Request, Response } from 'express';
+import { catchAsync } from '../../utils/handlers/catchAsync';
+import notificationService from './notification.service';
+import reminderService from './reminder.service';
+import type { PushSubscriptionInput } from './notification.types';
+
+export const getPublicKey = catchAsync(async (_req: Request, res: Response) => {
+  res.json({
+    status: 'success',
+    data: { publicKey: notificationService.getPublicKey() },
+  });
+});
+
+export const subscribe = catchAsync(async (req: Request, res: Response) => {
+  const userId = req.user!._id.toString();
+  const subscription = await notificationService.subscribe(userId, req.body as PushSubscriptionInput);
+
+  res.status(201).json({
+    status: 'success',
+    data: { endpoint: subscription.endpoint },
+  });
+});
+
+export const unsubscribe = catchAsync(async (req: Request, res: Response) => {
+  const userId = req.user!._id.toString();
+  await notificationService.unsubscribe(userId, req.body.endpoint);
+
+  res.status(204).send();
+});
+
+export const snooze = catchAsync(async (req: Request, res: Response) => {
+  const { id } = req.params as { id: string };
+  const reminder = await reminderService.snooze(id, req.body.token, req.body.minutes);
+
+  res.json({
+    status: 'success',
+    data: { remindAt: reminder.remindAt },
+  });
+});
+
+export const complete = catchAsync(async (req: Request, res: Response) => {
+  const { id } = req.params as { id: string };
+  await reminderService.complete(id, req.body.token);
+
+  res.status(204).send();
+});
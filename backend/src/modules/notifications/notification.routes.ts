@@ -0,0 +1,19 @@
+import { Router } from 'express';
+import * as notificationController from './notification.controller';
+import { authenticate } from '../../utils/middleware/auth.middleware';
+import { validate } from '../../utils/middleware/validate.middleware';
+import { SubscribeDTO, UnsubscribeDTO, ReminderActionDTO } from './notification.validator';
+
+const router = Router();
+
+// Service workers cannot send auth headers, so the token from the push payload is the credential
+router.post('/reminders/:id/snooze', validate(ReminderActionDTO), notificationController.snooze);
+router.post('/reminders/:id/complete', validate(ReminderActionDTO), notificationController.complete);
+
+router.use(authenticate);
+
+router.get('/vapid-public-key', notificationController.getPublicKey);
+router.post('/subscriptions', validate(SubscribeDTO), notificationController.subscribe);
+router.delete('/subscriptions', validate(UnsubscribeDTO), notificationController.unsubscribe);
+
+export default router;
@@ -0,0 +1,78 @@
+import webpush from 'web-push';
+import env from '../../config/environment';
+import { PushSubscription, IPushSubscription } from '../../database/models/pushSubscription.model';
+import { AppError } from '../../utils/handlers/appError';
+import type { PushPayload, PushSubscriptionInput } from './notification.types';
+
+// Push services drop a notification that cannot be delivered within this many seconds
+const PUSH_TTL_SECONDS = 60 * 60;
+
+class NotificationService {
+  isConfigured(): boolean {
+    return !!(env.VAPID_PUBLIC_KEY && env.VAPID_PRIVATE_KEY);
+  }
+
+  getPublicKey(): string {
+    if (!this.isConfigured()) {
+      throw new AppError('Push notifications are not configured on this server', 503);
+    }
+    return env.VAPID_PUBLIC_KEY!;
+  }
+
+  /**
+   * Saves a browser's push subscription. An endpoint belongs to one browser, so
+   * subscribing again from it, even as another user, replaces the old record.
+   */
+  async subscribe(userId: string, input: PushSubscriptionInput): Promise<IPushSubscription> {
+    const subscription = await PushSubscription.findOneAndUpdate(
+      { endpoint: input.endpoint },
+      { user: userId, keys: input.keys },
+      { upsert: true, new: true, runValidators: true }
+    );
+    return subscription!;
+  }
+
+  async unsubscribe(userId: string, endpoint: string): Promise<void> {
+    await PushSubscription.deleteOne({ user: userId, endpoint });
+  }
+
+  /**
+   * Sends a notification to every browser the user subscribed.
+   * @returns How many browsers accepted it
+   */
+  async sendToUser(userId: string, payload: PushPayload): Promise<number> {
+    if (!this.isConfigured()) return 0;
+
+    const subscriptions = await PushSubscription.find({ user: userId });
+    const results = await Promise.all(subscriptions.map((subscription) => this.send(subscription, payload)));
+    return results.filter(Boolean).length;
+  }
+
+  private async send(subscription: IPushSubscription, payload: PushPayload): Promise<boolean> {
+    try {
+      await webpush.sendNotification(
+        { endpoint: subscription.endpoint, keys: subscription.keys },
+        JSON.stringify(payload),
+        {
+          TTL: PUSH_TTL_SECONDS,
+          vapidDetails: {
+            subject: env.VAPID_SUBJECT,
+            publicKey: env.VAPID_PUBLIC_KEY!,
+            privateKey: env.VAPID_PRIVATE_KEY!,
+          },
+        }
+      );
+      return true;
+    } catch (error) {
+      // The browser dropped the subscription, so it will never be delivered again
+      if (error instanceof webpush.WebPushError && [404, 410].includes(error.statusCode)) {
+        await subscription.deleteOne();
+      } else {
+        console.error('Push notification failed:', (error as Error).message);
+      }
+      return false;
+    }
+  }
+}
+
+export default new NotificationService();
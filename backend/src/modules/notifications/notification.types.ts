@@ -0,0 +1,22 @@
+export interface PushSubscriptionInput {
+  endpoint: string;
+  keys: { p256dh: string; auth: string };
+}
+
+export interface PushPayload {
+  title: string;
+  body: string;
+  tag: string;
+  data: Record<string, unknown>;
+}
+
+export interface DueReminder {
+  workspaceId: string;
+  taskId: string;
+  occurrenceDate: string | null;
+  userId: string;
+  remindAt: Date;
+  title: string;
+  dueDate: string;
+  dueTime: string;
+}
@@ -0,0 +1,27 @@
+import { z } from 'zod';
+
+export const SubscribeDTO = z.object({
+  body: z.object({
+    endpoint: z.string().url('Invalid push endpoint'),
+    keys: z.object({
+      p256dh: z.string().min(1),
+      auth: z.string().min(1),
+    }),
+  }),
+});
+
+export const UnsubscribeDTO = z.object({
+  body: z.object({
+    endpoint: z.string().min(1, 'Endpoint is required'),
+  }),
+});
+
+export const ReminderActionDTO = z.object({
+  params: z.object({
+    id: z.string(),
+  }),
+  body: z.object({
+    token: z.string().min(1, 'Token is required'),
+    minutes: z.number().int().min(1).max(24 * 60).optional(),
+  }),
+});
@@ -0,0 +1,251 @@
+import crypto from 'crypto';
+import mongoose from 'mongoose';
+import { Task, ITask } from '../../database/models/task.model';
+import { PushSubscription } from '../../database/models/pushSubscription.model';
+import { User } from '../../database/models/user.model';
+import { Reminder, IReminder } from '../../database/models/reminder.model';
+import { AppError } from '../../utils/handlers/appError';
+import { zonedTimeToUtc } from '../../utils/timezone/zonedTime';
+import { addDaysToDate, buildOccurrenceId, expandRRule } from '../../utils/recurrence/rrule';
+import taskService from '../tasks/task.service';
+import workspaceService from '../workspaces/workspace.service';
+import notificationService from './notification.service';
+import type { DueReminder, PushPayload } from './notification.types';
+
+const TICK_MS = 60 * 1000;
+
+// Reminders missed by more than this, e.g. while the server was down, are dropped
+const GRACE_MINUTES = 10;
+
+// Matches the longest offset tasks accept
+const MAX_REMINDER_DAYS = 7;
+
+const DEFAULT_SNOOZE_MINUTES = 10;
+
+const toDateString = (instant: Date): string => instant.toISOString().split('T')[0];
+
+const hashToken = (token: string): string => crypto.createHash('sha256').update(token).digest('hex');
+
+/**
+ * Responsible members are reminded: the assignees, or the creator of an unassigned task.
+ */
+const recipientsOf = (task: Pick<ITask, 'assignees' | 'createdBy'>): string[] =>
+  task.assignees?.length ? task.assignees.map(String) : [task.createdBy.toString()];
+
+class ReminderService {
+  private timer: NodeJS.Timeout | null = null;
+
+  /**
+   * Checks for due reminders once a minute. Does nothing unless push is configured.
+   */
+  start(): void {
+    if (this.timer || !notificationService.isConfigured()) return;
+
+    this.timer = setInterval(() => {
+      this.run().catch((error) => console.error('Sending reminders failed:', error));
+    }, TICK_MS);
+  }
+
+  stop(): void {
+    if (this.timer) clearInterval(this.timer);
+    this.timer = null;
+  }
+
+  /**
+   * Sends the reminders that fell due since the last check, then any snoozed ones.
+   * Each reminder is recorded before it is sent, so it goes out once even when several
+   * servers run the scheduler.
+   * @returns How many reminders were sent
+   */
+  async run(now = new Date()): Promise<number> {
+    let sent = 0;
+
+    for (const due of await this.findDue(now)) {
+      const token = crypto.randomBytes(24).toString('hex');
+      const reminder = {
+        workspaceId: new mongoose.Types.ObjectId(due.workspaceId),
+        taskId: new mongoose.Types.ObjectId(due.taskId),
+        occurrenceDate: due.occurrenceDate,
+        user: new mongoose.Types.ObjectId(due.userId),
+        remindAt: due.remindAt,
+      };
+      const { upsertedId } = await Reminder.updateOne(
+        reminder,
+        { $setOnInsert: { sentAt: now, actionToken: hashToken(token) } },
+        { upsert: true }
+      );
+      // Already sent
+      if (!upsertedId) continue;
+
+      await notificationService.sendToUser(due.userId, this.payload({ _id: upsertedId, ...reminder }, token, due));
+      sent++;
+    }
+
+    return sent + (await this.sendSnoozed(now));
+  }
+
+  /**
+   * Works out which reminders fell due in the grace window before `now`. Due times are
+   * wall-clock times, read in the recipient's time zone setting.
+   */
+  async findDue(now = new Date()): Promise<DueReminder[]> {
+    const windowStart = new Date(now.getTime() - GRACE_MINUTES * 60000);
+    // A day either side covers every time zone
+    const rangeStart = addDaysToDate(toDateString(windowStart), -1);
+    const rangeEnd = addDaysToDate(toDateString(now), MAX_REMINDER_DAYS + 1);
+
+    const pending = { isCompleted: false, dueTime: { $nin: [null, ''] }, 'reminders.0': { $exists: true } };
+    const [tasks, series] = await Promise.all([
+      Task.find({ ...pending, recurrence: null, dueDate: { $gte: rangeStart, $lte: rangeEnd } }),
+      Task.find({ ...pending, 'recurrence.rrule': { $exists: true }, dueDate: { $lte: rangeEnd } }),
+    ]);
+
+    // Occurrences are read from their series, on their own date
+    const candidates = [
+      ...tasks.map((task) => ({ task, occurrenceDate: null as string | null })),
+      ...series.flatMap((task) =>
+        expandRRule(task.dueDate, task.recurrence!.rrule, {
+          exdates: task.recurrence!.exdates,
+          rangeStart,
+          rangeEnd,
+        }).map((occurrenceDate) => ({ task, occurrenceDate }))
+      ),
+    ];
+
+    const timeZones = await this.timeZonesOf(candidates.flatMap(({ task }) => recipientsOf(task)));
+
+    const due: DueReminder[] = [];
+    for (const { task, occurrenceDate } of candidates) {
+      const dueDate = occurrenceDate ?? task.dueDate;
+
+      for (const userId of recipientsOf(task)) {
+        const timeZone = timeZones.get(userId);
+        if (!timeZone) continue;
+
+        const start = zonedTimeToUtc(dueDate, task.dueTime!, timeZone);
+        for (const offset of task.reminders) {
+          const remindAt = new Date(start.getTime() - offset * 60000);
+          if (remindAt > windowStart && remindAt <= now) {
+            due.push({
+              workspaceId: task.workspaceId.toString(),
+              taskId: task._id.toString(),
+              occurrenceDate,
+              userId,
+              remindAt,
+              title: task.title,
+              dueDate,
+              dueTime: task.dueTime!,
+            });
+          }
+        }
+      }
+    }
+    return due;
+  }
+
+  /**
+   * Puts a reminder off for a while. The snoozed copy is sent by a later run.
+   */
+  async snooze(id: string, token: string, minutes = DEFAULT_SNOOZE_MINUTES): Promise<IReminder> {
+    const reminder = await this.findByToken(id, token);
+
+    return Reminder.create({
+      workspaceId: reminder.workspaceId,
+      taskId: reminder.taskId,
+      occurrenceDate: reminder.occurrenceDate,
+      user: reminder.user,
+      remindAt: new Date(Date.now() + minutes * 60000),
+      actionToken: hashToken(crypto.randomBytes(24).toString('hex')),
+    });
+  }
+
+  /**
+   * Completes the reminder's task on behalf of the user it was sent to.
+   */
+  async complete(id: string, token: string): Promise<void> {
+    const reminder = await this.findByToken(id, token);
+    const workspaceId = reminder.workspaceId.toString();
+    const userId = reminder.user.toString();
+
+    const access = await workspaceService.resolveAccess(userId, workspaceId);
+    if (!workspaceService.hasRole(access.role, 'editor')) {
+      throw new AppError('You do not have permission to do this in this workspace', 403);
+    }
+
+    const taskId = reminder.occurrenceDate
+      ? buildOccurrenceId(reminder.taskId.toString(), reminder.occurrenceDate)
+      : reminder.taskId.toString();
+    const task = await taskService.resolveTask(workspaceId, userId, taskId);
+    if (!task.isCompleted) {
+      await taskService.toggleComplete(workspaceId, userId, task._id.toString());
+    }
+  }
+
+  private async sendSnoozed(now: Date): Promise<number> {
+    const snoozed = await Reminder.find({ sentAt: null, remindAt: { $lte: now } });
+    let sent = 0;
+
+    for (const reminder of snoozed) {
+      const token = crypto.randomBytes(24).toString('hex');
+      // Claimed by another server first
+      const claimed = await Reminder.findOneAndUpdate(
+        { _id: reminder._id, sentAt: null },
+        { sentAt: now, actionToken: hashToken(token) },
+        { new: true }
+      );
+      if (!claimed) continue;
+
+      // An occurrence edited or completed since has its own exception document
+      const task =
+        (reminder.occurrenceDate &&
+          (await Task.findOne({ seriesId: reminder.taskId, recurrenceId: reminder.occurrenceDate }))) ||
+        (await Task.findById(reminder.taskId));
+      if (!task || task.isCompleted || !task.dueTime) continue;
+
+      await notificationService.sendToUser(reminder.user.toString(), this.payload(claimed, token, {
+        title: task.title,
+        dueDate: reminder.occurrenceDate ?? task.dueDate,
+        dueTime: task.dueTime,
+      }));
+      sent++;
+    }
+    return sent;
+  }
+
+  private async findByToken(id: string, token: string): Promise<IReminder> {
+    const reminder = mongoose.isValidObjectId(id) ? await Reminder.findById(id).select('+actionToken') : null;
+    if (!reminder || reminder.actionToken !== hashToken(token)) {
+      throw new AppError('Reminder not found', 404);
+    }
+    return reminder;
+  }
+
+  /**
+   * Time zone settings of the users among `userIds` who subscribed to push; the others
+   * get no reminders.
+   */
+  private async timeZonesOf(userIds: string[]): Promise<Map<string, string>> {
+    const subscribed = await PushSubscription.find({ user: { $in: [...new Set(userIds)] } }).distinct('user');
+    const users = await User.find({ _id: { $in: subscribed } }).select('settings.timeZone');
+    return new Map(users.map((u) => [u._id.toString(), u.settings.timeZone]));
+  }
+
+  private payload(
+    reminder: Pick<IReminder, '_id' | 'taskId' | 'occurrenceDate'>,
+    token: string,
+    task: Pick<DueReminder, 'title' | 'dueDate' | 'dueTime'>
+  ): PushPayload {
+    const taskId = reminder.occurrenceDate
+      ? buildOccurrenceId(reminder.taskId.toString(), reminder.occurrenceDate)
+      : reminder.taskId.toString();
+
+    return {
+      title: task.title,
+      body: `Due ${task.dueDate} at ${task.dueTime}`,
+      tag: `reminder-${taskId}`,
+      data: { reminderId: reminder._id.toString(), token, taskId, url: '/tasks' },
+    };
+  }
+}
+
+export default new ReminderService();
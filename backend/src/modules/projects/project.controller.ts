@@ -0,0 +1,62 @@
+import { Request, Response } from 'express';
+import { catchAsync } from '../../utils/handlers/catchAsync';
+import projectService from './project.service';
+import type { CreateProjectInput, UpdateProjectInput, ProjectQuery } from './project.types';
+
+export const findAll = catchAsync(async (req: Request, res: Response) => {
+  const { includeArchived } = req.query as ProjectQuery;
+  const workspaceId = req.workspace!.id;
+  const projects = await projectService.findAll(workspaceId, includeArchived === 'true');
+
+  res.json({
+    status: 'success',
+    results: projects.length,
+    data: projects,
+  });
+});
+
+export const findById = catchAsync(async (req: Request, res: Response) => {
+  const { id } = req.params as { id: string };
+  const workspaceId = req.workspace!.id;
+  const project = await projectService.findById(workspaceId, id);
+
+  res.json({
+    status: 'success',
+    data: project,
+  });
+});
+
+export const create = catchAsync(async (req: Request, res: Response) => {
+  const data = req.body as CreateProjectInput;
+  const workspaceId = req.workspace!.id;
+  const userId = req.user!._id.toString();
+  const project = await projectService.create(workspaceId, userId, data);
+
+  res.status(201).json({
+    status: 'success',
+    data: project,
+  });
+});
+
+export const update = catchAsync(async (req: Request, res: Response) => {
+  const { id } = req.params as { id: string };
+  const updates = req.body as UpdateProjectInput;
+  const workspaceId = req.workspace!.id;
+  const project = await projectService.update(workspaceId, id, updates);
+
+  res.json({
+    status: 'success',
+    data: project,
+  });
+});
+
+export const remove = catchAsync(async (req: Request, res: Response) => {
+  const { id } = req.params as { id: string };
+  const workspaceId = req.workspace!.id;
+  const project = await projectService.delete(workspaceId, id);
+
+  res.json({
+    status: 'success',
+    data: project,
+  });
+});
@@ -0,0 +1,18 @@
+import { Router } from 'express';
+import * as projectController from './project.controller';
+import { validate } from '../../utils/middleware/validate.middleware';
+import { authenticate } from '../../utils/middleware/auth.middleware';
+import { resolveWorkspace, authorizeWrites } from '../../utils/middleware/workspace.middleware';
+import { ProjectQueryDTO, CreateProjectDTO, UpdateProjectDTO } from './project.validator';
+
+const router = Router();
+
+router.use(authenticate, resolveWorkspace, authorizeWrites);
+
+router.get('/', validate(ProjectQueryDTO), projectController.findAll);
+router.post('/', validate(CreateProjectDTO), projectController.create);
+router.get('/:id', projectController.findById);
+router.patch('/:id', validate(UpdateProjectDTO), projectController.update);
+router.delete('/:id', projectController.remove);
+
+export default router;
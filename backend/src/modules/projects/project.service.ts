@@ -0,0 +1,71 @@
+import mongoose from 'mongoose';
+import { Project, IProject } from '../../database/models/project.model';
+import { Task } from '../../database/models/task.model';
+import { Todo } from '../../database/models/todo.model';
+import { AppError } from '../../utils/handlers/appError';
+import { runInTransaction } from '../../database/transaction';
+import type { CreateProjectInput, UpdateProjectInput } from './project.types';
+
+class ProjectService {
+  async findAll(workspaceId: string, includeArchived = false): Promise<IProject[]> {
+    const filter = includeArchived ? { workspaceId } : { workspaceId, isArchived: false };
+    return Project.find(filter).sort({ order: 1, _id: 1 });
+  }
+
+  async findById(workspaceId: string, id: string): Promise<IProject> {
+    const project = await Project.findOne({ _id: id, workspaceId });
+    if (!project) {
+      throw new AppError('Project not found', 404);
+    }
+    return project;
+  }
+
+  async create(workspaceId: string, userId: string, data: CreateProjectInput): Promise<IProject> {
+    const last = await Project.findOne({ workspaceId }).sort({ order: -1 });
+
+    return Project.create({
+      ...data,
+      workspaceId,
+      createdBy: userId,
+      order: last ? last.order + 1 : 0,
+    });
+  }
+
+  async update(workspaceId: string, id: string, updates: UpdateProjectInput): Promise<IProject> {
+    const project = await Project.findOneAndUpdate({ _id: id, workspaceId }, updates, { new: true });
+    if (!project) {
+      throw new AppError('Project not found', 404);
+    }
+    return project;
+  }
+
+  /**
+   * Deletes a project. Its tasks and TODOs are kept and simply lose their project.
+   */
+  async delete(workspaceId: string, id: string): Promise<IProject> {
+    const workspaceObjectId = new mongoose.Types.ObjectId(workspaceId);
+    const project = await this.findById(workspaceId, id);
+
+    await runInTransaction(async (session) => {
+      await Project.deleteOne({ _id: project._id }, { session });
+      await Task.updateMany({ workspaceId: workspaceObjectId, projectId: project._id }, { projectId: null }, { session });
+      await Todo.updateMany({ workspaceId: workspaceObjectId, projectId: project._id }, { projectId: null }, { session });
+    });
+
+    return project;
+  }
+
+  /**
+   * Guards task and TODO writes against pointing at a project in another workspace.
+   */
+  async assertInWorkspace(workspaceId: string, projectId: string | null | undefined): Promise<void> {
+    if (!projectId) return;
+
+    const exists = mongoose.isValidObjectId(projectId) && (await Project.exists({ _id: projectId, workspaceId }));
+    if (!exists) {
+      throw new AppError('Project not found', 404);
+    }
+  }
+}
+
+export default new ProjectService();
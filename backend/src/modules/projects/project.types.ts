@@ -0,0 +1,14 @@
+export interface CreateProjectInput {
+  name: string;
+  color?: string;
+  icon?: string;
+}
+
+export interface UpdateProjectInput extends Partial<CreateProjectInput> {
+  isArchived?: boolean;
+  order?: number;
+}
+
+export interface ProjectQuery {
+  includeArchived?: 'true' | 'false';
+}
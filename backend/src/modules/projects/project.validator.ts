@@ -0,0 +1,30 @@
+import { z } from 'zod';
+
+const ColorDTO = z.string().regex(/^#[0-9a-f]{6}$/i, 'Color must be a hex value like #6366f1');
+
+export const ProjectQueryDTO = z.object({
+  query: z.object({
+    includeArchived: z.enum(['true', 'false']).optional(),
+  }),
+});
+
+export const CreateProjectDTO = z.object({
+  body: z.object({
+    name: z.string().trim().min(1, 'Project name is required').max(60, 'Project name cannot exceed 60 characters'),
+    color: ColorDTO.optional(),
+    icon: z.string().max(32).optional(),
+  }),
+});
+
+export const UpdateProjectDTO = z.object({
+  params: z.object({
+    id: z.string(),
+  }),
+  body: z.object({
+    name: z.string().trim().min(1).max(60, 'Project name cannot exceed 60 characters').optional(),
+    color: ColorDTO.optional(),
+    icon: z.string().max(32).optional(),
+    isArchived: z.boolean().optional(),
+    order: z.number().int().min(0).optional(),
+  }),
+});
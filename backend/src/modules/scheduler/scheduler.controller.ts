@@ -5,7 +5,7 @@ import schedulerService from './scheduler.service';
 export const suggestSlots = catchAsync(async (req: Request, res: Response) => {
   const { taskId, maxSuggestions } = req.body;
   const userId = req.user!._id.toString();
-  const suggestions = await schedulerService.suggestSlots(userId, taskId, maxSuggestions);
+  const suggestions = await schedulerService.suggestSlots(req.workspace!.id, userId, taskId, maxSuggestions);
 
   res.json({
     status: 'success',
@@ -13,9 +13,31 @@ export const suggestSlots = catchAsync(async (req: Request, res: Response) => {
   });
 });
 
+export const plan = catchAsync(async (req: Request, res: Response) => {
+  const { days } = req.query as { days?: string };
+  const userId = req.user!._id.toString();
+  const plan = await schedulerService.plan(req.workspace!.id, userId, days ? Number(days) : undefined);
+
+  res.json({
+    status: 'success',
+    data: plan,
+  });
+});
+
+export const capacity = catchAsync(async (req: Request, res: Response) => {
+  const { days } = req.query as { days?: string };
+  const userId = req.user!._id.toString();
+  const capacity = await schedulerService.capacity(req.workspace!.id, userId, days ? Number(days) : undefined);
+
+  res.json({
+    status: 'success',
+    data: capacity,
+  });
+});
+
 export const optimizeUnscheduled = catchAsync(async (req: Request, res: Response) => {
   const userId = req.user!._id.toString();
-  const suggestions = await schedulerService.optimizeUnscheduled(userId);
+  const suggestions = await schedulerService.optimizeUnscheduled(req.workspace!.id, userId);
 
   res.json({
     status: 'success',
@@ -25,7 +47,7 @@ export const optimizeUnscheduled = catchAsync(async (req: Request, res: Response
 
 export const getOverdueSuggestions = catchAsync(async (req: Request, res: Response) => {
   const userId = req.user!._id.toString();
-  const suggestions = await schedulerService.getOverdueSuggestions(userId);
+  const suggestions = await schedulerService.getOverdueSuggestions(req.workspace!.id, userId);
 
   res.json({
     status: 'success',
@@ -36,10 +58,17 @@ export const getOverdueSuggestions = catchAsync(async (req: Request, res: Respon
 export const checkConflicts = catchAsync(async (req: Request, res: Response) => {
   const { taskId, proposedDate, proposedTime } = req.body;
   const userId = req.user!._id.toString();
-  const conflicts = await schedulerService.checkConflicts(userId, taskId, proposedDate, proposedTime);
+  const { conflicts, availability } = await schedulerService.checkConflicts(
+    req.workspace!.id,
+    userId,
+    taskId,
+    proposedDate,
+    proposedTime
+  );
 
   res.json({
     status: 'success',
     data: conflicts,
+    availability,
   });
 });
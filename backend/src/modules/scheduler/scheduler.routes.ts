@@ -1,12 +1,17 @@
 import { Router } from 'express';
 import * as schedulerController from './scheduler.controller';
 import { authenticate } from '../../utils/middleware/auth.middleware';
+import { resolveWorkspace } from '../../utils/middleware/workspace.middleware';
+import { validate } from '../../utils/middleware/validate.middleware';
+import { PlanQueryDTO } from './scheduler.validator';
 
 const router = Router();
 
-router.use(authenticate);
+router.use(authenticate, resolveWorkspace);
 
 router.post('/suggest', schedulerController.suggestSlots);
+router.get('/plan', validate(PlanQueryDTO), schedulerController.plan);
+router.get('/capacity', validate(PlanQueryDTO), schedulerController.capacity);
 router.get('/optimize', schedulerController.optimizeUnscheduled);
 router.get('/overdue', schedulerController.getOverdueSuggestions);
 router.post('/check-conflicts', schedulerController.checkConflicts);
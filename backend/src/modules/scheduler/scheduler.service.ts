@@ -1,23 +1,61 @@
-import { User } from '../../database/models/user.model';
-import { Task } from '../../database/models/task.model';
+import { User, IUser } from '../../database/models/user.model';
+import { Task, ITask } from '../../database/models/task.model';
 import { AppError } from '../../utils/handlers/appError';
-import { suggestOptimalSlots, autoReschedule, checkConflicts } from '../../utils/scheduler/schedulerUtils';
+import {
+  suggestOptimalSlots,
+  checkConflicts,
+  calculateSlotScore,
+  getSlotEnd,
+  parseTime,
+  SlotSuggestion,
+  TimeSlot,
+  Task as SlotTask,
+} from '../../utils/scheduler/schedulerUtils';
+import { planSchedule, Plan, PlannerTask, BusyBlock } from '../../utils/scheduler/planner';
+import { availabilityLookup, isWithinAvailability } from '../../utils/scheduler/availability';
+import { dailyCapacity, AtRiskTask, DayCapacity } from '../../utils/scheduler/capacity';
+import { isFixedEvent, FixedEventRule } from '../../utils/scheduler/fixedEvents';
+import { toZonedDateTime } from '../../utils/timezone/zonedTime';
+import { expandForScheduling } from '../../utils/recurrence/occurrences';
+import { addDaysToDate } from '../../utils/recurrence/rrule';
 
-const EXCLUDED_TAGS = ['lecture', 'section', 'meeting', 'deadline', 'course'];
+// Suggestions only look a week ahead, so series are expanded just past that window
+const SCHEDULING_HORIZON_DAYS = 8;
+
+const DEFAULT_PLAN_DAYS = 7;
+
+const DEFAULT_CAPACITY_DAYS = 14;
 
 class SchedulerService {
-  async suggestSlots(userId: string, taskId: string, maxSuggestions?: number) {
+  /**
+   * The best free slots for the task. A task that fits no free slot whole gets a single
+   * suggestion splitting it into blocks before it is due.
+   */
+  async suggestSlots(
+    workspaceId: string,
+    userId: string,
+    taskId: string,
+    maxSuggestions?: number,
+    now = new Date()
+  ): Promise<SlotSuggestion[]> {
     const user = await User.findById(userId);
     if (!user) {
       throw new AppError('User not found', 404);
     }
 
-    const task = await Task.findOne({ _id: taskId, createdBy: userId });
+    const task = await Task.findOne({ _id: taskId, workspaceId });
     if (!task) {
       throw new AppError('Task not found', 404);
     }
 
-    const allTasks = await Task.find({ createdBy: userId, isCompleted: false });
+    const localNow = toZonedDateTime(now, user.settings.timeZone);
+    const allTasks = await this.loadActiveTasks(workspaceId, localNow.date);
+    const rules = user.settings.fixedEventRules;
+    const { waitingOn, notBefore } = this.prerequisiteBound(task, allTasks, rules);
+    if (waitingOn) {
+      return [];
+    }
+    const busyTasks = this.byBlock(this.responsibleFor(allTasks, userId));
 
     const suggestions = suggestOptimalSlots(
       {
@@ -30,112 +68,180 @@ class SchedulerService {
         assignedSlot: task.assignedSlot,
         tags: task.tags,
       } as any,
-      allTasks as any,
-      user.settings.availableHours,
-      maxSuggestions || 3
+      busyTasks as any,
+      availabilityLookup(user.settings),
+      localNow,
+      maxSuggestions || 3,
+      notBefore
     );
+    if (suggestions.length || task.recurrence) {
+      return suggestions;
+    }
 
-    return suggestions;
+    const { placed } = await this.planTasks(user, workspaceId, userId, [task], DEFAULT_PLAN_DAYS, now);
+    return placed.map((entry) => ({
+      slot: entry.slot,
+      score: calculateSlotScore(entry.slot, task as any, this.daysBetween(localNow.date, entry.slot.date)),
+      blocks: entry.blocks,
+    }));
   }
 
-  async optimizeUnscheduled(userId: string) {
+  /**
+   * Plans all of the user's unscheduled tasks together over the coming days. Fixed
+   * events are not moved.
+   * @returns Where each task fits, and the tasks that do not fit with the reason
+   */
+  async plan(workspaceId: string, userId: string, days = DEFAULT_PLAN_DAYS, now = new Date()): Promise<Plan> {
     const user = await User.findById(userId);
     if (!user) {
       throw new AppError('User not found', 404);
     }
 
     const unscheduledTasks = await Task.find({
-      createdBy: userId,
+      workspaceId,
+      ...this.responsibleFilter(userId),
       isCompleted: false,
       assignedSlot: null,
-      tags: { $nin: EXCLUDED_TAGS },
+      recurrence: null,
     });
+    const flexibleTasks = unscheduledTasks.filter((task) => !isFixedEvent(task, user.settings.fixedEventRules));
 
-    const allTasks = await Task.find({ createdBy: userId, isCompleted: false });
+    return this.planTasks(user, workspaceId, userId, flexibleTasks, days, now);
+  }
 
-    const suggestions = [];
-    for (const task of unscheduledTasks) {
-      const result = autoReschedule(
-        {
-          _id: task._id,
-          title: task.title,
-          dueDate: task.dueDate,
-          dueTime: task.dueTime,
-          priority: task.priority,
-          estimatedDuration: task.estimatedDuration,
-          assignedSlot: task.assignedSlot,
-          tags: task.tags,
-        } as any,
-        allTasks as any,
-        user.settings.availableHours
-      );
-
-      if (result.success && result.newSlot) {
-        suggestions.push({
-          taskId: task._id,
-          taskTitle: task.title,
-          suggestedSlot: result.newSlot,
-          reason: result.reason,
-        });
-      }
+  /**
+   * Slot suggestions for every unscheduled task, taken from a single plan so no two
+   * tasks are suggested into the same time.
+   */
+  async optimizeUnscheduled(workspaceId: string, userId: string, now = new Date()) {
+    const { placed } = await this.plan(workspaceId, userId, DEFAULT_PLAN_DAYS, now);
+
+    return placed.map((entry) => ({
+      taskId: entry.taskId,
+      taskTitle: entry.title,
+      suggestedSlot: entry.slot,
+      blocks: entry.blocks,
+      reason: entry.late ? 'Overdue: earliest free slot' : 'Fits before it is due',
+    }));
+  }
+
+  /**
+   * A new slot for each overdue task, fixed events aside: a past lecture is over rather
+   * than late.
+   */
+  async getOverdueSuggestions(workspaceId: string, userId: string, now = new Date()) {
+    const user = await User.findById(userId);
+    if (!user) {
+      throw new AppError('User not found', 404);
     }
 
-    return suggestions.filter((s) => s.reason && parseInt(s.reason.replace('Score: ', '')) > 70);
+    const today = toZonedDateTime(now, user.settings.timeZone).date;
+    const overdueTasks = (
+      await Task.find({
+        workspaceId,
+        ...this.responsibleFilter(userId),
+        isCompleted: false,
+        recurrence: null,
+        dueDate: { $lt: today },
+      })
+    ).filter((task) => !isFixedEvent(task, user.settings.fixedEventRules));
+
+    const { placed } = await this.planTasks(user, workspaceId, userId, overdueTasks, DEFAULT_PLAN_DAYS, now);
+    const dueDates = new Map(overdueTasks.map((task) => [task._id.toString(), task.dueDate]));
+
+    return placed.map((entry) => ({
+      taskId: entry.taskId,
+      taskTitle: entry.title,
+      currentDueDate: dueDates.get(entry.taskId)!,
+      suggestedSlot: entry.slot,
+      blocks: entry.blocks,
+      reason: 'Overdue: earliest free slot',
+    }));
   }
 
-  async getOverdueSuggestions(userId: string) {
+  /**
+   * How full each of the coming days is against the user's availability, and the tasks
+   * likely to miss their due date at the current load: unscheduled ones the planner
+   * cannot fit in time, and scheduled ones that finish after they are due.
+   */
+  async capacity(
+    workspaceId: string,
+    userId: string,
+    days = DEFAULT_CAPACITY_DAYS,
+    now = new Date()
+  ): Promise<{ days: DayCapacity[]; atRisk: AtRiskTask[] }> {
     const user = await User.findById(userId);
     if (!user) {
       throw new AppError('User not found', 404);
     }
 
-    const today = new Date().toISOString().split('T')[0];
-    const overdueTasks = await Task.find({
-      createdBy: userId,
-      isCompleted: false,
-      dueDate: { $lt: today },
+    const localNow = toZonedDateTime(now, user.settings.timeZone);
+    const activeTasks = await this.loadActiveTasks(workspaceId, localNow.date, days);
+    const tasks = this.responsibleFor(activeTasks, userId);
+
+    const rules = user.settings.fixedEventRules;
+
+    // Scheduled work counts when it is scheduled, the rest on its due date
+    const work = tasks.flatMap((task) => {
+      const blocks = this.occupiedBlocks(task, rules);
+      if (blocks.length) {
+        return blocks.map((block) => ({ date: block.slot.date, minutes: block.duration }));
+      }
+      // Fixed events without a time, such as deadlines, take none
+      return isFixedEvent(task, rules) ? [] : [{ date: task.dueDate, minutes: task.estimatedDuration }];
     });
 
-    const allTasks = await Task.find({ createdBy: userId, isCompleted: false });
+    // The same tasks plan() would place, taken from the ones already loaded
+    const unscheduled = tasks.filter((task) => !task.assignedSlot && !task.recurrence && !isFixedEvent(task, rules));
+    const dueDates = new Map(unscheduled.map((task) => [task._id.toString(), task.dueDate]));
+    const { unplaced } = await this.planTasks(user, workspaceId, userId, unscheduled, days, now, activeTasks);
+    const atRisk: AtRiskTask[] = unplaced.flatMap(({ taskId, title, reason, message }) => {
+      const dueDate = dueDates.get(taskId);
+      return dueDate && (reason === 'too_long' || reason === 'no_time_before_due')
+        ? [{ taskId, title, dueDate, reason, message }]
+        : [];
+    });
 
-    const suggestions = [];
-    for (const task of overdueTasks) {
-      const result = autoReschedule(
-        {
-          _id: task._id,
+    for (const task of tasks) {
+      if (!task.assignedSlot?.time || task.dueDate < localNow.date) continue;
+      const blocks = this.occupiedBlocks(task, rules);
+      const last = blocks[blocks.length - 1];
+      const end = getSlotEnd(last.slot, last.duration);
+      const due = task.dueTime ? `${task.dueDate}T${task.dueTime}` : `${addDaysToDate(task.dueDate, 1)}T00:00`;
+      if (`${end.date}T${end.time}` > due) {
+        atRisk.push({
+          taskId: task._id.toString(),
           title: task.title,
           dueDate: task.dueDate,
-          dueTime: task.dueTime,
-          priority: task.priority,
-          estimatedDuration: task.estimatedDuration,
-          assignedSlot: task.assignedSlot,
-          tags: task.tags,
-        } as any,
-        allTasks as any,
-        user.settings.availableHours
-      );
-
-      if (result.success && result.newSlot) {
-        suggestions.push({
-          taskId: task._id,
-          taskTitle: task.title,
-          currentDueDate: task.dueDate,
-          suggestedSlot: result.newSlot,
-          reason: result.reason,
+          reason: 'scheduled_after_due',
+          message: `Scheduled to finish on ${end.date} at ${end.time}, after it is due`,
         });
       }
     }
 
-    return suggestions;
+    return {
+      days: dailyCapacity(work, { now: localNow, days, availability: availabilityLookup(user.settings) }),
+      atRisk: atRisk.sort((a, b) => a.dueDate.localeCompare(b.dueDate) || a.title.localeCompare(b.title)),
+    };
   }
 
-  async checkConflicts(userId: string, taskId: string, proposedDate: string, proposedTime: string) {
-    const task = await Task.findOne({ _id: taskId, createdBy: userId });
+  /**
+   * Tasks that overlap the proposed slot, and whether the slot lies inside one of the
+   * user's available windows that day.
+   */
+  async checkConflicts(workspaceId: string, userId: string, taskId: string, proposedDate: string, proposedTime: string) {
+    const user = await User.findById(userId);
+    if (!user) {
+      throw new AppError('User not found', 404);
+    }
+
+    const task = await Task.findOne({ _id: taskId, workspaceId });
     if (!task) {
       throw new AppError('Task not found', 404);
     }
 
-    const allTasks = await Task.find({ createdBy: userId, isCompleted: false });
+    const today = toZonedDateTime(new Date(), user.settings.timeZone).date;
+    const busyTasks = this.byBlock(this.responsibleFor(await this.loadActiveTasks(workspaceId, today), userId));
 
     const conflicts = checkConflicts(
       {
@@ -150,15 +256,167 @@ class SchedulerService {
       } as any,
       proposedDate,
       proposedTime,
-      allTasks as any
+      busyTasks as any
+    );
+
+    const windows = availabilityLookup(user.settings)(proposedDate);
+
+    return {
+      conflicts: conflicts.map((t) => ({
+        id: t._id,
+        title: t.title,
+        dueDate: t.dueDate,
+        dueTime: t.dueTime,
+      })),
+      availability: {
+        isAvailable: isWithinAvailability(windows, parseTime(proposedTime), task.estimatedDuration || 60),
+        windows,
+      },
+    };
+  }
+
+  /**
+   * Runs the planner for `tasks` against the rest of the user's time. Other tasks with a
+   * slot or blocks, and fixed events at a set time, count as busy; the tasks being planned
+   * give up any time they had. Days and times are the user's own, in their time zone.
+   * Callers that already loaded the workspace's active tasks over `days` pass them in.
+   */
+  private async planTasks(
+    user: IUser,
+    workspaceId: string,
+    userId: string,
+    tasks: ITask[],
+    days: number,
+    now: Date,
+    activeTasks?: ITask[]
+  ): Promise<Plan> {
+    const localNow = toZonedDateTime(now, user.settings.timeZone);
+    const allTasks = activeTasks ?? (await this.loadActiveTasks(workspaceId, localNow.date, days));
+    const planning = new Set(tasks.map((task) => task._id.toString()));
+    const rules = user.settings.fixedEventRules;
+
+    const busy = this.responsibleFor(allTasks, userId).flatMap((task) =>
+      planning.has(task._id.toString()) ? [] : this.occupiedBlocks(task, rules)
     );
 
-    return conflicts.map((t) => ({
-      id: t._id,
-      title: t.title,
-      dueDate: t.dueDate,
-      dueTime: t.dueTime,
+    const plannerTasks = tasks.map((task): PlannerTask => ({
+      id: task._id.toString(),
+      title: task.title,
+      dueDate: task.dueDate,
+      dueTime: task.dueTime || undefined,
+      priority: task.priority,
+      estimatedDuration: task.estimatedDuration,
+      blockedBy: (task.blockedBy || []).map(String).filter((id) => planning.has(id)),
+      ...this.prerequisiteBound(task, allTasks, rules, planning),
     }));
+
+    return planSchedule(plannerTasks, busy, {
+      now: localNow,
+      days,
+      availability: availabilityLookup(user.settings),
+      bufferMinutes: user.settings.bufferMinutes,
+      minChunkMinutes: user.settings.minChunkMinutes,
+    });
+  }
+
+  /**
+   * The time a task takes up, earliest first: its scheduled blocks, its assigned slot, or
+   * its due time for fixed events such as lectures.
+   */
+  private occupiedBlocks(task: ITask, rules: FixedEventRule[]): BusyBlock[] {
+    if (task.scheduledBlocks?.length) {
+      return task.scheduledBlocks.map(({ date, time, duration }) => ({ slot: { date, time }, duration }));
+    }
+    if (task.assignedSlot?.time) {
+      return [{ slot: { date: task.assignedSlot.date || task.dueDate, time: task.assignedSlot.time }, duration: task.estimatedDuration }];
+    }
+    if (task.dueTime && isFixedEvent(task, rules)) {
+      return [{ slot: { date: task.dueDate, time: task.dueTime }, duration: task.estimatedDuration }];
+    }
+    return [];
+  }
+
+  /**
+   * Split tasks as one entry per block, dated and timed like a task of that length, for
+   * the slot and conflict checks that only see a single slot per task.
+   */
+  private byBlock(tasks: ITask[]): SlotTask[] {
+    return tasks.flatMap((task): SlotTask[] =>
+      task.scheduledBlocks?.length
+        ? task.scheduledBlocks.map(({ date, time, duration }) => ({
+            _id: task._id,
+            title: task.title,
+            dueDate: date,
+            dueTime: task.dueTime,
+            priority: task.priority,
+            estimatedDuration: duration,
+            assignedSlot: { date, time },
+            tags: task.tags,
+            isCompleted: task.isCompleted,
+          }))
+        : [task]
+    );
+  }
+
+  /**
+   * The earliest a task may start: once every unfinished prerequisite's slot has ended.
+   * `waitingOn` names a prerequisite that has no slot. Prerequisites in `planning` are
+   * left to the planner.
+   */
+  private prerequisiteBound(
+    task: ITask,
+    activeTasks: ITask[],
+    rules: FixedEventRule[],
+    planning: Set<string> = new Set()
+  ): { waitingOn?: string; notBefore?: TimeSlot } {
+    let notBefore: TimeSlot | undefined;
+
+    for (const id of task.blockedBy || []) {
+      if (planning.has(id.toString())) continue;
+      // Completed prerequisites are not among the active tasks and no longer hold anything up
+      const prerequisite = activeTasks.find((t) => t._id.toString() === id.toString());
+      if (!prerequisite) continue;
+
+      const blocks = this.occupiedBlocks(prerequisite, rules);
+      if (!blocks.length) {
+        return { waitingOn: prerequisite.title };
+      }
+
+      const last = blocks[blocks.length - 1];
+      const end = getSlotEnd(last.slot, last.duration);
+      if (!notBefore || `${end.date}T${end.time}` > `${notBefore.date}T${notBefore.time}`) {
+        notBefore = end;
+      }
+    }
+
+    return { notBefore };
+  }
+
+  /**
+   * Tasks that occupy the user's own time: those assigned to them, plus the unassigned
+   * ones they created. Other members' work does not make the user busy.
+   */
+  responsibleFilter(userId: string) {
+    return { $or: [{ assignees: userId }, { 'assignees.0': { $exists: false }, createdBy: userId }] };
+  }
+
+  private responsibleFor<T extends Pick<ITask, 'assignees' | 'createdBy'>>(tasks: T[], userId: string): T[] {
+    return tasks.filter((task) =>
+      task.assignees?.length ? task.assignees.some((id) => id.toString() === userId) : task.createdBy.toString() === userId
+    );
+  }
+
+  private daysBetween(from: string, to: string): number {
+    return Math.round((Date.parse(to) - Date.parse(from)) / 86400000);
+  }
+
+  /**
+   * Pending tasks with every recurring series replaced by its upcoming occurrences,
+   * so slots taken by e.g. weekly lectures count as busy.
+   */
+  private async loadActiveTasks(workspaceId: string, today: string, days = SCHEDULING_HORIZON_DAYS) {
+    const tasks = await Task.find({ workspaceId, isCompleted: false });
+    return expandForScheduling(tasks, today, addDaysToDate(today, days));
   }
 }
 
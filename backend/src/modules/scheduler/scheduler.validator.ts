@@ -0,0 +1,7 @@
+import { z } from 'zod';
+
+export const PlanQueryDTO = z.object({
+  query: z.object({
+    days: z.coerce.number().int().min(1).max(28).optional(),
+  }),
+});
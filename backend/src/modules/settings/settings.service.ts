@@ -1,11 +1,45 @@
-import { User } from '../../database/models/user.model';
+import {
+  User,
+  DigestFrequency,
+  IAvailabilityWindow,
+  IWeeklyWindow,
+  IAvailabilityOverride,
+  IFixedEventRule,
+} from '../../database/models/user.model';
 import { AppError } from '../../utils/handlers/appError';
+import { FIXED_RULE_TYPES } from '../../utils/scheduler/fixedEvents';
+import { isValidTimeZone } from '../../utils/timezone/zonedTime';
+
+const DIGEST_FREQUENCIES: DigestFrequency[] = ['off', 'daily', 'weekly'];
+
+const TIME = /^([01]\d|2[0-3]):[0-5]\d$/;
+const DATE = /^\d{4}-\d{2}-\d{2}$/;
+
+const MAX_FIXED_RULES = 50;
+const MAX_RULE_LENGTH = 100;
+
+interface DigestSettings {
+  frequency?: DigestFrequency;
+  time?: string;
+  weekday?: number;
+}
+
+interface AvailabilitySettings {
+  weekly?: IWeeklyWindow[];
+  overrides?: IAvailabilityOverride[];
+}
 
 interface Settings {
   theme?: 'light' | 'dark';
+  timeZone?: string;
   availableHours?: { start: string; end: string };
+  availability?: AvailabilitySettings;
+  bufferMinutes?: number;
+  minChunkMinutes?: number;
+  fixedEventRules?: IFixedEventRule[];
   dailyTipIndex?: { date: string; index: number };
   recentSearches?: string[];
+  digest?: DigestSettings;
 }
 
 class SettingsService {
@@ -26,19 +60,139 @@ class SettingsService {
     if (patch.theme) {
       user.settings.theme = patch.theme;
     }
+    if (patch.timeZone !== undefined) {
+      if (!isValidTimeZone(patch.timeZone)) {
+        throw new AppError(`Invalid timezone: ${patch.timeZone}`, 400);
+      }
+      user.settings.timeZone = patch.timeZone;
+    }
     if (patch.availableHours) {
       user.settings.availableHours = patch.availableHours;
     }
+    if (patch.availability) {
+      this.assertAvailability(patch.availability);
+      const { weekly, overrides } = patch.availability;
+      if (weekly) {
+        user.settings.availability.weekly = weekly.map(({ weekday, start, end }) => ({ weekday, start, end }));
+      }
+      if (overrides) {
+        user.settings.availability.overrides = overrides.map(({ from, to, windows, label }) => ({
+          from,
+          to,
+          windows: windows.map(({ start, end }) => ({ start, end })),
+          label,
+        }));
+      }
+    }
+    if (patch.bufferMinutes !== undefined) {
+      if (!(Number.isInteger(patch.bufferMinutes) && patch.bufferMinutes >= 0 && patch.bufferMinutes <= 120)) {
+        throw new AppError('Buffer must be 0 to 120 minutes', 400);
+      }
+      user.settings.bufferMinutes = patch.bufferMinutes;
+    }
+    if (patch.minChunkMinutes !== undefined) {
+      if (!(Number.isInteger(patch.minChunkMinutes) && patch.minChunkMinutes >= 15 && patch.minChunkMinutes <= 480)) {
+        throw new AppError('Minimum block length must be 15 to 480 minutes', 400);
+      }
+      user.settings.minChunkMinutes = patch.minChunkMinutes;
+    }
+    if (patch.fixedEventRules !== undefined) {
+      this.assertFixedEventRules(patch.fixedEventRules);
+      user.settings.fixedEventRules = patch.fixedEventRules.map(({ type, value }) => ({ type, value: value.trim() }));
+    }
     if (patch.dailyTipIndex) {
       user.settings.dailyTipIndex = patch.dailyTipIndex;
     }
     if (patch.recentSearches) {
       user.settings.recentSearches = patch.recentSearches.slice(0, 5);
     }
+    if (patch.digest) {
+      this.assertDigest(patch.digest);
+      const { frequency, time, weekday } = patch.digest;
+      Object.assign(
+        user.settings.digest,
+        Object.fromEntries(Object.entries({ frequency, time, weekday }).filter(([, v]) => v !== undefined))
+      );
+    }
 
     await user.save();
     return user.settings;
   }
+
+  private assertDigest(digest: DigestSettings): void {
+    if (digest.frequency !== undefined && !DIGEST_FREQUENCIES.includes(digest.frequency)) {
+      throw new AppError(`Invalid digest frequency: ${digest.frequency}`, 400);
+    }
+    if (digest.time !== undefined && !TIME.test(digest.time)) {
+      throw new AppError('Digest time must be HH:mm', 400);
+    }
+    if (digest.weekday !== undefined && !(Number.isInteger(digest.weekday) && digest.weekday >= 0 && digest.weekday <= 6)) {
+      throw new AppError('Digest weekday must be 0 (Sunday) to 6', 400);
+    }
+  }
+
+  private assertFixedEventRules(rules: IFixedEventRule[]): void {
+    if (!Array.isArray(rules) || rules.length > MAX_FIXED_RULES) {
+      throw new AppError(`Fixed-event rules must be a list of at most ${MAX_FIXED_RULES}`, 400);
+    }
+    for (const rule of rules) {
+      if (!FIXED_RULE_TYPES.includes(rule?.type)) {
+        throw new AppError(`Invalid fixed-event rule type: ${rule?.type}`, 400);
+      }
+      if (!(typeof rule.value === 'string' && rule.value.trim() && rule.value.length <= MAX_RULE_LENGTH)) {
+        throw new AppError(`Fixed-event rules need a value of 1 to ${MAX_RULE_LENGTH} characters`, 400);
+      }
+    }
+  }
+
+  /**
+   * Weekly windows are grouped by weekday and override windows by override; the windows
+   * in a group may not overlap, but may leave gaps such as a lunch break.
+   */
+  private assertAvailability(availability: AvailabilitySettings): void {
+    const { weekly, overrides } = availability;
+
+    if (weekly !== undefined) {
+      if (!Array.isArray(weekly)) {
+        throw new AppError('Weekly availability must be a list of windows', 400);
+      }
+      for (const window of weekly) {
+        if (!(Number.isInteger(window?.weekday) && window.weekday >= 0 && window.weekday <= 6)) {
+          throw new AppError('Availability weekday must be 0 (Sunday) to 6', 400);
+        }
+      }
+      for (let weekday = 0; weekday <= 6; weekday++) {
+        this.assertWindows(weekly.filter((window) => window.weekday === weekday));
+      }
+    }
+
+    if (overrides !== undefined) {
+      if (!Array.isArray(overrides)) {
+        throw new AppError('Availability overrides must be a list', 400);
+      }
+      for (const override of overrides) {
+        if (!(DATE.test(override?.from) && DATE.test(override?.to) && override.from <= override.to)) {
+          throw new AppError('Availability overrides need YYYY-MM-DD dates, from on or before to', 400);
+        }
+        if (!Array.isArray(override.windows)) {
+          throw new AppError('Availability overrides need a list of windows, empty for time off', 400);
+        }
+        this.assertWindows(override.windows);
+      }
+    }
+  }
+
+  private assertWindows(windows: IAvailabilityWindow[]): void {
+    const sorted = [...windows].sort((a, b) => String(a?.start).localeCompare(String(b?.start)));
+    sorted.forEach((window, i) => {
+      if (!(TIME.test(window?.start) && TIME.test(window?.end) && window.start < window.end)) {
+        throw new AppError('Availability windows need HH:mm times, start before end', 400);
+      }
+      if (i > 0 && window.start < sorted[i - 1].end) {
+        throw new AppError(`Availability windows overlap at ${window.start}`, 400);
+      }
+    });
+  }
 }
 
 export default new SettingsService();
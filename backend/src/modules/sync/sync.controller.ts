@@ -0,0 +1,15 @@
+import { Request, Response } from 'express';
+import { catchAsync } from '../../utils/handlers/catchAsync';
+import syncService from './sync.service';
+import type { SyncQuery } from './sync.types';
+
+export const changes = catchAsync(async (req: Request, res: Response) => {
+  const { since } = req.query as SyncQuery;
+  const workspaceId = req.workspace!.id;
+  const changes = await syncService.changesSince(workspaceId, since);
+
+  res.json({
+    status: 'success',
+    data: changes,
+  });
+});
@@ -0,0 +1,14 @@
+import { Router } from 'express';
+import * as syncController from './sync.controller';
+import { validate } from '../../utils/middleware/validate.middleware';
+import { authenticate } from '../../utils/middleware/auth.middleware';
+import { resolveWorkspace } from '../../utils/middleware/workspace.middleware';
+import { SyncQueryDTO } from './sync.validator';
+
+const router = Router();
+
+router.use(authenticate, resolveWorkspace);
+
+router.get('/', validate(SyncQueryDTO), syncController.changes);
+
+export default router;
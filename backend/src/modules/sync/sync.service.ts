@@ -0,0 +1,78 @@
+import mongoose from 'mongoose';
+import { Task } from '../../database/models/task.model';
+import { Todo } from '../../database/models/todo.model';
+import { Template } from '../../database/models/template.model';
+import { Tombstone, TombstoneResource, TOMBSTONE_RETENTION_DAYS } from '../../database/models/tombstone.model';
+import { IdempotencyKey, IdempotentResource } from '../../database/models/idempotencyKey.model';
+import { AppError } from '../../utils/handlers/appError';
+import type { SyncChanges } from './sync.types';
+
+// Cursors reach back this far so writes committed late by a slow transaction are not skipped
+const CURSOR_OVERLAP_MS = 30 * 1000;
+
+const RETENTION_MS = TOMBSTONE_RETENTION_DAYS * 24 * 60 * 60 * 1000;
+
+const MAX_IDEMPOTENCY_KEY_LENGTH = 100;
+
+class SyncService {
+  /**
+   * Returns the workspace's tasks, TODOs and templates changed since `cursor`, with
+   * the IDs of those deleted. Without a cursor, or with one older than the tombstones
+   * are kept, everything is returned as a snapshot.
+   */
+  async changesSince(workspaceId: string, cursor?: string): Promise<SyncChanges> {
+    const now = Date.now();
+    const since = cursor ? this.decodeCursor(cursor) : null;
+    const reset = since === null || since < now - RETENTION_MS;
+
+    const changed = reset ? { workspaceId } : { workspaceId, updatedAt: { $gte: new Date(since) } };
+    const [tasks, todos, templates, tombstones] = await Promise.all([
+      Task.find(changed),
+      Todo.find(changed).sort({ order: 1, _id: 1 }),
+      Template.find(changed),
+      reset ? [] : Tombstone.find({ workspaceId, deletedAt: { $gte: new Date(since) } }),
+    ]);
+
+    const deleted = (resource: TombstoneResource) =>
+      tombstones.filter((t) => t.resource === resource).map((t) => t.recordId.toString());
+
+    return {
+      cursor: this.encodeCursor(now - CURSOR_OVERLAP_MS),
+      reset,
+      tasks: { updated: tasks, deleted: deleted('task') },
+      todos: { updated: todos, deleted: deleted('todo') },
+      templates: { updated: templates, deleted: deleted('template') },
+    };
+  }
+
+  /**
+   * The ID for a record created with the client's idempotency key. Every request with
+   * the same key gets the ID of the first, so a retry finds the record it created.
+   */
+  async claimRecordId(workspaceId: string, resource: IdempotentResource, key: string): Promise<mongoose.Types.ObjectId> {
+    if (key.length > MAX_IDEMPOTENCY_KEY_LENGTH) {
+      throw new AppError('Idempotency-Key is too long', 400);
+    }
+
+    const claimed = await IdempotencyKey.findOneAndUpdate(
+      { workspaceId, resource, key },
+      { $setOnInsert: { recordId: new mongoose.Types.ObjectId() } },
+      { upsert: true, new: true }
+    );
+    return claimed.recordId;
+  }
+
+  private encodeCursor(timestamp: number): string {
+    return Buffer.from(String(timestamp)).toString('base64url');
+  }
+
+  private decodeCursor(cursor: string): number {
+    const timestamp = Number(Buffer.from(cursor, 'base64url').toString());
+    if (!Number.isSafeInteger(timestamp) || timestamp <= 0) {
+      throw new AppError('Invalid sync cursor', 400);
+    }
+    return timestamp;
+  }
+}
+
+export default new SyncService();
@@ -0,0 +1,22 @@
+import type { ITask } from '../../database/models/task.model';
+import type { ITodo } from '../../database/models/todo.model';
+import type { ITemplate } from '../../database/models/template.model';
+
+export interface SyncQuery {
+  since?: string;
+}
+
+export interface ResourceChanges<T> {
+  updated: T[];
+  deleted: string[];
+}
+
+export interface SyncChanges {
+  // Pass back as `since` on the next request
+  cursor: string;
+  // True when this is a full snapshot and the client should drop what it has
+  reset: boolean;
+  tasks: ResourceChanges<ITask>;
+  todos: ResourceChanges<ITodo>;
+  templates: ResourceChanges<ITemplate>;
+}
@@ -0,0 +1,7 @@
+import { z } from 'zod';
+
+export const SyncQueryDTO = z.object({
+  query: z.object({
+    since: z.string().min(1).optional(),
+  }),
+});
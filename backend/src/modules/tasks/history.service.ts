@@ -0,0 +1,95 @@
+import mongoose from 'mongoose';
+import type { ITask, ISubtask } from '../../database/models/task.model';
+import { TaskEvent, ITaskEvent, ITaskEventChange, TaskEventAction } from '../../database/models/taskEvent.model';
+
+// Fields a task's history reports on; bookkeeping such as updatedAt is left out
+const TRACKED_FIELDS = [
+  'title',
+  'description',
+  'dueDate',
+  'dueTime',
+  'priority',
+  'estimatedDuration',
+  'isCompleted',
+  'assignedSlot',
+  'scheduledBlocks',
+  'isFixed',
+  'tags',
+  'projectId',
+  'assignees',
+  'reminders',
+  'blockedBy',
+  'repeatFrequency',
+  'repeatUntil',
+  'recurrence',
+];
+
+type TaskRef = { _id: mongoose.Types.ObjectId; workspaceId: mongoose.Types.ObjectId };
+
+// ObjectIds, dates and subdocuments are stored as their JSON form
+const plain = (value: unknown): unknown => (value === undefined ? null : JSON.parse(JSON.stringify(value)));
+
+const same = (a: unknown, b: unknown): boolean => JSON.stringify(plain(a)) === JSON.stringify(plain(b));
+
+class HistoryService {
+  async findForTask(workspaceId: string, taskId: mongoose.Types.ObjectId): Promise<ITaskEvent[]> {
+    return TaskEvent.find({ workspaceId, taskId }).sort({ createdAt: -1, _id: -1 }).populate('actor', 'name email');
+  }
+
+  /**
+   * Records what a mutation changed. Mutations that left every tracked field as it
+   * was are not recorded.
+   */
+  async recordUpdate(actor: string, before: ITask, after: ITask): Promise<void> {
+    const changes = this.diff(before, after);
+    if (changes.length === 0) return;
+    await this.record(actor, 'updated', [after], changes);
+  }
+
+  async record(
+    actor: string,
+    action: TaskEventAction,
+    tasks: TaskRef[],
+    changes: ITaskEventChange[] = []
+  ): Promise<void> {
+    if (tasks.length === 0) return;
+    await TaskEvent.insertMany(
+      tasks.map((task) => ({ workspaceId: task.workspaceId, taskId: task._id, actor, action, changes }))
+    );
+  }
+
+  private diff(before: ITask, after: ITask): ITaskEventChange[] {
+    const changes = TRACKED_FIELDS.filter((field) => !same(before.get(field), after.get(field))).map((field) => ({
+      field,
+      from: plain(before.get(field)),
+      to: plain(after.get(field)),
+    }));
+    return [...changes, ...this.diffSubtasks(before.subtasks, after.subtasks)];
+  }
+
+  private diffSubtasks(before: ISubtask[], after: ISubtask[]): ITaskEventChange[] {
+    const previous = new Map(before.map((s) => [s._id.toString(), s]));
+    const changes: ITaskEventChange[] = [];
+
+    for (const subtask of after) {
+      const old = previous.get(subtask._id.toString());
+      previous.delete(subtask._id.toString());
+      if (!old) {
+        changes.push({ field: 'subtask', from: null, to: subtask.title });
+        continue;
+      }
+      if (old.title !== subtask.title) {
+        changes.push({ field: 'subtask.title', from: old.title, to: subtask.title, subtask: subtask.title });
+      }
+      if (old.isCompleted !== subtask.isCompleted) {
+        changes.push({ field: 'subtask.isCompleted', from: old.isCompleted, to: subtask.isCompleted, subtask: subtask.title });
+      }
+    }
+    for (const removed of previous.values()) {
+      changes.push({ field: 'subtask', from: removed.title, to: null });
+    }
+    return changes;
+  }
+}
+
+export default new HistoryService();
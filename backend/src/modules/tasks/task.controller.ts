@@ -1,13 +1,14 @@
 import { Request, Response } from 'express';
 import { catchAsync } from '../../utils/handlers/catchAsync';
 import taskService from './task.service';
-import type { CreateTaskInput, UpdateTaskInput, TaskQuery } from './task.types';
+import type { CreateTaskInput, UpdateTaskInput, TaskQuery, RecurrenceScope, DependencyInput, ParseTaskInput, ScheduledBlockInput } from './task.types';
 
 export const getAll = catchAsync(async (req: Request, res: Response) => {
   const query = req.query as TaskQuery;
+  const workspaceId = req.workspace!.id;
   const userId = req.user!._id.toString();
 
-  const result = await taskService.findAll(userId, query);
+  const result = await taskService.findAll(workspaceId, userId, query, req.user!.settings.timeZone);
 
   res.json({
     status: 'success',
@@ -22,8 +23,8 @@ export const getAll = catchAsync(async (req: Request, res: Response) => {
 });
 
 export const getStatistics = catchAsync(async (req: Request, res: Response) => {
-  const userId = req.user!._id.toString();
-  const stats = await taskService.getStatistics(userId);
+  const workspaceId = req.workspace!.id;
+  const stats = await taskService.getStatistics(workspaceId, req.user!.settings.timeZone);
 
   res.json({
     status: 'success',
@@ -31,10 +32,20 @@ export const getStatistics = catchAsync(async (req: Request, res: Response) => {
   });
 });
 
+export const parse = catchAsync(async (req: Request, res: Response) => {
+  const { text, today } = req.body as ParseTaskInput;
+  const parsed = taskService.parse(text, today, req.user!.settings.timeZone);
+
+  res.json({
+    status: 'success',
+    data: parsed,
+  });
+});
+
 export const findById = catchAsync(async (req: Request, res: Response) => {
   const { id } = req.params as { id: string };
-  const userId = req.user!._id.toString();
-  const task = await taskService.findById(userId, id);
+  const workspaceId = req.workspace!.id;
+  const task = await taskService.findById(workspaceId, id);
 
   res.json({
     status: 'success',
@@ -44,8 +55,9 @@ export const findById = catchAsync(async (req: Request, res: Response) => {
 
 export const create = catchAsync(async (req: Request, res: Response) => {
   const data = req.body as CreateTaskInput;
+  const workspaceId = req.workspace!.id;
   const userId = req.user!._id.toString();
-  const result = await taskService.create(userId, data);
+  const result = await taskService.create(workspaceId, userId, data, req.get('Idempotency-Key'));
 
   if (result.task) {
     res.status(201).json({
@@ -69,8 +81,10 @@ export const create = catchAsync(async (req: Request, res: Response) => {
 export const update = catchAsync(async (req: Request, res: Response) => {
   const { id } = req.params as { id: string };
   const data = req.body as UpdateTaskInput;
+  const { scope } = req.query as { scope?: RecurrenceScope };
+  const workspaceId = req.workspace!.id;
   const userId = req.user!._id.toString();
-  const task = await taskService.update(userId, id, data);
+  const task = await taskService.update(workspaceId, userId, id, data, scope);
 
   res.json({
     status: 'success',
@@ -80,8 +94,10 @@ export const update = catchAsync(async (req: Request, res: Response) => {
 
 export const remove = catchAsync(async (req: Request, res: Response) => {
   const { id } = req.params as { id: string };
+  const { scope } = req.query as { scope?: RecurrenceScope };
+  const workspaceId = req.workspace!.id;
   const userId = req.user!._id.toString();
-  const task = await taskService.delete(userId, id);
+  const task = await taskService.delete(workspaceId, userId, id, scope);
 
   res.json({
     status: 'success',
@@ -91,8 +107,9 @@ export const remove = catchAsync(async (req: Request, res: Response) => {
 
 export const toggleComplete = catchAsync(async (req: Request, res: Response) => {
   const { id } = req.params as { id: string };
+  const workspaceId = req.workspace!.id;
   const userId = req.user!._id.toString();
-  const task = await taskService.toggleComplete(userId, id);
+  const task = await taskService.toggleComplete(workspaceId, userId, id);
 
   res.json({
     status: 'success',
@@ -102,8 +119,9 @@ export const toggleComplete = catchAsync(async (req: Request, res: Response) =>
 
 export const bulkComplete = catchAsync(async (req: Request, res: Response) => {
   const { ids } = req.body as { ids: string[] };
+  const workspaceId = req.workspace!.id;
   const userId = req.user!._id.toString();
-  const count = await taskService.bulkComplete(userId, ids);
+  const count = await taskService.bulkComplete(workspaceId, userId, ids);
 
   res.json({
     status: 'success',
@@ -113,8 +131,9 @@ export const bulkComplete = catchAsync(async (req: Request, res: Response) => {
 
 export const bulkDelete = catchAsync(async (req: Request, res: Response) => {
   const { ids } = req.body as { ids: string[] };
+  const workspaceId = req.workspace!.id;
   const userId = req.user!._id.toString();
-  const count = await taskService.bulkDelete(userId, ids);
+  const count = await taskService.bulkDelete(workspaceId, userId, ids);
 
   res.json({
     status: 'success',
@@ -125,8 +144,9 @@ export const bulkDelete = catchAsync(async (req: Request, res: Response) => {
 export const dropReschedule = catchAsync(async (req: Request, res: Response) => {
   const { id } = req.params as { id: string };
   const { newDate } = req.body as { newDate: string };
+  const workspaceId = req.workspace!.id;
   const userId = req.user!._id.toString();
-  const task = await taskService.dropReschedule(userId, id, newDate);
+  const task = await taskService.dropReschedule(workspaceId, userId, id, newDate);
 
   res.json({
     status: 'success',
@@ -137,8 +157,22 @@ export const dropReschedule = catchAsync(async (req: Request, res: Response) =>
 export const assignSlot = catchAsync(async (req: Request, res: Response) => {
   const { id } = req.params as { id: string };
   const { date, time } = req.body as { date: string; time: string };
+  const workspaceId = req.workspace!.id;
   const userId = req.user!._id.toString();
-  const task = await taskService.assignSlot(userId, id, { date, time });
+  const task = await taskService.assignSlot(workspaceId, userId, id, { date, time });
+
+  res.json({
+    status: 'success',
+    data: task,
+  });
+});
+
+export const assignBlocks = catchAsync(async (req: Request, res: Response) => {
+  const { id } = req.params as { id: string };
+  const { blocks } = req.body as { blocks: ScheduledBlockInput[] };
+  const workspaceId = req.workspace!.id;
+  const userId = req.user!._id.toString();
+  const task = await taskService.assignBlocks(workspaceId, userId, id, blocks);
 
   res.json({
     status: 'success',
@@ -148,8 +182,9 @@ export const assignSlot = catchAsync(async (req: Request, res: Response) => {
 
 export const duplicateTask = catchAsync(async (req: Request, res: Response) => {
   const { id } = req.params as { id: string };
+  const workspaceId = req.workspace!.id;
   const userId = req.user!._id.toString();
-  const task = await taskService.duplicateTask(userId, id);
+  const task = await taskService.duplicateTask(workspaceId, userId, id);
 
   res.status(201).json({
     status: 'success',
@@ -157,11 +192,37 @@ export const duplicateTask = catchAsync(async (req: Request, res: Response) => {
   });
 });
 
+export const addDependency = catchAsync(async (req: Request, res: Response) => {
+  const { id } = req.params as { id: string };
+  const { taskId } = req.body as DependencyInput;
+  const workspaceId = req.workspace!.id;
+  const userId = req.user!._id.toString();
+  const task = await taskService.addDependency(workspaceId, userId, id, taskId);
+
+  res.json({
+    status: 'success',
+    data: task,
+  });
+});
+
+export const removeDependency = catchAsync(async (req: Request, res: Response) => {
+  const { id, dependencyId } = req.params as { id: string; dependencyId: string };
+  const workspaceId = req.workspace!.id;
+  const userId = req.user!._id.toString();
+  const task = await taskService.removeDependency(workspaceId, userId, id, dependencyId);
+
+  res.json({
+    status: 'success',
+    data: task,
+  });
+});
+
 export const addSubtask = catchAsync(async (req: Request, res: Response) => {
   const { id } = req.params as { id: string };
   const { title } = req.body as { title: string };
+  const workspaceId = req.workspace!.id;
   const userId = req.user!._id.toString();
-  const task = await taskService.addSubtask(userId, id, { title });
+  const task = await taskService.addSubtask(workspaceId, userId, id, { title });
 
   res.status(201).json({
     status: 'success',
@@ -172,8 +233,9 @@ export const addSubtask = catchAsync(async (req: Request, res: Response) => {
 export const updateSubtask = catchAsync(async (req: Request, res: Response) => {
   const { id, sid } = req.params as { id: string; sid: string };
   const updates = req.body as { title?: string; isCompleted?: boolean };
+  const workspaceId = req.workspace!.id;
   const userId = req.user!._id.toString();
-  const task = await taskService.updateSubtask(userId, id, sid, updates);
+  const task = await taskService.updateSubtask(workspaceId, userId, id, sid, updates);
 
   res.json({
     status: 'success',
@@ -183,8 +245,9 @@ export const updateSubtask = catchAsync(async (req: Request, res: Response) => {
 
 export const deleteSubtask = catchAsync(async (req: Request, res: Response) => {
   const { id, sid } = req.params as { id: string; sid: string };
+  const workspaceId = req.workspace!.id;
   const userId = req.user!._id.toString();
-  const task = await taskService.deleteSubtask(userId, id, sid);
+  const task = await taskService.deleteSubtask(workspaceId, userId, id, sid);
 
   res.json({
     status: 'success',
@@ -194,11 +257,24 @@ export const deleteSubtask = catchAsync(async (req: Request, res: Response) => {
 
 export const toggleSubtaskComplete = catchAsync(async (req: Request, res: Response) => {
   const { id, sid } = req.params as { id: string; sid: string };
+  const workspaceId = req.workspace!.id;
   const userId = req.user!._id.toString();
-  const task = await taskService.toggleSubtaskComplete(userId, id, sid);
+  const task = await taskService.toggleSubtaskComplete(workspaceId, userId, id, sid);
 
   res.json({
     status: 'success',
     data: task,
   });
 });
+
+export const history = catchAsync(async (req: Request, res: Response) => {
+  const { id } = req.params as { id: string };
+  const workspaceId = req.workspace!.id;
+  const events = await taskService.history(workspaceId, id);
+
+  res.json({
+    status: 'success',
+    results: events.length,
+    data: events,
+  });
+});
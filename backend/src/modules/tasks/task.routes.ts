@@ -1,35 +1,56 @@
 import { Router } from 'express';
 import * as taskController from './task.controller';
+import * as timeEntryController from '../timeEntries/timeEntry.controller';
+import timeEntryRoutes from '../timeEntries/timeEntry.routes';
 import { validate } from '../../utils/middleware/validate.middleware';
 import { authenticate } from '../../utils/middleware/auth.middleware';
+import { resolveWorkspace, authorizeWrites } from '../../utils/middleware/workspace.middleware';
 import {
   CreateTaskDTO,
   UpdateTaskDTO,
+  DeleteTaskDTO,
   TaskQueryDTO,
   BulkIdsDTO,
   DropTaskDTO,
   AssignSlotDTO,
+  AssignBlocksDTO,
   SubtaskDTO,
   SubtaskUpdateDTO,
+  DependencyDTO,
+  ParseTaskDTO,
 } from './task.validator';
 
 const router = Router();
 
-router.use(authenticate);
+router.use(authenticate, resolveWorkspace);
+
+// Reading quick-add text changes nothing, so viewers may use it too
+router.post('/parse', validate(ParseTaskDTO), taskController.parse);
+
+router.use(authorizeWrites);
 
 router.get('/', validate(TaskQueryDTO), taskController.getAll);
 router.post('/', validate(CreateTaskDTO), taskController.create);
 router.get('/statistics', taskController.getStatistics);
 router.post('/bulk-complete', validate(BulkIdsDTO), taskController.bulkComplete);
 router.post('/bulk-delete', validate(BulkIdsDTO), taskController.bulkDelete);
+router.get('/time-entries/running', timeEntryController.findRunning);
+router.get('/time-entries/accuracy', timeEntryController.getAccuracy);
 
 router.get('/:id', taskController.findById);
 router.patch('/:id', validate(UpdateTaskDTO), taskController.update);
-router.delete('/:id', taskController.remove);
+router.delete('/:id', validate(DeleteTaskDTO), taskController.remove);
 router.patch('/:id/toggle-complete', taskController.toggleComplete);
 router.patch('/:id/drop', validate(DropTaskDTO), taskController.dropReschedule);
 router.patch('/:id/assign-slot', validate(AssignSlotDTO), taskController.assignSlot);
+router.patch('/:id/assign-blocks', validate(AssignBlocksDTO), taskController.assignBlocks);
 router.post('/:id/duplicate', taskController.duplicateTask);
+router.get('/:id/history', taskController.history);
+
+router.use('/:id/time-entries', timeEntryRoutes);
+
+router.post('/:id/dependencies', validate(DependencyDTO), taskController.addDependency);
+router.delete('/:id/dependencies/:dependencyId', taskController.removeDependency);
 
 router.post('/:id/subtasks', validate(SubtaskDTO), taskController.addSubtask);
 router.patch('/:id/subtasks/:sid', validate(SubtaskUpdateDTO), taskController.updateSubtask);
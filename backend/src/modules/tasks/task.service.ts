@@ -1,20 +1,61 @@
 import mongoose from 'mongoose';
-import { Task, ITask } from '../../database/models/task.model';
+import { Task, ITask, IRecurrence } from '../../database/models/task.model';
+import { ITaskEvent } from '../../database/models/taskEvent.model';
+import { Project } from '../../database/models/project.model';
 import { AppError } from '../../utils/handlers/appError';
-import { hasTimeConflict, generateRecurringDates } from '../../utils/scheduler/schedulerUtils';
-import type { CreateTaskInput, UpdateTaskInput, TaskQuery, TaskStatistics } from './task.types';
+import env from '../../config/environment';
+import { toZonedDateTime } from '../../utils/timezone/zonedTime';
+import {
+  parseRRule,
+  formatRRule,
+  rruleFromFrequency,
+  isOccurrenceDate,
+  countOccurrencesBefore,
+  parseOccurrenceId,
+  addDaysToDate,
+  repeatFieldsFromRRule,
+} from '../../utils/recurrence/rrule';
+import { parseQuickAdd, ParsedQuickAdd } from '../../utils/quickAdd/quickAddParser';
+import { TaskOccurrence, buildOccurrence, expandSeries, isSeries } from '../../utils/recurrence/occurrences';
+import { getSlotEnd } from '../../utils/scheduler/schedulerUtils';
+import type {
+  CreateTaskInput,
+  UpdateTaskInput,
+  TaskQuery,
+  TaskStatistics,
+  RecurrenceInput,
+  RecurrenceScope,
+  ProjectProgress,
+  ScheduledBlockInput,
+} from './task.types';
+import projectService from '../projects/project.service';
+import workspaceService from '../workspaces/workspace.service';
+import eventService from '../events/event.service';
+import trashService from '../trash/trash.service';
+import historyService from './history.service';
+import syncService from '../sync/sync.service';
+
+// Open-ended series are expanded this far ahead when the query has no date range
+const DEFAULT_EXPANSION_DAYS = 90;
+
+const SERIES_ONLY_FIELDS = ['isCompleted', 'completedAt'];
 
 class TaskService {
-  async findAll(userId: string, query: TaskQuery): Promise<{
-    tasks: ITask[];
+  /**
+   * Day filters and overdue tasks are worked out from the date in the user's time zone.
+   */
+  async findAll(workspaceId: string, userId: string, query: TaskQuery, timeZone = 'UTC', now = new Date()): Promise<{
+    tasks: Array<ITask | TaskOccurrence>;
     total: number;
     totalPages: number;
     currentPage: number;
   }> {
-    const userObjectId = new mongoose.Types.ObjectId(userId);
-    const today = new Date().toISOString().split('T')[0];
+    const workspaceObjectId = new mongoose.Types.ObjectId(workspaceId);
+    const today = toZonedDateTime(now, timeZone).date;
 
-    const filter: any = { createdBy: userObjectId };
+    const filter: any = { workspaceId: workspaceObjectId };
+    let rangeStart: string | undefined;
+    let rangeEnd: string | undefined;
 
     if (query.status === 'pending') {
       filter.isCompleted = false;
@@ -22,40 +63,52 @@ class TaskService {
       filter.isCompleted = true;
     } else if (query.status === 'overdue') {
       filter.isCompleted = false;
-      filter.dueDate = { $lt: today };
+      rangeEnd = this.addDays(today, -1);
+    } else if (query.status === 'blocked') {
+      filter.isCompleted = false;
+      filter._id = { $in: await this.blockedTaskIds(workspaceObjectId) };
     }
 
     if (query.day && query.day !== 'all') {
-      let startDate: string;
-      let endDate: string;
-
       switch (query.day) {
         case 'today':
-          startDate = today;
-          endDate = today;
+          rangeStart = today;
+          rangeEnd = today;
           break;
         case 'tomorrow':
-          startDate = this.addDays(today, 1);
-          endDate = startDate;
+          rangeStart = this.addDays(today, 1);
+          rangeEnd = rangeStart;
           break;
         case 'dayAfterTomorrow':
-          startDate = this.addDays(today, 2);
-          endDate = startDate;
+          rangeStart = this.addDays(today, 2);
+          rangeEnd = rangeStart;
           break;
         case 'thisWeek':
-          startDate = today;
-          endDate = this.addDays(today, 7);
+          rangeStart = today;
+          rangeEnd = this.addDays(today, 7);
           break;
         case 'thisMonth':
-          startDate = today;
-          endDate = this.addDays(today, 30);
+          rangeStart = today;
+          rangeEnd = this.addDays(today, 30);
           break;
         default:
-          startDate = today;
-          endDate = today;
+          rangeStart = today;
+          rangeEnd = today;
       }
+    }
+
+    if (query.from && (!rangeStart || query.from > rangeStart)) {
+      rangeStart = query.from;
+    }
+    if (query.to && (!rangeEnd || query.to < rangeEnd)) {
+      rangeEnd = query.to;
+    }
 
-      filter.dueDate = { $gte: startDate, $lte: endDate };
+    if (rangeStart || rangeEnd) {
+      filter.dueDate = {
+        ...(rangeStart && { $gte: rangeStart }),
+        ...(rangeEnd && { $lte: rangeEnd }),
+      };
     }
 
     if (query.tags) {
@@ -63,6 +116,16 @@ class TaskService {
       filter.tags = { $all: tags };
     }
 
+    if (query.project) {
+      filter.projectId = query.project === 'none' ? null : new mongoose.Types.ObjectId(query.project);
+    }
+
+    if (query.assignee === 'unassigned') {
+      filter['assignees.0'] = { $exists: false };
+    } else if (query.assignee) {
+      filter.assignees = new mongoose.Types.ObjectId(query.assignee === 'me' ? userId : query.assignee);
+    }
+
     if (query.search) {
       filter.$or = [
         { title: { $regex: query.search, $options: 'i' } },
@@ -84,166 +147,331 @@ class TaskService {
       sort = { createdAt: -1 };
     }
 
-    const tasks = await Task.find(filter).sort(sort).skip(skip).limit(limit);
-    const total = await Task.countDocuments(filter);
+    const taskFilter = { ...filter, recurrence: null };
+
+    // Occurrences are never completed, so completed-only queries skip series entirely
+    const { isCompleted, dueDate, ...seriesFilter } = filter;
+    const seriesEnd = rangeEnd || this.addDays(today, DEFAULT_EXPANSION_DAYS);
+    const series = query.status === 'completed'
+      ? []
+      : await Task.find({
+        ...seriesFilter,
+        dueDate: { $lte: seriesEnd },
+        'recurrence.rrule': { $exists: true },
+      });
+
+    if (series.length === 0) {
+      const tasks = await Task.find(taskFilter).sort(sort).skip(skip).limit(limit);
+      const total = await Task.countDocuments(taskFilter);
+      const totalPages = Math.ceil(total / limit);
+
+      return { tasks, total, totalPages, currentPage: page };
+    }
+
+    // Past occurrences stop counting as open work after the look-back; a range given for
+    // other queries, such as a calendar month, can still reach further back
+    const openFrom = this.openOccurrencesFrom(today);
+    const reachesBack = rangeStart && query.status !== 'pending' && query.status !== 'overdue';
+    const seriesStart = reachesBack || (rangeStart && rangeStart > openFrom) ? rangeStart : openFrom;
+    const occurrences = series.flatMap((s) => expandSeries(s, seriesStart, seriesEnd));
+
+    // The page can only hold the first skip + limit tasks in sort order, so no more are loaded
+    const [tasks, taskCount] = await Promise.all([
+      Task.find(taskFilter).sort(sort).limit(skip + limit),
+      Task.countDocuments(taskFilter),
+    ]);
+    const combined = [...tasks.map((t) => t.toJSON()), ...occurrences].sort(this.compareBy(sort));
+
+    const total = taskCount + occurrences.length;
     const totalPages = Math.ceil(total / limit);
 
-    return { tasks, total, totalPages, currentPage: page };
+    return { tasks: combined.slice(skip, skip + limit), total, totalPages, currentPage: page };
   }
 
-  async findById(userId: string, id: string): Promise<ITask> {
-    const task = await Task.findOne({ _id: id, createdBy: userId });
+  async findById(workspaceId: string, id: string): Promise<ITask | TaskOccurrence> {
+    const occurrence = parseOccurrenceId(id);
+    if (occurrence) {
+      const exception = await Task.findOne({
+        workspaceId,
+        seriesId: occurrence.seriesId,
+        recurrenceId: occurrence.date,
+      });
+      if (exception) {
+        return exception;
+      }
+
+      const series = await this.findSeries(workspaceId, occurrence.seriesId);
+      this.assertOccurrence(series, occurrence.date);
+      return buildOccurrence(series, occurrence.date);
+    }
+
+    const task = await Task.findOne({ _id: id, workspaceId });
     if (!task) {
       throw new AppError('Task not found', 404);
     }
     return task;
   }
 
-  async create(userId: string, data: CreateTaskInput): Promise<{
+  /**
+   * With an `idempotencyKey`, a request repeated with the same key returns the task
+   * the first one created, even if it has been moved to the trash since.
+   */
+  async create(workspaceId: string, userId: string, data: CreateTaskInput, idempotencyKey?: string): Promise<{
     task?: ITask;
     tasksAdded?: number;
     tasks?: ITask[];
   }> {
-    const userObjectId = new mongoose.Types.ObjectId(userId);
+    const workspaceObjectId = new mongoose.Types.ObjectId(workspaceId);
+    const _id = idempotencyKey ? await syncService.claimRecordId(workspaceId, 'task', idempotencyKey) : undefined;
+    if (_id) {
+      const earlier = await Task.findOne({ _id, workspaceId }).setOptions({ withDeleted: true });
+      if (earlier) return { task: earlier };
+    }
+    await projectService.assertInWorkspace(workspaceId, data.projectId);
+    await workspaceService.assertMembers(workspaceId, data.assignees);
+    const recurrence = this.buildRecurrence(data);
 
-    if (data.repeatFrequency && data.repeatFrequency !== 'none' && data.repeatUntil) {
-      const dates = generateRecurringDates(data.dueDate, data.repeatFrequency, data.repeatUntil);
+    const task = await Task.create({
+      ...data,
+      ...(recurrence && this.recurrenceFields(recurrence)),
+      ...(_id && { _id }),
+      recurrence,
+      workspaceId: workspaceObjectId,
+      createdBy: userId,
+    });
 
-      const existingTasks = await Task.find({
-        createdBy: userObjectId,
-        dueDate: { $in: dates },
-      });
+    await historyService.record(userId, 'created', [task]);
+    return { task: this.publish(workspaceId, task) };
+  }
 
-      const newTasks = [];
-      for (const date of dates) {
-        const conflict = existingTasks.find(
-          (t) =>
-            t.dueDate === date &&
-            t.dueTime === data.dueTime &&
-            hasTimeConflict(
-              { ...data, dueDate: date, assignedSlot: data.dueTime ? { date, time: data.dueTime } : null } as any,
-              t
-            )
-        );
-
-        if (!conflict) {
-          newTasks.push({
-            ...data,
-            createdBy: userObjectId,
-            dueDate: date,
-          });
-        }
+  async update(
+    workspaceId: string,
+    userId: string,
+    id: string,
+    updates: UpdateTaskInput,
+    scope: RecurrenceScope = 'this'
+  ): Promise<ITask> {
+    const updated = await this.updateInScope(workspaceId, userId, id, updates, scope);
+    return this.publish(workspaceId, updated);
+  }
+
+  private async updateInScope(
+    workspaceId: string,
+    userId: string,
+    id: string,
+    updates: UpdateTaskInput,
+    scope: RecurrenceScope
+  ): Promise<ITask> {
+    await projectService.assertInWorkspace(workspaceId, updates.projectId);
+    await workspaceService.assertMembers(workspaceId, updates.assignees);
+    const occurrence = parseOccurrenceId(id);
+    let series: ITask | null = null;
+    let date: string | undefined;
+
+    if (occurrence) {
+      series = await this.findSeries(workspaceId, occurrence.seriesId);
+      date = occurrence.date;
+      // An edited date is an exception and no longer an occurrence of the rule
+      if (!(await Task.exists({ workspaceId, seriesId: series._id, recurrenceId: date }))) {
+        this.assertOccurrence(series, date);
+      }
+    } else {
+      const task = await Task.findOne({ _id: id, workspaceId });
+      if (!task) {
+        throw new AppError('Task not found', 404);
+      }
+
+      if (isSeries(task) || (!task.seriesId && this.makesRecurring(task, updates))) {
+        return this.updateSeries(userId, task, updates);
       }
 
-      if (newTasks.length > 0) {
-        const created = await Task.insertMany(newTasks) as unknown as ITask[];
-        return { tasksAdded: created.length, tasks: created };
+      if (!task.seriesId || scope === 'this') {
+        return this.applyUpdates(userId, task, updates);
       }
 
-      return { tasksAdded: 0 };
+      series = await Task.findOne({ _id: task.seriesId, workspaceId });
+      if (!series) {
+        return this.applyUpdates(userId, task, updates);
+      }
+      date = task.recurrenceId;
     }
 
-    const task = await Task.create({
-      ...data,
-      createdBy: userObjectId,
-    });
+    if (scope === 'this') {
+      const exception = await this.materializeOccurrence(workspaceId, userId, series, date!);
+      return this.applyUpdates(userId, exception, updates);
+    }
+
+    if (scope === 'all' || date! <= series.dueDate) {
+      return this.updateSeries(userId, series, updates, date);
+    }
 
-    return { task };
+    return this.splitSeries(userId, series, date!, updates);
   }
 
-  async update(userId: string, id: string, updates: UpdateTaskInput): Promise<ITask> {
-    const task = await Task.findOne({ _id: id, createdBy: userId });
+  async delete(
+    workspaceId: string,
+    userId: string,
+    id: string,
+    scope: RecurrenceScope = 'this'
+  ): Promise<ITask | TaskOccurrence> {
+    const occurrence = parseOccurrenceId(id);
+
+    if (occurrence) {
+      const series = await this.findSeries(workspaceId, occurrence.seriesId);
+      this.assertOccurrence(series, occurrence.date);
+      const deleted = buildOccurrence(series, occurrence.date);
+      const trashed = await this.deleteFromSeries(userId, series, occurrence.date, scope);
+      await historyService.record(userId, 'deleted', [trashed]);
+      if (scope === 'this') {
+        await historyService.record(userId, 'updated', [series], [{ field: 'occurrence', from: occurrence.date, to: null }]);
+      }
+      eventService.reset(workspaceId, 'task');
+      return deleted;
+    }
+
+    const task = await Task.findOne({ _id: id, workspaceId });
     if (!task) {
       throw new AppError('Task not found', 404);
     }
 
-    const updated = await Task.findByIdAndUpdate(id, updates, {
-      new: true,
-      runValidators: true,
-    });
+    if (isSeries(task)) {
+      await this.deleteFromSeries(userId, task, task.dueDate, 'all');
+      await historyService.record(userId, 'deleted', [task]);
+      eventService.reset(workspaceId, 'task');
+      return task;
+    }
 
-    return updated!;
-  }
+    const deleted: ITask[] = [task];
+    if (task.seriesId && scope !== 'this') {
+      const series = await Task.findOne({ _id: task.seriesId, workspaceId });
+      if (series) {
+        deleted.push(await this.deleteFromSeries(userId, series, task.recurrenceId!, scope));
+      }
+    }
 
-  async delete(userId: string, id: string): Promise<ITask> {
-    const task = await Task.findOneAndDelete({ _id: id, createdBy: userId });
-    if (!task) {
-      throw new AppError('Task not found', 404);
+    await trashService.discard('task', workspaceId, { _id: task._id });
+    await historyService.record(userId, 'deleted', deleted);
+    if (task.seriesId) {
+      eventService.reset(workspaceId, 'task');
+    } else {
+      eventService.deleted(workspaceId, 'task', task._id.toString());
     }
     return task;
   }
 
-  async toggleComplete(userId: string, id: string): Promise<ITask> {
-    const task = await Task.findOne({ _id: id, createdBy: userId });
-    if (!task) {
-      throw new AppError('Task not found', 404);
-    }
+  async toggleComplete(workspaceId: string, userId: string, id: string): Promise<ITask> {
+    const task = await this.resolveTask(workspaceId, userId, id);
 
     const isCompleted = !task.isCompleted;
     const completedAt = isCompleted ? new Date() : undefined;
 
     const updated = await Task.findByIdAndUpdate(
-      id,
+      task._id,
       { isCompleted, completedAt },
       { new: true }
     );
 
-    return updated!;
+    await historyService.recordUpdate(userId, task, updated!);
+    return this.publish(workspaceId, updated!);
   }
 
-  async bulkComplete(userId: string, ids: string[]): Promise<number> {
-    const userObjectId = new mongoose.Types.ObjectId(userId);
-    const result = await Task.updateMany(
-      { _id: { $in: ids }, createdBy: userObjectId },
-      { isCompleted: true, completedAt: new Date() }
-    );
+  async bulkComplete(workspaceId: string, userId: string, ids: string[]): Promise<number> {
+    const workspaceObjectId = new mongoose.Types.ObjectId(workspaceId);
+    const resolvedIds = [];
+    for (const id of ids) {
+      const occurrence = parseOccurrenceId(id);
+      if (occurrence) {
+        const series = await this.findSeries(workspaceId, occurrence.seriesId);
+        const exception = await this.materializeOccurrence(workspaceId, userId, series, occurrence.date);
+        resolvedIds.push(exception._id);
+      } else {
+        resolvedIds.push(id);
+      }
+    }
+
+    const filter = { _id: { $in: resolvedIds }, workspaceId: workspaceObjectId, recurrence: null };
+    const pending = await Task.find({ ...filter, isCompleted: false }, { workspaceId: 1 });
+    const result = await Task.updateMany(filter, { isCompleted: true, completedAt: new Date() });
+    await historyService.record(userId, 'updated', pending, [{ field: 'isCompleted', from: false, to: true }]);
+    eventService.reset(workspaceId, 'task');
     return result.modifiedCount;
   }
 
-  async bulkDelete(userId: string, ids: string[]): Promise<number> {
-    const userObjectId = new mongoose.Types.ObjectId(userId);
-    const result = await Task.deleteMany({ _id: { $in: ids }, createdBy: userObjectId });
-    return result.deletedCount;
-  }
+  async bulkDelete(workspaceId: string, userId: string, ids: string[]): Promise<number> {
+    const taskIds = ids.filter((id) => !parseOccurrenceId(id));
+    const occurrenceIds = ids.filter((id) => parseOccurrenceId(id));
 
-  async dropReschedule(userId: string, id: string, newDate: string): Promise<ITask> {
-    const task = await Task.findOne({ _id: id, createdBy: userId });
-    if (!task) {
-      throw new AppError('Task not found', 404);
+    for (const id of occurrenceIds) {
+      await this.delete(workspaceId, userId, id, 'this');
     }
 
+    const tasks = await Task.find({ _id: { $in: taskIds }, workspaceId }, { workspaceId: 1 });
+    await trashService.discard('task', workspaceId, { seriesId: { $in: taskIds } });
+    const deletedCount = await trashService.discard('task', workspaceId, { _id: { $in: taskIds } });
+    await historyService.record(userId, 'deleted', tasks);
+    eventService.reset(workspaceId, 'task');
+    return deletedCount + occurrenceIds.length;
+  }
+
+  async dropReschedule(workspaceId: string, userId: string, id: string, newDate: string): Promise<ITask> {
+    const task = await this.resolveTask(workspaceId, userId, id);
+
     const updated = await Task.findByIdAndUpdate(
-      id,
-      { dueDate: newDate, assignedSlot: null },
+      task._id,
+      { dueDate: newDate, assignedSlot: null, scheduledBlocks: [] },
       { new: true }
     );
 
-    return updated!;
+    await historyService.recordUpdate(userId, task, updated!);
+    return this.publish(workspaceId, updated!);
   }
 
-  async assignSlot(userId: string, id: string, slot: { date: string; time: string }): Promise<ITask> {
-    const task = await Task.findOne({ _id: id, createdBy: userId });
-    if (!task) {
-      throw new AppError('Task not found', 404);
-    }
+  async assignSlot(workspaceId: string, userId: string, id: string, slot: { date: string; time: string }): Promise<ITask> {
+    const task = await this.resolveTask(workspaceId, userId, id);
 
     const updated = await Task.findByIdAndUpdate(
-      id,
-      { assignedSlot: slot },
+      task._id,
+      { assignedSlot: slot, scheduledBlocks: [] },
       { new: true }
     );
 
-    return updated!;
+    await historyService.recordUpdate(userId, task, updated!);
+    return this.publish(workspaceId, updated!);
   }
 
-  async addSubtask(userId: string, id: string, subtask: { title: string }): Promise<ITask> {
-    const task = await Task.findOne({ _id: id, createdBy: userId });
-    if (!task) {
-      throw new AppError('Task not found', 404);
-    }
+  /**
+   * Splits the task over several blocks of time. The first block also becomes its
+   * assigned slot.
+   */
+  async assignBlocks(workspaceId: string, userId: string, id: string, blocks: ScheduledBlockInput[]): Promise<ITask> {
+    const task = await this.resolveTask(workspaceId, userId, id);
+
+    const sorted = [...blocks].sort((a, b) => `${a.date}T${a.time}`.localeCompare(`${b.date}T${b.time}`));
+    sorted.slice(1).forEach((block, i) => {
+      const end = getSlotEnd(sorted[i], sorted[i].duration);
+      if (`${end.date}T${end.time}` > `${block.date}T${block.time}`) {
+        throw new AppError(`Blocks overlap at ${block.date} ${block.time}`, 400);
+      }
+    });
 
     const updated = await Task.findByIdAndUpdate(
-      id,
+      task._id,
+      {
+        assignedSlot: { date: sorted[0].date, time: sorted[0].time },
+        scheduledBlocks: sorted.map(({ date, time, duration }) => ({ date, time, duration })),
+      },
+      { new: true }
+    );
+
+    await historyService.recordUpdate(userId, task, updated!);
+    return this.publish(workspaceId, updated!);
+  }
+
+  async addSubtask(workspaceId: string, userId: string, id: string, subtask: { title: string }): Promise<ITask> {
+    const task = await this.resolveTask(workspaceId, userId, id);
+
+    const updated = await Task.findByIdAndUpdate(
+      task._id,
       {
         $push: {
           subtasks: {
@@ -256,21 +484,20 @@ class TaskService {
       { new: true }
     );
 
-    return updated!;
+    await historyService.recordUpdate(userId, task, updated!);
+    return this.publish(workspaceId, updated!);
   }
 
   async updateSubtask(
+    workspaceId: string,
     userId: string,
     id: string,
     sid: string,
     updates: { title?: string; isCompleted?: boolean }
   ): Promise<ITask> {
-    const task = await Task.findOne({ _id: id, createdBy: userId });
-    if (!task) {
-      throw new AppError('Task not found', 404);
-    }
+    const task = await this.resolveTask(workspaceId, userId, id);
 
-    const subtaskIndex = task.subtasks.findIndex((s) => s._id.toString() === sid);
+    const subtaskIndex = this.findSubtaskIndex(task, sid);
     if (subtaskIndex === -1) {
       throw new AppError('Subtask not found', 404);
     }
@@ -279,69 +506,152 @@ class TaskService {
     if (updates.title !== undefined) setObj[`subtasks.${subtaskIndex}.title`] = updates.title;
     if (updates.isCompleted !== undefined) setObj[`subtasks.${subtaskIndex}.isCompleted`] = updates.isCompleted;
 
-    const updated = await Task.findByIdAndUpdate(id, { $set: setObj }, { new: true });
-    return updated!;
+    const updated = await Task.findByIdAndUpdate(task._id, { $set: setObj }, { new: true });
+    await historyService.recordUpdate(userId, task, updated!);
+    return this.publish(workspaceId, updated!);
   }
 
-  async deleteSubtask(userId: string, id: string, sid: string): Promise<ITask> {
-    const task = await Task.findOne({ _id: id, createdBy: userId });
-    if (!task) {
-      throw new AppError('Task not found', 404);
+  async deleteSubtask(workspaceId: string, userId: string, id: string, sid: string): Promise<ITask> {
+    const task = await this.resolveTask(workspaceId, userId, id);
+
+    const subtaskIndex = this.findSubtaskIndex(task, sid);
+    if (subtaskIndex === -1) {
+      return task;
     }
 
     const updated = await Task.findByIdAndUpdate(
-      id,
-      { $pull: { subtasks: { _id: new mongoose.Types.ObjectId(sid) } } },
+      task._id,
+      { $pull: { subtasks: { _id: task.subtasks[subtaskIndex]._id } } },
       { new: true }
     );
 
-    return updated!;
+    await historyService.recordUpdate(userId, task, updated!);
+    return this.publish(workspaceId, updated!);
   }
 
-  async toggleSubtaskComplete(userId: string, id: string, sid: string): Promise<ITask> {
-    const task = await Task.findOne({ _id: id, createdBy: userId });
-    if (!task) {
-      throw new AppError('Task not found', 404);
-    }
+  async toggleSubtaskComplete(workspaceId: string, userId: string, id: string, sid: string): Promise<ITask> {
+    const task = await this.resolveTask(workspaceId, userId, id);
 
-    const subtask = task.subtasks.find((s) => s._id.toString() === sid);
-    if (!subtask) {
+    const subtaskIndex = this.findSubtaskIndex(task, sid);
+    if (subtaskIndex === -1) {
       throw new AppError('Subtask not found', 404);
     }
 
-    const subtaskIndex = task.subtasks.findIndex((s) => s._id.toString() === sid);
     const updated = await Task.findByIdAndUpdate(
-      id,
-      { $set: { [`subtasks.${subtaskIndex}.isCompleted`]: !subtask.isCompleted } },
+      task._id,
+      { $set: { [`subtasks.${subtaskIndex}.isCompleted`]: !task.subtasks[subtaskIndex].isCompleted } },
       { new: true }
     );
 
-    return updated!;
+    await historyService.recordUpdate(userId, task, updated!);
+    return this.publish(workspaceId, updated!);
   }
 
-  async duplicateTask(userId: string, id: string): Promise<ITask> {
-    const original = await Task.findOne({ _id: id, createdBy: userId });
-    if (!original) {
-      throw new AppError('Task not found', 404);
-    }
+  async duplicateTask(workspaceId: string, userId: string, id: string): Promise<ITask> {
+    const original = await this.findById(workspaceId, id);
+    const { _id, id: _virtualId, isOccurrence, seriesId, recurrenceId, __v, ...fields } =
+      typeof (original as ITask).toObject === 'function' ? (original as ITask).toObject() : original;
 
     const duplicate = await Task.create({
-      ...original.toObject(),
-      _id: new mongoose.Types.ObjectId(),
+      ...fields,
+      createdBy: userId,
+      // Duplicating a single occurrence yields a standalone task rather than a second series
+      recurrence: isOccurrence ? null : fields.recurrence,
+      repeatFrequency: isOccurrence ? 'none' : fields.repeatFrequency,
       isCompleted: false,
       completedAt: undefined,
       assignedSlot: null,
+      scheduledBlocks: [],
       createdAt: new Date(),
       updatedAt: new Date(),
     });
 
-    return duplicate;
+    await historyService.record(userId, 'created', [duplicate]);
+    return this.publish(workspaceId, duplicate);
   }
 
-  async getStatistics(userId: string): Promise<TaskStatistics> {
-    const userObjectId = new mongoose.Types.ObjectId(userId);
-    const today = new Date().toISOString().split('T')[0];
+  /**
+   * Makes `id` wait for `prerequisiteId`. Links that would close a cycle are rejected.
+   */
+  async addDependency(workspaceId: string, userId: string, id: string, prerequisiteId: string): Promise<ITask> {
+    const task = await this.resolveTask(workspaceId, userId, id);
+    const prerequisite = await this.resolveTask(workspaceId, userId, prerequisiteId);
+
+    if (task._id.equals(prerequisite._id)) {
+      throw new AppError('A task cannot depend on itself', 400);
+    }
+    if (await this.dependsOn(workspaceId, prerequisite._id, task._id)) {
+      throw new AppError(`"${prerequisite.title}" already waits on "${task.title}"; linking them would create a cycle`, 400);
+    }
+
+    const updated = await Task.findByIdAndUpdate(
+      task._id,
+      { $addToSet: { blockedBy: prerequisite._id } },
+      { new: true }
+    );
+    await historyService.recordUpdate(userId, task, updated!);
+    return this.publish(workspaceId, updated!);
+  }
+
+  async removeDependency(workspaceId: string, userId: string, id: string, prerequisiteId: string): Promise<ITask> {
+    const task = await this.resolveTask(workspaceId, userId, id);
+    if (!task.blockedBy.some((d) => d.toString() === prerequisiteId)) {
+      throw new AppError('Dependency not found', 404);
+    }
+
+    const updated = await Task.findByIdAndUpdate(
+      task._id,
+      { $pull: { blockedBy: prerequisiteId } },
+      { new: true }
+    );
+    await historyService.recordUpdate(userId, task, updated!);
+    return this.publish(workspaceId, updated!);
+  }
+
+  /**
+   * Changes to a task, newest first. An occurrence that was never edited has no
+   * history of its own, so its series' history is returned.
+   */
+  async history(workspaceId: string, id: string): Promise<ITaskEvent[]> {
+    const occurrence = parseOccurrenceId(id);
+    let task: ITask | null = null;
+    if (occurrence) {
+      task =
+        (await Task.findOne({ workspaceId, seriesId: occurrence.seriesId, recurrenceId: occurrence.date })) ||
+        (await this.findSeries(workspaceId, occurrence.seriesId));
+    } else if (mongoose.isValidObjectId(id)) {
+      task = await Task.findOne({ _id: id, workspaceId });
+    }
+    if (!task) {
+      throw new AppError('Task not found', 404);
+    }
+    return historyService.findForTask(workspaceId, task._id);
+  }
+
+  /**
+   * Reads task fields out of a quick-add line, e.g. "Call mum fri 6pm 30m #family".
+   * Nothing is saved; the result can be posted to create the task.
+   * @param today - The client's date; defaults to today in the user's time zone
+   */
+  parse(text: string, today?: string, timeZone = 'UTC'): ParsedQuickAdd {
+    return parseQuickAdd(text, today || toZonedDateTime(new Date(), timeZone).date);
+  }
+
+  async getStatistics(workspaceId: string, timeZone = 'UTC', now = new Date()): Promise<TaskStatistics> {
+    const workspaceObjectId = new mongoose.Types.ObjectId(workspaceId);
+    const today = toZonedDateTime(now, timeZone).date;
     const next7Days = this.addDays(today, 7);
+    // Series documents are templates for their occurrences, not tasks in their own right
+    const owned = { workspaceId: workspaceObjectId, recurrence: null };
+    // Past occurrences inside the look-back are overdue work, as in the task list
+    const pastSeries = await Task.find({
+      workspaceId: workspaceObjectId,
+      dueDate: { $lt: today },
+      'recurrence.rrule': { $exists: true },
+    });
+    const overdueOccurrences = pastSeries.flatMap((s) =>
+      expandSeries(s, this.openOccurrencesFrom(today), this.addDays(today, -1))
+    ).length;
 
     const [
       totalTasks,
@@ -350,19 +660,20 @@ class TaskService {
       overdueTasks,
       byPriority,
       upcomingTasks,
+      byProject,
     ] = await Promise.all([
-      Task.countDocuments({ createdBy: userObjectId }),
-      Task.countDocuments({ createdBy: userObjectId, isCompleted: true }),
-      Task.countDocuments({ createdBy: userObjectId, isCompleted: false }),
-      Task.countDocuments({ createdBy: userObjectId, isCompleted: false, dueDate: { $lt: today } }),
+      Task.countDocuments(owned),
+      Task.countDocuments({ ...owned, isCompleted: true }),
+      Task.countDocuments({ ...owned, isCompleted: false }),
+      Task.countDocuments({ ...owned, isCompleted: false, dueDate: { $lt: today } }),
       Task.aggregate([
-        { $match: { createdBy: userObjectId } },
+        { $match: owned },
         { $group: { _id: '$priority', count: { $sum: 1 } } },
       ]),
       Task.aggregate([
         {
           $match: {
-            createdBy: userObjectId,
+            ...owned,
             dueDate: { $gte: today, $lte: next7Days },
             isCompleted: false,
           },
@@ -375,6 +686,16 @@ class TaskService {
         },
         { $sort: { _id: 1 } },
       ]),
+      Task.aggregate([
+        { $match: owned },
+        {
+          $group: {
+            _id: '$projectId',
+            total: { $sum: 1 },
+            completed: { $sum: { $cond: ['$isCompleted', 1, 0] } },
+          },
+        },
+      ]),
     ]);
 
     const priorityMap: { high: number; medium: number; low: number } = { high: 0, medium: 0, low: 0 };
@@ -389,68 +710,391 @@ class TaskService {
       count: t.count,
     }));
 
+    const total = totalTasks + overdueOccurrences;
+
     return {
-      total: totalTasks,
+      total,
       completed: completedTasks,
-      pending: pendingTasks,
-      overdue: overdueTasks,
-      completionRate: totalTasks > 0 ? Math.round((completedTasks / totalTasks) * 100) : 0,
+      pending: pendingTasks + overdueOccurrences,
+      overdue: overdueTasks + overdueOccurrences,
+      completionRate: total > 0 ? Math.round((completedTasks / total) * 100) : 0,
       byPriority: priorityMap,
       next7Days: next7DaysData,
+      byProject: await this.projectProgress(workspaceId, byProject),
     };
   }
 
-  async importJSON(userId: string, json: any): Promise<{ tasksImported: number }> {
-    const userObjectId = new mongoose.Types.ObjectId(userId);
+  /**
+   * Pushes a changed task to connected clients. Recurring tasks reach clients as
+   * expanded occurrences, so a change to a series or one of its exceptions makes them refetch.
+   */
+  private publish(workspaceId: string, task: ITask): ITask {
+    if (isSeries(task) || task.seriesId) {
+      eventService.reset(workspaceId, 'task');
+    } else {
+      eventService.upserted(workspaceId, 'task', task);
+    }
+    return task;
+  }
 
-    if (!json.tasks || !Array.isArray(json.tasks)) {
-      throw new AppError('Invalid JSON format: missing tasks array', 400);
+  /**
+   * Labels per-project counts with their project, in the workspace's project order.
+   * Tasks outside any project are listed last.
+   */
+  private async projectProgress(
+    workspaceId: string,
+    groups: Array<{ _id: mongoose.Types.ObjectId | null; total: number; completed: number }>
+  ): Promise<ProjectProgress[]> {
+    const projects = await Project.find({ workspaceId }).sort({ order: 1, _id: 1 });
+    const counts = new Map(groups.map((g) => [g._id ? g._id.toString() : null, g]));
+    const progress = (projectId: string | null, name: string, color?: string): ProjectProgress => {
+      const { total, completed } = counts.get(projectId)!;
+      return { projectId, name, color, total, completed, completionRate: Math.round((completed / total) * 100) };
+    };
+
+    return [
+      ...projects
+        .filter((p) => counts.has(p._id.toString()))
+        .map((p) => progress(p._id.toString(), p.name, p.color)),
+      ...(counts.has(null) ? [progress(null, 'No project')] : []),
+    ];
+  }
+
+  /**
+   * Pending tasks with at least one prerequisite that is still pending.
+   */
+  private async blockedTaskIds(workspaceObjectId: mongoose.Types.ObjectId): Promise<mongoose.Types.ObjectId[]> {
+    const waiting = await Task.find(
+      { workspaceId: workspaceObjectId, isCompleted: false, 'blockedBy.0': { $exists: true } },
+      { blockedBy: 1 }
+    );
+    const unfinished = new Set(
+      (
+        await Task.find({
+          _id: { $in: waiting.flatMap((t) => t.blockedBy) },
+          isCompleted: false,
+        }).distinct('_id')
+      ).map(String)
+    );
+
+    return waiting.filter((t) => t.blockedBy.some((id) => unfinished.has(id.toString()))).map((t) => t._id);
+  }
+
+  /**
+   * Whether `from` waits on `target`, directly or through other prerequisites.
+   */
+  private async dependsOn(
+    workspaceId: string,
+    from: mongoose.Types.ObjectId,
+    target: mongoose.Types.ObjectId
+  ): Promise<boolean> {
+    const linked = await Task.find({ workspaceId, 'blockedBy.0': { $exists: true } }, { blockedBy: 1 });
+    const edges = new Map(linked.map((t) => [t._id.toString(), t.blockedBy.map(String)]));
+
+    const seen = new Set<string>();
+    const stack = [from.toString()];
+    while (stack.length > 0) {
+      const id = stack.pop()!;
+      if (id === target.toString()) return true;
+      if (seen.has(id)) continue;
+      seen.add(id);
+      stack.push(...(edges.get(id) || []));
     }
+    return false;
+  }
 
-    await Task.deleteMany({ createdBy: userObjectId });
+  private addDays(dateStr: string, days: number): string {
+    return addDaysToDate(dateStr, days);
+  }
 
-    const tasksToInsert = json.tasks.map((t: any) => ({
-      ...t,
-      createdBy: userObjectId,
-    }));
+  /**
+   * The earliest date a past occurrence still counts as open work. Older occurrences
+   * of a series are its history rather than tasks left undone.
+   */
+  private openOccurrencesFrom(today: string): string {
+    return this.addDays(today, -env.OCCURRENCE_LOOKBACK_DAYS);
+  }
 
-    const result = await Task.insertMany(tasksToInsert);
-    return { tasksImported: result.length };
+  private compareBy(sort: Record<string, 1 | -1>) {
+    return (a: any, b: any): number => {
+      for (const [field, direction] of Object.entries(sort)) {
+        const av = a[field] instanceof Date ? a[field].getTime() : a[field] ?? '';
+        const bv = b[field] instanceof Date ? b[field].getTime() : b[field] ?? '';
+        if (av < bv) return -direction;
+        if (av > bv) return direction;
+      }
+      return 0;
+    };
   }
 
-  async importICS(userId: string, events: any[]): Promise<{ tasksAdded: number }> {
-    const userObjectId = new mongoose.Types.ObjectId(userId);
+  private buildRecurrence(data: {
+    recurrence?: RecurrenceInput | null;
+    repeatFrequency?: string;
+    repeatUntil?: string;
+  }): IRecurrence | null {
+    try {
+      if (data.recurrence?.rrule) {
+        return {
+          rrule: formatRRule(parseRRule(data.recurrence.rrule)),
+          exdates: data.recurrence.exdates || [],
+        };
+      }
+      if (data.repeatFrequency && data.repeatFrequency !== 'none') {
+        return {
+          rrule: rruleFromFrequency(data.repeatFrequency as 'daily' | 'weekly' | 'monthly' | 'yearly', data.repeatUntil),
+          exdates: [],
+        };
+      }
+    } catch (error) {
+      throw new AppError((error as Error).message, 400);
+    }
+    return null;
+  }
 
-    const existingTasks = await Task.find({ createdBy: userObjectId });
-    const existingKeys = new Set(
-      existingTasks.map((t) => `${t.title}-${t.dueDate}-${t.dueTime || ''}`)
-    );
+  private recurrenceFields(recurrence: IRecurrence): { repeatFrequency: string; repeatUntil?: string } {
+    return repeatFieldsFromRRule(recurrence.rrule);
+  }
 
-    const newTasks = [];
-    for (const event of events) {
-      const key = `${event.title}-${event.dueDate}-${event.dueTime || ''}`;
-      if (!existingKeys.has(key)) {
-        newTasks.push({
-          ...event,
-          createdBy: userObjectId,
-          type: 'ics-import',
-          isCompleted: false,
-          assignedSlot: null,
-        });
+  private async findSeries(workspaceId: string, seriesId: string): Promise<ITask> {
+    const series = await Task.findOne({ _id: seriesId, workspaceId });
+    if (!series || !isSeries(series)) {
+      throw new AppError('Task not found', 404);
+    }
+    return series;
+  }
+
+  private assertOccurrence(series: ITask, date: string): void {
+    if (!isOccurrenceDate(series.dueDate, series.recurrence!.rrule, date, series.recurrence!.exdates)) {
+      throw new AppError('Occurrence not found', 404);
+    }
+  }
+
+  /**
+   * Resolves an id for a write. Occurrence ids are turned into a stored exception
+   * so the change only affects that single date.
+   */
+  async resolveTask(workspaceId: string, userId: string, id: string): Promise<ITask> {
+    const occurrence = parseOccurrenceId(id);
+    if (occurrence) {
+      const series = await this.findSeries(workspaceId, occurrence.seriesId);
+      return this.materializeOccurrence(workspaceId, userId, series, occurrence.date);
+    }
+
+    const task = await Task.findOne({ _id: id, workspaceId });
+    if (!task) {
+      throw new AppError('Task not found', 404);
+    }
+    if (isSeries(task)) {
+      throw new AppError('Recurring series cannot be changed directly; target an occurrence instead', 400);
+    }
+    return task;
+  }
+
+  /**
+   * Stores the occurrence of `series` on `date` as an exception, recorded as created by
+   * `userId`, and returns it. An exception stored before is returned as it is.
+   */
+  private async materializeOccurrence(workspaceId: string, userId: string, series: ITask, date: string): Promise<ITask> {
+    const existing = await Task.findOne({ workspaceId, seriesId: series._id, recurrenceId: date });
+    if (existing) {
+      return existing;
+    }
+
+    this.assertOccurrence(series, date);
+
+    const { _id, id, __v, recurrence, createdAt, updatedAt, ...fields } = series.toObject();
+    const exception = await Task.create({
+      ...fields,
+      seriesId: series._id,
+      recurrenceId: date,
+      recurrence: null,
+      repeatFrequency: 'none',
+      repeatUntil: undefined,
+      dueDate: date,
+      assignedSlot: fields.assignedSlot?.time ? { date, time: fields.assignedSlot.time } : null,
+      isCompleted: false,
+      completedAt: undefined,
+      subtasks: (fields.subtasks || []).map((s: any) => ({ ...s, isCompleted: false })),
+    });
+
+    await Task.updateOne({ _id: series._id }, { $addToSet: { 'recurrence.exdates': date } });
+    await historyService.record(userId, 'created', [exception]);
+    return exception;
+  }
+
+  private async applyUpdates(userId: string, task: ITask, updates: UpdateTaskInput): Promise<ITask> {
+    const { recurrence, repeatFrequency, repeatUntil, ...rest } = updates;
+    // Setting a single slot ends any split into blocks
+    const changes = rest.assignedSlot !== undefined ? { ...rest, scheduledBlocks: [] } : rest;
+    const updated = await Task.findByIdAndUpdate(task._id, changes, {
+      new: true,
+      runValidators: true,
+    });
+    await historyService.recordUpdate(userId, task, updated!);
+    return updated!;
+  }
+
+  /**
+   * Applies updates to every occurrence of a series. When the edit came from an
+   * occurrence (`fromDate`) a dueDate change shifts the whole series by the same offset.
+   */
+  private nextRecurrence(series: ITask, updates: UpdateTaskInput): IRecurrence | null {
+    const current: IRecurrence | null = series.recurrence
+      ? { rrule: series.recurrence.rrule, exdates: [...series.recurrence.exdates] }
+      : null;
+
+    if (updates.recurrence !== undefined) {
+      return this.buildRecurrence({ recurrence: updates.recurrence });
+    }
+
+    const frequency = updates.repeatFrequency ?? series.repeatFrequency;
+    const until = updates.repeatUntil !== undefined ? updates.repeatUntil || undefined : series.repeatUntil;
+
+    if (current && frequency === series.repeatFrequency) {
+      if (until === (series.repeatUntil || undefined)) {
+        return current;
       }
+      // Only the end date moved: keep BYDAY / INTERVAL from the stored rule
+      const { count, ...rule } = parseRRule(current.rrule);
+      return { ...current, rrule: formatRRule({ ...rule, until, ...(!until && count && { count }) }) };
+    }
+
+    const rebuilt = this.buildRecurrence({ repeatFrequency: frequency, repeatUntil: until });
+    if (rebuilt && current) {
+      rebuilt.exdates = current.exdates;
+    }
+    return rebuilt;
+  }
+
+  private async updateSeries(
+    userId: string,
+    series: ITask,
+    updates: UpdateTaskInput,
+    fromDate?: string
+  ): Promise<ITask> {
+    const changes: any = { ...updates };
+    SERIES_ONLY_FIELDS.forEach((field) => delete changes[field]);
+
+    const shift = updates.dueDate ? this.daysBetween(fromDate || series.dueDate, updates.dueDate) : 0;
+    const start = this.addDays(series.dueDate, shift);
+    changes.dueDate = start;
+
+    let recurrence = this.nextRecurrence(series, updates);
+
+    if (recurrence && shift !== 0) {
+      recurrence.exdates = recurrence.exdates.map((d) => this.addDays(d, shift));
     }
 
-    if (newTasks.length > 0) {
-      await Task.insertMany(newTasks);
+    changes.recurrence = recurrence;
+    if (recurrence) {
+      Object.assign(changes, this.recurrenceFields(recurrence));
+    } else {
+      changes.repeatFrequency = 'none';
     }
 
-    return { tasksAdded: newTasks.length };
+    if (updates.assignedSlot) {
+      changes.assignedSlot = { date: start, time: updates.assignedSlot.time };
+    }
+
+    const updated = await Task.findByIdAndUpdate(series._id, changes, {
+      new: true,
+      runValidators: true,
+    });
+    await historyService.recordUpdate(userId, series, updated!);
+    return updated!;
   }
 
-  private addDays(dateStr: string, days: number): string {
-    const date = new Date(dateStr);
-    date.setDate(date.getDate() + days);
-    return date.toISOString().split('T')[0];
+  /**
+   * "This and following": ends the original series the day before `date` and starts
+   * a new series from `date` carrying the updates and the remaining occurrences.
+   */
+  private async splitSeries(userId: string, series: ITask, date: string, updates: UpdateTaskInput): Promise<ITask> {
+    const tail = await this.detachFollowing(series, date);
+
+    const ended = await Task.findById(series._id);
+    await historyService.recordUpdate(userId, series, ended!);
+    await historyService.record(userId, 'created', [tail]);
+    return this.updateSeries(userId, tail, updates, date);
+  }
+
+  /**
+   * Ends `series` the day before `date` and returns a new series carrying its remaining
+   * occurrences, their EXDATEs and their exceptions.
+   */
+  private async detachFollowing(series: ITask, date: string): Promise<ITask> {
+    const rule = parseRRule(series.recurrence!.rrule);
+    const before = countOccurrencesBefore(series.dueDate, rule, date);
+    const exdates = series.recurrence!.exdates;
+
+    if (rule.count && rule.count - before <= 0) {
+      throw new AppError(`The series has no occurrences from ${date}`, 400);
+    }
+
+    const { _id, id, __v, createdAt, updatedAt, ...fields } = series.toObject();
+    const remaining = rule.count ? { ...rule, count: rule.count - before } : rule;
+    const head = rule.count ? { ...rule, count: before } : { ...rule, until: this.addDays(date, -1) };
+
+    await Task.updateOne(
+      { _id: series._id },
+      {
+        recurrence: { rrule: formatRRule(head), exdates: exdates.filter((d) => d < date) },
+        ...this.recurrenceFields({ rrule: formatRRule(head), exdates: [] }),
+      }
+    );
+
+    const tail = await Task.create({
+      ...fields,
+      recurrence: { rrule: formatRRule(remaining), exdates: exdates.filter((d) => d >= date) },
+      ...this.recurrenceFields({ rrule: formatRRule(remaining), exdates: [] }),
+      dueDate: date,
+      assignedSlot: fields.assignedSlot?.time ? { date, time: fields.assignedSlot.time } : null,
+    });
+
+    await Task.updateMany(
+      { workspaceId: series.workspaceId, seriesId: series._id, recurrenceId: { $gte: date } },
+      { seriesId: tail._id }
+    );
+    return tail;
+  }
+
+  /**
+   * Moves what `scope` covers from `date` on to the trash and returns the record that
+   * went there: the whole series, a new series split off with the following occurrences,
+   * or the single occurrence as an exception. Restoring that record brings the dates back.
+   */
+  private async deleteFromSeries(userId: string, series: ITask, date: string, scope: RecurrenceScope): Promise<ITask> {
+    const workspaceId = series.workspaceId.toString();
+    let trashed = series;
+
+    if (scope === 'this') {
+      trashed = await this.materializeOccurrence(workspaceId, userId, series, date);
+    } else if (scope === 'following' && date > series.dueDate) {
+      trashed = await this.detachFollowing(series, date);
+      const ended = await Task.findById(series._id);
+      await historyService.recordUpdate(userId, series, ended!);
+    }
+
+    await trashService.discard('task', workspaceId, { $or: [{ _id: trashed._id }, { seriesId: trashed._id }] });
+    return trashed;
+  }
+
+  private makesRecurring(task: ITask, updates: UpdateTaskInput): boolean {
+    if (updates.recurrence?.rrule) return true;
+    // Tasks materialised by the old copy-per-occurrence scheme keep their repeatFrequency;
+    // only an actual change of frequency turns a plain task into a series
+    return (
+      !!updates.repeatFrequency &&
+      updates.repeatFrequency !== 'none' &&
+      updates.repeatFrequency !== task.repeatFrequency
+    );
+  }
+
+  private daysBetween(from: string, to: string): number {
+    return Math.round((Date.parse(to) - Date.parse(from)) / (24 * 60 * 60 * 1000));
+  }
+
+  private findSubtaskIndex(task: ITask, sid: string): number {
+    return task.subtasks.findIndex((s) => s._id.toString() === sid);
   }
 }
 
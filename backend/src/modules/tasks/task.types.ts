@@ -1,3 +1,10 @@
+export interface RecurrenceInput {
+  rrule: string;
+  exdates?: string[];
+}
+
+export type RecurrenceScope = 'this' | 'following' | 'all';
+
 export interface CreateTaskInput {
   title: string;
   description?: string;
@@ -7,10 +14,17 @@ export interface CreateTaskInput {
   priority?: 'high' | 'medium' | 'low';
   estimatedDuration?: number;
   tags?: string[];
+  projectId?: string | null;
+  assignees?: string[];
+  // Minutes before the due time at which to send a reminder
+  reminders?: number[];
   repeatFrequency?: 'none' | 'daily' | 'weekly' | 'monthly' | 'yearly';
   repeatUntil?: string;
+  recurrence?: RecurrenceInput | null;
   subtasks?: { title: string }[];
   type?: string;
+  // True for a fixed event, false for flexible work, null to follow the user's rules
+  isFixed?: boolean | null;
 }
 
 export interface UpdateTaskInput extends Partial<CreateTaskInput> {
@@ -20,13 +34,20 @@ export interface UpdateTaskInput extends Partial<CreateTaskInput> {
 }
 
 export interface TaskQuery {
-  status?: 'pending' | 'completed' | 'overdue';
+  // 'blocked' selects pending tasks waiting on an unfinished prerequisite
+  status?: 'pending' | 'completed' | 'overdue' | 'blocked';
   day?: 'today' | 'tomorrow' | 'dayAfterTomorrow' | 'thisWeek' | 'thisMonth' | 'all';
   tags?: string;
   sort?: 'dueDate' | 'priority' | 'title' | 'createdAt';
   search?: string;
+  // A project id, or 'none' for tasks outside any project
+  project?: string;
+  // 'me', 'unassigned' or a member's user id
+  assignee?: string;
   page?: string;
   limit?: string;
+  from?: string;
+  to?: string;
 }
 
 export interface BulkIdsInput {
@@ -42,6 +63,21 @@ export interface AssignSlotInput {
   time: string;
 }
 
+export interface ScheduledBlockInput {
+  date: string;
+  time: string;
+  duration: number;
+}
+
+export interface ParseTaskInput {
+  text: string;
+  today?: string;
+}
+
+export interface DependencyInput {
+  taskId: string;
+}
+
 export interface SubtaskInput {
   title: string;
 }
@@ -58,4 +94,14 @@ export interface TaskStatistics {
     low: number;
   };
   next7Days: { date: string; count: number }[];
+  byProject: ProjectProgress[];
+}
+
+export interface ProjectProgress {
+  projectId: string | null;
+  name: string;
+  color?: string;
+  total: number;
+  completed: number;
+  completionRate: number;
 }
@@ -1,4 +1,29 @@
 import { z } from 'zod';
+import { parseRRule } from '../../utils/recurrence/rrule';
+
+const RecurrenceDTO = z.object({
+  rrule: z.string().min(1, 'RRULE is required').refine(
+    (rule) => {
+      try {
+        parseRRule(rule);
+        return true;
+      } catch {
+        return false;
+      }
+    },
+    { message: 'Invalid RRULE' }
+  ),
+  exdates: z.array(z.string().regex(/^\d{4}-\d{2}-\d{2}$/, 'EXDATE must be YYYY-MM-DD')).optional(),
+});
+
+const ProjectIdDTO = z.string().regex(/^[0-9a-f]{24}$/i, 'Invalid project id');
+
+const UserIdDTO = z.string().regex(/^[0-9a-f]{24}$/i, 'Invalid user id');
+
+// Up to five reminders, at most a week before the due time
+const RemindersDTO = z.array(z.number().int().min(0).max(7 * 24 * 60)).max(5, 'A task can have at most 5 reminders');
+
+const RecurrenceScopeDTO = z.enum(['this', 'following', 'all']).optional();
 
 export const CreateTaskDTO = z.object({
   body: z.object({
@@ -10,10 +35,15 @@ export const CreateTaskDTO = z.object({
     priority: z.enum(['high', 'medium', 'low']).optional(),
     estimatedDuration: z.number().optional(),
     tags: z.array(z.string()).optional(),
+    projectId: ProjectIdDTO.nullable().optional(),
+    assignees: z.array(UserIdDTO).optional(),
+    reminders: RemindersDTO.optional(),
     repeatFrequency: z.enum(['none', 'daily', 'weekly', 'monthly', 'yearly']).optional(),
     repeatUntil: z.string().optional(),
+    recurrence: RecurrenceDTO.nullable().optional(),
     subtasks: z.array(z.object({ title: z.string() })).optional(),
     type: z.string().optional(),
+    isFixed: z.boolean().nullable().optional(),
   }),
 });
 
@@ -21,6 +51,9 @@ export const UpdateTaskDTO = z.object({
   params: z.object({
     id: z.string(),
   }),
+  query: z.object({
+    scope: RecurrenceScopeDTO,
+  }),
   body: z.object({
     title: z.string().min(1).optional(),
     description: z.string().optional(),
@@ -30,9 +63,14 @@ export const UpdateTaskDTO = z.object({
     priority: z.enum(['high', 'medium', 'low']).optional(),
     estimatedDuration: z.number().optional(),
     tags: z.array(z.string()).optional(),
+    projectId: ProjectIdDTO.nullable().optional(),
+    assignees: z.array(UserIdDTO).optional(),
+    reminders: RemindersDTO.optional(),
     repeatFrequency: z.enum(['none', 'daily', 'weekly', 'monthly', 'yearly']).optional(),
     repeatUntil: z.string().optional(),
+    recurrence: RecurrenceDTO.nullable().optional(),
     isCompleted: z.boolean().optional(),
+    isFixed: z.boolean().nullable().optional(),
     assignedSlot: z
       .object({
         date: z.string(),
@@ -52,13 +90,26 @@ export const UpdateTaskDTO = z.object({
 
 export const TaskQueryDTO = z.object({
   query: z.object({
-    status: z.enum(['pending', 'completed', 'overdue']).optional(),
+    status: z.enum(['pending', 'completed', 'overdue', 'blocked']).optional(),
     day: z.enum(['today', 'tomorrow', 'dayAfterTomorrow', 'thisWeek', 'thisMonth', 'all']).optional(),
     tags: z.string().optional(),
     sort: z.string().optional(),
     search: z.string().optional(),
+    project: z.union([ProjectIdDTO, z.literal('none')]).optional(),
+    assignee: z.union([UserIdDTO, z.enum(['me', 'unassigned'])]).optional(),
     page: z.coerce.number().optional(),
     limit: z.coerce.number().optional(),
+    from: z.string().regex(/^\d{4}-\d{2}-\d{2}$/, 'from must be YYYY-MM-DD').optional(),
+    to: z.string().regex(/^\d{4}-\d{2}-\d{2}$/, 'to must be YYYY-MM-DD').optional(),
+  }),
+});
+
+export const DeleteTaskDTO = z.object({
+  params: z.object({
+    id: z.string(),
+  }),
+  query: z.object({
+    scope: RecurrenceScopeDTO,
   }),
 });
 
@@ -87,6 +138,24 @@ export const AssignSlotDTO = z.object({
   }),
 });
 
+export const AssignBlocksDTO = z.object({
+  params: z.object({
+    id: z.string(),
+  }),
+  body: z.object({
+    blocks: z
+      .array(
+        z.object({
+          date: z.string().regex(/^\d{4}-\d{2}-\d{2}$/, 'Block date must be YYYY-MM-DD'),
+          time: z.string().regex(/^([01]\d|2[0-3]):[0-5]\d$/, 'Block time must be HH:mm'),
+          duration: z.number().int().min(5).max(24 * 60),
+        })
+      )
+      .min(1, 'At least one block is required')
+      .max(20, 'A task can have at most 20 blocks'),
+  }),
+});
+
 export const SubtaskDTO = z.object({
   params: z.object({
     id: z.string(),
@@ -107,6 +176,14 @@ export const SubtaskUpdateDTO = z.object({
   }),
 });
 
+export const ParseTaskDTO = z.object({
+  body: z.object({
+    text: z.string().trim().min(1, 'Text is required').max(500),
+    // The user's own date, so "today" and "fri" read as they expect
+    today: z.string().regex(/^\d{4}-\d{2}-\d{2}$/, 'today must be YYYY-MM-DD').optional(),
+  }),
+});
+
 export const CheckConflictDTO = z.object({
   body: z.object({
     proposedDate: z.string(),
@@ -114,6 +191,15 @@ export const CheckConflictDTO = z.object({
   }),
 });
 
+export const DependencyDTO = z.object({
+  params: z.object({
+    id: z.string(),
+  }),
+  body: z.object({
+    taskId: z.string().min(1, 'Prerequisite task id is required'),
+  }),
+});
+
 export type CreateTaskInput = z.infer<typeof CreateTaskDTO>['body'];
 export type UpdateTaskInput = z.infer<typeof UpdateTaskDTO>['body'];
 export type TaskQuery = z.infer<typeof TaskQueryDTO>['query'];
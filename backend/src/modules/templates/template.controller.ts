@@ -3,8 +3,8 @@ import { catchAsync } from '../../utils/handlers/catchAsync';
 import templateService from './template.service';
 
 export const findAll = catchAsync(async (req: Request, res: Response) => {
-  const userId = req.user!._id.toString();
-  const templates = await templateService.findAll(userId);
+  const workspaceId = req.workspace!.id;
+  const templates = await templateService.findAll(workspaceId);
 
   res.json({
     status: 'success',
@@ -15,8 +15,9 @@ export const findAll = catchAsync(async (req: Request, res: Response) => {
 
 export const create = catchAsync(async (req: Request, res: Response) => {
   const data = req.body;
+  const workspaceId = req.workspace!.id;
   const userId = req.user!._id.toString();
-  const template = await templateService.create(userId, data);
+  const template = await templateService.create(workspaceId, userId, data);
 
   res.status(201).json({
     status: 'success',
@@ -26,8 +27,8 @@ export const create = catchAsync(async (req: Request, res: Response) => {
 
 export const remove = catchAsync(async (req: Request, res: Response) => {
   const { id } = req.params as { id: string };
-  const userId = req.user!._id.toString();
-  const template = await templateService.delete(userId, id);
+  const workspaceId = req.workspace!.id;
+  const template = await templateService.delete(workspaceId, id);
 
   res.json({
     status: 'success',
@@ -1,10 +1,11 @@
 import { Router } from 'express';
 import * as templateController from './template.controller';
 import { authenticate } from '../../utils/middleware/auth.middleware';
+import { resolveWorkspace, authorizeWrites } from '../../utils/middleware/workspace.middleware';
 
 const router = Router();
 
-router.use(authenticate);
+router.use(authenticate, resolveWorkspace, authorizeWrites);
 
 router.get('/', templateController.findAll);
 router.post('/', templateController.create);
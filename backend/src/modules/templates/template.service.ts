@@ -1,22 +1,25 @@
 import { Template, ITemplate } from '../../database/models/template.model';
 import { AppError } from '../../utils/handlers/appError';
+import eventService from '../events/event.service';
 
 class TemplateService {
-  async findAll(userId: string): Promise<ITemplate[]> {
-    return Template.find({ createdBy: userId });
+  async findAll(workspaceId: string): Promise<ITemplate[]> {
+    return Template.find({ workspaceId });
   }
 
-  async create(userId: string, data: { name: string; descriptionType?: string; defaults?: any }): Promise<ITemplate> {
+  async create(workspaceId: string, userId: string, data: { name: string; descriptionType?: string; defaults?: any }): Promise<ITemplate> {
     const template = await Template.create({
       ...data,
+      workspaceId,
       createdBy: userId,
       isSystem: false,
     });
+    eventService.upserted(workspaceId, 'template', template);
     return template;
   }
 
-  async delete(userId: string, id: string): Promise<ITemplate> {
-    const template = await Template.findOne({ _id: id, createdBy: userId });
+  async delete(workspaceId: string, id: string): Promise<ITemplate> {
+    const template = await Template.findOne({ _id: id, workspaceId });
     if (!template) {
       throw new AppError('Template not found', 404);
     }
@@ -26,6 +29,7 @@ class TemplateService {
     }
 
     await Template.findByIdAndDelete(id);
+    eventService.deleted(workspaceId, 'template', id);
     return template;
   }
 }
@@ -0,0 +1,97 @@
+import { Request, Response } from 'express';
+import { catchAsync } from '../../utils/handlers/catchAsync';
+import timeEntryService from './timeEntry.service';
+import type { TimeEntryInput, UpdateTimeEntryInput } from './timeEntry.types';
+
+export const findAll = catchAsync(async (req: Request, res: Response) => {
+  const { id } = req.params as { id: string };
+  const workspaceId = req.workspace!.id;
+  const entries = await timeEntryService.findAll(workspaceId, id);
+
+  res.json({
+    status: 'success',
+    results: entries.length,
+    data: entries,
+  });
+});
+
+export const findRunning = catchAsync(async (req: Request, res: Response) => {
+  const workspaceId = req.workspace!.id;
+  const userId = req.user!._id.toString();
+  const entry = await timeEntryService.findRunning(workspaceId, userId);
+
+  res.json({
+    status: 'success',
+    data: entry,
+  });
+});
+
+export const getAccuracy = catchAsync(async (req: Request, res: Response) => {
+  const workspaceId = req.workspace!.id;
+  const report = await timeEntryService.estimateAccuracy(workspaceId);
+
+  res.json({
+    status: 'success',
+    data: report,
+  });
+});
+
+export const start = catchAsync(async (req: Request, res: Response) => {
+  const { id } = req.params as { id: string };
+  const workspaceId = req.workspace!.id;
+  const userId = req.user!._id.toString();
+  const entry = await timeEntryService.start(workspaceId, userId, id);
+
+  res.status(201).json({
+    status: 'success',
+    data: entry,
+  });
+});
+
+export const stop = catchAsync(async (req: Request, res: Response) => {
+  const { id } = req.params as { id: string };
+  const workspaceId = req.workspace!.id;
+  const userId = req.user!._id.toString();
+  const entry = await timeEntryService.stop(workspaceId, userId, id);
+
+  res.json({
+    status: 'success',
+    data: entry,
+  });
+});
+
+export const create = catchAsync(async (req: Request, res: Response) => {
+  const { id } = req.params as { id: string };
+  const data = req.body as TimeEntryInput;
+  const workspaceId = req.workspace!.id;
+  const userId = req.user!._id.toString();
+  const entry = await timeEntryService.create(workspaceId, userId, id, data);
+
+  res.status(201).json({
+    status: 'success',
+    data: entry,
+  });
+});
+
+export const update = catchAsync(async (req: Request, res: Response) => {
+  const { id, entryId } = req.params as { id: string; entryId: string };
+  const updates = req.body as UpdateTimeEntryInput;
+  const workspaceId = req.workspace!.id;
+  const entry = await timeEntryService.update(workspaceId, id, entryId, updates);
+
+  res.json({
+    status: 'success',
+    data: entry,
+  });
+});
+
+export const remove = catchAsync(async (req: Request, res: Response) => {
+  const { id, entryId } = req.params as { id: string; entryId: string };
+  const workspaceId = req.workspace!.id;
+  const entry = await timeEntryService.delete(workspaceId, id, entryId);
+
+  res.json({
+    status: 'success',
+    data: entry,
+  });
+});
@@ -0,0 +1,16 @@
+import { Router } from 'express';
+import * as timeEntryController from './timeEntry.controller';
+import { validate } from '../../utils/middleware/validate.middleware';
+import { TimeEntryDTO, UpdateTimeEntryDTO } from './timeEntry.validator';
+
+// Mounted at /tasks/:id/time-entries behind the task routes' auth and workspace checks
+const router = Router({ mergeParams: true });
+
+router.get('/', timeEntryController.findAll);
+router.post('/', validate(TimeEntryDTO), timeEntryController.create);
+router.post('/start', timeEntryController.start);
+router.post('/stop', timeEntryController.stop);
+router.patch('/:entryId', validate(UpdateTimeEntryDTO), timeEntryController.update);
+router.delete('/:entryId', timeEntryController.remove);
+
+export default router;
@@ -0,0 +1,162 @@
+import mongoose from 'mongoose';
+import { TimeEntry, ITimeEntry } from '../../database/models/timeEntry.model';
+import { Task, ITask } from '../../database/models/task.model';
+import { AppError } from '../../utils/handlers/appError';
+import taskService from '../tasks/task.service';
+import eventService from '../events/event.service';
+import type { EstimateAccuracy, EstimateAccuracyReport, TimeEntryInput, UpdateTimeEntryInput } from './timeEntry.types';
+
+const PRIORITY_ORDER = ['high', 'medium', 'low'];
+
+type Totals = { tasks: number; estimatedMinutes: number; actualMinutes: number };
+
+class TimeEntryService {
+  async findAll(workspaceId: string, taskId: string): Promise<ITimeEntry[]> {
+    const task = await this.findLoggedTask(workspaceId, taskId);
+    if (!task) return [];
+
+    return TimeEntry.find({ workspaceId, taskId: task._id }).sort({ startedAt: -1 }).populate('user', 'name email');
+  }
+
+  async findRunning(workspaceId: string, userId: string): Promise<ITimeEntry | null> {
+    return TimeEntry.findOne({ workspaceId, user: userId, endedAt: null }).populate('taskId', 'title');
+  }
+
+  /**
+   * Starts a timer on a task. A user has one timer at a time, so a timer running
+   * on another task is stopped first.
+   */
+  async start(workspaceId: string, userId: string, taskId: string): Promise<ITimeEntry> {
+    const task = await taskService.resolveTask(workspaceId, userId, taskId);
+
+    await TimeEntry.updateMany({ workspaceId, user: userId, endedAt: null }, { endedAt: new Date() });
+    let entry: ITimeEntry;
+    try {
+      entry = await TimeEntry.create({ workspaceId, taskId: task._id, user: userId, startedAt: new Date() });
+    } catch (error: any) {
+      // A concurrent request started a timer first
+      if (error?.code !== 11000) throw error;
+      throw new AppError('Another timer was started at the same time', 409);
+    }
+    this.publishException(workspaceId, task);
+    return entry.populate('taskId', 'title');
+  }
+
+  async stop(workspaceId: string, userId: string, taskId: string): Promise<ITimeEntry> {
+    const task = await taskService.resolveTask(workspaceId, userId, taskId);
+
+    const entry = await TimeEntry.findOneAndUpdate(
+      { workspaceId, user: userId, taskId: task._id, endedAt: null },
+      { endedAt: new Date() },
+      { new: true }
+    );
+    if (!entry) {
+      throw new AppError('No timer is running for this task', 404);
+    }
+    return entry;
+  }
+
+  async create(workspaceId: string, userId: string, taskId: string, data: TimeEntryInput): Promise<ITimeEntry> {
+    const task = await taskService.resolveTask(workspaceId, userId, taskId);
+    const entry = await TimeEntry.create({ ...data, workspaceId, taskId: task._id, user: userId });
+    this.publishException(workspaceId, task);
+    return entry;
+  }
+
+  async update(workspaceId: string, taskId: string, entryId: string, updates: UpdateTimeEntryInput): Promise<ITimeEntry> {
+    const entry = await this.findEntry(workspaceId, taskId, entryId);
+
+    entry.set(updates);
+    if (entry.endedAt && entry.endedAt <= entry.startedAt) {
+      throw new AppError('End must be after start', 400);
+    }
+    return entry.save();
+  }
+
+  async delete(workspaceId: string, taskId: string, entryId: string): Promise<ITimeEntry> {
+    const entry = await this.findEntry(workspaceId, taskId, entryId);
+    await entry.deleteOne();
+    return entry;
+  }
+
+  /**
+   * Compares estimates with the time actually logged on completed tasks, grouped by
+   * tag and by priority. Tasks without an estimate or without logged time are left out.
+   */
+  async estimateAccuracy(workspaceId: string): Promise<EstimateAccuracyReport> {
+    const workspaceObjectId = new mongoose.Types.ObjectId(workspaceId);
+    const logged = await TimeEntry.aggregate<{ _id: mongoose.Types.ObjectId; ms: number }>([
+      { $match: { workspaceId: workspaceObjectId, endedAt: { $ne: null } } },
+      { $group: { _id: '$taskId', ms: { $sum: { $subtract: ['$endedAt', '$startedAt'] } } } },
+    ]);
+    const minutes = new Map(logged.map((l) => [l._id.toString(), l.ms / 60000]));
+
+    const tasks = await Task.find(
+      { _id: { $in: logged.map((l) => l._id) }, workspaceId, isCompleted: true, estimatedDuration: { $gt: 0 } },
+      { tags: 1, priority: 1, estimatedDuration: 1 }
+    );
+
+    const byTag = new Map<string, Totals>();
+    const byPriority = new Map<string, Totals>();
+    for (const task of tasks) {
+      const actual = minutes.get(task._id.toString())!;
+      task.tags.forEach((tag) => this.add(byTag, tag, task, actual));
+      this.add(byPriority, task.priority, task, actual);
+    }
+
+    return {
+      byTag: this.summarize(byTag).sort((a, b) => b.tasks - a.tasks || a.key.localeCompare(b.key)),
+      byPriority: this.summarize(byPriority).sort((a, b) => PRIORITY_ORDER.indexOf(a.key) - PRIORITY_ORDER.indexOf(b.key)),
+    };
+  }
+
+  /**
+   * The stored task time is logged against. Occurrences nobody has worked on yet
+   * have none.
+   */
+  private async findLoggedTask(workspaceId: string, taskId: string): Promise<ITask | null> {
+    const task = await taskService.findById(workspaceId, taskId);
+    return 'isOccurrence' in task && task.isOccurrence ? null : (task as ITask);
+  }
+
+  private async findEntry(workspaceId: string, taskId: string, entryId: string): Promise<ITimeEntry> {
+    const task = await this.findLoggedTask(workspaceId, taskId);
+    const entry = task && mongoose.isValidObjectId(entryId)
+      ? await TimeEntry.findOne({ _id: entryId, workspaceId, taskId: task._id })
+      : null;
+    if (!entry) {
+      throw new AppError('Time entry not found', 404);
+    }
+    return entry;
+  }
+
+  /**
+   * Logging time on an occurrence stores it as an exception, which clients only
+   * see once they refetch.
+   */
+  private publishException(workspaceId: string, task: ITask): void {
+    if (task.seriesId) {
+      eventService.reset(workspaceId, 'task');
+    }
+  }
+
+  private add(groups: Map<string, Totals>, key: string, task: ITask, actual: number): void {
+    const totals = groups.get(key) || { tasks: 0, estimatedMinutes: 0, actualMinutes: 0 };
+    totals.tasks += 1;
+    totals.estimatedMinutes += task.estimatedDuration;
+    totals.actualMinutes += actual;
+    groups.set(key, totals);
+  }
+
+  private summarize(groups: Map<string, Totals>): EstimateAccuracy[] {
+    return [...groups].map(([key, totals]) => ({
+      key,
+      tasks: totals.tasks,
+      estimatedMinutes: totals.estimatedMinutes,
+      actualMinutes: Math.round(totals.actualMinutes),
+      ratio: Math.round((totals.actualMinutes / totals.estimatedMinutes) * 100) / 100,
+    }));
+  }
+}
+
+export default new TimeEntryService();
@@ -0,0 +1,22 @@
+export interface TimeEntryInput {
+  startedAt: Date;
+  endedAt: Date;
+  note?: string;
+}
+
+export type UpdateTimeEntryInput = Partial<TimeEntryInput>;
+
+export interface EstimateAccuracy {
+  // Tag or priority the tasks share
+  key: string;
+  tasks: number;
+  estimatedMinutes: number;
+  actualMinutes: number;
+  // Logged time divided by the estimate; above 1 means tasks took longer than planned
+  ratio: number;
+}
+
+export interface EstimateAccuracyReport {
+  byTag: EstimateAccuracy[];
+  byPriority: EstimateAccuracy[];
+}
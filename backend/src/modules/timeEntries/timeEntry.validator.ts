@@ -0,0 +1,25 @@
+import { z } from 'zod';
+
+const EntryRangeDTO = z.object({
+  startedAt: z.coerce.date(),
+  endedAt: z.coerce.date(),
+  note: z.string().max(500).optional(),
+});
+
+export const TimeEntryDTO = z.object({
+  params: z.object({
+    id: z.string(),
+  }),
+  body: EntryRangeDTO.refine((entry) => entry.endedAt > entry.startedAt, {
+    message: 'End must be after start',
+    path: ['endedAt'],
+  }),
+});
+
+export const UpdateTimeEntryDTO = z.object({
+  params: z.object({
+    id: z.string(),
+    entryId: z.string(),
+  }),
+  body: EntryRangeDTO.partial(),
+});
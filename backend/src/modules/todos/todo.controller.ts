@@ -3,8 +3,8 @@ import { catchAsync } from '../../utils/handlers/catchAsync';
 import todoService from './todo.service';
 
 export const findAll = catchAsync(async (req: Request, res: Response) => {
-  const userId = req.user!._id.toString();
-  const todos = await todoService.findAll(userId);
+  const workspaceId = req.workspace!.id;
+  const todos = await todoService.findAll(workspaceId);
 
   res.json({
     status: 'success',
@@ -15,8 +15,8 @@ export const findAll = catchAsync(async (req: Request, res: Response) => {
 
 export const findById = catchAsync(async (req: Request, res: Response) => {
   const { id } = req.params as { id: string };
-  const userId = req.user!._id.toString();
-  const todo = await todoService.findById(userId, id);
+  const workspaceId = req.workspace!.id;
+  const todo = await todoService.findById(workspaceId, id);
 
   res.json({
     status: 'success',
@@ -26,8 +26,9 @@ export const findById = catchAsync(async (req: Request, res: Response) => {
 
 export const create = catchAsync(async (req: Request, res: Response) => {
   const data = req.body;
+  const workspaceId = req.workspace!.id;
   const userId = req.user!._id.toString();
-  const todo = await todoService.create(userId, data);
+  const todo = await todoService.create(workspaceId, userId, data, req.get('Idempotency-Key'));
 
   res.status(201).json({
     status: 'success',
@@ -38,8 +39,8 @@ export const create = catchAsync(async (req: Request, res: Response) => {
 export const update = catchAsync(async (req: Request, res: Response) => {
   const { id } = req.params as { id: string };
   const updates = req.body;
-  const userId = req.user!._id.toString();
-  const todo = await todoService.update(userId, id, updates);
+  const workspaceId = req.workspace!.id;
+  const todo = await todoService.update(workspaceId, id, updates);
 
   res.json({
     status: 'success',
@@ -49,8 +50,8 @@ export const update = catchAsync(async (req: Request, res: Response) => {
 
 export const remove = catchAsync(async (req: Request, res: Response) => {
   const { id } = req.params as { id: string };
-  const userId = req.user!._id.toString();
-  const todo = await todoService.delete(userId, id);
+  const workspaceId = req.workspace!.id;
+  const todo = await todoService.delete(workspaceId, id);
 
   res.json({
     status: 'success',
@@ -60,8 +61,8 @@ export const remove = catchAsync(async (req: Request, res: Response) => {
 
 export const toggleComplete = catchAsync(async (req: Request, res: Response) => {
   const { id } = req.params as { id: string };
-  const userId = req.user!._id.toString();
-  const todo = await todoService.toggleComplete(userId, id);
+  const workspaceId = req.workspace!.id;
+  const todo = await todoService.toggleComplete(workspaceId, id);
 
   res.json({
     status: 'success',
@@ -71,8 +72,8 @@ export const toggleComplete = catchAsync(async (req: Request, res: Response) =>
 
 export const reorder = catchAsync(async (req: Request, res: Response) => {
   const { activeId, overId } = req.body as { activeId: string; overId: string };
-  const userId = req.user!._id.toString();
-  await todoService.reorder(userId, activeId, overId);
+  const workspaceId = req.workspace!.id;
+  await todoService.reorder(workspaceId, activeId, overId);
 
   res.json({
     status: 'success',
@@ -1,10 +1,11 @@
 import { Router } from 'express';
 import * as todoController from './todo.controller';
 import { authenticate } from '../../utils/middleware/auth.middleware';
+import { resolveWorkspace, authorizeWrites } from '../../utils/middleware/workspace.middleware';
 
 const router = Router();
 
-router.use(authenticate);
+router.use(authenticate, resolveWorkspace, authorizeWrites);
 
 router.get('/', todoController.findAll);
 router.post('/', todoController.create);
@@ -1,53 +1,79 @@
 import mongoose from 'mongoose';
 import { Todo, ITodo } from '../../database/models/todo.model';
 import { AppError } from '../../utils/handlers/appError';
+import type { CreateTodoInput, UpdateTodoInput } from './todo.types';
+import projectService from '../projects/project.service';
+import workspaceService from '../workspaces/workspace.service';
+import eventService from '../events/event.service';
+import trashService from '../trash/trash.service';
+import syncService from '../sync/sync.service';
 
 class TodoService {
-  async findAll(userId: string): Promise<ITodo[]> {
-    return Todo.find({ createdBy: userId }).sort({ order: 1, _id: 1 });
+  async findAll(workspaceId: string): Promise<ITodo[]> {
+    return Todo.find({ workspaceId }).sort({ order: 1, _id: 1 });
   }
 
-  async findById(userId: string, id: string): Promise<ITodo> {
-    const todo = await Todo.findOne({ _id: id, createdBy: userId });
+  async findById(workspaceId: string, id: string): Promise<ITodo> {
+    const todo = await Todo.findOne({ _id: id, workspaceId });
     if (!todo) {
       throw new AppError('Todo not found', 404);
     }
     return todo;
   }
 
-  async create(userId: string, data: { title: string; description?: string; priority?: 'high' | 'medium' | 'low' }): Promise<ITodo> {
-    const maxOrder = await Todo.findOne({ createdBy: userId }).sort({ order: -1 });
+  /**
+   * With an `idempotencyKey`, a request repeated with the same key returns the TODO
+   * the first one created, even if it has been moved to the trash since.
+   */
+  async create(workspaceId: string, userId: string, data: CreateTodoInput, idempotencyKey?: string): Promise<ITodo> {
+    const _id = idempotencyKey ? await syncService.claimRecordId(workspaceId, 'todo', idempotencyKey) : undefined;
+    if (_id) {
+      const earlier = await Todo.findOne({ _id, workspaceId }).setOptions({ withDeleted: true });
+      if (earlier) return earlier;
+    }
+
+    await projectService.assertInWorkspace(workspaceId, data.projectId);
+    await workspaceService.assertMembers(workspaceId, data.assignees);
+    const maxOrder = await Todo.findOne({ workspaceId }).sort({ order: -1 });
     const order = maxOrder ? maxOrder.order + 1 : 0;
 
     const todo = await Todo.create({
       ...data,
+      ...(_id && { _id }),
+      workspaceId,
       createdBy: userId,
       order,
     });
 
+    eventService.upserted(workspaceId, 'todo', todo);
     return todo;
   }
 
-  async update(userId: string, id: string, updates: any): Promise<ITodo> {
-    const todo = await Todo.findOne({ _id: id, createdBy: userId });
+  async update(workspaceId: string, id: string, updates: UpdateTodoInput): Promise<ITodo> {
+    await projectService.assertInWorkspace(workspaceId, updates.projectId);
+    await workspaceService.assertMembers(workspaceId, updates.assignees);
+    const todo = await Todo.findOne({ _id: id, workspaceId });
     if (!todo) {
       throw new AppError('Todo not found', 404);
     }
 
     const updated = await Todo.findByIdAndUpdate(id, updates, { new: true });
+    eventService.upserted(workspaceId, 'todo', updated!);
     return updated!;
   }
 
-  async delete(userId: string, id: string): Promise<ITodo> {
-    const todo = await Todo.findOneAndDelete({ _id: id, createdBy: userId });
+  async delete(workspaceId: string, id: string): Promise<ITodo> {
+    const todo = await Todo.findOne({ _id: id, workspaceId });
     if (!todo) {
       throw new AppError('Todo not found', 404);
     }
+    await trashService.discard('todo', workspaceId, { _id: todo._id });
+    eventService.deleted(workspaceId, 'todo', todo._id.toString());
     return todo;
   }
 
-  async toggleComplete(userId: string, id: string): Promise<ITodo> {
-    const todo = await Todo.findOne({ _id: id, createdBy: userId });
+  async toggleComplete(workspaceId: string, id: string): Promise<ITodo> {
+    const todo = await Todo.findOne({ _id: id, workspaceId });
     if (!todo) {
       throw new AppError('Todo not found', 404);
     }
@@ -57,15 +83,16 @@ class TodoService {
       { isCompleted: !todo.isCompleted },
       { new: true }
     );
+    eventService.upserted(workspaceId, 'todo', updated!);
     return updated!;
   }
 
-  async reorder(userId: string, activeId: string, overId: string): Promise<void> {
-    const userObjectId = new mongoose.Types.ObjectId(userId);
+  async reorder(workspaceId: string, activeId: string, overId: string): Promise<void> {
+    const workspaceObjectId = new mongoose.Types.ObjectId(workspaceId);
 
     const [activeTodo, overTodo] = await Promise.all([
-      Todo.findOne({ _id: activeId, createdBy: userObjectId }),
-      Todo.findOne({ _id: overId, createdBy: userObjectId }),
+      Todo.findOne({ _id: activeId, workspaceId: workspaceObjectId }),
+      Todo.findOne({ _id: overId, workspaceId: workspaceObjectId }),
     ]);
 
     if (!activeTodo || !overTodo) {
@@ -76,11 +103,12 @@ class TodoService {
     const overOrder = overTodo.order;
 
     await Todo.updateMany(
-      { createdBy: userObjectId, order: { $gte: overOrder, $lte: activeOrder } },
+      { workspaceId: workspaceObjectId, order: { $gte: overOrder, $lte: activeOrder } },
       { $inc: { order: -1 } }
     );
 
     await Todo.findByIdAndUpdate(activeId, { order: overOrder });
+    eventService.reset(workspaceId, 'todo');
   }
 }
 
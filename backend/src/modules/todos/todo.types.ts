@@ -2,6 +2,8 @@ export interface CreateTodoInput {
   title: string;
   description?: string;
   priority?: 'high' | 'medium' | 'low';
+  projectId?: string | null;
+  assignees?: string[];
 }
 
 export interface UpdateTodoInput extends Partial<CreateTodoInput> {
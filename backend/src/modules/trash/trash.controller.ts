@@ -0,0 +1,47 @@
+import { Request, Response } from 'express';
+import { catchAsync } from '../../utils/handlers/catchAsync';
+import trashService from './trash.service';
+import type { TrashSelection } from './trash.types';
+
+export const findAll = catchAsync(async (req: Request, res: Response) => {
+  const workspaceId = req.workspace!.id;
+  const trash = await trashService.findAll(workspaceId);
+
+  res.json({
+    status: 'success',
+    data: trash,
+  });
+});
+
+export const restore = catchAsync(async (req: Request, res: Response) => {
+  const selection = req.body as TrashSelection;
+  const workspaceId = req.workspace!.id;
+  const userId = req.user!._id.toString();
+  const count = await trashService.restore(workspaceId, userId, selection);
+
+  res.json({
+    status: 'success',
+    count,
+  });
+});
+
+export const purge = catchAsync(async (req: Request, res: Response) => {
+  const selection = req.body as TrashSelection;
+  const workspaceId = req.workspace!.id;
+  const count = await trashService.purge(workspaceId, selection);
+
+  res.json({
+    status: 'success',
+    count,
+  });
+});
+
+export const empty = catchAsync(async (req: Request, res: Response) => {
+  const workspaceId = req.workspace!.id;
+  const count = await trashService.empty(workspaceId);
+
+  res.json({
+    status: 'success',
+    count,
+  });
+});
@@ -0,0 +1,17 @@
+import { Router } from 'express';
+import * as trashController from './trash.controller';
+import { validate } from '../../utils/middleware/validate.middleware';
+import { authenticate } from '../../utils/middleware/auth.middleware';
+import { resolveWorkspace, authorizeWrites } from '../../utils/middleware/workspace.middleware';
+import { TrashSelectionDTO } from './trash.validator';
+
+const router = Router();
+
+router.use(authenticate, resolveWorkspace, authorizeWrites);
+
+router.get('/', trashController.findAll);
+router.post('/restore', validate(TrashSelectionDTO), trashController.restore);
+router.post('/purge', validate(TrashSelectionDTO), trashController.purge);
+router.delete('/', trashController.empty);
+
+export default router;
@@ -0,0 +1,176 @@
+import mongoose, { ClientSession } from 'mongoose';
+import { Task } from '../../database/models/task.model';
+import { Todo } from '../../database/models/todo.model';
+import { Tombstone } from '../../database/models/tombstone.model';
+import { TaskEvent } from '../../database/models/taskEvent.model';
+import { TimeEntry } from '../../database/models/timeEntry.model';
+import { Reminder } from '../../database/models/reminder.model';
+import env from '../../config/environment';
+import { runInTransaction } from '../../database/transaction';
+import eventService from '../events/event.service';
+import historyService from '../tasks/history.service';
+import type { TrashContents, TrashResource, TrashSelection } from './trash.types';
+
+const MODELS: Record<TrashResource, mongoose.Model<any>> = {
+  task: Task,
+  todo: Todo,
+};
+
+const inTrash = { deletedAt: { $ne: null } };
+
+const TICK_MS = 60 * 60 * 1000;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+class TrashService {
+  private timer: NodeJS.Timeout | null = null;
+
+  /**
+   * Purges records whose time in the trash is up, once an hour.
+   */
+  start(): void {
+    if (this.timer) return;
+
+    this.timer = setInterval(() => {
+      this.purgeExpired().catch((error) => console.error('Purging the trash failed:', error));
+    }, TICK_MS);
+  }
+
+  stop(): void {
+    if (this.timer) clearInterval(this.timer);
+    this.timer = null;
+  }
+
+  /**
+   * Purges the records of every workspace that went to the trash more than
+   * TRASH_RETENTION_DAYS ago.
+   * @returns How many records were purged
+   */
+  async purgeExpired(now = new Date()): Promise<number> {
+    const expired = { deletedAt: { $ne: null, $lte: new Date(now.getTime() - env.TRASH_RETENTION_DAYS * DAY_MS) } };
+    const [tasks, todos] = await Promise.all([this.purgeRecords('task', expired), this.purgeRecords('todo', expired)]);
+    return tasks + todos;
+  }
+
+  async findAll(workspaceId: string): Promise<TrashContents> {
+    const [tasks, todos] = await Promise.all([
+      Task.find({ workspaceId, ...inTrash }).sort({ deletedAt: -1 }),
+      Todo.find({ workspaceId, ...inTrash }).sort({ deletedAt: -1 }),
+    ]);
+
+    // Exceptions of a trashed series are restored and purged with it
+    const series = new Set(tasks.map((t) => t._id.toString()));
+    return {
+      tasks: tasks.filter((t) => !t.seriesId || !series.has(t.seriesId.toString())),
+      todos,
+      retentionDays: env.TRASH_RETENTION_DAYS,
+    };
+  }
+
+  /**
+   * Moves the workspace's records matching `filter` to the trash. Clients drop them
+   * as if they were deleted, so each one gets a tombstone for delta sync. With a
+   * `session` the writes join the caller's transaction.
+   */
+  async discard(
+    resource: TrashResource,
+    workspaceId: string,
+    filter: Record<string, unknown>,
+    session?: ClientSession
+  ): Promise<number> {
+    const model = MODELS[resource];
+    const ids = await model.find({ ...filter, workspaceId }).session(session ?? null).distinct('_id');
+    if (ids.length === 0) return 0;
+
+    const deletedAt = new Date();
+    const write = async (writeSession?: ClientSession) => {
+      await model.updateMany({ _id: { $in: ids } }, { deletedAt }, { session: writeSession });
+      await Tombstone.insertMany(
+        ids.map((recordId) => ({ workspaceId, resource, recordId, deletedAt })),
+        { session: writeSession }
+      );
+    };
+    await (session ? write(session) : runInTransaction(write));
+    return ids.length;
+  }
+
+  async restore(workspaceId: string, userId: string, selection: TrashSelection): Promise<number> {
+    const [tasks, todos] = await Promise.all([
+      this.restoreRecords('task', workspaceId, selection.tasks),
+      this.restoreRecords('todo', workspaceId, selection.todos),
+    ]);
+    if (tasks.length > 0) {
+      const workspaceObjectId = new mongoose.Types.ObjectId(workspaceId);
+      await historyService.record(userId, 'restored', tasks.map((_id) => ({ _id, workspaceId: workspaceObjectId })));
+      eventService.reset(workspaceId, 'task');
+    }
+    if (todos.length > 0) eventService.reset(workspaceId, 'todo');
+    return tasks.length + todos.length;
+  }
+
+  async purge(workspaceId: string, selection: TrashSelection): Promise<number> {
+    const [tasks, todos] = await Promise.all([
+      this.purgeRecords('task', this.selectionFilter('task', workspaceId, selection.tasks)),
+      this.purgeRecords('todo', this.selectionFilter('todo', workspaceId, selection.todos)),
+    ]);
+    return tasks + todos;
+  }
+
+  async empty(workspaceId: string): Promise<number> {
+    const [tasks, todos] = await Promise.all([
+      this.purgeRecords('task', { workspaceId, ...inTrash }),
+      this.purgeRecords('todo', { workspaceId, ...inTrash }),
+    ]);
+    return tasks + todos;
+  }
+
+  private async restoreRecords(
+    resource: TrashResource,
+    workspaceId: string,
+    ids?: string[]
+  ): Promise<mongoose.Types.ObjectId[]> {
+    const model = MODELS[resource];
+    const restored = await model.find(this.selectionFilter(resource, workspaceId, ids)).distinct('_id');
+    if (restored.length === 0) return [];
+
+    await runInTransaction(async (session) => {
+      // Bumps updatedAt, so delta sync sends the records again
+      await model.updateMany({ _id: { $in: restored } }, { deletedAt: null }, { session });
+      await Tombstone.deleteMany({ workspaceId, resource, recordId: { $in: restored } }, { session });
+    });
+    return restored;
+  }
+
+  /**
+   * Deletes records for good. A purged task takes its history, time entries and
+   * reminders along, and tasks waiting on it no longer do; nothing is left that
+   * refers to it. Until then a trashed prerequisite stays linked, so a restore
+   * brings the links back, but holds nothing up.
+   */
+  private async purgeRecords(resource: TrashResource, filter: Record<string, unknown>): Promise<number> {
+    const model = MODELS[resource];
+    const ids = await model.find(filter).distinct('_id');
+    if (ids.length === 0) return 0;
+
+    await model.deleteMany({ _id: { $in: ids } });
+    if (resource === 'task') {
+      await TaskEvent.deleteMany({ taskId: { $in: ids } });
+      await TimeEntry.deleteMany({ taskId: { $in: ids } });
+      await Reminder.deleteMany({ taskId: { $in: ids } });
+      await Task.updateMany({ blockedBy: { $in: ids } }, { $pull: { blockedBy: { $in: ids } } });
+    }
+    return ids.length;
+  }
+
+  /**
+   * Trashed records among `ids`. A series takes its trashed exceptions along.
+   */
+  private selectionFilter(resource: TrashResource, workspaceId: string, ids: string[] = []): Record<string, unknown> {
+    const valid = ids.filter((id) => mongoose.isValidObjectId(id));
+    const selected = resource === 'task'
+      ? { $or: [{ _id: { $in: valid } }, { seriesId: { $in: valid } }] }
+      : { _id: { $in: valid } };
+    return { workspaceId, ...inTrash, ...selected };
+  }
+}
+
+export default new TrashService();
@@ -0,0 +1,16 @@
+import type { ITask } from '../../database/models/task.model';
+import type { ITodo } from '../../database/models/todo.model';
+
+export type TrashResource = 'task' | 'todo';
+
+export interface TrashSelection {
+  tasks?: string[];
+  todos?: string[];
+}
+
+export interface TrashContents {
+  tasks: ITask[];
+  todos: ITodo[];
+  // Days a record stays in the trash before it is purged automatically
+  retentionDays: number;
+}
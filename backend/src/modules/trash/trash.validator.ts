@@ -0,0 +1,9 @@
+import { z } from 'zod';
+
+// IDs of recurring occurrences may be passed along; they are never in the trash and are skipped
+export const TrashSelectionDTO = z.object({
+  body: z.object({
+    tasks: z.array(z.string()).optional(),
+    todos: z.array(z.string()).optional(),
+  }),
+});
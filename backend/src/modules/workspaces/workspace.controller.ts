@@ -0,0 +1,105 @@
+import { Request, Response } from 'express';
+import { catchAsync } from '../../utils/handlers/catchAsync';
+import workspaceService from './workspace.service';
+import type {
+  CreateWorkspaceInput,
+  UpdateWorkspaceInput,
+  CreateInvitationInput,
+  UpdateMemberInput,
+} from './workspace.types';
+
+export const findAll = catchAsync(async (req: Request, res: Response) => {
+  const userId = req.user!._id.toString();
+  const workspaces = await workspaceService.findAll(userId);
+
+  res.json({
+    status: 'success',
+    results: workspaces.length,
+    data: workspaces,
+  });
+});
+
+export const findById = catchAsync(async (req: Request, res: Response) => {
+  const { id } = req.params as { id: string };
+  const userId = req.user!._id.toString();
+  const workspace = await workspaceService.findById(userId, id);
+
+  res.json({
+    status: 'success',
+    data: workspace,
+  });
+});
+
+export const create = catchAsync(async (req: Request, res: Response) => {
+  const data = req.body as CreateWorkspaceInput;
+  const userId = req.user!._id.toString();
+  const workspace = await workspaceService.create(userId, data);
+
+  res.status(201).json({
+    status: 'success',
+    data: workspace,
+  });
+});
+
+export const update = catchAsync(async (req: Request, res: Response) => {
+  const updates = req.body as UpdateWorkspaceInput;
+  const workspace = await workspaceService.update(req.workspace!.id, updates);
+
+  res.json({
+    status: 'success',
+    data: workspace,
+  });
+});
+
+export const remove = catchAsync(async (req: Request, res: Response) => {
+  const workspace = await workspaceService.delete(req.workspace!.id);
+
+  res.json({
+    status: 'success',
+    data: workspace,
+  });
+});
+
+export const createInvitation = catchAsync(async (req: Request, res: Response) => {
+  const data = req.body as CreateInvitationInput;
+  const userId = req.user!._id.toString();
+  const invitation = await workspaceService.createInvitation(req.workspace!.id, userId, data);
+
+  res.status(201).json({
+    status: 'success',
+    data: invitation,
+  });
+});
+
+export const acceptInvitation = catchAsync(async (req: Request, res: Response) => {
+  const { token } = req.params as { token: string };
+  const userId = req.user!._id.toString();
+  const workspace = await workspaceService.acceptInvitation(userId, token);
+
+  res.json({
+    status: 'success',
+    data: workspace,
+  });
+});
+
+export const updateMember = catchAsync(async (req: Request, res: Response) => {
+  const { userId: memberId } = req.params as { userId: string };
+  const { role } = req.body as UpdateMemberInput;
+  const workspace = await workspaceService.updateMember(req.workspace!.id, memberId, role);
+
+  res.json({
+    status: 'success',
+    data: workspace,
+  });
+});
+
+export const removeMember = catchAsync(async (req: Request, res: Response) => {
+  const { userId: memberId } = req.params as { userId: string };
+  const userId = req.user!._id.toString();
+  const workspace = await workspaceService.removeMember(req.workspace!, userId, memberId);
+
+  res.json({
+    status: 'success',
+    data: workspace,
+  });
+});
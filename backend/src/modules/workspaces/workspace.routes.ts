@@ -0,0 +1,24 @@
+import { Router } from 'express';
+import * as workspaceController from './workspace.controller';
+import { validate } from '../../utils/middleware/validate.middleware';
+import { authenticate } from '../../utils/middleware/auth.middleware';
+import { resolveWorkspaceParam, requireRole } from '../../utils/middleware/workspace.middleware';
+import { CreateWorkspaceDTO, UpdateWorkspaceDTO, CreateInvitationDTO, UpdateMemberDTO } from './workspace.validator';
+
+const router = Router();
+
+router.use(authenticate);
+router.param('id', resolveWorkspaceParam);
+
+router.get('/', workspaceController.findAll);
+router.post('/', validate(CreateWorkspaceDTO), workspaceController.create);
+router.post('/invitations/:token/accept', workspaceController.acceptInvitation);
+
+router.get('/:id', workspaceController.findById);
+router.patch('/:id', requireRole('owner'), validate(UpdateWorkspaceDTO), workspaceController.update);
+router.delete('/:id', requireRole('owner'), workspaceController.remove);
+router.post('/:id/invitations', requireRole('owner'), validate(CreateInvitationDTO), workspaceController.createInvitation);
+router.patch('/:id/members/:userId', requireRole('owner'), validate(UpdateMemberDTO), workspaceController.updateMember);
+router.delete('/:id/members/:userId', workspaceController.removeMember);
+
+export default router;
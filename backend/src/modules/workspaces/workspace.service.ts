@@ -0,0 +1,289 @@
+import mongoose from 'mongoose';
+import crypto from 'crypto';
+import { Workspace, IWorkspace, WorkspaceRole, WORKSPACE_ROLES } from '../../database/models/workspace.model';
+import { Task } from '../../database/models/task.model';
+import { Todo } from '../../database/models/todo.model';
+import { Template } from '../../database/models/template.model';
+import { Project } from '../../database/models/project.model';
+import { Tombstone } from '../../database/models/tombstone.model';
+import { TaskEvent } from '../../database/models/taskEvent.model';
+import { TimeEntry } from '../../database/models/timeEntry.model';
+import { Reminder } from '../../database/models/reminder.model';
+import { AppError } from '../../utils/handlers/appError';
+import { runInTransaction } from '../../database/transaction';
+import eventService from '../events/event.service';
+import type { CreateInvitationInput, UpdateWorkspaceInput, WorkspaceAccess } from './workspace.types';
+
+const DEFAULT_INVITATION_DAYS = 7;
+
+const SYSTEM_TEMPLATES = [
+  {
+    name: 'Text',
+    descriptionType: 'text' as const,
+    defaults: { title: '', description: '', descriptionType: 'text' },
+  },
+  {
+    name: 'List',
+    descriptionType: 'list' as const,
+    defaults: { title: '', description: '- ', descriptionType: 'list' },
+  },
+  {
+    name: 'Chunk',
+    descriptionType: 'chunks' as const,
+    defaults: {
+      title: '',
+      description: '[Objective]\n\n[Key Results]\n\n[Context]',
+      descriptionType: 'chunks',
+    },
+  },
+];
+
+class WorkspaceService {
+  async findAll(userId: string): Promise<IWorkspace[]> {
+    return Workspace.find({ 'members.user': userId }).sort({ isPersonal: -1, name: 1 });
+  }
+
+  async findById(userId: string, id: string): Promise<IWorkspace> {
+    const workspace = await this.findMembership(userId, id);
+    return workspace.populate('members.user', 'name email');
+  }
+
+  async create(userId: string, data: { name: string }): Promise<IWorkspace> {
+    const workspace = await Workspace.create({
+      ...data,
+      createdBy: userId,
+      members: [{ user: userId, role: 'owner' }],
+    });
+    await this.seedSystemTemplates(workspace._id, userId);
+    return workspace;
+  }
+
+  /**
+   * Creates the user's personal workspace. Accounts from before workspaces existed
+   * have their records moved into it; new accounts get the system templates.
+   */
+  async createPersonal(userId: string): Promise<IWorkspace> {
+    const workspace = await Workspace.create({
+      name: 'Personal',
+      createdBy: userId,
+      isPersonal: true,
+      members: [{ user: userId, role: 'owner' }],
+    });
+
+    const legacy = { createdBy: userId, workspaceId: { $exists: false } };
+    const assign = { workspaceId: workspace._id };
+    await Promise.all([
+      Task.updateMany(legacy, assign),
+      Todo.updateMany(legacy, assign),
+      Template.updateMany(legacy, assign),
+      Project.updateMany(legacy, assign),
+    ]);
+
+    if (!(await Template.exists({ workspaceId: workspace._id, isSystem: true }))) {
+      await this.seedSystemTemplates(workspace._id, userId);
+    }
+    return workspace;
+  }
+
+  async update(id: string, updates: UpdateWorkspaceInput): Promise<IWorkspace> {
+    const workspace = await Workspace.findByIdAndUpdate(id, updates, { new: true });
+    if (!workspace) {
+      throw new AppError('Workspace not found', 404);
+    }
+    return workspace;
+  }
+
+  /**
+   * Deletes a shared workspace together with everything in it, including the history,
+   * time entries and reminders of its tasks.
+   */
+  async delete(id: string): Promise<IWorkspace> {
+    const workspace = await Workspace.findById(id);
+    if (!workspace) {
+      throw new AppError('Workspace not found', 404);
+    }
+    if (workspace.isPersonal) {
+      throw new AppError('Personal workspace cannot be deleted', 400);
+    }
+
+    await runInTransaction(async (session) => {
+      await Task.deleteMany({ workspaceId: workspace._id }, { session });
+      await Todo.deleteMany({ workspaceId: workspace._id }, { session });
+      await Template.deleteMany({ workspaceId: workspace._id }, { session });
+      await Project.deleteMany({ workspaceId: workspace._id }, { session });
+      await Tombstone.deleteMany({ workspaceId: workspace._id }, { session });
+      await TaskEvent.deleteMany({ workspaceId: workspace._id }, { session });
+      await TimeEntry.deleteMany({ workspaceId: workspace._id }, { session });
+      await Reminder.deleteMany({ workspaceId: workspace._id }, { session });
+      await Workspace.deleteOne({ _id: workspace._id }, { session });
+    });
+
+    return workspace;
+  }
+
+  /**
+   * Creates a single-use invitation. Only a hash of the token is stored, so the
+   * token itself is returned once and must be shared by the owner.
+   */
+  async createInvitation(
+    id: string,
+    userId: string,
+    { role, expiresInDays = DEFAULT_INVITATION_DAYS }: CreateInvitationInput
+  ): Promise<{ token: string; role: string; expiresAt: Date }> {
+    const workspace = await Workspace.findById(id);
+    if (!workspace) {
+      throw new AppError('Workspace not found', 404);
+    }
+    if (workspace.isPersonal) {
+      throw new AppError('Personal workspace cannot be shared', 400);
+    }
+
+    const token = crypto.randomBytes(24).toString('hex');
+    const expiresAt = new Date(Date.now() + expiresInDays * 24 * 60 * 60 * 1000);
+    await Workspace.updateOne(
+      { _id: id },
+      { $push: { invitations: { tokenHash: this.hashToken(token), role, invitedBy: userId, expiresAt } } }
+    );
+
+    return { token, role, expiresAt };
+  }
+
+  async acceptInvitation(userId: string, token: string): Promise<IWorkspace> {
+    const tokenHash = this.hashToken(token);
+    const workspace = await Workspace.findOne({ 'invitations.tokenHash': tokenHash }).select('+invitations');
+    const invitation = workspace?.invitations.find((i) => i.tokenHash === tokenHash);
+    if (!workspace || !invitation) {
+      throw new AppError('Invitation not found', 404);
+    }
+    if (invitation.expiresAt.getTime() < Date.now()) {
+      await Workspace.updateOne({ _id: workspace._id }, { $pull: { invitations: { _id: invitation._id } } });
+      throw new AppError('Invitation has expired', 410);
+    }
+
+    const update: mongoose.UpdateQuery<IWorkspace> = { $pull: { invitations: { _id: invitation._id } } };
+    if (!workspace.members.some((m) => m.user.equals(userId))) {
+      update.$push = { members: { user: userId, role: invitation.role } };
+    }
+    const joined = await Workspace.findByIdAndUpdate(workspace._id, update, { new: true });
+    return joined!;
+  }
+
+  async updateMember(id: string, memberId: string, role: WorkspaceRole): Promise<IWorkspace> {
+    const workspace = await this.findWithMember(id, memberId);
+    if (role !== 'owner') {
+      this.assertAnotherOwner(workspace, memberId);
+    }
+
+    const updated = await Workspace.findOneAndUpdate(
+      { _id: id, 'members.user': memberId },
+      { $set: { 'members.$.role': role } },
+      { new: true }
+    );
+    return updated!;
+  }
+
+  /**
+   * Removes a member. Owners may remove anyone; other members may only leave.
+   */
+  async removeMember(access: WorkspaceAccess, userId: string, memberId: string): Promise<IWorkspace> {
+    if (access.role !== 'owner' && userId !== memberId) {
+      throw new AppError('Only owners can remove other members', 403);
+    }
+    if (access.isPersonal) {
+      throw new AppError('Personal workspace cannot be left', 400);
+    }
+
+    const workspace = await this.findWithMember(access.id, memberId);
+    this.assertAnotherOwner(workspace, memberId);
+
+    const updated = await runInTransaction(async (session) => {
+      // Former members keep what they created but are no longer responsible for anything
+      const assigned = { workspaceId: access.id, assignees: memberId };
+      await Task.updateMany(assigned, { $pull: { assignees: memberId } }, { session });
+      await Todo.updateMany(assigned, { $pull: { assignees: memberId } }, { session });
+      return Workspace.findByIdAndUpdate(access.id, { $pull: { members: { user: memberId } } }, { new: true, session });
+    });
+    eventService.disconnect(access.id, memberId);
+    eventService.reset(access.id, 'task', 'todo');
+    return updated!;
+  }
+
+  /**
+   * Resolves the workspace a request acts on, defaulting to the user's personal one.
+   */
+  async resolveAccess(userId: string, id?: string): Promise<WorkspaceAccess> {
+    const workspace = id ? await this.findMembership(userId, id) : await this.findPersonal(userId);
+
+    const member = workspace.members.find((m) => m.user.equals(userId))!;
+    return { id: workspace._id.toString(), role: member.role, isPersonal: workspace.isPersonal };
+  }
+
+  /**
+   * Guards task and TODO assignments against users outside the workspace.
+   */
+  async assertMembers(id: string, userIds: string[] | undefined): Promise<void> {
+    if (!userIds || userIds.length === 0) return;
+
+    const workspace = await Workspace.findById(id, { members: 1 });
+    const members = new Set(workspace?.members.map((m) => m.user.toString()));
+    if (!userIds.every((userId) => members.has(userId))) {
+      throw new AppError('Assignees must be members of the workspace', 400);
+    }
+  }
+
+  hasRole(role: WorkspaceRole, required: WorkspaceRole): boolean {
+    return WORKSPACE_ROLES.indexOf(role) >= WORKSPACE_ROLES.indexOf(required);
+  }
+
+  private async findMembership(userId: string, id: string): Promise<IWorkspace> {
+    const workspace = mongoose.isValidObjectId(id)
+      ? await Workspace.findOne({ _id: id, 'members.user': userId })
+      : null;
+    if (!workspace) {
+      throw new AppError('Workspace not found', 404);
+    }
+    return workspace;
+  }
+
+  private async findPersonal(userId: string): Promise<IWorkspace> {
+    const existing = await Workspace.findOne({ createdBy: userId, isPersonal: true });
+    if (existing) return existing;
+
+    try {
+      return await this.createPersonal(userId);
+    } catch (error: any) {
+      // A concurrent request created it first
+      if (error?.code !== 11000) throw error;
+      return (await Workspace.findOne({ createdBy: userId, isPersonal: true }))!;
+    }
+  }
+
+  private async findWithMember(id: string, memberId: string): Promise<IWorkspace> {
+    const workspace = mongoose.isValidObjectId(memberId)
+      ? await Workspace.findOne({ _id: id, 'members.user': memberId })
+      : null;
+    if (!workspace) {
+      throw new AppError('Member not found', 404);
+    }
+    return workspace;
+  }
+
+  private assertAnotherOwner(workspace: IWorkspace, memberId: string): void {
+    const otherOwners = workspace.members.filter((m) => m.role === 'owner' && !m.user.equals(memberId));
+    if (otherOwners.length === 0) {
+      throw new AppError('A workspace needs at least one owner', 400);
+    }
+  }
+
+  private hashToken(token: string): string {
+    return crypto.createHash('sha256').update(token).digest('hex');
+  }
+
+  private async seedSystemTemplates(workspaceId: mongoose.Types.ObjectId, userId: string): Promise<void> {
+    await Template.insertMany(
+      SYSTEM_TEMPLATES.map((template) => ({ ...template, workspaceId, createdBy: userId, isSystem: true }))
+    );
+  }
+}
+
+export default new WorkspaceService();
@@ -0,0 +1,22 @@
+import type { WorkspaceRole } from '../../database/models/workspace.model';
+
+export interface CreateWorkspaceInput {
+  name: string;
+}
+
+export type UpdateWorkspaceInput = Partial<CreateWorkspaceInput>;
+
+export interface CreateInvitationInput {
+  role: Exclude<WorkspaceRole, 'owner'>;
+  expiresInDays?: number;
+}
+
+export interface UpdateMemberInput {
+  role: WorkspaceRole;
+}
+
+export interface WorkspaceAccess {
+  id: string;
+  role: WorkspaceRole;
+  isPersonal: boolean;
+}
@@ -0,0 +1,42 @@
+import { z } from 'zod';
+
+const WorkspaceNameDTO = z
+  .string()
+  .trim()
+  .min(1, 'Workspace name is required')
+  .max(60, 'Workspace name cannot exceed 60 characters');
+
+export const CreateWorkspaceDTO = z.object({
+  body: z.object({
+    name: WorkspaceNameDTO,
+  }),
+});
+
+export const UpdateWorkspaceDTO = z.object({
+  params: z.object({
+    id: z.string(),
+  }),
+  body: z.object({
+    name: WorkspaceNameDTO.optional(),
+  }),
+});
+
+export const CreateInvitationDTO = z.object({
+  params: z.object({
+    id: z.string(),
+  }),
+  body: z.object({
+    role: z.enum(['editor', 'viewer']),
+    expiresInDays: z.number().int().min(1).max(30).optional(),
+  }),
+});
+
+export const UpdateMemberDTO = z.object({
+  params: z.object({
+    id: z.string(),
+    userId: z.string(),
+  }),
+  body: z.object({
+    role: z.enum(['owner', 'editor', 'viewer']),
+  }),
+});
@@ -2,6 +2,9 @@ import 'dotenv/config';
 import app from './app';
 import { connectDatabase } from './database/connection';
 import env from './config/environment';
+import reminderService from './modules/notifications/reminder.service';
+import digestService from './modules/digest/digest.service';
+import trashService from './modules/trash/trash.service';
 
 const PORT = env.PORT;
 
@@ -14,6 +17,10 @@ async function bootstrap(): Promise<void> {
       console.log(`🚀 Server running on port ${PORT}`);
       console.log(`📍 Environment: ${env.NODE_ENV}`);
     });
+
+    reminderService.start();
+    digestService.start();
+    trashService.start();
   } catch (error) {
     console.error('❌ Failed to start server:', error);
     process.exit(1);
@@ -0,0 +1,117 @@
+import { AppError } from '../handlers/appError';
+import { BACKUP_VERSION, Backup, BackupSchema } from './backupSchema';
+
+type Migration = { to: string; migrate: (backup: any) => any };
+
+const LEGACY_TASK_FIELDS = [
+  'title',
+  'description',
+  'descriptionType',
+  'dueDate',
+  'dueTime',
+  'priority',
+  'estimatedDuration',
+  'isCompleted',
+  'completedAt',
+  'assignedSlot',
+  'tags',
+  'repeatFrequency',
+  'repeatUntil',
+  'type',
+];
+
+const LEGACY_TODO_FIELDS = ['order', 'title', 'description', 'priority', 'isCompleted'];
+
+const SETTINGS_FIELDS = ['theme', 'availableHours'];
+
+const MAX_REPORTED_ISSUES = 5;
+
+const pick = (record: any, keys: string[]): Record<string, any> =>
+  Object.fromEntries(keys.filter((key) => record?.[key] !== undefined).map((key) => [key, record[key]]));
+
+/**
+ * 1.x files come from the local-only app. Their records carry IndexedDB ids and
+ * UI state, so only the fields Cortex knows about are kept.
+ */
+const fromLegacy = (backup: any) => ({
+  version: '2.0',
+  exportDate: backup.exportDate,
+  tasks: backup.tasks.map((task: any) => ({
+    ...pick(task, LEGACY_TASK_FIELDS),
+    subtasks: Array.isArray(task?.subtasks)
+      ? task.subtasks.map((s: any) => ({ title: s?.title, isCompleted: !!s?.isCompleted }))
+      : [],
+  })),
+  ...(Array.isArray(backup.todos) && { todos: backup.todos.map((todo: any) => pick(todo, LEGACY_TODO_FIELDS)) }),
+});
+
+/**
+ * 2.0 files are serialized database documents: `_id` becomes `id`, while the
+ * owner, the version key and the duplicate `id` virtual are dropped.
+ */
+const fromV2 = (backup: any) => {
+  const toRecord = ({ _id, id, createdBy, __v, ...rest }: any = {}) => ({
+    ...(_id !== undefined || id !== undefined ? { id: String(_id ?? id) } : {}),
+    ...rest,
+  });
+
+  return {
+    version: '3.0',
+    exportDate: backup.exportDate,
+    tasks: backup.tasks.map((task: any) => {
+      const record = toRecord(task);
+      if (Array.isArray(record.subtasks)) {
+        record.subtasks = record.subtasks.map(({ _id, id, ...subtask }: any = {}) => subtask);
+      }
+      return record;
+    }),
+    ...(Array.isArray(backup.todos) && { todos: backup.todos.map(toRecord) }),
+    ...(backup.settings && { settings: pick(backup.settings, SETTINGS_FIELDS) }),
+  };
+};
+
+const MIGRATIONS: Record<string, Migration> = {
+  '1.x': { to: '2.0', migrate: fromLegacy },
+  '2.0': { to: '3.0', migrate: fromV2 },
+};
+
+const detectVersion = (backup: any): string => {
+  const version = backup.version;
+  if (version === undefined || version === null || /^1(\.\d+)*$/.test(String(version))) {
+    return '1.x';
+  }
+  return String(version);
+};
+
+/**
+ * Upgrades a backup of any supported version to the current format and validates it.
+ */
+export const parseBackup = (json: any): Backup => {
+  if (!json || typeof json !== 'object' || !Array.isArray(json.tasks)) {
+    throw new AppError('Invalid JSON format: missing tasks array', 400);
+  }
+
+  let version = detectVersion(json);
+  if (version === '2.0' && !Array.isArray(json.todos)) {
+    throw new AppError('Invalid JSON format: missing todos array', 400);
+  }
+  if (version !== BACKUP_VERSION && !MIGRATIONS[version]) {
+    throw new AppError(`Unsupported backup version: ${json.version}`, 400);
+  }
+
+  let backup = json;
+  while (version !== BACKUP_VERSION) {
+    const { to, migrate } = MIGRATIONS[version];
+    backup = migrate(backup);
+    version = to;
+  }
+
+  const result = BackupSchema.safeParse(backup);
+  if (!result.success) {
+    const issues = result.error.issues.map((issue) => `${issue.path.join('.')}: ${issue.message}`);
+    const more = issues.length > MAX_REPORTED_ISSUES ? ` (and ${issues.length - MAX_REPORTED_ISSUES} more)` : '';
+    throw new AppError(`Invalid backup: ${issues.slice(0, MAX_REPORTED_ISSUES).join(', ')}${more}`, 400);
+  }
+
+  return result.data;
+};
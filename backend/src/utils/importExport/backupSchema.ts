@@ -0,0 +1,136 @@
+import { z } from 'zod';
+
+export const BACKUP_VERSION = '3.0';
+
+const DATE = /^\d{4}-\d{2}-\d{2}$/;
+const TIME = /^(\d{2}:\d{2})?$/;
+const OBJECT_ID = /^[0-9a-f]{24}$/i;
+
+const RecordId = z.string().regex(OBJECT_ID, 'Invalid record id');
+const Timestamp = z.iso.datetime();
+const Priority = z.enum(['high', 'medium', 'low']);
+const DescriptionType = z.enum(['text', 'list', 'chunks']);
+
+// Records are strict objects: anything not listed here, notably `_id` and `createdBy`,
+// is rejected rather than written to the database
+const BackupSubtask = z.strictObject({
+  title: z.string(),
+  isCompleted: z.boolean().optional(),
+  createdAt: Timestamp.optional(),
+});
+
+const BackupTask = z.strictObject({
+  id: RecordId.optional(),
+  title: z.string().min(1, 'Title is required'),
+  description: z.string().nullish(),
+  descriptionType: DescriptionType.optional(),
+  dueDate: z.string().regex(DATE, 'Due date must be YYYY-MM-DD').optional(),
+  dueTime: z.string().regex(TIME, 'Due time must be HH:mm').nullish(),
+  priority: Priority.optional(),
+  estimatedDuration: z.number().nonnegative().optional(),
+  isCompleted: z.boolean().optional(),
+  completedAt: Timestamp.nullish(),
+  assignedSlot: z
+    .strictObject({
+      date: z.string().regex(DATE).optional(),
+      time: z.string().regex(TIME).optional(),
+    })
+    .nullish(),
+  scheduledBlocks: z
+    .array(
+      z.strictObject({
+        date: z.string().regex(DATE),
+        time: z.string().regex(TIME),
+        duration: z.number().positive(),
+      })
+    )
+    .optional(),
+  tags: z.array(z.string()).optional(),
+  projectId: RecordId.nullish(),
+  blockedBy: z.array(RecordId).optional(),
+  repeatFrequency: z.enum(['none', 'daily', 'weekly', 'monthly', 'yearly']).optional(),
+  repeatUntil: z.string().regex(DATE).nullish(),
+  recurrence: z
+    .strictObject({
+      rrule: z.string().min(1),
+      exdates: z.array(z.string().regex(DATE)).optional(),
+    })
+    .nullish(),
+  seriesId: RecordId.nullish(),
+  recurrenceId: z.string().regex(DATE).nullish(),
+  icsUid: z.string().nullish(),
+  icsSource: z.string().nullish(),
+  type: z.string().nullish(),
+  isFixed: z.boolean().nullish(),
+  subtasks: z.array(BackupSubtask).optional(),
+  createdAt: Timestamp.optional(),
+  updatedAt: Timestamp.optional(),
+});
+
+const BackupTodo = z.strictObject({
+  id: RecordId.optional(),
+  order: z.number().optional(),
+  title: z.string().min(1, 'Title is required'),
+  description: z.string().nullish(),
+  priority: Priority.optional(),
+  isCompleted: z.boolean().optional(),
+  projectId: RecordId.nullish(),
+  createdAt: Timestamp.optional(),
+  updatedAt: Timestamp.optional(),
+});
+
+const BackupProject = z.strictObject({
+  id: RecordId.optional(),
+  name: z.string().min(1, 'Project name is required'),
+  color: z.string().regex(/^#[0-9a-f]{6}$/i, 'Color must be a hex value').optional(),
+  icon: z.string().nullish(),
+  isArchived: z.boolean().optional(),
+  order: z.number().optional(),
+  createdAt: Timestamp.optional(),
+  updatedAt: Timestamp.optional(),
+});
+
+const BackupTemplate = z.strictObject({
+  id: RecordId.optional(),
+  name: z.string().min(1, 'Template name is required'),
+  descriptionType: DescriptionType.optional(),
+  defaults: z
+    .strictObject({
+      title: z.string().optional(),
+      description: z.string().optional(),
+      descriptionType: DescriptionType.optional(),
+    })
+    .optional(),
+  createdAt: Timestamp.optional(),
+  updatedAt: Timestamp.optional(),
+});
+
+const BackupSettings = z.strictObject({
+  theme: z.enum(['light', 'dark']).optional(),
+  availableHours: z
+    .strictObject({
+      start: z.string().regex(TIME),
+      end: z.string().regex(TIME),
+    })
+    .optional(),
+});
+
+/**
+ * A version 3.0 backup. Collections that are absent (todos, projects and templates in
+ * upgraded older files) are left untouched on import.
+ */
+export const BackupSchema = z.strictObject({
+  version: z.literal(BACKUP_VERSION),
+  exportDate: Timestamp.optional(),
+  tasks: z.array(BackupTask),
+  todos: z.array(BackupTodo).optional(),
+  projects: z.array(BackupProject).optional(),
+  templates: z.array(BackupTemplate).optional(),
+  settings: BackupSettings.optional(),
+});
+
+export type Backup = z.infer<typeof BackupSchema>;
+export type BackupTask = z.infer<typeof BackupTask>;
+export type BackupTodo = z.infer<typeof BackupTodo>;
+export type BackupProject = z.infer<typeof BackupProject>;
+export type BackupTemplate = z.infer<typeof BackupTemplate>;
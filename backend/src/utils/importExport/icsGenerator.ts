@@ -0,0 +1,191 @@
+export interface ExportableTask {
+  _id: { toString(): string };
+  title: string;
+  description?: string;
+  dueDate: string;
+  dueTime?: string;
+  priority: 'high' | 'medium' | 'low';
+  estimatedDuration: number;
+  isCompleted: boolean;
+  completedAt?: Date;
+  assignedSlot?: { date?: string; time?: string } | null;
+  tags: string[];
+  recurrence?: { rrule: string; exdates: string[] } | null;
+  seriesId?: { toString(): string } | null;
+  recurrenceId?: string;
+  subtasks: Array<{ title: string; isCompleted: boolean }>;
+  createdAt?: Date;
+  updatedAt?: Date;
+}
+
+export interface ICSExportOptions {
+  calendarName?: string;
+  timeZone?: string;
+  now?: Date;
+}
+
+const PRODID = '-//Cortex Task Manager//Cortex//EN';
+const UID_DOMAIN = 'cortex-task-manager';
+const MAX_LINE_OCTETS = 75;
+
+const PRIORITY_MAP: Record<ExportableTask['priority'], number> = {
+  high: 1,
+  medium: 5,
+  low: 9,
+};
+
+/**
+ * Renders tasks as an RFC 5545 calendar.
+ *
+ * Tasks with a time (an assigned slot or a due time) become VEVENTs, the rest become
+ * VTODOs due on their date. Series keep their RRULE/EXDATE and exceptions are emitted as
+ * RECURRENCE-ID overrides of the same UID. Times are floating wall-clock times,
+ * with X-WR-TIMEZONE telling clients which zone they belong to.
+ */
+export const generateICS = (tasks: ExportableTask[], options: ICSExportOptions = {}): string => {
+  const stamp = formatUTC(options.now || new Date());
+  // Series id → the time of its occurrences, which RECURRENCE-ID values must match
+  const seriesTimes = new Map(
+    tasks
+      .filter((t) => t.recurrence?.rrule)
+      .map((t) => [t._id.toString(), t.assignedSlot?.time || t.dueTime] as const)
+  );
+  const overridden = new Map<string, Set<string>>();
+
+  for (const task of tasks) {
+    const seriesId = task.seriesId?.toString();
+    if (seriesId && task.recurrenceId && seriesTimes.has(seriesId)) {
+      if (!overridden.has(seriesId)) overridden.set(seriesId, new Set());
+      overridden.get(seriesId)!.add(task.recurrenceId);
+    }
+  }
+
+  const lines = [
+    'BEGIN:VCALENDAR',
+    'VERSION:2.0',
+    `PRODID:${PRODID}`,
+    'CALSCALE:GREGORIAN',
+    'METHOD:PUBLISH',
+  ];
+  if (options.calendarName) lines.push(`X-WR-CALNAME:${escapeText(options.calendarName)}`);
+  if (options.timeZone) lines.push(`X-WR-TIMEZONE:${options.timeZone}`);
+
+  for (const task of tasks) {
+    const seriesId = task.seriesId?.toString();
+    const series =
+      seriesId && task.recurrenceId && seriesTimes.has(seriesId)
+        ? { id: seriesId, time: seriesTimes.get(seriesId) }
+        : null;
+    lines.push(...renderTask(task, stamp, series, overridden.get(task._id.toString())));
+  }
+
+  lines.push('END:VCALENDAR');
+  return lines.map(foldLine).join('\r\n') + '\r\n';
+};
+
+const renderTask = (
+  task: ExportableTask,
+  stamp: string,
+  series: { id: string; time?: string } | null,
+  overriddenDates?: Set<string>
+): string[] => {
+  const date = task.assignedSlot?.date || task.dueDate;
+  const time = task.assignedSlot?.time || task.dueTime;
+  // Untimed tasks are to-dos, except series members: RRULE needs a DTSTART, so they are all-day events
+  const component = time || task.recurrence?.rrule || series ? 'VEVENT' : 'VTODO';
+  const uid = `${series?.id || task._id.toString()}@${UID_DOMAIN}`;
+
+  const lines = [`BEGIN:${component}`, `UID:${uid}`, `DTSTAMP:${stamp}`];
+  if (task.createdAt) lines.push(`CREATED:${formatUTC(task.createdAt)}`);
+  if (task.updatedAt) lines.push(`LAST-MODIFIED:${formatUTC(task.updatedAt)}`);
+  lines.push(`SUMMARY:${escapeText(task.title)}`);
+
+  if (time) {
+    lines.push(`DTSTART:${formatLocal(date, time)}`);
+    lines.push(`DTEND:${formatLocal(...addMinutes(date, time, task.estimatedDuration || 60))}`);
+  } else if (component === 'VEVENT') {
+    lines.push(`DTSTART;VALUE=DATE:${formatDate(date)}`);
+    lines.push(`DTEND;VALUE=DATE:${formatDate(addMinutes(date, '00:00', 1440)[0])}`);
+  } else {
+    lines.push(`DUE;VALUE=DATE:${formatDate(date)}`);
+    lines.push(task.isCompleted ? 'STATUS:COMPLETED' : 'STATUS:NEEDS-ACTION');
+    if (task.isCompleted && task.completedAt) lines.push(`COMPLETED:${formatUTC(task.completedAt)}`);
+  }
+
+  if (series && task.recurrenceId) {
+    lines.push(
+      series.time
+        ? `RECURRENCE-ID:${formatLocal(task.recurrenceId, series.time)}`
+        : `RECURRENCE-ID;VALUE=DATE:${formatDate(task.recurrenceId)}`
+    );
+  }
+
+  if (task.recurrence?.rrule) {
+    lines.push(`RRULE:${task.recurrence.rrule}`);
+    const exdates = task.recurrence.exdates.filter((d) => !overriddenDates?.has(d));
+    if (exdates.length > 0) {
+      const values = exdates.map((d) => (time ? formatLocal(d, time) : formatDate(d)));
+      lines.push(`EXDATE${time ? '' : ';VALUE=DATE'}:${values.join(',')}`);
+    }
+  }
+
+  lines.push(`PRIORITY:${PRIORITY_MAP[task.priority] ?? 5}`);
+  if (task.tags.length > 0) lines.push(`CATEGORIES:${task.tags.map(escapeText).join(',')}`);
+
+  const description = buildDescription(task);
+  if (description) lines.push(`DESCRIPTION:${escapeText(description)}`);
+
+  lines.push(`END:${component}`);
+  return lines;
+};
+
+const buildDescription = (task: ExportableTask): string => {
+  const parts = [];
+  if (task.description?.trim()) parts.push(task.description.trim());
+  if (task.subtasks.length > 0) {
+    parts.push(['Subtasks:', ...task.subtasks.map((s) => `[${s.isCompleted ? 'x' : ' '}] ${s.title}`)].join('\n'));
+  }
+  return parts.join('\n\n');
+};
+
+const formatDate = (date: string): string => date.replace(/-/g, '');
+
+const formatLocal = (date: string, time: string): string => `${formatDate(date)}T${time.replace(':', '')}00`;
+
+const formatUTC = (date: Date): string => date.toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+
+const addMinutes = (date: string, time: string, minutes: number): [string, string] => {
+  const [hours, mins] = time.split(':').map(Number);
+  const end = new Date(`${date}T00:00:00Z`);
+  end.setUTCMinutes(hours * 60 + mins + minutes);
+  const iso = end.toISOString();
+  return [iso.substring(0, 10), iso.substring(11, 16)];
+};
+
+const escapeText = (value: string): string =>
+  value.replace(/\\/g, '\\\\').replace(/;/g, '\\;').replace(/,/g, '\\,').replace(/\r?\n/g, '\\n');
+
+/**
+ * Folds a content line at 75 octets without splitting multi-byte characters.
+ */
+const foldLine = (line: string): string => {
+  if (Buffer.byteLength(line) <= MAX_LINE_OCTETS) return line;
+
+  const chunks: string[] = [];
+  let current = '';
+  let octets = 0;
+  for (const char of line) {
+    const size = Buffer.byteLength(char);
+    // Continuation lines start with a space, which counts towards the limit
+    const limit = chunks.length === 0 ? MAX_LINE_OCTETS : MAX_LINE_OCTETS - 1;
+    if (octets + size > limit) {
+      chunks.push(current);
+      current = '';
+      octets = 0;
+    }
+    current += char;
+    octets += size;
+  }
+  chunks.push(current);
+  return chunks.join('\r\n ');
+};
@@ -1,134 +1,544 @@
+import {
+  RRule,
+  parseRRule,
+  formatRRule,
+  expandRRule,
+  parseRRuleDate,
+  addDaysToDate,
+} from '../recurrence/rrule';
+import { isValidTimeZone, toZonedDateTime, zonedTimeToUtc } from '../timezone/zonedTime';
+
 export interface ParsedICSEvent {
+  uid?: string;
+  recurrenceId?: string;
   title: string;
   description?: string;
   dueDate: string;
   dueTime?: string;
   estimatedDuration: number;
   priority: 'high' | 'medium' | 'low';
+  tags: string[];
+  isCompleted: boolean;
+  rrule?: string;
+  exdates: string[];
+}
+
+export interface SkippedICSComponent {
+  type: string;
+  uid?: string;
+  summary?: string;
+  reason: string;
+}
+
+export interface ParsedICS {
+  events: ParsedICSEvent[];
+  skipped: SkippedICSComponent[];
+  // X-WR-CALNAME of the first calendar that has one
+  calendarName?: string;
+}
+
+interface ICSProperty {
+  name: string;
+  params: Record<string, string>;
+  value: string;
 }
 
-export const parseICS = (icsContent: string): ParsedICSEvent[] => {
+interface ICSComponent {
+  type: string;
+  properties: ICSProperty[];
+  components: ICSComponent[];
+}
+
+interface ResolvedDateTime {
+  date: string;
+  time?: string;
+  // Milliseconds on a common timeline, used only to measure durations
+  instant: number;
+  // Days the date moved when converting from the source zone to the target zone
+  dayShift: number;
+}
+
+type OffsetResolver = (date: string, time: string) => number;
+
+const DEFAULT_DURATION = 60;
+const MIN_DURATION = 30;
+// Open-ended series are converted between zones this far past DTSTART
+const EXPANSION_DAYS = 365;
+// A series whose RRULE cannot be kept becomes at most this many single events
+const MAX_EXPANDED_OCCURRENCES = 100;
+
+/**
+ * Parses an RFC 5545 calendar into task-shaped events.
+ *
+ * Zoned and UTC times are converted into `timeZone`; floating times are taken as-is.
+ * Recurring events keep their RRULE/EXDATE, with exceptions for occurrences the
+ * conversion moves, or are expanded when it moves them onto another weekday in a way
+ * the rule cannot express. VEVENT and VTODO are imported; every other component, and
+ * occurrences an expansion leaves out, are reported in `skipped`.
+ */
+export const parseICS = (icsContent: string, timeZone = 'UTC'): ParsedICS => {
+  const root = parseComponents(unfoldLines(icsContent));
+  const calendars = root.components.filter((c) => c.type === 'VCALENDAR');
+  const components = calendars.length ? calendars.flatMap((c) => c.components) : root.components;
+  const calendarName = calendars.map((c) => getValue(c, 'X-WR-CALNAME')).find(Boolean);
+
+  const resolvers = new Map<string, OffsetResolver>();
+  for (const component of components) {
+    if (component.type === 'VTIMEZONE') {
+      const tzid = getValue(component, 'TZID');
+      if (tzid) resolvers.set(tzid, buildOffsetResolver(component));
+    }
+  }
+
   const events: ParsedICSEvent[] = [];
-  const lines = icsContent.split(/\r\n|\n|\r/);
-
-  let inEvent = false;
-  let currentEvent: Partial<ParsedICSEvent> = {};
-  let currentField = '';
-  let currentValue = '';
-
-  for (let i = 0; i < lines.length; i++) {
-    const line = lines[i];
-
-    if (line.startsWith('BEGIN:VEVENT')) {
-      inEvent = true;
-      currentEvent = {};
-    } else if (line.startsWith('END:VEVENT')) {
-      if (currentEvent.title && currentEvent.dueDate) {
-        events.push({
-          title: currentEvent.title,
-          description: currentEvent.description,
-          dueDate: currentEvent.dueDate,
-          dueTime: currentEvent.dueTime,
-          estimatedDuration: currentEvent.estimatedDuration || 60,
-          priority: currentEvent.priority || 'medium',
-        });
-      }
-      inEvent = false;
-    } else if (inEvent) {
-      if (line.startsWith(' ') || line.startsWith('\t')) {
-        currentValue += line.substring(1);
-      } else {
-        if (currentField) {
-          processField(currentField, currentValue, currentEvent);
-        }
-        const colonIndex = line.indexOf(':');
-        if (colonIndex !== -1) {
-          currentField = line.substring(0, colonIndex);
-          currentValue = line.substring(colonIndex + 1);
+  const skipped: SkippedICSComponent[] = [];
+  const cancelled: Array<{ uid?: string; recurrenceId: string }> = [];
+  const overrides: ParsedICSEvent[] = [];
+  const converted: ParsedICSEvent[] = [];
+  const context = { timeZone, resolvers };
+
+  for (const component of components) {
+    if (component.type === 'VTIMEZONE') continue;
+
+    const uid = getValue(component, 'UID');
+    const summary = getValue(component, 'SUMMARY');
+    const skip = (reason: string) =>
+      skipped.push({ type: component.type, uid, summary: summary && unescapeICS(summary), reason });
+
+    if (component.type !== 'VEVENT' && component.type !== 'VTODO') {
+      skip('Unsupported component');
+      continue;
+    }
+
+    try {
+      const status = getValue(component, 'STATUS')?.toUpperCase();
+      const recurrenceProp = getProperty(component, 'RECURRENCE-ID');
+
+      if (status === 'CANCELLED') {
+        if (recurrenceProp) {
+          cancelled.push({ uid, recurrenceId: resolveDateTime(recurrenceProp, context).date });
+        } else {
+          skip('Cancelled');
         }
+        continue;
+      }
+
+      if (!summary) {
+        skip('Missing SUMMARY');
+        continue;
       }
+
+      const parsed =
+        component.type === 'VEVENT' ? parseEvent(component, context, skip) : parseTodo(component, context, skip);
+      if (typeof parsed === 'string') {
+        skip(parsed);
+        continue;
+      }
+
+      for (const event of parsed) {
+        const imported: ParsedICSEvent = {
+          ...event,
+          uid,
+          title: unescapeICS(summary),
+          description: unescapeICS(getValue(component, 'DESCRIPTION') || '') || undefined,
+          priority: mapPriority(getValue(component, 'PRIORITY')),
+          tags: getProperties(component, 'CATEGORIES').flatMap((p) => splitList(p.value).map(unescapeICS)),
+          recurrenceId: event.recurrenceId ?? (recurrenceProp && resolveDateTime(recurrenceProp, context).date),
+        };
+        events.push(imported);
+        if (recurrenceProp) overrides.push(imported);
+        else if (event.recurrenceId) converted.push(imported);
+      }
+    } catch (error) {
+      skip((error as Error).message);
     }
   }
 
-  if (currentField && inEvent) {
-    processField(currentField, currentValue, currentEvent);
+  // RECURRENCE-IDs name an occurrence by its converted date; an occurrence the
+  // conversion moved is found by that date and carries the RECURRENCE-ID to use
+  const moved = new Map(converted.map((e) => [`${e.uid}|${e.dueDate}`, e]));
+  const replaced = new Set<ParsedICSEvent>();
+
+  // Modified instances replace the matching occurrence of a converted series
+  for (const override of overrides) {
+    const occurrence = moved.get(`${override.uid}|${override.recurrenceId}`);
+    if (!occurrence) continue;
+    override.recurrenceId = occurrence.recurrenceId;
+    replaced.add(occurrence);
+  }
+
+  // A cancelled instance of a recurring event is an exclusion on its master
+  for (const { uid, recurrenceId } of cancelled) {
+    const master = events.find((e) => e.uid && e.uid === uid && !e.recurrenceId && e.rrule);
+    const occurrence = moved.get(`${uid}|${recurrenceId}`);
+    if (occurrence) replaced.add(occurrence);
+    if (master) {
+      master.exdates.push(occurrence?.recurrenceId ?? recurrenceId);
+    } else if (!occurrence) {
+      skipped.push({ type: 'VEVENT', uid, reason: 'Cancelled' });
+    }
   }
 
-  return events;
+  const deduped = events.filter((e) => !replaced.has(e));
+
+  return { events: deduped, skipped, calendarName: calendarName && unescapeICS(calendarName) };
 };
 
-const processField = (
-  field: string,
-  value: string,
-  event: Partial<ParsedICSEvent>
-): void => {
-  const fieldName = field.split(';')[0];
+type EventBody = Omit<ParsedICSEvent, 'uid' | 'title' | 'description' | 'priority' | 'tags'>;
 
-  switch (fieldName) {
-    case 'SUMMARY':
-      event.title = unescapeICS(value);
-      break;
-    case 'DESCRIPTION':
-      event.description = unescapeICS(value);
-      break;
-    case 'DTSTART':
-      const start = parseICSDateTime(value);
-      event.dueDate = start.date;
-      event.dueTime = start.time;
-      break;
-    case 'DTEND':
-      const end = parseICSDateTime(value);
-      if (event.dueDate && event.dueTime && end.date && end.time) {
-        const startMins = parseTime(end.time) - parseTime(event.dueTime);
-        event.estimatedDuration = Math.max(30, startMins);
+// Reports part of a component that was left out
+type SkipReporter = (reason: string) => void;
+
+const parseEvent = (component: ICSComponent, context: ResolveContext, skip: SkipReporter): EventBody[] | string => {
+  const startProp = getProperty(component, 'DTSTART');
+  if (!startProp) return 'Missing DTSTART';
+
+  const start = resolveDateTime(startProp, context);
+  const endProp = getProperty(component, 'DTEND');
+  const durationProp = getValue(component, 'DURATION');
+
+  let durationMinutes: number | undefined;
+  if (endProp) {
+    durationMinutes = (resolveDateTime(endProp, context).instant - start.instant) / 60000;
+  } else if (durationProp) {
+    durationMinutes = parseDuration(durationProp);
+  }
+
+  const body: EventBody = {
+    dueDate: start.date,
+    dueTime: start.time,
+    estimatedDuration: start.time && durationMinutes
+      ? Math.max(MIN_DURATION, Math.round(durationMinutes))
+      : DEFAULT_DURATION,
+    isCompleted: false,
+    exdates: [],
+  };
+
+  const rruleValue = getValue(component, 'RRULE');
+  if (rruleValue) {
+    return applyRecurrence(body, component, startProp, rruleValue, context, skip);
+  }
+
+  // A multi-day all-day event becomes a daily series covering each day it spans
+  const spanDays = !start.time && durationMinutes ? Math.round(durationMinutes / 1440) : 1;
+  if (spanDays > 1) {
+    body.rrule = formatRRule({ freq: 'DAILY', interval: 1, count: spanDays });
+  }
+
+  return [body];
+};
+
+const parseTodo = (component: ICSComponent, context: ResolveContext, skip: SkipReporter): EventBody[] | string => {
+  const dueProp = getProperty(component, 'DUE') || getProperty(component, 'DTSTART');
+  if (!dueProp) return 'Missing DUE';
+
+  const due = resolveDateTime(dueProp, context);
+  const durationProp = getValue(component, 'DURATION');
+  const status = getValue(component, 'STATUS')?.toUpperCase();
+
+  const body: EventBody = {
+    dueDate: due.date,
+    dueTime: due.time,
+    estimatedDuration: durationProp ? Math.max(MIN_DURATION, parseDuration(durationProp)) : DEFAULT_DURATION,
+    isCompleted: status === 'COMPLETED' || !!getValue(component, 'COMPLETED'),
+    exdates: [],
+  };
+
+  const rruleValue = getValue(component, 'RRULE');
+  return rruleValue ? applyRecurrence(body, component, dueProp, rruleValue, context, skip) : [body];
+};
+
+/**
+ * Keeps the RRULE, moved by the days the conversion moves DTSTART. Occurrences that
+ * convert to another time or day, such as around DST transitions the source zone does
+ * not share with the target zone, become exceptions of the series; open-ended series are
+ * checked for EXPANSION_DAYS. A rule a day shift would break is expanded into at most
+ * MAX_EXPANDED_OCCURRENCES events instead, and the occurrences left out are reported.
+ */
+const applyRecurrence = (
+  body: EventBody,
+  component: ICSComponent,
+  startProp: ICSProperty,
+  rruleValue: string,
+  context: ResolveContext,
+  skip: SkipReporter
+): EventBody[] => {
+  const rule = parseRRule(rruleValue);
+  const start = resolveDateTime(startProp, context);
+  const sourceStart = parseRRuleDate(startProp.value);
+
+  // Exclusions are matched against occurrences in the source calendar's dates
+  const sourceExdates = getProperties(component, 'EXDATE').flatMap((prop) =>
+    splitList(prop.value).map((value) =>
+      /Z$/i.test(value) && !/Z$/i.test(startProp.value)
+        ? addDaysToDate(resolveDateTime({ ...prop, value }, context).date, -start.dayShift)
+        : parseRRuleDate(value)
+    )
+  );
+
+  const openEnded = !rule.until && !rule.count;
+  const occurrences = expandRRule(sourceStart, rule, {
+    exdates: sourceExdates,
+    rangeEnd: rule.until || addDaysToDate(sourceStart, EXPANSION_DAYS),
+  }).map((date) => ({
+    ...resolveDateTime({ ...startProp, value: startProp.value.replace(/^\d{8}/, date.replace(/-/g, '')) }, context),
+    // The date the moved rule gives this occurrence
+    seriesDate: addDaysToDate(date, start.dayShift),
+  }));
+
+  const shifted = shiftRule(rule, start.dayShift);
+  if (shifted) {
+    const exdates = sourceExdates.map((date) => addDaysToDate(date, start.dayShift));
+    const exceptions = occurrences
+      .filter((o) => o.time !== start.time || o.dayShift !== start.dayShift)
+      .map((o) => ({ ...body, dueDate: o.date, dueTime: o.time, recurrenceId: o.seriesDate, exdates: [] }));
+    return [{ ...body, rrule: formatRRule(shifted), exdates }, ...exceptions];
+  }
+
+  const kept = occurrences.slice(0, MAX_EXPANDED_OCCURRENCES);
+  if (kept.length > 0 && (openEnded || kept.length < occurrences.length)) {
+    skip(`Occurrences after ${kept[kept.length - 1].date} were not imported`);
+  }
+  return kept.map((o) => ({ ...body, dueDate: o.date, dueTime: o.time, recurrenceId: o.date, exdates: [] }));
+};
+
+/**
+ * Moves a rule by whole days. Returns null when the rule pins occurrences to
+ * month days or ordinal weekdays, which a plain shift cannot preserve.
+ */
+const shiftRule = (rule: RRule, days: number): RRule | null => {
+  if (days === 0) return rule;
+  if (rule.byMonthDay?.length || rule.byMonth?.length) return null;
+  if (rule.byDay?.some((d) => d.ordinal)) return null;
+
+  return {
+    ...rule,
+    until: rule.until && addDaysToDate(rule.until, days),
+    byDay: rule.byDay?.map((d) => ({ weekday: (d.weekday + days + 7) % 7 })),
+  };
+};
+
+interface ResolveContext {
+  timeZone: string;
+  resolvers: Map<string, OffsetResolver>;
+}
+
+const resolveDateTime = (prop: ICSProperty, context: ResolveContext): ResolvedDateTime => {
+  const digits = prop.value.replace(/[^0-9]/g, '');
+  if (digits.length < 8) {
+    throw new Error(`Invalid ${prop.name} value: ${prop.value}`);
+  }
+
+  const date = parseRRuleDate(digits);
+  const isDate = prop.params.VALUE?.toUpperCase() === 'DATE' || digits.length < 12;
+  if (isDate) {
+    return { date, instant: Date.parse(`${date}T00:00:00Z`), dayShift: 0 };
+  }
+
+  const time = `${digits.substring(8, 10)}:${digits.substring(10, 12)}`;
+  const wallClock = Date.parse(`${date}T${time}:00Z`);
+
+  let instant: number;
+  if (/Z$/i.test(prop.value.trim())) {
+    instant = wallClock;
+  } else if (prop.params.TZID) {
+    instant = toInstant(date, time, prop.params.TZID, context);
+  } else {
+    // Floating time: the same wall-clock time wherever the user is
+    return { date, time, instant: wallClock, dayShift: 0 };
+  }
+
+  const local = toZonedDateTime(new Date(instant), context.timeZone);
+  return {
+    date: local.date,
+    time: local.time,
+    instant,
+    dayShift: Math.round((Date.parse(local.date) - Date.parse(date)) / 86400000),
+  };
+};
+
+const toInstant = (date: string, time: string, tzid: string, context: ResolveContext): number => {
+  const resolver = context.resolvers.get(tzid);
+  const ianaName = findIanaName(tzid);
+
+  if (ianaName) {
+    return zonedTimeToUtc(date, time, ianaName).getTime();
+  }
+  if (resolver) {
+    return Date.parse(`${date}T${time}:00Z`) - resolver(date, time) * 60000;
+  }
+  // Unknown zone with no VTIMEZONE definition: treat as floating
+  return zonedTimeToUtc(date, time, context.timeZone).getTime();
+};
+
+/**
+ * Accepts plain IANA names as well as vendor-prefixed ones such as
+ * "/mozilla.org/20050126_1/Europe/Berlin".
+ */
+const findIanaName = (tzid: string): string | null => {
+  const segments = tzid.replace(/^"|"$/g, '').split('/').filter(Boolean);
+  for (let i = 0; i < segments.length; i++) {
+    const candidate = segments.slice(i).join('/');
+    if (/^[A-Za-z_]+(\/[A-Za-z0-9_+-]+)*$/.test(candidate) && isValidTimeZone(candidate)) {
+      return candidate;
+    }
+  }
+  return null;
+};
+
+/**
+ * Builds a local-time → UTC offset lookup from a VTIMEZONE definition by finding the
+ * most recent STANDARD/DAYLIGHT onset at or before the given wall-clock time.
+ */
+const buildOffsetResolver = (vtimezone: ICSComponent): OffsetResolver => {
+  const observances = vtimezone.components
+    .filter((c) => c.type === 'STANDARD' || c.type === 'DAYLIGHT')
+    .map((c) => {
+      const start = getValue(c, 'DTSTART') || '19700101T000000';
+      const digits = start.replace(/[^0-9]/g, '');
+      return {
+        date: parseRRuleDate(digits),
+        time: digits.length >= 12 ? `${digits.substring(8, 10)}:${digits.substring(10, 12)}` : '00:00',
+        rrule: getValue(c, 'RRULE'),
+        rdates: getProperties(c, 'RDATE').flatMap((p) => splitList(p.value).map((v) => parseRRuleDate(v))),
+        offsetFrom: parseOffset(getValue(c, 'TZOFFSETFROM')),
+        offsetTo: parseOffset(getValue(c, 'TZOFFSETTO')),
+      };
+    });
+
+  return (date: string, time: string): number => {
+    let latest: { onset: string; offset: number } | null = null;
+    const local = `${date}T${time}`;
+    const rangeStart = `${Number(date.substring(0, 4)) - 1}-01-01`;
+
+    for (const observance of observances) {
+      const onsets = [observance.date, ...observance.rdates];
+      if (observance.rrule) {
+        onsets.push(...expandRRule(observance.date, observance.rrule, { rangeStart, rangeEnd: date }));
       }
-      break;
-    case 'PRIORITY':
-      const priorityNum = parseInt(value, 10);
-      if (priorityNum >= 1 && priorityNum <= 4) {
-        event.priority = 'high';
-      } else if (priorityNum === 5) {
-        event.priority = 'medium';
-      } else {
-        event.priority = 'low';
+
+      for (const onsetDate of onsets) {
+        const onset = `${onsetDate}T${observance.time}`;
+        if (onset <= local && (!latest || onset > latest.onset)) {
+          latest = { onset, offset: observance.offsetTo };
+        }
       }
-      break;
+    }
+
+    return latest ? latest.offset : observances[0]?.offsetFrom ?? 0;
+  };
+};
+
+const parseOffset = (value?: string): number => {
+  const match = value?.match(/^([+-])(\d{2})(\d{2})(\d{2})?$/);
+  if (!match) return 0;
+  const minutes = Number(match[2]) * 60 + Number(match[3]);
+  return match[1] === '-' ? -minutes : minutes;
+};
+
+const parseDuration = (value: string): number => {
+  const match = value.match(/^([+-])?P(?:(\d+)W)?(?:(\d+)D)?(?:T(?:(\d+)H)?(?:(\d+)M)?(?:(\d+)S)?)?$/i);
+  if (!match) return DEFAULT_DURATION;
+  const [, sign, weeks, days, hours, minutes, seconds] = match;
+  const total =
+    Number(weeks || 0) * 10080 +
+    Number(days || 0) * 1440 +
+    Number(hours || 0) * 60 +
+    Number(minutes || 0) +
+    Math.round(Number(seconds || 0) / 60);
+  return sign === '-' ? -total : total;
+};
+
+const mapPriority = (value?: string): 'high' | 'medium' | 'low' => {
+  const priorityNum = parseInt(value || '', 10);
+  if (priorityNum >= 1 && priorityNum <= 4) return 'high';
+  if (priorityNum >= 6 && priorityNum <= 9) return 'low';
+  return 'medium';
+};
+
+const unfoldLines = (content: string): string[] =>
+  content.replace(/\r\n|\r/g, '\n').replace(/\n[ \t]/g, '').split('\n');
+
+const parseComponents = (lines: string[]): ICSComponent => {
+  const root: ICSComponent = { type: 'ROOT', properties: [], components: [] };
+  const stack = [root];
+
+  for (const line of lines) {
+    if (!line.trim()) continue;
+    const prop = parseProperty(line);
+    if (!prop) continue;
+
+    const current = stack[stack.length - 1];
+    if (prop.name === 'BEGIN') {
+      const component: ICSComponent = { type: prop.value.toUpperCase(), properties: [], components: [] };
+      current.components.push(component);
+      stack.push(component);
+    } else if (prop.name === 'END') {
+      if (stack.length > 1) stack.pop();
+    } else {
+      current.properties.push(prop);
+    }
   }
+
+  return root;
 };
 
-const parseICSDateTime = (
-  value: string
-): { date?: string; time?: string } => {
-  const cleaned = value.replace(/[TZ\-:]/g, '');
-
-  if (cleaned.length >= 8) {
-    const date = cleaned.substring(0, 8);
-    const year = date.substring(0, 4);
-    const month = date.substring(4, 6);
-    const day = date.substring(6, 8);
-
-    if (cleaned.length >= 13) {
-      const time = cleaned.substring(9, 13);
-      const hours = time.substring(0, 2);
-      const minutes = time.substring(2, 4);
-      return { date: `${year}-${month}-${day}`, time: `${hours}:${minutes}` };
+const parseProperty = (line: string): ICSProperty | null => {
+  let inQuotes = false;
+  let valueStart = -1;
+  for (let i = 0; i < line.length; i++) {
+    if (line[i] === '"') inQuotes = !inQuotes;
+    if (line[i] === ':' && !inQuotes) {
+      valueStart = i;
+      break;
     }
+  }
+  if (valueStart === -1) return null;
 
-    return { date: `${year}-${month}-${day}` };
+  const [name, ...rawParams] = splitOutsideQuotes(line.substring(0, valueStart), ';');
+  const params: Record<string, string> = {};
+  for (const param of rawParams) {
+    const eq = param.indexOf('=');
+    if (eq !== -1) {
+      params[param.substring(0, eq).toUpperCase()] = param.substring(eq + 1).replace(/^"|"$/g, '');
+    }
   }
 
-  return {};
+  return { name: name.toUpperCase(), params, value: line.substring(valueStart + 1) };
 };
 
-const parseTime = (time: string): number => {
-  const [hours, minutes] = time.split(':').map(Number);
-  return hours * 60 + (minutes || 0);
+const splitOutsideQuotes = (value: string, separator: string): string[] => {
+  const parts: string[] = [];
+  let current = '';
+  let inQuotes = false;
+  for (const char of value) {
+    if (char === '"') inQuotes = !inQuotes;
+    if (char === separator && !inQuotes) {
+      parts.push(current);
+      current = '';
+    } else {
+      current += char;
+    }
+  }
+  parts.push(current);
+  return parts;
 };
 
-const unescapeICS = (value: string): string => {
-  return value
-    .replace(/\\n/g, '\n')
-    .replace(/\\,/g, ',')
-    .replace(/\\;/g, ';')
-    .replace(/\\\\/g, '\\');
-};
+// Splits a comma-separated value list, leaving escaped commas (\,) intact
+const splitList = (value: string): string[] =>
+  value
+    .split(/(?<!\\),/)
+    .map((v) => v.trim())
+    .filter(Boolean);
+
+const getProperty = (component: ICSComponent, name: string): ICSProperty | undefined =>
+  component.properties.find((p) => p.name === name);
+
+const getProperties = (component: ICSComponent, name: string): ICSProperty[] =>
+  component.properties.filter((p) => p.name === name);
+
+const getValue = (component: ICSComponent, name: string): string | undefined =>
+  getProperty(component, name)?.value;
+
+const unescapeICS = (value: string): string =>
+  value.replace(/\\([\\;,nN])/g, (_, char: string) => (char === 'n' || char === 'N' ? '\n' : char));
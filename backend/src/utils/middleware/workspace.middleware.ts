@@ -0,0 +1,67 @@
+import { Request, Response, NextFunction } from 'express';
+import { AppError } from '../handlers/appError';
+import type { WorkspaceRole } from '../../database/models/workspace.model';
+import type { WorkspaceAccess } from '../../modules/workspaces/workspace.types';
+import workspaceService from '../../modules/workspaces/workspace.service';
+
+declare global {
+  namespace Express {
+    interface Request {
+      workspace?: WorkspaceAccess;
+    }
+  }
+}
+
+export const WORKSPACE_HEADER = 'x-workspace-id';
+
+const READ_METHODS = ['GET', 'HEAD', 'OPTIONS'];
+
+/**
+ * Resolves the workspace named in the X-Workspace-Id header, or the user's personal
+ * workspace when the header is absent. Must run after `authenticate`.
+ */
+export const resolveWorkspace = async (req: Request, _res: Response, next: NextFunction): Promise<void> => {
+  try {
+    const id = req.header(WORKSPACE_HEADER) || undefined;
+    req.workspace = await workspaceService.resolveAccess(req.user!._id.toString(), id);
+    next();
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Resolves the workspace from the `:id` route parameter, for routes about a workspace itself.
+ */
+export const resolveWorkspaceParam = async (
+  req: Request,
+  _res: Response,
+  next: NextFunction,
+  id: string
+): Promise<void> => {
+  try {
+    req.workspace = await workspaceService.resolveAccess(req.user!._id.toString(), id);
+    next();
+  } catch (error) {
+    next(error);
+  }
+};
+
+export const requireRole = (role: WorkspaceRole) => {
+  return (req: Request, _res: Response, next: NextFunction): void => {
+    if (!req.workspace || !workspaceService.hasRole(req.workspace.role, role)) {
+      return next(new AppError('You do not have permission to do this in this workspace', 403));
+    }
+    next();
+  };
+};
+
+/**
+ * Viewers may read but not change anything: every other method needs an editor.
+ */
+export const authorizeWrites = (req: Request, res: Response, next: NextFunction): void => {
+  if (READ_METHODS.includes(req.method)) {
+    return next();
+  }
+  requireRole('editor')(req, res, next);
+};
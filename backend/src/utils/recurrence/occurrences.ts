@@ -0,0 +1,76 @@
+import { buildOccurrenceId, expandRRule } from './rrule';
+
+export interface TaskOccurrence {
+  _id: string;
+  id: string;
+  seriesId: string;
+  recurrenceId: string;
+  dueDate: string;
+  isOccurrence: true;
+  [key: string]: any;
+}
+
+export const isSeries = (task: any): boolean => !!task?.recurrence?.rrule;
+
+const toPlain = (task: any): any => (typeof task.toJSON === 'function' ? task.toJSON() : { ...task });
+
+/**
+ * Builds the virtual, read-only view of one occurrence of a series.
+ * Occurrences are never stored; editing one materialises an exception document.
+ */
+export const buildOccurrence = (series: any, date: string): TaskOccurrence => {
+  const { recurrence, __v, ...base } = toPlain(series);
+  const seriesId = base._id.toString();
+  const id = buildOccurrenceId(seriesId, date);
+
+  return {
+    ...base,
+    _id: id,
+    id,
+    seriesId,
+    recurrenceId: date,
+    recurrence,
+    dueDate: date,
+    assignedSlot: base.assignedSlot?.time ? { date, time: base.assignedSlot.time } : null,
+    isCompleted: false,
+    completedAt: undefined,
+    subtasks: (base.subtasks || []).map((s: any) => ({ ...s, isCompleted: false })),
+    isOccurrence: true,
+  };
+};
+
+export const expandSeries = (series: any, rangeStart: string | undefined, rangeEnd: string): TaskOccurrence[] => {
+  if (!isSeries(series)) return [];
+
+  const dates = expandRRule(series.dueDate, series.recurrence.rrule, {
+    exdates: series.recurrence.exdates,
+    rangeStart,
+    rangeEnd,
+  });
+
+  return dates.map((date) => buildOccurrence(series, date));
+};
+
+/**
+ * Replaces every series in `tasks` with plain copies of its occurrences inside the range,
+ * keeping the series ObjectId so the scheduler's conflict checks keep working.
+ */
+export const expandForScheduling = <T extends { dueDate: string }>(
+  tasks: T[],
+  rangeStart: string,
+  rangeEnd: string
+): T[] =>
+  tasks.flatMap((task: any) => {
+    if (!isSeries(task)) return [task];
+
+    const plain = typeof task.toObject === 'function' ? task.toObject() : task;
+    return expandRRule(plain.dueDate, plain.recurrence.rrule, {
+      exdates: plain.recurrence.exdates,
+      rangeStart,
+      rangeEnd,
+    }).map((date) => ({
+      ...plain,
+      dueDate: date,
+      assignedSlot: plain.assignedSlot?.time ? { date, time: plain.assignedSlot.time } : null,
+    }));
+  });
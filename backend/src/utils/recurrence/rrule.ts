@@ -0,0 +1,329 @@
+export type RRuleFrequency = 'DAILY' | 'WEEKLY' | 'MONTHLY' | 'YEARLY';
+
+export interface ByDay {
+  weekday: number;
+  ordinal?: number;
+}
+
+export interface RRule {
+  freq: RRuleFrequency;
+  interval: number;
+  count?: number;
+  until?: string;
+  byDay?: ByDay[];
+  byMonthDay?: number[];
+  byMonth?: number[];
+}
+
+const WEEKDAYS = ['SU', 'MO', 'TU', 'WE', 'TH', 'FR', 'SA'];
+const FREQUENCIES: RRuleFrequency[] = ['DAILY', 'WEEKLY', 'MONTHLY', 'YEARLY'];
+const MAX_ITERATIONS = 10000;
+
+export const OCCURRENCE_ID_PATTERN = /^([a-f0-9]{24})_(\d{4}-\d{2}-\d{2})$/i;
+
+const toUTCDate = (dateStr: string): Date => {
+  const [year, month, day] = dateStr.split('-').map(Number);
+  return new Date(Date.UTC(year, month - 1, day));
+};
+
+const fromUTCDate = (date: Date): string => date.toISOString().split('T')[0];
+
+export const addDaysToDate = (dateStr: string, days: number): string => {
+  const date = toUTCDate(dateStr);
+  date.setUTCDate(date.getUTCDate() + days);
+  return fromUTCDate(date);
+};
+
+const daysInMonth = (year: number, month: number): number =>
+  new Date(Date.UTC(year, month + 1, 0)).getUTCDate();
+
+/**
+ * Converts an ICS date or date-time value (20261220 or 20261220T235959Z)
+ * into a YYYY-MM-DD string.
+ */
+export const parseRRuleDate = (value: string): string => {
+  const digits = value.replace(/[^0-9]/g, '');
+  if (digits.length < 8) {
+    throw new Error(`Invalid RRULE date: ${value}`);
+  }
+  return `${digits.substring(0, 4)}-${digits.substring(4, 6)}-${digits.substring(6, 8)}`;
+};
+
+const formatRRuleDate = (dateStr: string): string => dateStr.replace(/-/g, '');
+
+export const parseRRule = (rule: string): RRule => {
+  const parts = rule.replace(/^RRULE:/i, '').split(';').filter(Boolean);
+  const parsed: Partial<RRule> = { interval: 1 };
+
+  for (const part of parts) {
+    const [rawKey, rawValue] = part.split('=');
+    const key = rawKey?.trim().toUpperCase();
+    const value = rawValue?.trim().toUpperCase();
+    if (!key || !value) continue;
+
+    switch (key) {
+      case 'FREQ':
+        if (!FREQUENCIES.includes(value as RRuleFrequency)) {
+          throw new Error(`Unsupported RRULE frequency: ${value}`);
+        }
+        parsed.freq = value as RRuleFrequency;
+        break;
+      case 'INTERVAL':
+        parsed.interval = Math.max(1, parseInt(value, 10) || 1);
+        break;
+      case 'COUNT':
+        parsed.count = Math.max(1, parseInt(value, 10) || 1);
+        break;
+      case 'UNTIL':
+        parsed.until = parseRRuleDate(value);
+        break;
+      case 'BYDAY':
+        parsed.byDay = value.split(',').map((token) => {
+          const match = token.match(/^([+-]?\d{1,2})?(SU|MO|TU|WE|TH|FR|SA)$/);
+          if (!match) {
+            throw new Error(`Invalid BYDAY value: ${token}`);
+          }
+          return {
+            weekday: WEEKDAYS.indexOf(match[2]),
+            ordinal: match[1] ? parseInt(match[1], 10) : undefined,
+          };
+        });
+        break;
+      case 'BYMONTHDAY':
+        parsed.byMonthDay = value.split(',').map((d) => parseInt(d, 10)).filter((d) => !isNaN(d) && d !== 0);
+        break;
+      case 'BYMONTH':
+        parsed.byMonth = value.split(',').map((m) => parseInt(m, 10)).filter((m) => m >= 1 && m <= 12);
+        break;
+    }
+  }
+
+  if (!parsed.freq) {
+    throw new Error('RRULE is missing FREQ');
+  }
+
+  return parsed as RRule;
+};
+
+export const formatRRule = (rule: RRule): string => {
+  const parts = [`FREQ=${rule.freq}`];
+  if (rule.interval > 1) parts.push(`INTERVAL=${rule.interval}`);
+  if (rule.byDay?.length) {
+    parts.push(`BYDAY=${rule.byDay.map((d) => `${d.ordinal ?? ''}${WEEKDAYS[d.weekday]}`).join(',')}`);
+  }
+  if (rule.byMonthDay?.length) parts.push(`BYMONTHDAY=${rule.byMonthDay.join(',')}`);
+  if (rule.byMonth?.length) parts.push(`BYMONTH=${rule.byMonth.join(',')}`);
+  if (rule.count) parts.push(`COUNT=${rule.count}`);
+  if (rule.until) parts.push(`UNTIL=${formatRRuleDate(rule.until)}`);
+  return parts.join(';');
+};
+
+/**
+ * Builds an RRULE from the legacy repeatFrequency / repeatUntil pair.
+ */
+export const rruleFromFrequency = (
+  frequency: 'daily' | 'weekly' | 'monthly' | 'yearly',
+  repeatUntil?: string
+): string =>
+  formatRRule({
+    freq: frequency.toUpperCase() as RRuleFrequency,
+    interval: 1,
+    until: repeatUntil || undefined,
+  });
+
+/**
+ * Derives the legacy repeatFrequency / repeatUntil pair from an RRULE so clients
+ * that only understand the simple form still render series correctly.
+ */
+export const repeatFieldsFromRRule = (rule: string): { repeatFrequency: string; repeatUntil?: string } => {
+  const parsed = parseRRule(rule);
+  return {
+    repeatFrequency: parsed.freq.toLowerCase(),
+    repeatUntil: parsed.until,
+  };
+};
+
+const nthWeekdayOfMonth = (year: number, month: number, weekday: number, ordinal: number): number | null => {
+  const total = daysInMonth(year, month);
+  if (ordinal > 0) {
+    const firstWeekday = new Date(Date.UTC(year, month, 1)).getUTCDay();
+    const day = 1 + ((weekday - firstWeekday + 7) % 7) + (ordinal - 1) * 7;
+    return day <= total ? day : null;
+  }
+  const lastWeekday = new Date(Date.UTC(year, month, total)).getUTCDay();
+  const day = total - ((lastWeekday - weekday + 7) % 7) + (ordinal + 1) * 7;
+  return day >= 1 ? day : null;
+};
+
+const monthCandidates = (year: number, month: number, rule: RRule, start: Date): number[] => {
+  const total = daysInMonth(year, month);
+  const days = new Set<number>();
+
+  if (rule.byMonthDay?.length) {
+    for (const d of rule.byMonthDay) {
+      const day = d > 0 ? d : total + d + 1;
+      if (day >= 1 && day <= total) days.add(day);
+    }
+  }
+
+  if (rule.byDay?.length) {
+    for (const { weekday, ordinal } of rule.byDay) {
+      if (ordinal) {
+        const day = nthWeekdayOfMonth(year, month, weekday, ordinal);
+        if (day) days.add(day);
+      } else {
+        for (let day = 1; day <= total; day++) {
+          if (new Date(Date.UTC(year, month, day)).getUTCDay() === weekday) days.add(day);
+        }
+      }
+    }
+  }
+
+  if (!rule.byMonthDay?.length && !rule.byDay?.length) {
+    const day = start.getUTCDate();
+    if (day <= total) days.add(day);
+  }
+
+  return [...days].sort((a, b) => a - b);
+};
+
+/**
+ * Returns the candidate dates of the period that begins at `periodStart`,
+ * before COUNT / UNTIL / range filtering.
+ */
+const periodCandidates = (periodStart: Date, rule: RRule, start: Date): Date[] => {
+  const year = periodStart.getUTCFullYear();
+  const month = periodStart.getUTCMonth();
+
+  switch (rule.freq) {
+    case 'DAILY': {
+      const weekdays = rule.byDay?.map((d) => d.weekday);
+      if (weekdays && !weekdays.includes(periodStart.getUTCDay())) return [];
+      return [new Date(periodStart)];
+    }
+    case 'WEEKLY': {
+      const weekdays = rule.byDay?.length ? rule.byDay.map((d) => d.weekday) : [start.getUTCDay()];
+      return weekdays
+        .map((weekday) => {
+          const date = new Date(periodStart);
+          date.setUTCDate(date.getUTCDate() + ((weekday - periodStart.getUTCDay() + 7) % 7));
+          return date;
+        })
+        .sort((a, b) => a.getTime() - b.getTime());
+    }
+    case 'MONTHLY':
+      return monthCandidates(year, month, rule, start).map((day) => new Date(Date.UTC(year, month, day)));
+    case 'YEARLY': {
+      const months = rule.byMonth?.length
+        ? [...rule.byMonth].sort((a, b) => a - b).map((m) => m - 1)
+        : [start.getUTCMonth()];
+      return months.flatMap((m) => {
+        if (rule.byDay?.length || rule.byMonthDay?.length) {
+          return monthCandidates(year, m, rule, start).map((day) => new Date(Date.UTC(year, m, day)));
+        }
+        const day = start.getUTCDate();
+        return day <= daysInMonth(year, m) ? [new Date(Date.UTC(year, m, day))] : [];
+      });
+    }
+  }
+};
+
+const nextPeriod = (periodStart: Date, rule: RRule): Date => {
+  const next = new Date(periodStart);
+  switch (rule.freq) {
+    case 'DAILY':
+      next.setUTCDate(next.getUTCDate() + rule.interval);
+      break;
+    case 'WEEKLY':
+      next.setUTCDate(next.getUTCDate() + 7 * rule.interval);
+      break;
+    case 'MONTHLY':
+      next.setUTCMonth(next.getUTCMonth() + rule.interval, 1);
+      break;
+    case 'YEARLY':
+      next.setUTCFullYear(next.getUTCFullYear() + rule.interval, 0, 1);
+      break;
+  }
+  return next;
+};
+
+const firstPeriod = (start: Date, rule: RRule): Date => {
+  switch (rule.freq) {
+    case 'WEEKLY': {
+      // Weeks start on Monday (RFC 5545 default WKST)
+      const date = new Date(start);
+      date.setUTCDate(date.getUTCDate() - ((date.getUTCDay() + 6) % 7));
+      return date;
+    }
+    case 'MONTHLY':
+      return new Date(Date.UTC(start.getUTCFullYear(), start.getUTCMonth(), 1));
+    case 'YEARLY':
+      return new Date(Date.UTC(start.getUTCFullYear(), 0, 1));
+    default:
+      return new Date(start);
+  }
+};
+
+/**
+ * Expands a recurrence rule into occurrence dates (YYYY-MM-DD).
+ * COUNT counts every generated occurrence including EXDATEs, as RFC 5545 requires,
+ * and only dates inside [rangeStart, rangeEnd] are returned.
+ */
+export const expandRRule = (
+  dtstart: string,
+  rule: string | RRule,
+  options: { exdates?: string[]; rangeStart?: string; rangeEnd: string; limit?: number }
+): string[] => {
+  const parsed = typeof rule === 'string' ? parseRRule(rule) : rule;
+  const start = toUTCDate(dtstart);
+  const excluded = new Set(options.exdates || []);
+  const limit = options.limit ?? 500;
+  const results: string[] = [];
+
+  let period = firstPeriod(start, parsed);
+  let generated = 0;
+
+  for (let i = 0; i < MAX_ITERATIONS; i++) {
+    for (const candidate of periodCandidates(period, parsed, start)) {
+      if (candidate < start) continue;
+      if (parsed.byMonth?.length && !parsed.byMonth.includes(candidate.getUTCMonth() + 1)) continue;
+
+      const date = fromUTCDate(candidate);
+      if (parsed.until && date > parsed.until) return results;
+      if (date > options.rangeEnd) return results;
+
+      generated++;
+      if (parsed.count && generated > parsed.count) return results;
+
+      if (excluded.has(date)) continue;
+      if (options.rangeStart && date < options.rangeStart) continue;
+
+      results.push(date);
+      if (results.length >= limit) return results;
+    }
+    period = nextPeriod(period, parsed);
+  }
+
+  return results;
+};
+
+/**
+ * Counts how many occurrences (including EXDATEs) a series produces strictly before `date`.
+ * Used when splitting a COUNT-bounded series into two.
+ */
+export const countOccurrencesBefore = (dtstart: string, rule: string | RRule, date: string): number => {
+  const parsed = typeof rule === 'string' ? parseRRule(rule) : rule;
+  const { count, ...unbounded } = parsed;
+  return expandRRule(dtstart, unbounded as RRule, { rangeEnd: addDaysToDate(date, -1), limit: MAX_ITERATIONS })
+    .length;
+};
+
+export const isOccurrenceDate = (dtstart: string, rule: string | RRule, date: string, exdates: string[] = []): boolean =>
+  expandRRule(dtstart, rule, { exdates, rangeStart: date, rangeEnd: date, limit: 1 }).includes(date);
+
+export const buildOccurrenceId = (seriesId: string, date: string): string => `${seriesId}_${date}`;
+
+export const parseOccurrenceId = (id: string): { seriesId: string; date: string } | null => {
+  const match = id.match(OCCURRENCE_ID_PATTERN);
+  return match ? { seriesId: match[1], date: match[2] } : null;
+};
@@ -0,0 +1,63 @@
+import { AvailableHours, parseTime } from './schedulerUtils';
+
+export interface WeeklyWindow extends AvailableHours {
+  // 0 = Sunday
+  weekday: number;
+}
+
+export interface AvailabilityOverride {
+  from: string;
+  to: string;
+  windows: AvailableHours[];
+  label?: string;
+}
+
+export interface AvailabilitySettings {
+  availableHours: AvailableHours;
+  availability?: {
+    weekly: WeeklyWindow[];
+    overrides: AvailabilityOverride[];
+  };
+}
+
+/**
+ * The windows, earliest first, in which the user can be scheduled on a date.
+ */
+export type AvailabilityLookup = (date: string) => AvailableHours[];
+
+export const weekdayOf = (date: string): number => new Date(`${date}T00:00:00Z`).getUTCDay();
+
+/**
+ * Resolves the user's availability for any date. An override covering the date wins,
+ * the last one if several do; otherwise the weekly template applies, where a weekday
+ * without windows is a day off. Users who never set a template get `availableHours`
+ * on every day.
+ */
+export const availabilityLookup = ({ availableHours, availability }: AvailabilitySettings): AvailabilityLookup => {
+  const weekly = availability?.weekly || [];
+  const overrides = availability?.overrides || [];
+
+  return (date) => {
+    const override = overrides.filter((o) => o.from <= date && date <= o.to).pop();
+    let windows: AvailableHours[];
+    if (override) {
+      windows = override.windows;
+    } else if (weekly.length) {
+      const weekday = weekdayOf(date);
+      windows = weekly.filter((w) => w.weekday === weekday);
+    } else {
+      windows = [availableHours];
+    }
+
+    return windows
+      .map(({ start, end }) => ({ start, end }))
+      .sort((a, b) => parseTime(a.start) - parseTime(b.start));
+  };
+};
+
+/**
+ * Whether `[start, start + duration)` on the date lies inside a single window.
+ * @param start - Minutes after midnight
+ */
+export const isWithinAvailability = (windows: AvailableHours[], start: number, duration: number): boolean =>
+  windows.some((w) => parseTime(w.start) <= start && start + duration <= parseTime(w.end));
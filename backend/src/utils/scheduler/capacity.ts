@@ -0,0 +1,64 @@
+import { addDaysToDate } from '../recurrence/rrule';
+import { TimeSlot, parseTime } from './schedulerUtils';
+import { AvailabilityLookup } from './availability';
+import { UnplacedReason } from './planner';
+
+export type LoadLevel = 'ok' | 'tight' | 'over';
+
+export interface WorkItem {
+  date: string;
+  minutes: number;
+}
+
+export interface DayCapacity {
+  date: string;
+  // Minutes in the user's windows; today only counts those still ahead
+  availableMinutes: number;
+  plannedMinutes: number;
+  level: LoadLevel;
+}
+
+export interface AtRiskTask {
+  taskId: string;
+  title: string;
+  dueDate: string;
+  reason: Extract<UnplacedReason, 'too_long' | 'no_time_before_due'> | 'scheduled_after_due';
+  message: string;
+}
+
+export interface CapacityOptions {
+  now: TimeSlot;
+  days: number;
+  availability: AvailabilityLookup;
+}
+
+// Days filled past this share of their free time are tight
+const TIGHT_SHARE = 0.8;
+
+const levelOf = (planned: number, available: number): LoadLevel => {
+  if (planned > available) return 'over';
+  return planned > available * TIGHT_SHARE ? 'tight' : 'ok';
+};
+
+/**
+ * Work per day against the time the user is available that day. Work dated before
+ * today is still pending, so it counts against today.
+ */
+export const dailyCapacity = (work: WorkItem[], { now, days, availability }: CapacityOptions): DayCapacity[] => {
+  const planned = new Map<string, number>();
+  for (const item of work) {
+    const date = item.date < now.date ? now.date : item.date;
+    planned.set(date, (planned.get(date) || 0) + item.minutes);
+  }
+
+  return Array.from({ length: days }, (_, offset) => {
+    const date = addDaysToDate(now.date, offset);
+    const from = offset === 0 ? parseTime(now.time) : 0;
+    const availableMinutes = availability(date).reduce(
+      (sum, window) => sum + Math.max(0, parseTime(window.end) - Math.max(parseTime(window.start), from)),
+      0
+    );
+    const plannedMinutes = planned.get(date) || 0;
+    return { date, availableMinutes, plannedMinutes, level: levelOf(plannedMinutes, availableMinutes) };
+  });
+};
@@ -0,0 +1,48 @@
+export type FixedRuleType = 'tag' | 'source' | 'title';
+
+export const FIXED_RULE_TYPES: FixedRuleType[] = ['tag', 'source', 'title'];
+
+/**
+ * Marks matching tasks as fixed events. `tag` matches a tag, `source` the name of the
+ * calendar a task was imported from ('*' for any imported task), and `title` a title
+ * pattern where '*' stands for any text. All matching ignores case.
+ */
+export interface FixedEventRule {
+  type: FixedRuleType;
+  value: string;
+}
+
+export interface FixedEventCandidate {
+  // Set by the user; null or absent leaves it to the rules
+  isFixed?: boolean | null;
+  tags?: string[];
+  title?: string;
+  type?: string;
+  icsSource?: string;
+}
+
+const titlePattern = (value: string): RegExp =>
+  new RegExp(`^${value.split('*').map((part) => part.replace(/[.+?^${}()|[\]\\]/g, '\\$&')).join('.*')}$`, 'i');
+
+const matches = (task: FixedEventCandidate, { type, value }: FixedEventRule): boolean => {
+  const wanted = value.trim().toLowerCase();
+  switch (type) {
+    case 'tag':
+      return (task.tags || []).some((tag) => tag.toLowerCase() === wanted);
+    case 'source':
+      return task.type === 'ics-import' && (wanted === '*' || (task.icsSource || '').toLowerCase() === wanted);
+    case 'title':
+      return titlePattern(value.trim()).test(task.title || '');
+    default:
+      return false;
+  }
+};
+
+/**
+ * Fixed events keep their time: the scheduler never moves them and plans other work
+ * around them. The task's own flag wins over the rules.
+ */
+export const isFixedEvent = (task: FixedEventCandidate, rules: FixedEventRule[]): boolean => {
+  if (typeof task.isFixed === 'boolean') return task.isFixed;
+  return rules.some((rule) => matches(task, rule));
+};
@@ -0,0 +1,371 @@
+import { addDaysToDate } from '../recurrence/rrule';
+import { TimeSlot, parseTime, formatTime, getSlotEnd } from './schedulerUtils';
+import { AvailabilityLookup } from './availability';
+
+export interface PlannerTask {
+  id: string;
+  title: string;
+  dueDate: string;
+  dueTime?: string;
+  priority: 'high' | 'medium' | 'low';
+  estimatedDuration: number;
+  // Prerequisites that are planned in the same run
+  blockedBy: string[];
+  // The earliest start allowed by prerequisites that already have a slot
+  notBefore?: TimeSlot;
+  // Set when a prerequisite has no slot and is not being planned
+  waitingOn?: string;
+}
+
+export interface BusyBlock {
+  slot: TimeSlot;
+  duration: number;
+}
+
+export interface PlannerOptions {
+  // Planning starts here; nothing is placed in the past
+  now: TimeSlot;
+  // How many days, today included, the plan covers
+  days: number;
+  availability: AvailabilityLookup;
+  // Free time kept between consecutive tasks and around busy blocks
+  bufferMinutes: number;
+  // Tasks that fit no free slot whole are split into blocks at least this long
+  minChunkMinutes: number;
+}
+
+export type UnplacedReason = 'too_long' | 'waiting_on_prerequisite' | 'no_time_before_due' | 'no_time_in_horizon';
+
+export interface PlannedTask {
+  taskId: string;
+  title: string;
+  slot: TimeSlot;
+  end: TimeSlot;
+  // Where the work happens; a single block unless the task was split
+  blocks: BusyBlock[];
+  // Already overdue, so placed as early as possible
+  late: boolean;
+}
+
+export interface UnplacedTask {
+  taskId: string;
+  title: string;
+  reason: UnplacedReason;
+  message: string;
+}
+
+export interface Plan {
+  placed: PlannedTask[];
+  unplaced: UnplacedTask[];
+}
+
+interface Interval {
+  start: number;
+  end: number;
+}
+
+// Where a task may be placed: after `notBefore` and, unless `late`, before its deadline
+interface Bounds {
+  notBefore?: TimeSlot;
+  deadline: { date: string; minutes: number };
+  late: boolean;
+  until: string;
+}
+
+type FreeTime = Map<string, Interval[]>;
+
+const DAY_MINUTES = 24 * 60;
+
+// Start times are rounded up to a quarter hour
+const STEP_MINUTES = 15;
+
+const PRIORITY_WEIGHT = { high: 3, medium: 2, low: 1 };
+
+const roundUp = (minutes: number): number => Math.ceil(minutes / STEP_MINUTES) * STEP_MINUTES;
+
+const roundDown = (minutes: number): number => Math.floor(minutes / STEP_MINUTES) * STEP_MINUTES;
+
+const formatDuration = (minutes: number): string => {
+  const hours = Math.floor(minutes / 60);
+  const rest = minutes % 60;
+  if (!hours) return `${rest}m`;
+  return rest ? `${hours}h ${rest}m` : `${hours}h`;
+};
+
+const subtract = (intervals: Interval[], start: number, end: number): Interval[] =>
+  intervals.flatMap((interval) => {
+    if (end <= interval.start || start >= interval.end) return [interval];
+    return [
+      { start: interval.start, end: Math.max(interval.start, start) },
+      { start: Math.min(interval.end, end), end: interval.end },
+    ].filter((part) => part.end > part.start);
+  });
+
+/**
+ * Takes a block, plus the buffer either side, out of the free time. Blocks running past
+ * midnight continue on the next day.
+ */
+const occupy = (free: FreeTime, slot: TimeSlot, duration: number, buffer: number): void => {
+  let date = slot.date;
+  let start = parseTime(slot.time) - buffer;
+  let end = parseTime(slot.time) + duration + buffer;
+
+  while (end > 0) {
+    const day = free.get(date);
+    if (day) free.set(date, subtract(day, start, end));
+    date = addDaysToDate(date, 1);
+    start -= DAY_MINUTES;
+    end -= DAY_MINUTES;
+  }
+};
+
+const buildFreeTime = (busy: BusyBlock[], options: PlannerOptions): FreeTime => {
+  const { now, days, availability, bufferMinutes } = options;
+  const free: FreeTime = new Map();
+
+  for (let offset = 0; offset < days; offset++) {
+    const date = addDaysToDate(now.date, offset);
+    const windows = availability(date).map((window) => ({ start: parseTime(window.start), end: parseTime(window.end) }));
+    free.set(date, offset === 0 ? subtract(windows, 0, roundUp(parseTime(now.time))) : windows);
+  }
+  // Blocks from the day before may run past midnight into the plan
+  for (const block of busy) {
+    if (block.slot.date >= addDaysToDate(now.date, -1)) occupy(free, block.slot, block.duration, bufferMinutes);
+  }
+  return free;
+};
+
+/**
+ * Earliest-deadline-first, then higher priority, then longer tasks, with each task
+ * moved after the prerequisites it is planned with.
+ */
+const initialOrder = (tasks: PlannerTask[]): PlannerTask[] =>
+  prerequisitesFirst(
+    [...tasks].sort(
+      (a, b) =>
+        `${a.dueDate}T${a.dueTime || '24:00'}`.localeCompare(`${b.dueDate}T${b.dueTime || '24:00'}`) ||
+        PRIORITY_WEIGHT[b.priority] - PRIORITY_WEIGHT[a.priority] ||
+        b.estimatedDuration - a.estimatedDuration ||
+        a.title.localeCompare(b.title)
+    )
+  );
+
+const prerequisitesFirst = (tasks: PlannerTask[]): PlannerTask[] => {
+  const byId = new Map(tasks.map((task) => [task.id, task]));
+  const visited = new Set<string>();
+  const ordered: PlannerTask[] = [];
+
+  const visit = (task: PlannerTask) => {
+    if (visited.has(task.id)) return;
+    visited.add(task.id);
+    for (const id of task.blockedBy) {
+      const prerequisite = byId.get(id);
+      if (prerequisite) visit(prerequisite);
+    }
+    ordered.push(task);
+  };
+
+  tasks.forEach(visit);
+  return ordered;
+};
+
+/**
+ * The part of each free interval, day by day, that lies within the bounds, with the
+ * start rounded up to the step.
+ */
+function* freeWithin(free: FreeTime, bounds: Bounds) {
+  const { notBefore, deadline, late, until } = bounds;
+
+  for (const date of free.keys()) {
+    if (date > until) return;
+    if (notBefore && date < notBefore.date) continue;
+    const earliest = notBefore?.date === date ? parseTime(notBefore.time) : 0;
+    const latest = late || date < deadline.date ? DAY_MINUTES : deadline.minutes;
+
+    for (const interval of free.get(date)!) {
+      const start = roundUp(Math.max(interval.start, earliest));
+      const end = Math.min(interval.end, latest);
+      if (end > start) yield { date, start, end };
+    }
+  }
+}
+
+/**
+ * Splits a task over the earliest free intervals within its bounds, in blocks of at
+ * least `minChunk` minutes. Returns null, leaving `free` untouched, if it does not fit.
+ */
+const splitIntoBlocks = (
+  free: FreeTime,
+  duration: number,
+  bounds: Bounds,
+  options: PlannerOptions
+): BusyBlock[] | null => {
+  const minChunk = options.minChunkMinutes;
+  if (duration < 2 * minChunk) return null;
+
+  const trial: FreeTime = new Map(free);
+  const blocks: BusyBlock[] = [];
+  let remaining = duration;
+  // Where the last block ended, plus the buffer, on the day being filled
+  const taken = new Map<string, number>();
+
+  for (const interval of freeWithin(trial, bounds)) {
+    const { date, end } = interval;
+    const start = roundUp(Math.max(interval.start, taken.get(date) || 0));
+    let length = Math.min(remaining, roundDown(end - start));
+    // Never leave a remainder too short to be a block of its own
+    if (length < remaining && remaining - length < minChunk) length = remaining - minChunk;
+    if (length < minChunk) continue;
+
+    const slot = { date, time: formatTime(start) };
+    blocks.push({ slot, duration: length });
+    occupy(trial, slot, length, options.bufferMinutes);
+    taken.set(date, start + length + options.bufferMinutes);
+    remaining -= length;
+
+    if (remaining === 0) {
+      blocks.forEach((block) => occupy(free, block.slot, block.duration, options.bufferMinutes));
+      return blocks;
+    }
+  }
+  return null;
+};
+
+/**
+ * The longest single window in the plan's days, before anything is booked.
+ */
+const longestWindow = (options: PlannerOptions): number => {
+  let longest = 0;
+  for (let offset = 0; offset < options.days; offset++) {
+    for (const window of options.availability(addDaysToDate(options.now.date, offset))) {
+      longest = Math.max(longest, parseTime(window.end) - parseTime(window.start));
+    }
+  }
+  return longest;
+};
+
+/**
+ * Places the tasks one after another in the given order, each in the earliest free time
+ * that fits it, so no two tasks share a slot. A task that fits no free time whole is
+ * split into blocks across the days before it is due.
+ */
+const placeInOrder = (order: PlannerTask[], busy: BusyBlock[], options: PlannerOptions): Plan => {
+  const free = buildFreeTime(busy, options);
+  const windowLength = longestWindow(options);
+  const lastDay = addDaysToDate(options.now.date, options.days - 1);
+  const placedById = new Map<string, PlannedTask>();
+  const unplaced: UnplacedTask[] = [];
+  const titles = new Map(order.map((task) => [task.id, task.title]));
+
+  const fail = (task: PlannerTask, reason: UnplacedReason, message: string) =>
+    unplaced.push({ taskId: task.id, title: task.title, reason, message });
+
+  for (const task of order) {
+    const duration = task.estimatedDuration || 60;
+
+    if (task.waitingOn) {
+      fail(task, 'waiting_on_prerequisite', `Waits for "${task.waitingOn}", which has no slot`);
+      continue;
+    }
+    const missing = task.blockedBy.find((id) => titles.has(id) && !placedById.has(id));
+    if (missing) {
+      fail(task, 'waiting_on_prerequisite', `Waits for "${titles.get(missing)}", which could not be planned`);
+      continue;
+    }
+    if (duration > windowLength && (duration < 2 * options.minChunkMinutes || options.minChunkMinutes > windowLength)) {
+      fail(task, 'too_long', `Needs ${formatDuration(duration)} but the longest available window is ${formatDuration(windowLength)}`);
+      continue;
+    }
+
+    // The latest of the prerequisites' ends
+    const notBefore = [task.notBefore, ...task.blockedBy.map((id) => placedById.get(id)?.end)]
+      .filter((slot): slot is TimeSlot => !!slot)
+      .reduce<TimeSlot | undefined>(
+        (latest, slot) => (!latest || `${slot.date}T${slot.time}` > `${latest.date}T${latest.time}` ? slot : latest),
+        undefined
+      );
+
+    const deadline = { date: task.dueDate, minutes: task.dueTime ? parseTime(task.dueTime) : DAY_MINUTES };
+    const late =
+      deadline.date < options.now.date ||
+      (deadline.date === options.now.date && deadline.minutes <= parseTime(options.now.time));
+    const bounds: Bounds = { notBefore, deadline, late, until: late || deadline.date > lastDay ? lastDay : deadline.date };
+
+    let blocks: BusyBlock[] | null = null;
+    for (const { date, start, end } of freeWithin(free, bounds)) {
+      if (start + duration <= end) {
+        blocks = [{ slot: { date, time: formatTime(start) }, duration }];
+        occupy(free, blocks[0].slot, duration, options.bufferMinutes);
+        break;
+      }
+    }
+    blocks = blocks || splitIntoBlocks(free, duration, bounds, options);
+
+    if (!blocks) {
+      if (late || deadline.date > lastDay) {
+        fail(task, 'no_time_in_horizon', `No free ${formatDuration(duration)} in the next ${options.days} days`);
+      } else {
+        fail(task, 'no_time_before_due', `No free ${formatDuration(duration)} before it is due on ${task.dueDate}`);
+      }
+      continue;
+    }
+
+    const last = blocks[blocks.length - 1];
+    placedById.set(task.id, {
+      taskId: task.id,
+      title: task.title,
+      slot: blocks[0].slot,
+      end: getSlotEnd(last.slot, last.duration),
+      blocks,
+      late,
+    });
+  }
+
+  const placed = [...placedById.values()].sort((a, b) =>
+    `${a.slot.date}T${a.slot.time}`.localeCompare(`${b.slot.date}T${b.slot.time}`)
+  );
+  return { placed, unplaced };
+};
+
+const weightOf = (plan: Plan, byId: Map<string, PlannerTask>): number =>
+  plan.placed.reduce((sum, entry) => sum + PRIORITY_WEIGHT[byId.get(entry.taskId)!.priority], 0);
+
+/**
+ * Plans all tasks together over the coming days. Tasks go in deadline order into the
+ * earliest free part of the user's available windows that ends before they are due,
+ * around busy blocks and with a buffer between them; dependents start after their
+ * prerequisites. When a task does not fit, it is tried ahead of the lower-priority tasks
+ * that took its time, and the swap is kept if it leaves more important work planned.
+ * Tasks that still do not fit are returned with the reason.
+ * @param tasks - The tasks to plan
+ * @param busy - Time already taken, e.g. scheduled tasks and fixed events
+ */
+export const planSchedule = (tasks: PlannerTask[], busy: BusyBlock[], options: PlannerOptions): Plan => {
+  const byId = new Map(tasks.map((task) => [task.id, task]));
+  let order = initialOrder(tasks);
+  let best = placeInOrder(order, busy, options);
+  const tried = new Set<string>();
+
+  for (;;) {
+    const failed = best.unplaced
+      .filter((entry) => entry.reason === 'no_time_before_due' || entry.reason === 'no_time_in_horizon')
+      .map((entry) => byId.get(entry.taskId)!)
+      .filter((task) => !tried.has(task.id))
+      .sort((a, b) => PRIORITY_WEIGHT[b.priority] - PRIORITY_WEIGHT[a.priority])[0];
+    if (!failed) break;
+    tried.add(failed.id);
+
+    const rest = order.filter((task) => task.id !== failed.id);
+    const firstLower = rest.findIndex((task) => PRIORITY_WEIGHT[task.priority] < PRIORITY_WEIGHT[failed.priority]);
+    if (firstLower === -1) continue;
+
+    const promoted = prerequisitesFirst([...rest.slice(0, firstLower), failed, ...rest.slice(firstLower)]);
+    const attempt = placeInOrder(promoted, busy, options);
+    if (weightOf(attempt, byId) > weightOf(best, byId)) {
+      order = promoted;
+      best = attempt;
+    }
+  }
+
+  return best;
+};
@@ -1,4 +1,7 @@
 import mongoose from 'mongoose';
+import type { AvailabilityLookup } from './availability';
+import type { BusyBlock } from './planner';
+import { addDaysToDate } from '../recurrence/rrule';
 
 export interface TimeSlot {
   date: string;
@@ -15,6 +18,7 @@ export interface Task {
   assignedSlot?: { date: string; time: string } | null;
   tags: string[];
   isCompleted?: boolean;
+  blockedBy?: mongoose.Types.ObjectId[];
 }
 
 export interface AvailableHours {
@@ -26,86 +30,98 @@ export interface SlotSuggestion {
   slot: TimeSlot;
   score: number;
   reason?: string;
+  // Set when the task only fits split into several blocks
+  blocks?: BusyBlock[];
 }
 
-const parseTime = (time: string): number => {
+export const parseTime = (time: string): number => {
   const [hours, minutes] = time.split(':').map(Number);
   return hours * 60 + minutes;
 };
 
-const formatTime = (minutes: number): string => {
+export const formatTime = (minutes: number): string => {
   const hours = Math.floor(minutes / 60);
   const mins = minutes % 60;
   return `${hours.toString().padStart(2, '0')}:${mins.toString().padStart(2, '0')}`;
 };
 
-const addDays = (dateStr: string, days: number): string => {
-  const date = new Date(dateStr);
-  date.setDate(date.getDate() + days);
-  return date.toISOString().split('T')[0];
-};
-
-const isToday = (dateStr: string): boolean => {
-  const today = new Date().toISOString().split('T')[0];
-  return dateStr === today;
-};
+// Slots start on the half hour
+const roundUpToHalfHour = (minutes: number): number => Math.ceil(minutes / 30) * 30;
 
-const getCurrentTimeRounded = (): number => {
-  const now = new Date();
-  const currentMinutes = now.getHours() * 60 + now.getMinutes();
-  return Math.ceil(currentMinutes / 30) * 30;
+/**
+ * Where a scheduled task's slot ends, rolling over midnight if needed.
+ */
+export const getSlotEnd = (slot: TimeSlot, duration: number): TimeSlot => {
+  const end = parseTime(slot.time) + (duration || 60);
+  const days = Math.floor(end / (24 * 60));
+  return { date: days > 0 ? addDaysToDate(slot.date, days) : slot.date, time: formatTime(end % (24 * 60)) };
 };
 
+/**
+ * The first free slot for the task on a date, searched window by window.
+ * @param windows - The user's available windows on the date
+ * @param now - The user's current wall-clock time; nothing starts before it
+ */
 export const findAvailableSlots = (
   task: Task,
   existingTasks: Task[],
-  availableHours: AvailableHours,
-  date: string
+  windows: AvailableHours[],
+  date: string,
+  now: TimeSlot,
+  notBefore?: TimeSlot
 ): TimeSlot[] => {
   const slots: TimeSlot[] = [];
   const taskDuration = task.estimatedDuration || 60;
 
-  const startMinutes = parseTime(availableHours.start);
-  let endMinutes = parseTime(availableHours.end);
-
-  if (isToday(date)) {
-    const currentTime = getCurrentTimeRounded();
-    if (currentTime > startMinutes) {
-      return slots;
-    }
+  // Tasks with prerequisites may only start once the last of them has ended
+  if (notBefore && date < notBefore.date) {
+    return slots;
   }
 
   const conflictingTasks = existingTasks.filter(
     (t) => t.dueDate === date && t.assignedSlot && !t.isCompleted
   );
 
-  let currentSlotStart = startMinutes;
+  for (const window of windows) {
+    let startMinutes = parseTime(window.start);
+    const endMinutes = parseTime(window.end);
+
+    if (notBefore && date === notBefore.date) {
+      startMinutes = Math.max(startMinutes, parseTime(notBefore.time));
+    }
+
+    if (date === now.date && roundUpToHalfHour(parseTime(now.time)) > startMinutes) {
+      continue;
+    }
 
-  while (currentSlotStart + taskDuration <= endMinutes) {
-    const hasConflict = conflictingTasks.some((t) => {
-      if (!t.assignedSlot) return false;
-      const tStart = parseTime(t.assignedSlot.time);
-      const tDuration = t.estimatedDuration || 60;
-      const tEnd = tStart + tDuration;
+    let currentSlotStart = startMinutes;
 
-      const slotEnd = currentSlotStart + taskDuration;
+    while (currentSlotStart + taskDuration <= endMinutes) {
+      const hasConflict = conflictingTasks.some((t) => {
+        if (!t.assignedSlot) return false;
+        const tStart = parseTime(t.assignedSlot.time);
+        const tDuration = t.estimatedDuration || 60;
+        const tEnd = tStart + tDuration;
 
-      return (
-        (currentSlotStart >= tStart && currentSlotStart < tEnd) ||
-        (slotEnd > tStart && slotEnd <= tEnd) ||
-        (currentSlotStart <= tStart && slotEnd >= tEnd)
-      );
-    });
+        const slotEnd = currentSlotStart + taskDuration;
 
-    if (!hasConflict) {
-      slots.push({
-        date,
-        time: formatTime(currentSlotStart),
+        return (
+          (currentSlotStart >= tStart && currentSlotStart < tEnd) ||
+          (slotEnd > tStart && slotEnd <= tEnd) ||
+          (currentSlotStart <= tStart && slotEnd >= tEnd)
+        );
       });
-      break;
-    }
 
-    currentSlotStart += 30;
+      if (!hasConflict) {
+        slots.push({
+          date,
+          time: formatTime(currentSlotStart),
+        });
+        return slots;
+      }
+
+      currentSlotStart += 30;
+    }
   }
 
   return slots;
@@ -138,14 +154,16 @@ export const calculateSlotScore = (
 export const suggestOptimalSlots = (
   task: Task,
   existingTasks: Task[],
-  availableHours: AvailableHours,
-  maxSuggestions: number = 3
+  availability: AvailabilityLookup,
+  now: TimeSlot,
+  maxSuggestions: number = 3,
+  notBefore?: TimeSlot
 ): SlotSuggestion[] => {
   const suggestions: SlotSuggestion[] = [];
 
   for (let dayOffset = 0; dayOffset < 7; dayOffset++) {
-    const date = addDays(new Date().toISOString().split('T')[0], dayOffset);
-    const slots = findAvailableSlots(task, existingTasks, availableHours, date);
+    const date = addDaysToDate(now.date, dayOffset);
+    const slots = findAvailableSlots(task, existingTasks, availability(date), date, now, notBefore);
 
     for (const slot of slots) {
       const score = calculateSlotScore(slot, task, dayOffset);
@@ -204,43 +222,14 @@ export const hasTimeConflict = (taskA: Task, taskB: Task): boolean => {
   );
 };
 
-export const generateRecurringDates = (
-  startDate: string,
-  frequency: 'daily' | 'weekly' | 'monthly' | 'yearly',
-  repeatUntil: string
-): string[] => {
-  const dates: string[] = [];
-  let currentDate = new Date(startDate);
-  const endDate = new Date(repeatUntil);
-
-  while (currentDate <= endDate) {
-    dates.push(currentDate.toISOString().split('T')[0]);
-
-    switch (frequency) {
-      case 'daily':
-        currentDate.setDate(currentDate.getDate() + 1);
-        break;
-      case 'weekly':
-        currentDate.setDate(currentDate.getDate() + 7);
-        break;
-      case 'monthly':
-        currentDate.setMonth(currentDate.getMonth() + 1);
-        break;
-      case 'yearly':
-        currentDate.setFullYear(currentDate.getFullYear() + 1);
-        break;
-    }
-  }
-
-  return dates;
-};
-
 export const autoReschedule = (
   task: Task,
   allTasks: Task[],
-  availableHours: AvailableHours
+  availability: AvailabilityLookup,
+  now: TimeSlot,
+  notBefore?: TimeSlot
 ): { success: boolean; newSlot?: TimeSlot; reason?: string } => {
-  const suggestions = suggestOptimalSlots(task, allTasks, availableHours, 1);
+  const suggestions = suggestOptimalSlots(task, allTasks, availability, now, 1, notBefore);
 
   if (suggestions.length === 0) {
     return { success: false, reason: 'No available slots found' };
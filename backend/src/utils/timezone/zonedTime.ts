@@ -0,0 +1,60 @@
+export interface ZonedDateTime {
+  date: string;
+  time: string;
+}
+
+export const isValidTimeZone = (timeZone: string): boolean => {
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone });
+    return true;
+  } catch {
+    return false;
+  }
+};
+
+/**
+ * Returns the wall-clock date and time of an instant in the given IANA time zone.
+ */
+export const toZonedDateTime = (instant: Date, timeZone: string): ZonedDateTime => {
+  const parts = new Intl.DateTimeFormat('en-US', {
+    timeZone,
+    year: 'numeric',
+    month: '2-digit',
+    day: '2-digit',
+    hour: '2-digit',
+    minute: '2-digit',
+    hourCycle: 'h23',
+  }).formatToParts(instant);
+
+  const get = (type: string): string => parts.find((p) => p.type === type)?.value || '00';
+  return {
+    date: `${get('year')}-${get('month')}-${get('day')}`,
+    time: `${get('hour')}:${get('minute')}`,
+  };
+};
+
+/**
+ * Offset of the zone from UTC at the given instant, in minutes (east positive).
+ */
+export const getTimeZoneOffset = (instant: Date, timeZone: string): number => {
+  const { date, time } = toZonedDateTime(instant, timeZone);
+  const [year, month, day] = date.split('-').map(Number);
+  const [hours, minutes] = time.split(':').map(Number);
+  const wallClock = Date.UTC(year, month - 1, day, hours, minutes);
+  const truncated = Math.floor(instant.getTime() / 60000) * 60000;
+  return Math.round((wallClock - truncated) / 60000);
+};
+
+/**
+ * Converts a wall-clock date and time in the given zone into an instant.
+ * Times skipped by a DST gap resolve to the offset in force after the transition.
+ */
+export const zonedTimeToUtc = (date: string, time: string, timeZone: string): Date => {
+  const [year, month, day] = date.split('-').map(Number);
+  const [hours, minutes] = time.split(':').map(Number);
+  const wallClock = Date.UTC(year, month - 1, day, hours, minutes || 0);
+
+  const firstGuess = wallClock - getTimeZoneOffset(new Date(wallClock), timeZone) * 60000;
+  const offset = getTimeZoneOffset(new Date(firstGuess), timeZone);
+  return new Date(wallClock - offset * 60000);
+};
@@ -1,6 +1,6 @@
 import request from 'supertest';
 import app from '../../src/app';
-import { authedAgent } from '../helpers/auth';
+import { createTestUser, authedAgent } from '../helpers/auth';
 import { seedData } from '../helpers/seed';
 import * as fs from 'fs';
 import * as path from 'path';
@@ -19,7 +19,7 @@ describe('Data Module', () => {
       expect(response.body.data.tasks).toBeDefined();
       expect(response.body.data.todos).toBeDefined();
       expect(response.body.data.settings).toBeDefined();
-      expect(response.body.data.version).toBe('2.0');
+      expect(response.body.data.version).toBe('3.0');
     });
 
     it('DAT-02: tasks contains all userA tasks', async () => {
@@ -27,9 +27,9 @@ describe('Data Module', () => {
       expect(response.body.data.tasks.length).toBeGreaterThan(0);
     });
 
-    it('DAT-05: version is exactly 2.0', async () => {
+    it('DAT-05: version is exactly 3.0', async () => {
       const response = await authedAgent(app, seed.userA.token).get('/api/v1/data/export');
-      expect(response.body.data.version).toBe('2.0');
+      expect(response.body.data.version).toBe('3.0');
     });
 
     it('DAT-07: Does not include userB data', async () => {
@@ -123,4 +123,434 @@ describe('Data Module', () => {
       expect(response.status).toBe(401);
     });
   });
+  describe('POST /api/v1/data/import/ics (RFC 5545)', () => {
+    let token: string;
+    let imported: any;
+    const timetable = () =>
+      fs.readFileSync(path.join(__dirname, '../fixtures/timetable.ics'), 'utf-8');
+    const importTimetable = () =>
+      authedAgent(app, token)
+        .post('/api/v1/data/import/ics')
+        .send({ file: timetable() });
+    const listRange = () =>
+      authedAgent(app, token).get('/api/v1/tasks?from=2026-01-01&to=2026-06-30&limit=100');
+
+    beforeEach(async () => {
+      const user = await createTestUser(app, { email: `ics${Date.now()}@test.com` });
+      token = user.token;
+      await authedAgent(app, token).patch('/api/v1/settings').send({ timeZone: 'Africa/Cairo' });
+      imported = await importTimetable();
+    });
+
+    it('DAT-30: Imports events and reports skipped components', async () => {
+      expect(imported.status).toBe(200);
+      expect(imported.body.tasksAdded).toBe(14);
+      expect(imported.body.skipped).toEqual([
+        expect.objectContaining({ type: 'VJOURNAL', reason: 'Unsupported component' }),
+      ]);
+    });
+
+    it("DAT-31: TZID times are converted to the user's time zone", async () => {
+      const response = await listRange();
+      const officeHours = response.body.data.find((t: any) => t.title === 'Office hours');
+
+      expect(officeHours.dueDate).toBe('2026-01-15');
+      expect(officeHours.dueTime).toBe('15:00');
+    });
+
+    it('DAT-32: Zoned RRULE follows both DST calendars and honours EXDATE', async () => {
+      const response = await listRange();
+      const lectures = response.body.data.filter((t: any) => t.title === 'Algorithms, Lecture');
+      const byDate = (date: string) => lectures.find((t: any) => t.dueDate === date);
+
+      expect(byDate('2026-04-15')).toBeUndefined();
+      expect(byDate('2026-04-13').dueTime).toBe('09:00');
+      expect(byDate('2026-04-27').dueTime).toBe('10:00');
+      expect(byDate('2026-04-13').estimatedDuration).toBe(90);
+      expect(byDate('2026-04-13').tags).toEqual(['University']);
+      expect(byDate('2026-04-13').isOccurrence).toBe(true);
+      expect(byDate('2026-04-27').seriesId).toBe(byDate('2026-04-13').seriesId);
+      expect(byDate('2026-04-27').recurrenceId).toBe('2026-04-27');
+    });
+
+    it('DAT-33: RECURRENCE-ID overrides replace the original occurrence', async () => {
+      const response = await listRange();
+      const onDay = response.body.data.filter((t: any) => t.dueDate === '2026-04-22');
+
+      expect(onDay.length).toBe(1);
+      expect(onDay[0].title).toBe('Algorithms, Lecture (Room change)');
+      expect(onDay[0].dueTime).toBe('11:00');
+    });
+
+    it('DAT-34: Floating RRULE is kept as a series with its exceptions', async () => {
+      const response = await listRange();
+      const sessions = response.body.data.filter((t: any) => t.title.startsWith('Study group'));
+      const library = sessions.find((t: any) => t.title === 'Study group (Library)');
+
+      expect(sessions.length).toBe(4);
+      expect(sessions.filter((t: any) => t.isOccurrence).length).toBe(3);
+      expect(library.seriesId).toBeDefined();
+      expect(library.recurrenceId).toBe('2026-03-09');
+    });
+
+    it('DAT-35: Multi-day all-day events cover every day', async () => {
+      const response = await listRange();
+      const examDays = response.body.data.filter((t: any) => t.title === 'Exam week');
+
+      expect(examDays.map((t: any) => t.dueDate)).toEqual(['2026-06-01', '2026-06-02', '2026-06-03']);
+      expect(examDays[0].dueTime).toBeUndefined();
+    });
+
+    it('DAT-36: Re-import is matched on UID', async () => {
+      const response = await importTimetable();
+
+      expect(response.status).toBe(200);
+      expect(response.body.tasksAdded).toBe(0);
+      expect(response.body.tasksUpdated).toBe(0);
+    });
+
+    it('DAT-37: A time zone sent with the file is ignored', async () => {
+      const response = await authedAgent(app, token)
+        .post('/api/v1/data/import/ics')
+        .send({ file: timetable(), timezone: 'Asia/Tokyo' });
+      const officeHours = (await listRange()).body.data.find((t: any) => t.title === 'Office hours');
+
+      expect(response.status).toBe(200);
+      expect(response.body.tasksUpdated).toBe(0);
+      expect(officeHours.dueTime).toBe('15:00');
+    });
+
+    it('DAT-38: Missing file returns 400', async () => {
+      const response = await authedAgent(app, token).post('/api/v1/data/import/ics').send({});
+      expect(response.status).toBe(400);
+    });
+
+    it('DAT-59: A rule the zone shift breaks is expanded up to a limit and the rest reported', async () => {
+      const file = [
+        'BEGIN:VCALENDAR',
+        'BEGIN:VEVENT',
+        'UID:standup@team.example',
+        'SUMMARY:Standup',
+        'DTSTART:20260101T233000Z',
+        'RRULE:FREQ=DAILY;BYMONTH=1,2,3,4,5,6,7,8,9,10,11,12',
+        'END:VEVENT',
+        'END:VCALENDAR',
+      ].join('\r\n');
+      const response = await authedAgent(app, token).post('/api/v1/data/import/ics').send({ file });
+
+      expect(response.status).toBe(200);
+      expect(response.body.tasksAdded).toBe(100);
+      expect(response.body.skipped).toEqual([
+        expect.objectContaining({ uid: 'standup@team.example', reason: 'Occurrences after 2026-04-11 were not imported' }),
+      ]);
+    });
+  });
+
+  describe('ICS export and calendar feed', () => {
+    let token: string;
+
+    beforeEach(async () => {
+      const user = await createTestUser(app, { email: `feed${Date.now()}@test.com` });
+      token = user.token;
+
+      await authedAgent(app, token)
+        .post('/api/v1/tasks')
+        .send({
+          title: 'Review, notes',
+          dueDate: '2026-03-10',
+          dueTime: '09:00',
+          priority: 'high',
+          estimatedDuration: 90,
+          tags: ['Uni', 'Exam'],
+          subtasks: [{ title: 'Chapter 3' }],
+        });
+      await authedAgent(app, token)
+        .post('/api/v1/tasks')
+        .send({ title: 'Pay rent', dueDate: '2026-03-01', priority: 'low' });
+    });
+
+    it('DAT-40: Export returns a calendar with VEVENT and VTODO', async () => {
+      const response = await authedAgent(app, token).get('/api/v1/data/export/ics');
+
+      expect(response.status).toBe(200);
+      expect(response.headers['content-type']).toContain('text/calendar');
+      expect(response.text).toContain('BEGIN:VCALENDAR');
+      expect(response.text).toContain('SUMMARY:Review\\, notes');
+      expect(response.text).toContain('DTSTART:20260310T090000');
+      expect(response.text).toContain('DTEND:20260310T103000');
+      expect(response.text).toContain('PRIORITY:1');
+      expect(response.text).toContain('CATEGORIES:Uni,Exam');
+      expect(response.text).toContain('[ ] Chapter 3');
+      expect(response.text).toContain('BEGIN:VTODO');
+      expect(response.text).toContain('DUE;VALUE=DATE:20260301');
+    });
+
+    it('DAT-41: Export without auth returns 401', async () => {
+      const response = await request(app).get('/api/v1/data/export/ics');
+      expect(response.status).toBe(401);
+    });
+
+    it('DAT-42: Feed URL serves the calendar without auth', async () => {
+      await authedAgent(app, token).patch('/api/v1/settings').send({ timeZone: 'Africa/Cairo' });
+      const created = await authedAgent(app, token).post('/api/v1/data/feed').send({});
+
+      expect(created.status).toBe(201);
+      expect(created.body.data.url).toContain(`/api/v1/feeds/${created.body.data.token}.ics`);
+
+      const response = await request(app).get(`/api/v1/feeds/${created.body.data.token}.ics`);
+      expect(response.status).toBe(200);
+      expect(response.text).toContain('X-WR-TIMEZONE:Africa/Cairo');
+      expect(response.text).toContain('SUMMARY:Pay rent');
+    });
+
+    it('DAT-43: Regenerating the feed invalidates the old token', async () => {
+      const first = await authedAgent(app, token).post('/api/v1/data/feed').send({});
+      await authedAgent(app, token).post('/api/v1/data/feed').send({});
+
+      const response = await request(app).get(`/api/v1/feeds/${first.body.data.token}.ics`);
+      expect(response.status).toBe(404);
+    });
+
+    it('DAT-44: Revoked feed returns 404', async () => {
+      const created = await authedAgent(app, token).post('/api/v1/data/feed').send({});
+      await authedAgent(app, token).delete('/api/v1/data/feed');
+
+      const response = await request(app).get(`/api/v1/feeds/${created.body.data.token}.ics`);
+      expect(response.status).toBe(404);
+    });
+  });
+
+  describe('POST /api/v1/data/import/json modes', () => {
+    let token: string;
+    const backup = () =>
+      JSON.parse(fs.readFileSync(path.join(__dirname, '../fixtures/export.json'), 'utf-8'));
+    const importBackup = (body: any, mode?: string) =>
+      authedAgent(app, token)
+        .post(`/api/v1/data/import/json${mode ? `?mode=${mode}` : ''}`)
+        .send(body);
+    const listTitles = async () => {
+      const response = await authedAgent(app, token).get('/api/v1/tasks?limit=100');
+      return response.body.data.map((t: any) => t.title).sort();
+    };
+
+    beforeEach(async () => {
+      const user = await createTestUser(app, { email: `import${Date.now()}@test.com` });
+      token = user.token;
+
+      await authedAgent(app, token)
+        .post('/api/v1/tasks')
+        .send({ title: 'Local task', dueDate: '2026-03-15' });
+    });
+
+    it('DAT-50: Merge is the default and keeps existing data', async () => {
+      const response = await importBackup(backup());
+
+      expect(response.status).toBe(200);
+      expect(response.body.mode).toBe('merge');
+      expect(response.body.tasks.created).toBe(1);
+      expect(response.body.tasks.deleted).toBe(0);
+      expect(await listTitles()).toEqual(['Imported Task A', 'Local task']);
+    });
+
+    it('DAT-51: Dry run reports without writing', async () => {
+      const response = await importBackup(backup(), 'dryRun');
+
+      expect(response.status).toBe(200);
+      expect(response.body.tasks.created).toBe(1);
+      expect(response.body.todos.created).toBe(1);
+      expect(await listTitles()).toEqual(['Local task']);
+    });
+
+    it('DAT-52: Re-importing an own export skips every record', async () => {
+      const exported = await authedAgent(app, token).get('/api/v1/data/export');
+      const response = await importBackup(exported.body.data);
+
+      expect(response.body.tasks).toEqual(
+        expect.objectContaining({ created: 0, updated: 0, skipped: 1, conflicting: 0 })
+      );
+    });
+
+    it('DAT-53: Newer backup records update, older ones conflict', async () => {
+      await authedAgent(app, token)
+        .post('/api/v1/tasks')
+        .send({ title: 'Second task', dueDate: '2026-03-16' });
+      const exported = await authedAgent(app, token).get('/api/v1/data/export');
+      const [first, second] = exported.body.data.tasks;
+
+      first.priority = 'high';
+      first.updatedAt = new Date(Date.now() + 60000).toISOString();
+      second.priority = 'low';
+      second.updatedAt = new Date('2020-01-01').toISOString();
+
+      const response = await importBackup(exported.body.data);
+
+      expect(response.body.tasks.updated).toBe(1);
+      expect(response.body.tasks.conflicting).toBe(1);
+      expect(response.body.conflicts).toEqual([
+        expect.objectContaining({ collection: 'tasks', id: second.id }),
+      ]);
+
+      const untouched = await authedAgent(app, token).get(`/api/v1/tasks/${second.id}`);
+      expect(untouched.body.data.priority).toBe('medium');
+    });
+
+    it('DAT-54: Replace swaps the account data for the backup', async () => {
+      const response = await importBackup(backup(), 'replace');
+
+      expect(response.status).toBe(200);
+      expect(response.body.tasks.deleted).toBe(1);
+      expect(response.body.tasks.created).toBe(1);
+      expect(await listTitles()).toEqual(['Imported Task A']);
+    });
+
+    it('DAT-55: Importing another user\'s backup leaves their records alone', async () => {
+      const colleague = await createTestUser(app, { email: `colleague${Date.now()}@test.com` });
+      await authedAgent(app, colleague.token)
+        .post('/api/v1/tasks')
+        .send({ title: 'Colleague task', dueDate: '2026-03-17' });
+      const exported = await authedAgent(app, colleague.token).get('/api/v1/data/export');
+
+      const response = await importBackup(exported.body.data);
+      expect(response.body.tasks.created).toBe(1);
+
+      const theirs = await authedAgent(app, colleague.token).get('/api/v1/tasks?limit=100');
+      expect(theirs.body.data.length).toBe(1);
+      expect(await listTitles()).toEqual(['Colleague task', 'Local task']);
+    });
+
+    it('DAT-56: Unknown mode returns 400', async () => {
+      const response = await importBackup(backup(), 'overwrite');
+      expect(response.status).toBe(400);
+    });
+
+    it('DAT-57: Replaced tasks go to the trash and can be restored', async () => {
+      const exported = await authedAgent(app, token).get('/api/v1/data/export');
+      const [local] = exported.body.data.tasks;
+
+      // The trashed original still holds its id, so the replacement gets a new one
+      const response = await importBackup(exported.body.data, 'replace');
+      const tasks = await authedAgent(app, token).get('/api/v1/tasks?limit=100');
+      const trash = await authedAgent(app, token).get('/api/v1/trash');
+
+      expect(response.status).toBe(200);
+      expect(response.body.tasks).toEqual(expect.objectContaining({ created: 1, deleted: 1 }));
+      expect(tasks.body.data.map((t: any) => t.title)).toEqual(['Local task']);
+      expect(tasks.body.data[0]._id).not.toBe(local.id);
+      expect(trash.body.data.tasks.map((t: any) => t._id)).toEqual([local.id]);
+
+      await authedAgent(app, token).post('/api/v1/trash/restore').send({ tasks: [local.id] });
+      expect(await listTitles()).toEqual(['Local task', 'Local task']);
+    });
+
+    it('DAT-58: Imported and replaced tasks show up in the task history', async () => {
+      const [local] = (await authedAgent(app, token).get('/api/v1/tasks')).body.data;
+      await importBackup(backup());
+      const imported = (await authedAgent(app, token).get('/api/v1/tasks?limit=100')).body.data.find(
+        (t: any) => t.title === 'Imported Task A'
+      );
+      await importBackup(backup(), 'replace');
+
+      await authedAgent(app, token).post('/api/v1/trash/restore').send({ tasks: [local._id, imported._id] });
+
+      for (const id of [local._id, imported._id]) {
+        const history = await authedAgent(app, token).get(`/api/v1/tasks/${id}/history`);
+        expect(history.body.data.map((e: any) => e.action)).toEqual(['restored', 'deleted', 'created']);
+      }
+    });
+  });
+
+  describe('POST /api/v1/data/import/json versions', () => {
+    let token: string;
+    const importBackup = (body: any) =>
+      authedAgent(app, token).post('/api/v1/data/import/json').send(body);
+    const task = { title: 'Versioned task', dueDate: '2026-04-01', priority: 'high' };
+
+    beforeEach(async () => {
+      const user = await createTestUser(app, { email: `backup${Date.now()}@test.com` });
+      token = user.token;
+    });
+
+    it('DAT-60: Export includes own templates and no owner fields', async () => {
+      await authedAgent(app, token)
+        .post('/api/v1/templates')
+        .send({ name: 'Weekly review', descriptionType: 'list', defaults: { title: 'Review' } });
+      await authedAgent(app, token).post('/api/v1/tasks').send(task);
+
+      const response = await authedAgent(app, token).get('/api/v1/data/export');
+
+      expect(response.body.data.templates).toEqual([
+        expect.objectContaining({ name: 'Weekly review', descriptionType: 'list' }),
+      ]);
+      expect(response.body.data.tasks[0].id).toBeDefined();
+      expect(response.body.data.tasks[0]._id).toBeUndefined();
+      expect(response.body.data.tasks[0].createdBy).toBeUndefined();
+    });
+
+    it('DAT-61: Templates survive an export and replace round-trip', async () => {
+      await authedAgent(app, token).post('/api/v1/templates').send({ name: 'Weekly review' });
+      const exported = await authedAgent(app, token).get('/api/v1/data/export');
+
+      const response = await authedAgent(app, token)
+        .post('/api/v1/data/import/json?mode=replace')
+        .send(exported.body.data);
+      expect(response.status).toBe(200);
+      expect(response.body.templates).toEqual(expect.objectContaining({ created: 1, deleted: 1 }));
+
+      const templates = await authedAgent(app, token).get('/api/v1/templates');
+      const names = templates.body.data.map((t: any) => t.name);
+      expect(names.filter((name: string) => name === 'Weekly review')).toHaveLength(1);
+      expect(names).toEqual(expect.arrayContaining(['Text', 'List', 'Chunk']));
+    });
+
+    it('DAT-62: 2.0 backups with database fields are upgraded', async () => {
+      const response = await importBackup({
+        version: '2.0',
+        tasks: [{ ...task, _id: '65f000000000000000000001', id: '65f000000000000000000001', createdBy: '65f0000000000000000000ff', __v: 0, subtasks: [{ _id: '65f000000000000000000002', title: 'Step' }] }],
+        todos: [],
+        settings: { theme: 'dark', recentSearches: ['old'] },
+      });
+
+      expect(response.status).toBe(200);
+      expect(response.body.tasks.created).toBe(1);
+    });
+
+    it('DAT-63: 1.x backups from the local app are upgraded', async () => {
+      const response = await importBackup({
+        tasks: [{ ...task, id: 7, isEditing: true }],
+        todos: [{ id: 3, title: 'Legacy todo', order: 0 }],
+      });
+
+      expect(response.status).toBe(200);
+      expect(response.body.tasksImported).toBe(1);
+      expect(response.body.todosImported).toBe(1);
+    });
+
+    it('DAT-64: Current backups with createdBy or _id are rejected', async () => {
+      const withOwner = await importBackup({ version: '3.0', tasks: [{ ...task, createdBy: '65f0000000000000000000ff' }] });
+      const withId = await importBackup({ version: '3.0', tasks: [{ ...task, _id: '65f000000000000000000001' }] });
+
+      expect(withOwner.status).toBe(400);
+      expect(withOwner.body.message).toContain('createdBy');
+      expect(withId.status).toBe(400);
+      expect(withId.body.message).toContain('_id');
+    });
+
+    it('DAT-65: Invalid field values are rejected without writing', async () => {
+      const response = await importBackup({
+        version: '3.0',
+        tasks: [task, { ...task, dueDate: 'next tuesday' }],
+      });
+
+      expect(response.status).toBe(400);
+      expect(response.body.message).toContain('tasks.1.dueDate');
+      const tasks = await authedAgent(app, token).get('/api/v1/tasks');
+      expect(tasks.body.data).toHaveLength(0);
+    });
+
+    it('DAT-66: Unsupported versions return 400', async () => {
+      const response = await importBackup({ version: '9.0', tasks: [] });
+      expect(response.status).toBe(400);
+      expect(response.body.message).toContain('Unsupported backup version');
+    });
+  });
 });
@@ -0,0 +1,150 @@
+import request from 'supertest';
+import app from '../../src/app';
+import digestService from '../../src/modules/digest/digest.service';
+import mailer from '../../src/utils/mail/mailer';
+import type { MailMessage } from '../../src/utils/mail/transports';
+import { createTestUser, authedAgent } from '../helpers/auth';
+import { User } from '../../src/database/models';
+
+describe('Digest Module', () => {
+  let user: { token: string; userId: string; email: string };
+  let outbox: MailMessage[];
+
+  const today = new Date().toISOString().split('T')[0];
+  const daysFromToday = (days: number) => new Date(Date.now() + days * 86400000).toISOString().split('T')[0];
+
+  const deliver = async (message: MailMessage) => void outbox.push(message);
+
+  beforeAll(() => {
+    mailer.use({ send: deliver });
+  });
+
+  beforeEach(async () => {
+    outbox = [];
+    user = await createTestUser(app, { email: `digest${Date.now()}@test.com` });
+  });
+
+  const createTask = (title: string, fields: Record<string, unknown> = {}) =>
+    authedAgent(app, user.token).post('/api/v1/tasks').send({ title, dueDate: today, ...fields });
+  const setDigest = (digest: Record<string, unknown>) =>
+    authedAgent(app, user.token).patch('/api/v1/settings').send({ digest });
+
+  describe('Settings', () => {
+    it('DG-01: The digest is off until turned on; bad times and weekdays are rejected', async () => {
+      const initial = await authedAgent(app, user.token).get('/api/v1/settings');
+      const updated = await setDigest({ frequency: 'weekly', time: '06:30', weekday: 1 });
+      const badWeekday = await setDigest({ weekday: 7 });
+      const badTime = await setDigest({ time: '25:00' });
+
+      expect(initial.body.data.digest.frequency).toBe('off');
+      expect(updated.body.data.digest).toEqual(expect.objectContaining({ frequency: 'weekly', time: '06:30', weekday: 1 }));
+      expect(updated.body.data.digest.timeZone).toBeUndefined();
+      expect(badWeekday.status).toBe(400);
+      expect(badTime.status).toBe(400);
+    });
+  });
+
+  describe('Content', () => {
+    it("DG-02: The preview lists today's tasks and overdue tasks with a suggested slot", async () => {
+      await createTask('Write minutes', { dueTime: '09:00' });
+      await createTask('File taxes', { dueDate: daysFromToday(-3) });
+      await createTask('Next week', { dueDate: daysFromToday(7), dueTime: '10:00' });
+
+      const response = await authedAgent(app, user.token).get('/api/v1/digest/preview');
+      const { subject, text, html } = response.body.data;
+
+      expect(subject).toBe(`Your day: ${today}`);
+      expect(text).toContain('09:00 · Write minutes');
+      expect(text).toMatch(/File taxes \(due \d{4}-\d{2}-\d{2}\) → /);
+      expect(text).not.toContain('· Next week');
+      expect(html).toContain('/digest/unsubscribe?token=');
+    });
+  });
+
+  describe('Scheduling', () => {
+    it("DG-03: A daily digest is sent once, after its time in the user's zone", async () => {
+      await createTask('Standup', { dueDate: '2026-06-01', dueTime: '09:30' });
+      await authedAgent(app, user.token).patch('/api/v1/settings').send({ timeZone: 'Europe/Berlin' });
+      await setDigest({ frequency: 'daily', time: '07:00' });
+
+      // 07:00 in Berlin is 05:00 UTC in summer
+      const early = await digestService.run(new Date('2026-06-01T04:55:00Z'));
+      const onTime = await digestService.run(new Date('2026-06-01T05:05:00Z'));
+      const again = await digestService.run(new Date('2026-06-01T05:10:00Z'));
+
+      expect([early, onTime, again]).toEqual([0, 1, 0]);
+      expect(outbox[0].to).toBe(user.email);
+      expect(outbox[0].text).toContain('09:30 · Standup');
+      expect(outbox[0].headers!['List-Unsubscribe']).toMatch(/^<.+token=.+>$/);
+    });
+
+    it('DG-04: A weekly digest waits for its weekday, and empty digests are not sent', async () => {
+      await setDigest({ frequency: 'weekly', time: '07:00', weekday: 1 });
+
+      // 2026-06-02 is a Tuesday, 2026-06-08 a Monday
+      const tuesday = await digestService.run(new Date('2026-06-02T08:00:00Z'));
+      const emptyMonday = await digestService.run(new Date('2026-06-08T08:00:00Z'));
+      await createTask('Plan sprint', { dueDate: '2026-06-18' });
+      const nextMonday = await digestService.run(new Date('2026-06-15T08:00:00Z'));
+
+      expect([tuesday, emptyMonday, nextMonday]).toEqual([0, 0, 1]);
+      expect(outbox[0].subject).toBe('Your week ahead from 2026-06-15');
+      expect(outbox[0].text).toContain('2026-06-18 · Plan sprint');
+    });
+
+    it('DG-06: A failed send does not stop the others and is retried at the next check', async () => {
+      const other = await createTestUser(app, { email: `digest-other${Date.now()}@test.com` });
+      for (const token of [user.token, other.token]) {
+        await authedAgent(app, token).post('/api/v1/tasks').send({ title: 'Standup', dueDate: '2026-06-01' });
+        await authedAgent(app, token).patch('/api/v1/settings').send({ digest: { frequency: 'daily', time: '07:00' } });
+      }
+      mailer.use({
+        send: async (message) => {
+          if (message.to === user.email) throw new Error('Mailbox unavailable');
+          await deliver(message);
+        },
+      });
+
+      const failing = await digestService.run(new Date('2026-06-01T08:00:00Z'));
+      mailer.use({ send: deliver });
+      const retried = await digestService.run(new Date('2026-06-01T08:05:00Z'));
+
+      expect([failing, retried]).toEqual([1, 1]);
+      expect(outbox.map((message) => message.to)).toEqual([other.email, user.email]);
+    });
+  });
+
+  describe('Unsubscribe', () => {
+    it('DG-05: Opening the signed link asks first; confirming turns the digest off', async () => {
+      await setDigest({ frequency: 'daily' });
+      const token = digestService.unsubscribeToken(user.userId);
+
+      const tampered = await request(app).get(`/api/v1/digest/unsubscribe?token=${token}x`);
+      const opened = await request(app).get(`/api/v1/digest/unsubscribe?token=${token}`);
+      const frequency = async () => (await User.findById(user.userId))!.settings.digest.frequency;
+      expect(await frequency()).toBe('daily');
+
+      const confirmed = await request(app).post(`/api/v1/digest/unsubscribe?token=${token}`).type('form').send({});
+
+      expect(tampered.status).toBe(400);
+      expect(opened.status).toBe(200);
+      expect(opened.text).toContain('<form method="post"');
+      expect(confirmed.status).toBe(200);
+      expect(confirmed.text).toContain('no longer receive');
+      expect(await frequency()).toBe('off');
+    });
+
+    it('DG-07: One-click unsubscribe from the mail client gets no page', async () => {
+      await setDigest({ frequency: 'daily' });
+      const token = digestService.unsubscribeToken(user.userId);
+
+      const response = await request(app)
+        .post(`/api/v1/digest/unsubscribe?token=${token}`)
+        .type('form')
+        .send('List-Unsubscribe=One-Click');
+
+      expect(response.status).toBe(204);
+      expect((await User.findById(user.userId))!.settings.digest.frequency).toBe('off');
+    });
+  });
+});
@@ -0,0 +1,121 @@
+import http from 'http';
+import { AddressInfo } from 'net';
+import request from 'supertest';
+import app from '../../src/app';
+import { createTestUser, authedAgent } from '../helpers/auth';
+
+interface EventStream {
+  status: number;
+  next: () => Promise<any>;
+  close: () => void;
+}
+
+describe('Events Module', () => {
+  let server: http.Server;
+  let user: { token: string; userId: string };
+
+  beforeAll((done) => {
+    server = app.listen(0, done);
+  });
+
+  afterAll((done) => {
+    server.close(done);
+  });
+
+  beforeEach(async () => {
+    user = await createTestUser(app, { email: `events${Date.now()}@test.com` });
+  });
+
+  // Resolves once the stream is open; `next` yields change events in order
+  const connect = (token: string, workspaceId?: string): Promise<EventStream> =>
+    new Promise((resolve, reject) => {
+      const { port } = server.address() as AddressInfo;
+      const headers: Record<string, string> = { Authorization: `Bearer ${token}` };
+      if (workspaceId) headers['X-Workspace-Id'] = workspaceId;
+
+      const req = http.get({ port, path: '/api/v1/events', headers }, (res) => {
+        const received: any[] = [];
+        const waiting: Array<(event: any) => void> = [];
+        let buffer = '';
+
+        res.setEncoding('utf8');
+        res.on('data', (chunk: string) => {
+          buffer += chunk;
+          const frames = buffer.split('\n\n');
+          buffer = frames.pop()!;
+          for (const frame of frames) {
+            const data = frame.split('\n').find((line) => line.startsWith('data: '));
+            if (!data) continue;
+            const event = JSON.parse(data.slice('data: '.length));
+            const waiter = waiting.shift();
+            if (waiter) waiter(event);
+            else received.push(event);
+          }
+        });
+
+        resolve({
+          status: res.statusCode!,
+          next: () =>
+            received.length > 0 ? Promise.resolve(received.shift()) : new Promise((r) => waiting.push(r)),
+          close: () => req.destroy(),
+        });
+      });
+      req.on('error', reject);
+    });
+
+  it('EV-01: Streams task changes to the same user on another device', async () => {
+    const stream = await connect(user.token);
+
+    const created = await authedAgent(app, user.token).post('/api/v1/tasks').send({ title: 'Synced', dueDate: '2026-06-01' });
+    const upsert = await stream.next();
+    await authedAgent(app, user.token).delete(`/api/v1/tasks/${created.body.data._id}`);
+    const removed = await stream.next();
+    stream.close();
+
+    expect(stream.status).toBe(200);
+    expect(upsert).toEqual({ resource: 'task', action: 'upsert', data: expect.objectContaining({ title: 'Synced' }) });
+    expect(removed).toEqual({ resource: 'task', action: 'delete', id: created.body.data._id });
+  });
+
+  it('EV-02: Todo and template changes are streamed, recurring tasks ask for a refetch', async () => {
+    const stream = await connect(user.token);
+    const agent = authedAgent(app, user.token);
+
+    await agent.post('/api/v1/todos').send({ title: 'Milk' });
+    await agent.post('/api/v1/templates').send({ name: 'Weekly' });
+    await agent.post('/api/v1/tasks').send({ title: 'Standup', dueDate: '2026-06-01', repeatFrequency: 'daily' });
+    const events = [await stream.next(), await stream.next(), await stream.next()];
+    stream.close();
+
+    expect(events.map((e) => [e.resource, e.action])).toEqual([
+      ['todo', 'upsert'],
+      ['template', 'upsert'],
+      ['task', 'reset'],
+    ]);
+  });
+
+  it('EV-03: Other workspaces do not receive the change', async () => {
+    const other = await createTestUser(app, { email: `events-other${Date.now()}@test.com` });
+    const otherStream = await connect(other.token);
+    const ownStream = await connect(user.token);
+
+    await authedAgent(app, user.token).post('/api/v1/todos').send({ title: 'Mine' });
+    await authedAgent(app, other.token).post('/api/v1/todos').send({ title: 'Private' });
+    const first = await otherStream.next();
+    const own = await ownStream.next();
+    otherStream.close();
+    ownStream.close();
+
+    expect(first.data.title).toBe('Private');
+    expect(own.data.title).toBe('Mine');
+  });
+
+  it('EV-04: No auth returns 401 and unknown workspaces 404', async () => {
+    const anonymous = await request(app).get('/api/v1/events');
+    const unknown = await connect(user.token, '64b000000000000000000000');
+    unknown.close();
+
+    expect(anonymous.status).toBe(401);
+    expect(unknown.status).toBe(404);
+  });
+});
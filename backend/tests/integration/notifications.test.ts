@@ -0,0 +1,125 @@
+import request from 'supertest';
+import webpush from 'web-push';
+import app from '../../src/app';
+import env from '../../src/config/environment';
+import reminderService from '../../src/modules/notifications/reminder.service';
+import { createTestUser, authedAgent } from '../helpers/auth';
+import { PushSubscription, Reminder, Task } from '../../src/database/models';
+
+jest.mock('web-push');
+
+describe('Notifications Module', () => {
+  let user: { token: string; userId: string };
+  const sendNotification = webpush.sendNotification as jest.Mock;
+  const subscription = {
+    endpoint: 'https://push.example.com/send/abc',
+    keys: { p256dh: 'p256dh-key', auth: 'auth-secret' },
+  };
+
+  beforeAll(() => {
+    env.VAPID_PUBLIC_KEY = 'test-public-key';
+    env.VAPID_PRIVATE_KEY = 'test-private-key';
+  });
+
+  afterAll(() => {
+    env.VAPID_PUBLIC_KEY = undefined;
+    env.VAPID_PRIVATE_KEY = undefined;
+  });
+
+  beforeEach(async () => {
+    sendNotification.mockReset().mockResolvedValue({ statusCode: 201 });
+    user = await createTestUser(app, { email: `push${Date.now()}@test.com` });
+    await authedAgent(app, user.token).patch('/api/v1/settings').send({ timeZone: 'Europe/Berlin' });
+    await authedAgent(app, user.token).post('/api/v1/notifications/subscriptions').send(subscription);
+  });
+
+  const createTask = async (fields: Record<string, unknown> = {}) => {
+    const response = await authedAgent(app, user.token)
+      .post('/api/v1/tasks')
+      .send({ title: 'Dentist', dueDate: '2026-06-01', dueTime: '09:00', reminders: [15], ...fields });
+    return response.body.data._id as string;
+  };
+  const lastPayload = () => JSON.parse(sendNotification.mock.calls.at(-1)[1]);
+
+  describe('Subscriptions', () => {
+    it('NT-01: Browsers subscribe and unsubscribe; the public key is served and bad endpoints are rejected', async () => {
+      const key = await authedAgent(app, user.token).get('/api/v1/notifications/vapid-public-key');
+      const badEndpoint = await authedAgent(app, user.token)
+        .post('/api/v1/notifications/subscriptions')
+        .send({ ...subscription, endpoint: 'not a url' });
+      const saved = await PushSubscription.countDocuments({ user: user.userId });
+
+      await authedAgent(app, user.token)
+        .delete('/api/v1/notifications/subscriptions')
+        .send({ endpoint: subscription.endpoint });
+
+      expect(key.body.data.publicKey).toBe('test-public-key');
+      expect(badEndpoint.status).toBe(400);
+      expect(saved).toBe(1);
+      expect(await PushSubscription.countDocuments()).toBe(0);
+    });
+  });
+
+  describe('Reminder scheduler', () => {
+    it("NT-02: A reminder is sent once, at its offset before the due time in the user's zone", async () => {
+      await createTask();
+
+      // 09:00 in Berlin is 07:00 UTC in summer
+      const early = await reminderService.run(new Date('2026-06-01T06:30:00Z'));
+      const due = await reminderService.run(new Date('2026-06-01T06:45:30Z'));
+      const again = await reminderService.run(new Date('2026-06-01T06:46:30Z'));
+
+      expect([early, due, again]).toEqual([0, 1, 0]);
+      expect(sendNotification).toHaveBeenCalledTimes(1);
+      expect(lastPayload()).toMatchObject({ title: 'Dentist', body: 'Due 2026-06-01 at 09:00' });
+    });
+
+    it('NT-03: Occurrences of a recurring task are reminded on their own date', async () => {
+      await createTask({ title: 'Standup', recurrence: { rrule: 'FREQ=DAILY' } });
+
+      const sent = await reminderService.run(new Date('2026-06-03T06:50:00Z'));
+
+      expect(sent).toBe(1);
+      expect(lastPayload().data.taskId).toMatch(/_2026-06-03$/);
+    });
+  });
+
+  describe('Notification actions', () => {
+    it('NT-04: Snoozing with the token schedules a later reminder; a wrong token is rejected', async () => {
+      await createTask();
+      await reminderService.run(new Date('2026-06-01T06:45:00Z'));
+      const { reminderId, token } = lastPayload().data;
+
+      const wrong = await request(app)
+        .post(`/api/v1/notifications/reminders/${reminderId}/snooze`)
+        .send({ token: 'nope' });
+      const snoozed = await request(app)
+        .post(`/api/v1/notifications/reminders/${reminderId}/snooze`)
+        .send({ token, minutes: 5 });
+      const sentLater = await reminderService.run(new Date(Date.now() + 6 * 60000));
+
+      expect(wrong.status).toBe(404);
+      expect(snoozed.status).toBe(200);
+      expect(sentLater).toBe(1);
+      expect(await Reminder.countDocuments({ sentAt: null })).toBe(0);
+    });
+
+    it('NT-05: Completing with the token completes the task and records who did it', async () => {
+      const id = await createTask();
+      await reminderService.run(new Date('2026-06-01T06:45:00Z'));
+      const { reminderId, token } = lastPayload().data;
+
+      const completed = await request(app)
+        .post(`/api/v1/notifications/reminders/${reminderId}/complete`)
+        .send({ token });
+      const history = await authedAgent(app, user.token).get(`/api/v1/tasks/${id}/history`);
+
+      expect(completed.status).toBe(204);
+      expect((await Task.findById(id))!.isCompleted).toBe(true);
+      expect(history.body.data[0].actor._id).toBe(user.userId);
+      expect(history.body.data[0].changes).toEqual([
+        expect.objectContaining({ field: 'isCompleted', from: false, to: true }),
+      ]);
+    });
+  });
+});
@@ -0,0 +1,135 @@
+import request from 'supertest';
+import app from '../../src/app';
+import { createTestUser, authedAgent } from '../helpers/auth';
+
+describe('Projects Module', () => {
+  let token: string;
+  let otherToken: string;
+
+  const createProject = (body: any, as = token) =>
+    authedAgent(app, as).post('/api/v1/projects').send(body);
+  const createTask = (body: any) =>
+    authedAgent(app, token).post('/api/v1/tasks').send({ dueDate: '2026-05-01', ...body });
+
+  beforeEach(async () => {
+    const user = await createTestUser(app, { email: `projects${Date.now()}@test.com` });
+    const other = await createTestUser(app, { email: `projects-other${Date.now()}@test.com` });
+    token = user.token;
+    otherToken = other.token;
+  });
+
+  describe('CRUD /api/v1/projects', () => {
+    it('PR-01: Create project with defaults and increasing order', async () => {
+      const first = await createProject({ name: 'Thesis' });
+      const second = await createProject({ name: 'Course', color: '#22c55e', icon: 'book' });
+
+      expect(first.status).toBe(201);
+      expect(first.body.data).toEqual(expect.objectContaining({ name: 'Thesis', isArchived: false, order: 0 }));
+      expect(second.body.data).toEqual(expect.objectContaining({ color: '#22c55e', icon: 'book', order: 1 }));
+    });
+
+    it('PR-02: Missing name or invalid color returns 400', async () => {
+      expect((await createProject({})).status).toBe(400);
+      expect((await createProject({ name: 'Thesis', color: 'green' })).status).toBe(400);
+    });
+
+    it('PR-03: Archived projects are hidden unless requested', async () => {
+      const created = await createProject({ name: 'Old course' });
+      await authedAgent(app, token)
+        .patch(`/api/v1/projects/${created.body.data._id}`)
+        .send({ isArchived: true });
+
+      const active = await authedAgent(app, token).get('/api/v1/projects');
+      const all = await authedAgent(app, token).get('/api/v1/projects?includeArchived=true');
+
+      expect(active.body.data).toHaveLength(0);
+      expect(all.body.data).toHaveLength(1);
+    });
+
+    it('PR-04: Other users cannot read or change a project', async () => {
+      const created = await createProject({ name: 'Private' });
+      const id = created.body.data._id;
+
+      const read = await authedAgent(app, otherToken).get(`/api/v1/projects/${id}`);
+      const update = await authedAgent(app, otherToken).patch(`/api/v1/projects/${id}`).send({ name: 'Mine' });
+
+      expect(read.status).toBe(404);
+      expect(update.status).toBe(404);
+    });
+
+    it('PR-05: Deleting a project keeps its tasks and TODOs', async () => {
+      const project = await createProject({ name: 'Thesis' });
+      const projectId = project.body.data._id;
+      const task = await createTask({ title: 'Write chapter', projectId });
+      const todo = await authedAgent(app, token).post('/api/v1/todos').send({ title: 'Email advisor', projectId });
+
+      const response = await authedAgent(app, token).delete(`/api/v1/projects/${projectId}`);
+      expect(response.status).toBe(200);
+
+      const keptTask = await authedAgent(app, token).get(`/api/v1/tasks/${task.body.data._id}`);
+      const keptTodo = await authedAgent(app, token).get(`/api/v1/todos/${todo.body.data._id}`);
+      expect(keptTask.body.data.projectId).toBeNull();
+      expect(keptTodo.body.data.projectId).toBeNull();
+    });
+
+    it('PR-06: No auth returns 401', async () => {
+      const response = await request(app).get('/api/v1/projects');
+      expect(response.status).toBe(401);
+    });
+  });
+
+  describe('Project membership', () => {
+    it('PR-10: Tasks can be filtered by project or by having none', async () => {
+      const project = await createProject({ name: 'Thesis' });
+      const projectId = project.body.data._id;
+      await createTask({ title: 'Write chapter', projectId });
+      await createTask({ title: 'Groceries' });
+
+      const inProject = await authedAgent(app, token).get(`/api/v1/tasks?project=${projectId}`);
+      const outside = await authedAgent(app, token).get('/api/v1/tasks?project=none');
+
+      expect(inProject.body.data.map((t: any) => t.title)).toEqual(['Write chapter']);
+      expect(outside.body.data.map((t: any) => t.title)).toEqual(['Groceries']);
+    });
+
+    it('PR-11: Tasks and TODOs cannot join another user\'s project', async () => {
+      const foreign = await createProject({ name: 'Theirs' }, otherToken);
+      const projectId = foreign.body.data._id;
+
+      const task = await createTask({ title: 'Sneaky', projectId });
+      const todo = await authedAgent(app, token).post('/api/v1/todos').send({ title: 'Sneaky', projectId });
+
+      expect(task.status).toBe(404);
+      expect(todo.status).toBe(404);
+    });
+
+    it('PR-12: Statistics report progress per project', async () => {
+      const project = await createProject({ name: 'Thesis', color: '#22c55e' });
+      const projectId = project.body.data._id;
+      const done = await createTask({ title: 'Outline', projectId });
+      await createTask({ title: 'Write chapter', projectId });
+      await createTask({ title: 'Groceries' });
+      await authedAgent(app, token).patch(`/api/v1/tasks/${done.body.data._id}/toggle-complete`);
+
+      const response = await authedAgent(app, token).get('/api/v1/tasks/statistics');
+
+      expect(response.body.data.byProject).toEqual([
+        { projectId, name: 'Thesis', color: '#22c55e', total: 2, completed: 1, completionRate: 50 },
+        expect.objectContaining({ projectId: null, name: 'No project', total: 1, completed: 0 }),
+      ]);
+    });
+
+    it('PR-13: Projects survive a backup round-trip', async () => {
+      const project = await createProject({ name: 'Thesis' });
+      await createTask({ title: 'Write chapter', projectId: project.body.data._id });
+      const exported = await authedAgent(app, token).get('/api/v1/data/export');
+
+      const other = await authedAgent(app, otherToken).post('/api/v1/data/import/json').send(exported.body.data);
+      expect(other.body.projects.created).toBe(1);
+
+      const [theirProject] = (await authedAgent(app, otherToken).get('/api/v1/projects')).body.data;
+      const theirTasks = await authedAgent(app, otherToken).get(`/api/v1/tasks?project=${theirProject._id}`);
+      expect(theirTasks.body.data.map((t: any) => t.title)).toEqual(['Write chapter']);
+    });
+  });
+});
@@ -1,7 +1,8 @@
 import request from 'supertest';
 import app from '../../src/app';
-import { authedAgent } from '../helpers/auth';
+import { createTestUser, authedAgent } from '../helpers/auth';
 import { seedData } from '../helpers/seed';
+import schedulerService from '../../src/modules/scheduler/scheduler.service';
 
 describe('Scheduler Module', () => {
   let seed: any;
@@ -144,4 +145,471 @@ describe('Scheduler Module', () => {
       expect(response.status).toBe(401);
     });
   });
+
+  describe('Dependencies', () => {
+    let token: string;
+    const inDays = (days: number) => new Date(Date.now() + days * 86400000).toISOString().split('T')[0];
+    const createTask = async (title: string, estimatedDuration = 60) => {
+      const response = await authedAgent(app, token)
+        .post('/api/v1/tasks')
+        .send({ title, dueDate: inDays(5), estimatedDuration });
+      return response.body.data._id as string;
+    };
+    const startsAfter = (slot: { date: string; time: string }, date: string, time: string) =>
+      `${slot.date}T${slot.time}` >= `${date}T${time}`;
+
+    beforeEach(async () => {
+      const user = await createTestUser(app, { email: `sched-deps${Date.now()}@test.com` });
+      token = user.token;
+    });
+
+    it('SCH-40: Suggestions start after the prerequisite slot ends', async () => {
+      const collect = await createTask('Collect data', 120);
+      const report = await createTask('Write report');
+      await authedAgent(app, token)
+        .patch(`/api/v1/tasks/${collect}/assign-slot`)
+        .send({ date: inDays(2), time: '14:00' });
+      await authedAgent(app, token).post(`/api/v1/tasks/${report}/dependencies`).send({ taskId: collect });
+
+      const response = await authedAgent(app, token)
+        .post('/api/v1/scheduler/suggest')
+        .send({ taskId: report, maxSuggestions: 5 });
+
+      expect(response.status).toBe(200);
+      expect(response.body.data.length).toBeGreaterThan(0);
+      response.body.data.forEach((s: any) => expect(startsAfter(s.slot, inDays(2), '16:00')).toBe(true));
+    });
+
+    it('SCH-41: Tasks waiting on an unscheduled prerequisite get no suggestions', async () => {
+      const collect = await createTask('Collect data');
+      const report = await createTask('Write report');
+      await authedAgent(app, token).post(`/api/v1/tasks/${report}/dependencies`).send({ taskId: collect });
+
+      const response = await authedAgent(app, token)
+        .post('/api/v1/scheduler/suggest')
+        .send({ taskId: report });
+
+      expect(response.body.data).toEqual([]);
+    });
+
+    it('SCH-42: Optimize places dependents after their prerequisites', async () => {
+      const report = await createTask('Write report');
+      const collect = await createTask('Collect data', 90);
+      await authedAgent(app, token).post(`/api/v1/tasks/${report}/dependencies`).send({ taskId: collect });
+
+      const response = await authedAgent(app, token).get('/api/v1/scheduler/optimize');
+      const slotOf = (id: string) => response.body.data.find((s: any) => s.taskId === id)?.suggestedSlot;
+
+      const collectSlot = slotOf(collect);
+      const reportSlot = slotOf(report);
+      expect(collectSlot).toBeDefined();
+      expect(reportSlot).toBeDefined();
+      const collectEnd = new Date(`${collectSlot.date}T${collectSlot.time}:00Z`).getTime() + 90 * 60000;
+      expect(new Date(`${reportSlot.date}T${reportSlot.time}:00Z`).getTime()).toBeGreaterThanOrEqual(collectEnd);
+    });
+  });
+
+  describe('GET /api/v1/scheduler/plan', () => {
+    let token: string;
+    const inDays = (days: number) => new Date(Date.now() + days * 86400000).toISOString().split('T')[0];
+    const createTask = async (title: string, fields: Record<string, unknown> = {}) => {
+      const response = await authedAgent(app, token)
+        .post('/api/v1/tasks')
+        .send({ title, dueDate: inDays(3), estimatedDuration: 120, ...fields });
+      return response.body.data._id as string;
+    };
+    const toMinutes = (time: string) => Number(time.slice(0, 2)) * 60 + Number(time.slice(3));
+
+    beforeEach(async () => {
+      const user = await createTestUser(app, { email: `sched-plan${Date.now()}@test.com` });
+      token = user.token;
+      await authedAgent(app, token)
+        .patch('/api/v1/settings')
+        .send({ availableHours: { start: '09:00', end: '17:00' }, bufferMinutes: 15 });
+    });
+
+    it('SCH-60: Plans every task within hours, before it is due and without overlaps', async () => {
+      for (const title of ['Essay', 'Slides', 'Reading', 'Problem set']) await createTask(title);
+
+      const response = await authedAgent(app, token).get('/api/v1/scheduler/plan');
+      const optimize = await authedAgent(app, token).get('/api/v1/scheduler/optimize');
+      const { placed, unplaced } = response.body.data;
+
+      expect(response.status).toBe(200);
+      expect(unplaced).toEqual([]);
+      expect(placed).toHaveLength(4);
+      placed.forEach((entry: any, i: number) => {
+        expect(entry.slot.date <= inDays(3)).toBe(true);
+        expect(entry.slot.time >= '09:00' && entry.end.time <= '17:00').toBe(true);
+        const next = placed[i + 1];
+        if (next?.slot.date === entry.slot.date) {
+          expect(toMinutes(next.slot.time)).toBeGreaterThanOrEqual(toMinutes(entry.end.time) + 15);
+        }
+      });
+      // Suggestions come from one plan, so no two share a slot
+      expect(new Set(optimize.body.data.map((s: any) => JSON.stringify(s.suggestedSlot))).size).toBe(4);
+    });
+
+    it('SCH-61: Tasks that cannot fit are returned with the reason', async () => {
+      // Blocks this long cannot split the thesis either
+      await authedAgent(app, token).patch('/api/v1/settings').send({ minChunkMinutes: 480 });
+      await createTask('Thesis', { estimatedDuration: 600 });
+      const meeting = await createTask('Advisor meeting', { tags: ['meeting'] });
+      const review = await createTask('Review notes');
+      await authedAgent(app, token).post(`/api/v1/tasks/${review}/dependencies`).send({ taskId: meeting });
+      const collect = await createTask('Collect data', { dueDate: inDays(4) });
+      await authedAgent(app, token).patch(`/api/v1/tasks/${collect}/assign-slot`).send({ date: inDays(4), time: '09:00' });
+      const report = await createTask('Write report', { dueDate: inDays(2) });
+      await authedAgent(app, token).post(`/api/v1/tasks/${report}/dependencies`).send({ taskId: collect });
+
+      const response = await authedAgent(app, token).get('/api/v1/scheduler/plan');
+      const invalid = await authedAgent(app, token).get('/api/v1/scheduler/plan?days=0');
+      const reasons = Object.fromEntries(response.body.data.unplaced.map((u: any) => [u.title, u.reason]));
+
+      expect(reasons).toEqual({
+        Thesis: 'too_long',
+        'Review notes': 'waiting_on_prerequisite',
+        'Write report': 'no_time_before_due',
+      });
+      expect(invalid.status).toBe(400);
+    });
+
+    it('SCH-62: Higher-priority work gets contested time', async () => {
+      await authedAgent(app, token).patch('/api/v1/settings').send({ bufferMinutes: 0 });
+      // Today and tomorrow are fully booked
+      for (const day of [0, 1]) {
+        const busy = await createTask(`Busy ${day}`, { dueDate: inDays(day), estimatedDuration: 480 });
+        await authedAgent(app, token).patch(`/api/v1/tasks/${busy}/assign-slot`).send({ date: inDays(day), time: '09:00' });
+      }
+      await createTask('Tidy desk', { dueDate: inDays(2), dueTime: '13:00', estimatedDuration: 240, priority: 'low' });
+      await createTask('Exam prep', { dueDate: inDays(2), dueTime: '17:00', estimatedDuration: 360, priority: 'high' });
+
+      const response = await authedAgent(app, token).get('/api/v1/scheduler/plan');
+      const { placed, unplaced } = response.body.data;
+
+      expect(placed.map((e: any) => [e.title, e.slot])).toEqual([['Exam prep', { date: inDays(2), time: '09:00' }]]);
+      expect(unplaced.map((u: any) => [u.title, u.reason])).toEqual([['Tidy desk', 'no_time_before_due']]);
+    });
+  });
+
+  describe('Availability profiles', () => {
+    let token: string;
+    const inDays = (days: number) => new Date(Date.now() + days * 86400000).toISOString().split('T')[0];
+    const weekdayOf = (date: string) => new Date(`${date}T00:00:00Z`).getUTCDay();
+    const createTask = async (title: string, fields: Record<string, unknown> = {}) => {
+      const response = await authedAgent(app, token)
+        .post('/api/v1/tasks')
+        .send({ title, dueDate: inDays(4), estimatedDuration: 150, ...fields });
+      return response.body.data._id as string;
+    };
+    const setAvailability = (availability: Record<string, unknown>) =>
+      authedAgent(app, token).patch('/api/v1/settings').send({ availability });
+
+    beforeEach(async () => {
+      const user = await createTestUser(app, { email: `sched-avail${Date.now()}@test.com` });
+      token = user.token;
+    });
+
+    it('SCH-70: Plans only inside the weekly windows, around lunch and days off', async () => {
+      const dayOff = weekdayOf(inDays(1));
+      const weekly = [0, 1, 2, 3, 4, 5, 6]
+        .filter((weekday) => weekday !== dayOff)
+        .flatMap((weekday) => [
+          { weekday, start: '09:00', end: '12:00' },
+          { weekday, start: '13:00', end: '17:00' },
+        ]);
+      await setAvailability({ weekly });
+      for (const title of ['Essay', 'Slides', 'Reading', 'Problem set']) await createTask(title);
+
+      const response = await authedAgent(app, token).get('/api/v1/scheduler/plan');
+      const { placed, unplaced } = response.body.data;
+
+      expect(unplaced).toEqual([]);
+      placed.forEach((entry: any) => {
+        expect(entry.slot.date).not.toBe(inDays(1));
+        const morning = entry.slot.time >= '09:00' && entry.end.time <= '12:00';
+        const afternoon = entry.slot.time >= '13:00' && entry.end.time <= '17:00';
+        expect(morning || afternoon).toBe(true);
+      });
+    });
+
+    it('SCH-71: A dated override blocks time off for planning and conflict checks', async () => {
+      await setAvailability({ overrides: [{ from: inDays(0), to: inDays(2), windows: [], label: 'Conference' }] });
+      await createTask('Abstract', { dueDate: inDays(2) });
+      const poster = await createTask('Poster', { dueDate: inDays(5) });
+
+      const response = await authedAgent(app, token).get('/api/v1/scheduler/plan');
+      const check = (date: string) =>
+        authedAgent(app, token)
+          .post('/api/v1/scheduler/check-conflicts')
+          .send({ taskId: poster, proposedDate: date, proposedTime: '14:00' });
+      const away = await check(inDays(1));
+      const back = await check(inDays(3));
+      const { placed, unplaced } = response.body.data;
+
+      expect(unplaced.map((u: any) => [u.title, u.reason])).toEqual([['Abstract', 'no_time_before_due']]);
+      expect(placed[0].slot.date >= inDays(3)).toBe(true);
+      expect(away.body.availability).toEqual({ isAvailable: false, windows: [] });
+      expect(back.body.availability).toEqual({ isAvailable: true, windows: [{ start: '13:00', end: '22:00' }] });
+    });
+
+    it('SCH-72: Suggestions fall on the days the user is available', async () => {
+      await setAvailability({ weekly: [{ weekday: weekdayOf(inDays(2)), start: '10:00', end: '11:00' }] });
+      const taskId = await createTask('Call landlord', { dueDate: inDays(5), estimatedDuration: 60 });
+
+      const response = await authedAgent(app, token).post('/api/v1/scheduler/suggest').send({ taskId });
+
+      expect(response.body.data.map((s: any) => s.slot)).toEqual([{ date: inDays(2), time: '10:00' }]);
+    });
+  });
+
+  describe('Time zones', () => {
+    let user: { token: string; userId: string };
+    const createTask = async (title: string, fields: Record<string, unknown>) => {
+      const response = await authedAgent(app, user.token).post('/api/v1/tasks').send({ title, ...fields });
+      return response.body.data.workspaceId as string;
+    };
+
+    beforeEach(async () => {
+      user = await createTestUser(app, { email: `sched-tz${Date.now()}@test.com` });
+      await authedAgent(app, user.token).patch('/api/v1/settings').send({ timeZone: 'Europe/Berlin', bufferMinutes: 0 });
+    });
+
+    it('SCH-80: Plans start from the local time on both sides of a DST change', async () => {
+      const workspaceId = await createTask('Stretch', { dueDate: '2026-10-30', estimatedDuration: 30 });
+      const firstSlot = async (instant: string) =>
+        (await schedulerService.plan(workspaceId, user.userId, 7, new Date(instant))).placed[0].slot;
+
+      // 21:30 CEST, the evening before the autumn change, and 21:30 CET after it
+      expect(await firstSlot('2026-10-24T19:30:00Z')).toEqual({ date: '2026-10-24', time: '21:30' });
+      expect(await firstSlot('2026-10-25T20:30:00Z')).toEqual({ date: '2026-10-25', time: '21:30' });
+    });
+
+    it('SCH-81: Tasks become overdue at local midnight', async () => {
+      const workspaceId = await createTask('Pay rent', { dueDate: '2026-10-25' });
+      const overdue = async (instant: string) =>
+        (await schedulerService.getOverdueSuggestions(workspaceId, user.userId, new Date(instant))).map((s) => s.taskTitle);
+
+      // 23:30 and 00:30 CET
+      expect(await overdue('2026-10-25T22:30:00Z')).toEqual([]);
+      expect(await overdue('2026-10-25T23:30:00Z')).toEqual(['Pay rent']);
+    });
+  });
+
+  describe('Split tasks', () => {
+    let user: { token: string; userId: string };
+    let workspaceId: string;
+    // Monday morning, before the day's window opens
+    const now = new Date('2026-11-02T06:00:00Z');
+    const createTask = async (title: string, estimatedDuration: number) => {
+      const response = await authedAgent(app, user.token)
+        .post('/api/v1/tasks')
+        .send({ title, dueDate: '2026-11-04', estimatedDuration });
+      workspaceId = response.body.data.workspaceId;
+      return response.body.data._id as string;
+    };
+    const thesisBlocks = [
+      { slot: { date: '2026-11-02', time: '09:00' }, duration: 180 },
+      { slot: { date: '2026-11-03', time: '09:00' }, duration: 160 },
+      { slot: { date: '2026-11-04', time: '09:00' }, duration: 60 },
+    ];
+
+    beforeEach(async () => {
+      user = await createTestUser(app, { email: `sched-split${Date.now()}@test.com` });
+      await authedAgent(app, user.token)
+        .patch('/api/v1/settings')
+        .send({ availableHours: { start: '09:00', end: '12:00' }, bufferMinutes: 0 });
+    });
+
+    it('SCH-90: Work longer than any window is split into blocks before it is due', async () => {
+      await createTask('Thesis draft', 400);
+      await createTask('Email', 60);
+
+      const { placed } = await schedulerService.plan(workspaceId, user.userId, 7, now);
+      await authedAgent(app, user.token).patch('/api/v1/settings').send({ minChunkMinutes: 240 });
+      const { unplaced } = await schedulerService.plan(workspaceId, user.userId, 7, now);
+
+      // No block is left shorter than an hour, and other work goes around the blocks
+      expect(placed.map((e) => [e.title, e.blocks])).toEqual([
+        ['Thesis draft', thesisBlocks],
+        ['Email', [{ slot: { date: '2026-11-04', time: '10:00' }, duration: 60 }]],
+      ]);
+      expect(placed[0].end).toEqual({ date: '2026-11-04', time: '10:00' });
+      expect(unplaced.map((u) => [u.title, u.reason])).toEqual([['Thesis draft', 'too_long']]);
+    });
+
+    it('SCH-91: Suggests blocks when no slot fits whole, and stored blocks make the user busy', async () => {
+      const thesis = await createTask('Thesis draft', 400);
+      const email = await createTask('Email', 60);
+
+      const suggestions = await schedulerService.suggestSlots(workspaceId, user.userId, thesis, 3, now);
+      const blocks = suggestions[0].blocks!.map(({ slot, duration }) => ({ ...slot, duration }));
+      await authedAgent(app, user.token).patch(`/api/v1/tasks/${thesis}/assign-blocks`).send({ blocks });
+      const check = await authedAgent(app, user.token)
+        .post('/api/v1/scheduler/check-conflicts')
+        .send({ taskId: email, proposedDate: '2026-11-03', proposedTime: '10:00' });
+      const { placed } = await schedulerService.plan(workspaceId, user.userId, 7, now);
+
+      expect(suggestions).toHaveLength(1);
+      expect(suggestions[0].blocks).toEqual(thesisBlocks);
+      expect(check.body.data.map((t: any) => t.title)).toEqual(['Thesis draft']);
+      expect(placed.map((e) => [e.title, e.slot])).toEqual([['Email', { date: '2026-11-04', time: '10:00' }]]);
+    });
+  });
+
+  describe('GET /api/v1/scheduler/capacity', () => {
+    let user: { token: string; userId: string };
+    let workspaceId: string;
+    const now = new Date('2026-11-02T06:00:00Z');
+    const createTask = async (title: string, fields: Record<string, unknown>) => {
+      const response = await authedAgent(app, user.token).post('/api/v1/tasks').send({ title, ...fields });
+      workspaceId = response.body.data.workspaceId;
+      return response.body.data._id as string;
+    };
+
+    beforeEach(async () => {
+      user = await createTestUser(app, { email: `sched-capacity${Date.now()}@test.com` });
+      await authedAgent(app, user.token).patch('/api/v1/settings').send({ availableHours: { start: '09:00', end: '15:00' } });
+    });
+
+    it('SCH-100: Flags overloaded days and the tasks that will miss their due date', async () => {
+      await createTask('Lab report', { dueDate: '2026-11-03', estimatedDuration: 300 });
+      await createTask('Slides', { dueDate: '2026-11-03', estimatedDuration: 240 });
+      await createTask('Essay', { dueDate: '2026-11-03', estimatedDuration: 360, priority: 'low' });
+      await createTask('Reading', { dueDate: '2026-11-04', estimatedDuration: 300 });
+      const poster = await createTask('Poster', { dueDate: '2026-11-05', estimatedDuration: 60 });
+      await authedAgent(app, user.token).patch(`/api/v1/tasks/${poster}/assign-slot`).send({ date: '2026-11-06', time: '10:00' });
+
+      const { days, atRisk } = await schedulerService.capacity(workspaceId, user.userId, 5, now);
+
+      // Six hours free each day
+      expect(days.map((d) => [d.date, d.plannedMinutes, d.level])).toEqual([
+        ['2026-11-02', 0, 'ok'],
+        ['2026-11-03', 900, 'over'],
+        ['2026-11-04', 300, 'tight'],
+        ['2026-11-05', 0, 'ok'],
+        ['2026-11-06', 60, 'ok'],
+      ]);
+      expect(days.every((d) => d.availableMinutes === 360)).toBe(true);
+      expect(atRisk.map((t) => [t.title, t.reason])).toEqual([
+        ['Essay', 'no_time_before_due'],
+        ['Poster', 'scheduled_after_due'],
+      ]);
+    });
+
+    it('SCH-101: Covers two weeks by default; invalid ranges return 400', async () => {
+      const response = await authedAgent(app, user.token).get('/api/v1/scheduler/capacity');
+      const invalid = await authedAgent(app, user.token).get('/api/v1/scheduler/capacity?days=60');
+
+      expect(response.status).toBe(200);
+      expect(response.body.data.days).toHaveLength(14);
+      expect(response.body.data.atRisk).toEqual([]);
+      expect(invalid.status).toBe(400);
+    });
+  });
+
+  describe('Fixed events', () => {
+    let user: { token: string; userId: string };
+    let workspaceId: string;
+    const now = new Date('2026-11-02T06:00:00Z');
+    const createTask = async (title: string, fields: Record<string, unknown>) => {
+      const response = await authedAgent(app, user.token).post('/api/v1/tasks').send({ title, ...fields });
+      workspaceId = response.body.data.workspaceId;
+      return response.body.data._id as string;
+    };
+    // Titles of the tasks the planner tried to place, whether or not they fit
+    const planned = async () => {
+      const { placed, unplaced } = await schedulerService.plan(workspaceId, user.userId, 7, now);
+      return [...placed, ...unplaced].map((e) => e.title).sort();
+    };
+
+    beforeEach(async () => {
+      user = await createTestUser(app, { email: `sched-fixed${Date.now()}@test.com` });
+      await authedAgent(app, user.token)
+        .patch('/api/v1/settings')
+        .send({ availableHours: { start: '09:00', end: '12:00' }, bufferMinutes: 0 });
+    });
+
+    it('SCH-110: Tag, title and calendar rules decide which tasks the planner leaves in place', async () => {
+      await createTask('Seminar', { tags: ['Lecture'], dueDate: '2026-11-02', dueTime: '09:00' });
+      await createTask('Standup', { dueDate: '2026-11-02', dueTime: '11:00', estimatedDuration: 30 });
+      await createTask('Essay', { dueDate: '2026-11-04' });
+      await authedAgent(app, user.token)
+        .post('/api/v1/data/import/ics')
+        .send({
+          file: [
+            'BEGIN:VCALENDAR',
+            'VERSION:2.0',
+            'X-WR-CALNAME:University',
+            'BEGIN:VEVENT',
+            'UID:office-hours@test',
+            'SUMMARY:Office hours',
+            'DTSTART:20261103T100000Z',
+            'DTEND:20261103T110000Z',
+            'END:VEVENT',
+            'END:VCALENDAR',
+          ].join('\r\n'),
+        });
+
+      const { placed, unplaced } = await schedulerService.plan(workspaceId, user.userId, 7, now);
+      await authedAgent(app, user.token)
+        .patch('/api/v1/settings')
+        .send({ fixedEventRules: [{ type: 'title', value: 'stand*' }, { type: 'source', value: 'university' }] });
+
+      // The default rules fix lectures, and their time stays busy
+      expect(unplaced).toEqual([]);
+      expect(placed.map((e) => e.title).sort()).toEqual(['Essay', 'Office hours', 'Standup']);
+      expect(placed.some((e) => e.blocks.some((b) => b.slot.date === '2026-11-02' && b.slot.time === '09:00'))).toBe(false);
+      expect(await planned()).toEqual(['Essay', 'Seminar']);
+    });
+
+    it('SCH-111: A task flagged fixed or flexible overrides the rules for optimize and overdue', async () => {
+      await createTask('Lecture notes', { tags: ['lecture'], dueDate: '2026-11-01', isFixed: false });
+      const exam = await createTask('Exam', { dueDate: '2026-10-30', dueTime: '09:00', isFixed: true });
+      await createTask('Old meeting', { tags: ['meeting'], dueDate: '2026-10-31' });
+      await createTask('Report', { dueDate: '2026-10-31' });
+      const overdue = async () =>
+        (await schedulerService.getOverdueSuggestions(workspaceId, user.userId, now)).map((s) => s.taskTitle).sort();
+
+      const before = await overdue();
+      const plannedBefore = await planned();
+      const update = await authedAgent(app, user.token).patch(`/api/v1/tasks/${exam}`).send({ isFixed: null });
+
+      expect(before).toEqual(['Lecture notes', 'Report']);
+      expect(plannedBefore).toEqual(['Lecture notes', 'Report']);
+      expect(update.body.data.isFixed).toBeNull();
+      expect(await overdue()).toEqual(['Exam', 'Lecture notes', 'Report']);
+    });
+  });
+
+  describe('Assignees', () => {
+    it('SCH-50: Only tasks assigned to the user make them busy', async () => {
+      const owner = await createTestUser(app, { email: `sched-owner${Date.now()}@test.com` });
+      const member = await createTestUser(app, { email: `sched-member${Date.now()}@test.com` });
+      const workspace = await authedAgent(app, owner.token).post('/api/v1/workspaces').send({ name: 'Lab' });
+      const workspaceId = workspace.body.data._id;
+      const invitation = await authedAgent(app, owner.token)
+        .post(`/api/v1/workspaces/${workspaceId}/invitations`)
+        .send({ role: 'editor' });
+      await authedAgent(app, member.token).post(`/api/v1/workspaces/invitations/${invitation.body.data.token}/accept`);
+      const inWorkspace = () => authedAgent(app, owner.token).set('X-Workspace-Id', workspaceId);
+
+      const lab = await inWorkspace()
+        .post('/api/v1/tasks')
+        .send({ title: 'Run experiment', dueDate: '2026-05-04', assignees: [member.userId] });
+      await inWorkspace().patch(`/api/v1/tasks/${lab.body.data._id}/assign-slot`).send({ date: '2026-05-04', time: '10:00' });
+      const essay = await inWorkspace().post('/api/v1/tasks').send({ title: 'Write essay', dueDate: '2026-05-04' });
+      const check = () =>
+        inWorkspace()
+          .post('/api/v1/scheduler/check-conflicts')
+          .send({ taskId: essay.body.data._id, proposedDate: '2026-05-04', proposedTime: '10:30' });
+
+      const free = await check();
+      await inWorkspace().patch(`/api/v1/tasks/${lab.body.data._id}`).send({ assignees: [owner.userId] });
+      const busy = await check();
+
+      expect(free.body.data).toEqual([]);
+      expect(busy.body.data.map((t: any) => t.title)).toEqual(['Run experiment']);
+    });
+  });
 });
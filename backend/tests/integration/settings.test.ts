@@ -84,6 +84,76 @@ describe('Settings Module', () => {
       expect(response.status).toBe(400);
     });
 
+    it('SET-11: Update the planning buffer; out-of-range values return 400', async () => {
+      const response = await authedAgent(app, seed.userA.token).patch('/api/v1/settings').send({ bufferMinutes: 20 });
+      const invalid = await authedAgent(app, seed.userA.token).patch('/api/v1/settings').send({ bufferMinutes: 500 });
+
+      expect(response.body.data.bufferMinutes).toBe(20);
+      expect(invalid.status).toBe(400);
+    });
+
+    it('SET-12: Update weekly availability and overrides; overlapping or inverted windows return 400', async () => {
+      const availability = {
+        weekly: [
+          { weekday: 1, start: '09:00', end: '12:00' },
+          { weekday: 1, start: '13:00', end: '17:00' },
+        ],
+        overrides: [{ from: '2026-12-24', to: '2026-12-26', windows: [], label: 'Holidays' }],
+      };
+      const response = await authedAgent(app, seed.userA.token).patch('/api/v1/settings').send({ availability });
+      const overlapping = await authedAgent(app, seed.userA.token)
+        .patch('/api/v1/settings')
+        .send({ availability: { weekly: [...availability.weekly, { weekday: 1, start: '11:00', end: '14:00' }] } });
+      const inverted = await authedAgent(app, seed.userA.token)
+        .patch('/api/v1/settings')
+        .send({ availability: { overrides: [{ from: '2026-12-24', to: '2026-12-24', windows: [{ start: '18:00', end: '10:00' }] }] } });
+
+      expect(response.body.data.availability).toEqual(availability);
+      expect(overlapping.status).toBe(400);
+      expect(inverted.status).toBe(400);
+    });
+
+    it('SET-13: Update the time zone; unknown zones return 400', async () => {
+      const initial = await authedAgent(app, seed.userB.token).get('/api/v1/settings');
+      const response = await authedAgent(app, seed.userB.token).patch('/api/v1/settings').send({ timeZone: 'Asia/Amman' });
+      const invalid = await authedAgent(app, seed.userB.token).patch('/api/v1/settings').send({ timeZone: 'Mars/Olympus' });
+
+      expect(initial.body.data.timeZone).toBe('UTC');
+      expect(response.body.data.timeZone).toBe('Asia/Amman');
+      expect(invalid.status).toBe(400);
+    });
+
+    it('SET-14: Update the minimum block length for split tasks; out-of-range values return 400', async () => {
+      const initial = await authedAgent(app, seed.userB.token).get('/api/v1/settings');
+      const response = await authedAgent(app, seed.userB.token).patch('/api/v1/settings').send({ minChunkMinutes: 45 });
+      const invalid = await authedAgent(app, seed.userB.token).patch('/api/v1/settings').send({ minChunkMinutes: 5 });
+
+      expect(initial.body.data.minChunkMinutes).toBe(60);
+      expect(response.body.data.minChunkMinutes).toBe(45);
+      expect(invalid.status).toBe(400);
+    });
+
+    it('SET-15: Replace the fixed-event rules; unknown types and empty values return 400', async () => {
+      const initial = await authedAgent(app, seed.userB.token).get('/api/v1/settings');
+      const response = await authedAgent(app, seed.userB.token)
+        .patch('/api/v1/settings')
+        .send({ fixedEventRules: [{ type: 'tag', value: ' lab ' }, { type: 'source', value: '*' }] });
+      const badType = await authedAgent(app, seed.userB.token)
+        .patch('/api/v1/settings')
+        .send({ fixedEventRules: [{ type: 'color', value: 'red' }] });
+      const empty = await authedAgent(app, seed.userB.token)
+        .patch('/api/v1/settings')
+        .send({ fixedEventRules: [{ type: 'title', value: '  ' }] });
+
+      expect(initial.body.data.fixedEventRules).toContainEqual({ type: 'tag', value: 'lecture' });
+      expect(response.body.data.fixedEventRules).toEqual([
+        { type: 'tag', value: 'lab' },
+        { type: 'source', value: '*' },
+      ]);
+      expect(badType.status).toBe(400);
+      expect(empty.status).toBe(400);
+    });
+
     it('SET-10: No auth returns 401', async () => {
       const response = await request(app).patch('/api/v1/settings').send({ theme: 'dark' });
       expect(response.status).toBe(401);
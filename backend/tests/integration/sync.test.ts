@@ -0,0 +1,94 @@
+import request from 'supertest';
+import app from '../../src/app';
+import { createTestUser, authedAgent } from '../helpers/auth';
+import { Tombstone } from '../../src/database/models';
+
+describe('Sync Module', () => {
+  let user: { token: string; userId: string };
+
+  beforeEach(async () => {
+    user = await createTestUser(app, { email: `sync${Date.now()}@test.com` });
+  });
+
+  const sync = (since?: string) =>
+    authedAgent(app, user.token).get('/api/v1/sync').query(since ? { since } : {});
+
+  describe('GET /api/v1/sync', () => {
+    it('SYN-01: Without a cursor returns a full snapshot', async () => {
+      await authedAgent(app, user.token).post('/api/v1/tasks').send({ title: 'First', dueDate: '2026-06-01' });
+      await authedAgent(app, user.token).post('/api/v1/todos').send({ title: 'Milk' });
+
+      const response = await sync();
+
+      expect(response.status).toBe(200);
+      expect(response.body.data.reset).toBe(true);
+      expect(response.body.data.cursor).toEqual(expect.any(String));
+      expect(response.body.data.tasks.updated.map((t: any) => t.title)).toEqual(['First']);
+      expect(response.body.data.todos.updated.map((t: any) => t.title)).toEqual(['Milk']);
+      expect(response.body.data.templates.updated.filter((t: any) => t.isSystem)).toHaveLength(3);
+    });
+
+    it('SYN-02: With a cursor returns only changes and tombstones since then', async () => {
+      const kept = await authedAgent(app, user.token).post('/api/v1/tasks').send({ title: 'Kept', dueDate: '2026-06-01' });
+      const removed = await authedAgent(app, user.token).post('/api/v1/todos').send({ title: 'Removed' });
+      const { cursor } = (await sync()).body.data;
+
+      await authedAgent(app, user.token).patch(`/api/v1/tasks/${kept.body.data._id}`).send({ title: 'Renamed' });
+      await authedAgent(app, user.token).delete(`/api/v1/todos/${removed.body.data._id}`);
+      const response = await sync(cursor);
+
+      expect(response.body.data.reset).toBe(false);
+      expect(response.body.data.tasks.updated.map((t: any) => t.title)).toEqual(['Renamed']);
+      expect(response.body.data.todos.updated).toEqual([]);
+      expect(response.body.data.todos.deleted).toEqual([removed.body.data._id]);
+    });
+
+    it('SYN-03: Bulk deletes and stale cursors', async () => {
+      const first = await authedAgent(app, user.token).post('/api/v1/tasks').send({ title: 'A', dueDate: '2026-06-01' });
+      const second = await authedAgent(app, user.token).post('/api/v1/tasks').send({ title: 'B', dueDate: '2026-06-01' });
+      const { cursor } = (await sync()).body.data;
+
+      await authedAgent(app, user.token)
+        .post('/api/v1/tasks/bulk-delete')
+        .send({ ids: [first.body.data._id, second.body.data._id] });
+      const afterDelete = await sync(cursor);
+      const stale = await sync(Buffer.from(String(Date.now() - 60 * 24 * 60 * 60 * 1000)).toString('base64url'));
+
+      expect(afterDelete.body.data.tasks.deleted.sort()).toEqual([first.body.data._id, second.body.data._id].sort());
+      expect(await Tombstone.countDocuments({ resource: 'task' })).toBe(2);
+      expect(stale.body.data.reset).toBe(true);
+    });
+
+    it('SYN-04: Invalid cursors return 400 and no auth returns 401', async () => {
+      const invalid = await sync('not-a-cursor');
+      const anonymous = await request(app).get('/api/v1/sync');
+
+      expect(invalid.status).toBe(400);
+      expect(anonymous.status).toBe(401);
+    });
+  });
+
+  describe('Idempotency-Key', () => {
+    it('SYN-05: A create retried with the same key returns the first record', async () => {
+      const createTask = (key: string) =>
+        authedAgent(app, user.token)
+          .post('/api/v1/tasks')
+          .set('Idempotency-Key', key)
+          .send({ title: 'Queued offline', dueDate: '2026-06-01' });
+      const createTodo = () =>
+        authedAgent(app, user.token).post('/api/v1/todos').set('Idempotency-Key', 'local_1').send({ title: 'Milk' });
+
+      const first = await createTask('local_1');
+      const retried = await createTask('local_1');
+      const other = await createTask('local_2');
+      const todos = [await createTodo(), await createTodo()];
+      const tooLong = await createTask('x'.repeat(101));
+
+      expect(retried.body.data._id).toBe(first.body.data._id);
+      expect(other.body.data._id).not.toBe(first.body.data._id);
+      expect(todos[1].body.data._id).toBe(todos[0].body.data._id);
+      expect((await sync()).body.data.tasks.updated).toHaveLength(2);
+      expect(tooLong.status).toBe(400);
+    });
+  });
+});
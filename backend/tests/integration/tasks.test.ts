@@ -2,6 +2,7 @@ import request from 'supertest';
 import app from '../../src/app';
 import { createTestUser, authedAgent } from '../helpers/auth';
 import { seedData } from '../helpers/seed';
+import taskService from '../../src/modules/tasks/task.service';
 
 describe('Tasks Module', () => {
   let seed: any;
@@ -398,4 +399,568 @@ describe('Tasks Module', () => {
       expect(response.status).toBe(200);
     });
   });
+
+  describe('Recurring series', () => {
+    let token: string;
+    let userId: string;
+    let seriesId: string;
+
+    beforeEach(async () => {
+      const user = await createTestUser(app, { email: `recurring${Date.now()}@test.com` });
+      token = user.token;
+      userId = user.userId;
+
+      const response = await authedAgent(app, token)
+        .post('/api/v1/tasks')
+        .send({
+          title: 'Lecture',
+          dueDate: '2026-01-05',
+          dueTime: '09:00',
+          recurrence: { rrule: 'FREQ=WEEKLY;BYDAY=MO,WE;COUNT=6' },
+        });
+      seriesId = response.body.data._id;
+    });
+
+    const listRange = () =>
+      authedAgent(app, token).get('/api/v1/tasks?from=2026-01-01&to=2026-02-28&limit=100');
+
+    it('TK-120: Stores a single series document', async () => {
+      const response = await listRange();
+      expect(response.status).toBe(200);
+      expect(response.body.data.length).toBe(6);
+      expect(response.body.data[0].id).toBe(`${seriesId}_2026-01-05`);
+      expect(response.body.data[5].dueDate).toBe('2026-01-21');
+    });
+
+    it('TK-121: repeatFrequency is converted to an RRULE', async () => {
+      const response = await authedAgent(app, token)
+        .post('/api/v1/tasks')
+        .send({ title: 'Standup', dueDate: '2026-03-02', repeatFrequency: 'daily', repeatUntil: '2026-03-04' });
+
+      expect(response.status).toBe(201);
+      expect(response.body.data.recurrence.rrule).toBe('FREQ=DAILY;UNTIL=20260304');
+    });
+
+    it('TK-122: Invalid RRULE returns 400', async () => {
+      const response = await authedAgent(app, token)
+        .post('/api/v1/tasks')
+        .send({ title: 'Bad', dueDate: '2026-03-02', recurrence: { rrule: 'FREQ=HOURLY' } });
+
+      expect(response.status).toBe(400);
+    });
+
+    it('TK-123: Editing this occurrence creates an exception', async () => {
+      const response = await authedAgent(app, token)
+        .patch(`/api/v1/tasks/${seriesId}_2026-01-07?scope=this`)
+        .send({ title: 'Moved lecture', dueTime: '11:00' });
+
+      expect(response.status).toBe(200);
+      expect(response.body.data.seriesId).toBe(seriesId);
+      expect(response.body.data.recurrenceId).toBe('2026-01-07');
+
+      const list = await listRange();
+      expect(list.body.data.length).toBe(6);
+      expect(list.body.data.filter((t: any) => t.title === 'Moved lecture').length).toBe(1);
+    });
+
+    it('TK-124: Editing this and following splits the series', async () => {
+      const response = await authedAgent(app, token)
+        .patch(`/api/v1/tasks/${seriesId}_2026-01-12?scope=following`)
+        .send({ title: 'Renamed lecture' });
+
+      expect(response.status).toBe(200);
+
+      const list = await listRange();
+      const titles = list.body.data.map((t: any) => t.title);
+      expect(titles.length).toBe(6);
+      expect(titles.filter((t: string) => t === 'Lecture').length).toBe(2);
+      expect(titles.filter((t: string) => t === 'Renamed lecture').length).toBe(4);
+    });
+
+    it('TK-125: Editing all occurrences updates the series', async () => {
+      await authedAgent(app, token)
+        .patch(`/api/v1/tasks/${seriesId}_2026-01-14?scope=all`)
+        .send({ priority: 'high' });
+
+      const list = await listRange();
+      list.body.data.forEach((t: any) => expect(t.priority).toBe('high'));
+    });
+
+    it('TK-126: Deleting one occurrence adds an EXDATE', async () => {
+      const response = await authedAgent(app, token)
+        .delete(`/api/v1/tasks/${seriesId}_2026-01-07?scope=this`);
+
+      expect(response.status).toBe(200);
+
+      const list = await listRange();
+      expect(list.body.data.length).toBe(5);
+      expect(list.body.data.find((t: any) => t.dueDate === '2026-01-07')).toBeUndefined();
+    });
+
+    it('TK-127: Deleting this and following truncates the series', async () => {
+      await authedAgent(app, token).delete(`/api/v1/tasks/${seriesId}_2026-01-14?scope=following`);
+
+      const list = await listRange();
+      expect(list.body.data.map((t: any) => t.dueDate)).toEqual(['2026-01-05', '2026-01-07', '2026-01-12']);
+    });
+
+    it('TK-128: Deleting all removes the series and its exceptions', async () => {
+      await authedAgent(app, token).patch(`/api/v1/tasks/${seriesId}_2026-01-07/toggle-complete`);
+      await authedAgent(app, token).delete(`/api/v1/tasks/${seriesId}_2026-01-12?scope=all`);
+
+      const list = await listRange();
+      expect(list.body.data.length).toBe(0);
+    });
+
+    it('TK-129: Completing an occurrence only completes that date', async () => {
+      const response = await authedAgent(app, token)
+        .patch(`/api/v1/tasks/${seriesId}_2026-01-07/toggle-complete`);
+
+      expect(response.status).toBe(200);
+      expect(response.body.data.isCompleted).toBe(true);
+
+      const list = await listRange();
+      expect(list.body.data.filter((t: any) => t.isCompleted).length).toBe(1);
+    });
+
+    it('TK-130: Unknown occurrence date returns 404', async () => {
+      const response = await authedAgent(app, token).get(`/api/v1/tasks/${seriesId}_2026-01-06`);
+      expect(response.status).toBe(404);
+    });
+
+    it('TK-131: Editing from a date off the rule or past the end returns 404 and leaves the series alone', async () => {
+      const offRule = await authedAgent(app, token)
+        .patch(`/api/v1/tasks/${seriesId}_2026-01-06?scope=following`)
+        .send({ title: 'Renamed lecture' });
+      const pastEnd = await authedAgent(app, token)
+        .patch(`/api/v1/tasks/${seriesId}_2026-01-26?scope=following`)
+        .send({ title: 'Renamed lecture' });
+      const series = await authedAgent(app, token).get(`/api/v1/tasks/${seriesId}`);
+
+      expect(offRule.status).toBe(404);
+      expect(pastEnd.status).toBe(404);
+      expect(series.body.data.recurrence.rrule).toBe('FREQ=WEEKLY;BYDAY=MO,WE;COUNT=6');
+      expect((await listRange()).body.data.map((t: any) => t.title)).toEqual(Array(6).fill('Lecture'));
+    });
+
+    it('TK-132: Only occurrences inside the look-back count as overdue, in the list and the statistics', async () => {
+      const response = await authedAgent(app, token)
+        .post('/api/v1/tasks')
+        .send({ title: 'Standup', dueDate: '2026-01-01', recurrence: { rrule: 'FREQ=DAILY' } });
+      const workspaceId = response.body.data.workspaceId;
+      const now = new Date('2026-03-01T12:00:00Z');
+
+      const overdue = await taskService.findAll(workspaceId, userId, { status: 'overdue', limit: '100' }, 'UTC', now);
+      const stats = await taskService.getStatistics(workspaceId, 'UTC', now);
+
+      // Fourteen days back by default
+      expect(overdue.tasks.map((t) => t.dueDate)).toEqual(
+        Array.from({ length: 14 }, (_, i) => `2026-02-${String(15 + i).padStart(2, '0')}`)
+      );
+      expect(stats.overdue).toBe(14);
+      expect(stats.pending).toBe(14);
+    });
+
+    it('TK-133: Deleted occurrences go to the trash with their exceptions and come back on restore', async () => {
+      await authedAgent(app, token).patch(`/api/v1/tasks/${seriesId}_2026-01-19/toggle-complete`);
+      await authedAgent(app, token).delete(`/api/v1/tasks/${seriesId}_2026-01-07?scope=this`);
+      await authedAgent(app, token).delete(`/api/v1/tasks/${seriesId}_2026-01-14?scope=following`);
+
+      const trash = await authedAgent(app, token).get('/api/v1/trash');
+      expect((await listRange()).body.data.map((t: any) => t.dueDate)).toEqual(['2026-01-05', '2026-01-12']);
+      expect(trash.body.data.tasks.map((t: any) => t.dueDate).sort()).toEqual(['2026-01-07', '2026-01-14']);
+
+      await authedAgent(app, token)
+        .post('/api/v1/trash/restore')
+        .send({ tasks: trash.body.data.tasks.map((t: any) => t._id) });
+
+      const list = (await listRange()).body.data;
+      expect(list.map((t: any) => t.dueDate)).toEqual([
+        '2026-01-05', '2026-01-07', '2026-01-12', '2026-01-14', '2026-01-19', '2026-01-21',
+      ]);
+      expect(list.filter((t: any) => t.isCompleted).map((t: any) => t.dueDate)).toEqual(['2026-01-19']);
+    });
+  });
+
+  describe('Task dependencies', () => {
+    let token: string;
+    const createTask = async (title: string) => {
+      const response = await authedAgent(app, token)
+        .post('/api/v1/tasks')
+        .send({ title, dueDate: '2026-06-01' });
+      return response.body.data._id as string;
+    };
+    const link = (id: string, taskId: string) =>
+      authedAgent(app, token).post(`/api/v1/tasks/${id}/dependencies`).send({ taskId });
+
+    beforeEach(async () => {
+      const user = await createTestUser(app, { email: `deps${Date.now()}@test.com` });
+      token = user.token;
+    });
+
+    it('TK-140: Linking a prerequisite records it in blockedBy', async () => {
+      const collect = await createTask('Collect data');
+      const report = await createTask('Write report');
+
+      const response = await link(report, collect);
+
+      expect(response.status).toBe(200);
+      expect(response.body.data.blockedBy).toEqual([collect]);
+    });
+
+    it('TK-141: Self and circular links are rejected', async () => {
+      const collect = await createTask('Collect data');
+      const analyse = await createTask('Analyse data');
+      const report = await createTask('Write report');
+      await link(analyse, collect);
+      await link(report, analyse);
+
+      expect((await link(collect, collect)).status).toBe(400);
+      const cycle = await link(collect, report);
+      expect(cycle.status).toBe(400);
+      expect(cycle.body.message).toContain('cycle');
+    });
+
+    it('TK-142: Blocked filter lists tasks waiting on pending prerequisites', async () => {
+      const collect = await createTask('Collect data');
+      const report = await createTask('Write report');
+      await link(report, collect);
+
+      const blocked = await authedAgent(app, token).get('/api/v1/tasks?status=blocked');
+      expect(blocked.body.data.map((t: any) => t.title)).toEqual(['Write report']);
+
+      await authedAgent(app, token).patch(`/api/v1/tasks/${collect}/toggle-complete`);
+      const unblocked = await authedAgent(app, token).get('/api/v1/tasks?status=blocked');
+      expect(unblocked.body.data).toHaveLength(0);
+    });
+
+    it('TK-143: Unlinking clears blockedBy; a deleted prerequisite no longer blocks', async () => {
+      const collect = await createTask('Collect data');
+      const review = await createTask('Review sources');
+      const report = await createTask('Write report');
+      await link(report, collect);
+      await link(report, review);
+
+      const unlinked = await authedAgent(app, token).delete(`/api/v1/tasks/${report}/dependencies/${collect}`);
+      expect(unlinked.body.data.blockedBy).toEqual([review]);
+
+      await authedAgent(app, token).delete(`/api/v1/tasks/${review}`);
+      const blocked = await authedAgent(app, token).get('/api/v1/tasks?status=blocked');
+      expect(blocked.body.data).toHaveLength(0);
+    });
+
+    it('TK-144: Unknown dependency returns 404', async () => {
+      const report = await createTask('Write report');
+      const response = await authedAgent(app, token)
+        .delete(`/api/v1/tasks/${report}/dependencies/507f1f77bcf86cd799439011`);
+      expect(response.status).toBe(404);
+    });
+  });
+
+  describe('Task assignees', () => {
+    let owner: { token: string; userId: string };
+    let member: { token: string; userId: string };
+    let workspaceId: string;
+
+    const inWorkspace = (token: string) => authedAgent(app, token).set('X-Workspace-Id', workspaceId);
+    const createTask = (title: string, assignees?: string[]) =>
+      inWorkspace(owner.token).post('/api/v1/tasks').send({ title, dueDate: '2026-06-01', assignees });
+    const titles = (response: any) => response.body.data.map((t: any) => t.title).sort();
+
+    beforeEach(async () => {
+      owner = await createTestUser(app, { email: `assign-owner${Date.now()}@test.com` });
+      member = await createTestUser(app, { email: `assign-member${Date.now()}@test.com` });
+      const workspace = await authedAgent(app, owner.token).post('/api/v1/workspaces').send({ name: 'Lab' });
+      workspaceId = workspace.body.data._id;
+      const invitation = await authedAgent(app, owner.token)
+        .post(`/api/v1/workspaces/${workspaceId}/invitations`)
+        .send({ role: 'editor' });
+      await authedAgent(app, member.token).post(`/api/v1/workspaces/invitations/${invitation.body.data.token}/accept`);
+    });
+
+    it('TK-150: Tasks can be filtered by assignee', async () => {
+      await createTask('Mine', [owner.userId]);
+      await createTask('Theirs', [member.userId]);
+      await createTask('Shared', [owner.userId, member.userId]);
+      await createTask('Nobody');
+
+      const mine = await inWorkspace(member.token).get('/api/v1/tasks?assignee=me');
+      const byId = await inWorkspace(member.token).get(`/api/v1/tasks?assignee=${owner.userId}`);
+      const unassigned = await inWorkspace(member.token).get('/api/v1/tasks?assignee=unassigned');
+
+      expect(titles(mine)).toEqual(['Shared', 'Theirs']);
+      expect(titles(byId)).toEqual(['Mine', 'Shared']);
+      expect(titles(unassigned)).toEqual(['Nobody']);
+    });
+
+    it('TK-151: Only workspace members can be assigned', async () => {
+      const outsider = await createTestUser(app, { email: `assign-outsider${Date.now()}@test.com` });
+
+      const created = await createTask('Report', [outsider.userId]);
+      const invalid = await inWorkspace(owner.token).get('/api/v1/tasks?assignee=someone');
+
+      expect(created.status).toBe(400);
+      expect(invalid.status).toBe(400);
+    });
+
+    it('TK-152: Members who leave are unassigned', async () => {
+      const task = await createTask('Report', [owner.userId, member.userId]);
+      await authedAgent(app, member.token).delete(`/api/v1/workspaces/${workspaceId}/members/${member.userId}`);
+
+      const response = await inWorkspace(owner.token).get(`/api/v1/tasks/${task.body.data._id}`);
+      expect(response.body.data.assignees).toEqual([owner.userId]);
+    });
+  });
+
+  describe('Task history', () => {
+    let token: string;
+    let userId: string;
+    const createTask = async (title: string) => {
+      const response = await authedAgent(app, token)
+        .post('/api/v1/tasks')
+        .send({ title, dueDate: '2026-06-01', priority: 'low' });
+      return response.body.data._id as string;
+    };
+    const history = (id: string) => authedAgent(app, token).get(`/api/v1/tasks/${id}/history`);
+
+    beforeEach(async () => {
+      const user = await createTestUser(app, { email: `history${Date.now()}@test.com` });
+      token = user.token;
+      userId = user.userId;
+    });
+
+    it('TK-160: Records creation and field changes with their actor, newest first', async () => {
+      const id = await createTask('Draft');
+      await authedAgent(app, token).patch(`/api/v1/tasks/${id}`).send({ title: 'Final', priority: 'high' });
+      await authedAgent(app, token).patch(`/api/v1/tasks/${id}`).send({ title: 'Final' });
+
+      const response = await history(id);
+
+      expect(response.status).toBe(200);
+      expect(response.body.data.map((e: any) => e.action)).toEqual(['updated', 'created']);
+      expect(response.body.data[0].actor._id).toBe(userId);
+      expect(response.body.data[0].changes).toEqual([
+        { field: 'title', from: 'Draft', to: 'Final' },
+        { field: 'priority', from: 'low', to: 'high' },
+      ]);
+    });
+
+    it('TK-161: Records subtask, completion and dependency changes', async () => {
+      const id = await createTask('Report');
+      const prerequisite = await createTask('Data');
+      const added = await authedAgent(app, token).post(`/api/v1/tasks/${id}/subtasks`).send({ title: 'Outline' });
+      const sid = added.body.data.subtasks[0]._id;
+      await authedAgent(app, token).patch(`/api/v1/tasks/${id}/subtasks/${sid}/toggle`);
+      await authedAgent(app, token).post(`/api/v1/tasks/${id}/dependencies`).send({ taskId: prerequisite });
+      await authedAgent(app, token).patch(`/api/v1/tasks/${id}/toggle-complete`);
+
+      const response = await history(id);
+
+      expect(response.body.data.map((e: any) => e.changes[0]).reverse().slice(1)).toEqual([
+        { field: 'subtask', from: null, to: 'Outline' },
+        { field: 'subtask.isCompleted', from: false, to: true, subtask: 'Outline' },
+        { field: 'blockedBy', from: [], to: [prerequisite] },
+        { field: 'isCompleted', from: false, to: true },
+      ]);
+    });
+
+    it('TK-162: Records deletion and restore from the trash', async () => {
+      const id = await createTask('Report');
+      await authedAgent(app, token).delete(`/api/v1/tasks/${id}`);
+      const deleted = await history(id);
+      await authedAgent(app, token).post('/api/v1/trash/restore').send({ tasks: [id] });
+
+      const response = await history(id);
+
+      expect(deleted.status).toBe(404);
+      expect(response.body.data.map((e: any) => e.action)).toEqual(['restored', 'deleted', 'created']);
+    });
+
+    it('TK-164: Records the creation of an occurrence changed on its own', async () => {
+      const series = await authedAgent(app, token)
+        .post('/api/v1/tasks')
+        .send({ title: 'Standup', dueDate: '2026-06-01', recurrence: { rrule: 'FREQ=DAILY;COUNT=3' } });
+      const edited = await authedAgent(app, token)
+        .patch(`/api/v1/tasks/${series.body.data._id}_2026-06-02?scope=this`)
+        .send({ title: 'Long standup' });
+
+      const response = await history(edited.body.data._id);
+
+      expect(response.body.data.map((e: any) => e.action)).toEqual(['updated', 'created']);
+      expect(response.body.data[1].actor._id).toBe(userId);
+    });
+
+    it('TK-163: Unknown tasks return 404', async () => {
+      const other = await createTestUser(app, { email: `history-other${Date.now()}@test.com` });
+      const id = await createTask('Private');
+
+      const foreign = await authedAgent(app, other.token).get(`/api/v1/tasks/${id}/history`);
+      const invalid = await history('not-an-id');
+
+      expect(foreign.status).toBe(404);
+      expect(invalid.status).toBe(404);
+    });
+  });
+
+  describe('POST /api/v1/tasks/parse', () => {
+    // 2026-10-15 is a Thursday
+    const parse = (text: string, today = '2026-10-15') =>
+      authedAgent(app, seed.userA.token).post('/api/v1/tasks/parse').send({ text, today });
+
+    it('TK-170: Reads date, time, duration, tags, priority and recurrence out of the text', async () => {
+      const text = 'Submit lab report fri 3pm 2h #physics !high every week until dec 20';
+
+      const response = await parse(text);
+
+      expect(response.status).toBe(200);
+      expect(response.body.data).toMatchObject({
+        title: 'Submit lab report',
+        dueDate: '2026-10-16',
+        dueTime: '15:00',
+        estimatedDuration: 120,
+        tags: ['physics'],
+        priority: 'high',
+        repeatFrequency: 'weekly',
+        repeatUntil: '2026-12-20',
+      });
+      expect(response.body.data.tokens.map((t: any) => [t.type, t.text])).toEqual([
+        ['date', 'fri'],
+        ['time', '3pm'],
+        ['duration', '2h'],
+        ['tag', '#physics'],
+        ['priority', '!high'],
+        ['recurrence', 'every week until dec 20'],
+      ]);
+      expect(text.slice(response.body.data.tokens[5].start, response.body.data.tokens[5].end)).toBe(
+        'every week until dec 20'
+      );
+    });
+
+    it('TK-171: Keeps repeated or unknown phrases in the title, and the result creates a task', async () => {
+      const parsed = await parse('Call mum tomorrow at 6:30 pm for 45 min, not sat');
+      const repeated = await parse('Meet fri or sat');
+      const { tokens, ...fields } = parsed.body.data;
+
+      const created = await authedAgent(app, seed.userA.token).post('/api/v1/tasks').send(fields);
+
+      expect(fields).toMatchObject({ title: 'Call mum not sat', dueDate: '2026-10-16', dueTime: '18:30' });
+      expect(repeated.body.data).toMatchObject({ title: 'Meet or sat', dueDate: '2026-10-16' });
+      expect(created.status).toBe(201);
+      expect(created.body.data.estimatedDuration).toBe(45);
+    });
+
+    it('TK-172: Empty text and malformed dates are rejected', async () => {
+      const empty = await parse('   ');
+      const badToday = await parse('Read fri', '15/10/2026');
+
+      expect(empty.status).toBe(400);
+      expect(badToday.status).toBe(400);
+    });
+  });
+
+  describe('Time zones', () => {
+    let user: { token: string; userId: string };
+    let workspaceId: string;
+
+    const localDate = (timeZone: string, instant = new Date()) =>
+      new Intl.DateTimeFormat('en-CA', { timeZone }).format(instant);
+    const createTask = async (title: string, dueDate: string) => {
+      const response = await authedAgent(app, user.token).post('/api/v1/tasks').send({ title, dueDate });
+      workspaceId = response.body.data.workspaceId;
+    };
+    const titles = (tasks: any[]) => tasks.map((t) => t.title).sort();
+
+    beforeEach(async () => {
+      user = await createTestUser(app, { email: `tz${Date.now()}@test.com` });
+    });
+
+    it("TK-180: Today, overdue and statistics follow the user's time zone", async () => {
+      // UTC+14, so its date is ahead of UTC for most of the day
+      const timeZone = 'Pacific/Kiritimati';
+      await authedAgent(app, user.token).patch('/api/v1/settings').send({ timeZone });
+      const today = localDate(timeZone);
+      const yesterday = localDate(timeZone, new Date(Date.now() - 86400000));
+      await createTask('Due today', today);
+      await createTask('Due yesterday', yesterday);
+
+      const dueToday = await authedAgent(app, user.token).get('/api/v1/tasks?day=today');
+      const overdue = await authedAgent(app, user.token).get('/api/v1/tasks?status=overdue');
+      const stats = await authedAgent(app, user.token).get('/api/v1/tasks/statistics');
+
+      expect(titles(dueToday.body.data)).toEqual(['Due today']);
+      expect(titles(overdue.body.data)).toEqual(['Due yesterday']);
+      expect(stats.body.data.overdue).toBe(1);
+    });
+
+    it('TK-181: The local date holds across DST changes', async () => {
+      await createTask('Clocks go forward', '2026-03-29');
+      await createTask('Clocks go back', '2026-10-25');
+      const today = async (instant: string) =>
+        titles((await taskService.findAll(workspaceId, user.userId, { day: 'today' }, 'Europe/Berlin', new Date(instant))).tasks);
+
+      // 00:30 CET on the day of the spring change, then 23:30 and 00:30 CEST
+      expect(await today('2026-03-28T23:30:00Z')).toEqual(['Clocks go forward']);
+      expect(await today('2026-03-29T21:30:00Z')).toEqual(['Clocks go forward']);
+      expect(await today('2026-03-29T22:30:00Z')).toEqual([]);
+      // 00:30 CEST on the day of the autumn change, then 23:30 and 00:30 CET
+      expect(await today('2026-10-24T22:30:00Z')).toEqual(['Clocks go back']);
+      expect(await today('2026-10-25T22:30:00Z')).toEqual(['Clocks go back']);
+      expect(await today('2026-10-25T23:30:00Z')).toEqual([]);
+    });
+
+    it("TK-182: Quick add reads relative dates from the user's today", async () => {
+      const timeZone = 'Pacific/Kiritimati';
+      await authedAgent(app, user.token).patch('/api/v1/settings').send({ timeZone });
+
+      const response = await authedAgent(app, user.token).post('/api/v1/tasks/parse').send({ text: 'Water plants today' });
+
+      expect(response.body.data.dueDate).toBe(localDate(timeZone));
+    });
+  });
+
+  describe('Scheduled blocks', () => {
+    let user: { token: string; userId: string };
+    let taskId: string;
+
+    beforeEach(async () => {
+      user = await createTestUser(app, { email: `blocks${Date.now()}@test.com` });
+      const response = await authedAgent(app, user.token)
+        .post('/api/v1/tasks')
+        .send({ title: 'Thesis chapter', dueDate: '2026-11-06', estimatedDuration: 300 });
+      taskId = response.body.data._id;
+    });
+
+    it('TK-190: Stores blocks in time order with the first as the assigned slot; a single slot replaces them', async () => {
+      const blocks = [
+        { date: '2026-11-04', time: '09:00', duration: 120 },
+        { date: '2026-11-03', time: '14:00', duration: 180 },
+      ];
+
+      const response = await authedAgent(app, user.token).patch(`/api/v1/tasks/${taskId}/assign-blocks`).send({ blocks });
+      const reassigned = await authedAgent(app, user.token)
+        .patch(`/api/v1/tasks/${taskId}/assign-slot`)
+        .send({ date: '2026-11-05', time: '10:00' });
+
+      expect(response.status).toBe(200);
+      expect(response.body.data.scheduledBlocks).toEqual([blocks[1], blocks[0]]);
+      expect(response.body.data.assignedSlot).toEqual({ date: '2026-11-03', time: '14:00' });
+      expect(reassigned.body.data.scheduledBlocks).toEqual([]);
+    });
+
+    it('TK-191: Overlapping blocks and empty lists return 400', async () => {
+      const overlapping = await authedAgent(app, user.token)
+        .patch(`/api/v1/tasks/${taskId}/assign-blocks`)
+        .send({
+          blocks: [
+            { date: '2026-11-03', time: '09:00', duration: 120 },
+            { date: '2026-11-03', time: '10:30', duration: 60 },
+          ],
+        });
+      const empty = await authedAgent(app, user.token).patch(`/api/v1/tasks/${taskId}/assign-blocks`).send({ blocks: [] });
+
+      expect(overlapping.status).toBe(400);
+      expect(overlapping.body.message).toBe('Blocks overlap at 2026-11-03 10:30');
+      expect(empty.status).toBe(400);
+    });
+  });
 });
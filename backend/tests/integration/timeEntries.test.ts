@@ -0,0 +1,130 @@
+import request from 'supertest';
+import app from '../../src/app';
+import { createTestUser, authedAgent } from '../helpers/auth';
+import { TimeEntry } from '../../src/database/models';
+
+describe('Time Entries Module', () => {
+  let user: { token: string; userId: string };
+
+  beforeEach(async () => {
+    user = await createTestUser(app, { email: `time${Date.now()}@test.com` });
+  });
+
+  const createTask = async (title: string, fields: Record<string, unknown> = {}) => {
+    const response = await authedAgent(app, user.token)
+      .post('/api/v1/tasks')
+      .send({ title, dueDate: '2026-06-01', ...fields });
+    return response.body.data._id as string;
+  };
+  const entries = (id: string) => `/api/v1/tasks/${id}/time-entries`;
+  const logMinutes = (id: string, minutes: number) =>
+    authedAgent(app, user.token)
+      .post(entries(id))
+      .send({ startedAt: '2026-06-01T09:00:00.000Z', endedAt: new Date(Date.parse('2026-06-01T09:00:00.000Z') + minutes * 60000) });
+
+  describe('Timers', () => {
+    it('TE-01: Starting and stopping a timer logs an entry that survives as the running timer until stopped', async () => {
+      const id = await createTask('Write report');
+
+      const started = await authedAgent(app, user.token).post(`${entries(id)}/start`);
+      const running = await authedAgent(app, user.token).get('/api/v1/tasks/time-entries/running');
+      const stopped = await authedAgent(app, user.token).post(`${entries(id)}/stop`);
+      const afterStop = await authedAgent(app, user.token).get('/api/v1/tasks/time-entries/running');
+
+      expect(started.status).toBe(201);
+      expect(running.body.data.taskId.title).toBe('Write report');
+      expect(stopped.body.data.endedAt).toEqual(expect.any(String));
+      expect(stopped.body.data.minutes).toBe(0);
+      expect(afterStop.body.data).toBeNull();
+    });
+
+    it('TE-02: Starting a second timer stops the first; stopping without a timer returns 404', async () => {
+      const first = await createTask('First');
+      const second = await createTask('Second');
+
+      await authedAgent(app, user.token).post(`${entries(first)}/start`);
+      await authedAgent(app, user.token).post(`${entries(second)}/start`);
+      const stopFirst = await authedAgent(app, user.token).post(`${entries(first)}/stop`);
+
+      expect(await TimeEntry.countDocuments({ endedAt: null })).toBe(1);
+      expect(stopFirst.status).toBe(404);
+    });
+
+    it('TE-06: Concurrent starts leave a single running timer', async () => {
+      const first = await createTask('First');
+      const second = await createTask('Second');
+      await TimeEntry.init();
+
+      const responses = await Promise.all([
+        authedAgent(app, user.token).post(`${entries(first)}/start`),
+        authedAgent(app, user.token).post(`${entries(second)}/start`),
+      ]);
+
+      expect(await TimeEntry.countDocuments({ endedAt: null })).toBe(1);
+      responses.forEach((response) => expect([201, 409]).toContain(response.status));
+
+      const running = (await TimeEntry.findOne({ endedAt: null }))!;
+      await expect(
+        TimeEntry.create({ workspaceId: running.workspaceId, taskId: first, user: running.user, startedAt: new Date() })
+      ).rejects.toMatchObject({ code: 11000 });
+    });
+  });
+
+  describe('Manual entries', () => {
+    it('TE-03: Entries can be logged, edited and deleted', async () => {
+      const id = await createTask('Review');
+
+      const created = await logMinutes(id, 45);
+      const entryId = created.body.data._id;
+      const updated = await authedAgent(app, user.token)
+        .patch(`${entries(id)}/${entryId}`)
+        .send({ endedAt: '2026-06-01T10:30:00.000Z' });
+      const listed = await authedAgent(app, user.token).get(entries(id));
+      const removed = await authedAgent(app, user.token).delete(`${entries(id)}/${entryId}`);
+      const afterDelete = await authedAgent(app, user.token).get(entries(id));
+
+      expect(created.status).toBe(201);
+      expect(created.body.data.minutes).toBe(45);
+      expect(updated.body.data.minutes).toBe(90);
+      expect(listed.body.data).toHaveLength(1);
+      expect(listed.body.data[0].user.name).toEqual(expect.any(String));
+      expect(removed.status).toBe(200);
+      expect(afterDelete.body.data).toEqual([]);
+    });
+
+    it('TE-04: Entries must end after they start; no auth returns 401', async () => {
+      const id = await createTask('Review');
+
+      const backwards = await logMinutes(id, -10);
+      const anonymous = await request(app).get(entries(id));
+
+      expect(backwards.status).toBe(400);
+      expect(anonymous.status).toBe(401);
+    });
+  });
+
+  describe('GET /api/v1/tasks/time-entries/accuracy', () => {
+    it('TE-05: Compares estimates with logged time of completed tasks by tag and priority', async () => {
+      const quick = await createTask('Quick', { estimatedDuration: 30, priority: 'high', tags: ['email'] });
+      const long = await createTask('Long', { estimatedDuration: 60, priority: 'low', tags: ['email', 'writing'] });
+      const open = await createTask('Open', { estimatedDuration: 60, priority: 'low', tags: ['writing'] });
+      await logMinutes(quick, 60);
+      await logMinutes(long, 90);
+      await logMinutes(open, 600);
+      await authedAgent(app, user.token).patch(`/api/v1/tasks/${quick}/toggle-complete`);
+      await authedAgent(app, user.token).patch(`/api/v1/tasks/${long}/toggle-complete`);
+
+      const response = await authedAgent(app, user.token).get('/api/v1/tasks/time-entries/accuracy');
+
+      expect(response.status).toBe(200);
+      expect(response.body.data.byTag).toEqual([
+        { key: 'email', tasks: 2, estimatedMinutes: 90, actualMinutes: 150, ratio: 1.67 },
+        { key: 'writing', tasks: 1, estimatedMinutes: 60, actualMinutes: 90, ratio: 1.5 },
+      ]);
+      expect(response.body.data.byPriority.map((p: any) => [p.key, p.ratio])).toEqual([
+        ['high', 2],
+        ['low', 1.5],
+      ]);
+    });
+  });
+});
@@ -0,0 +1,126 @@
+import request from 'supertest';
+import app from '../../src/app';
+import { createTestUser, authedAgent } from '../helpers/auth';
+import { Task, TaskEvent } from '../../src/database/models';
+import trashService from '../../src/modules/trash/trash.service';
+
+describe('Trash Module', () => {
+  let user: { token: string; userId: string };
+
+  beforeEach(async () => {
+    user = await createTestUser(app, { email: `trash${Date.now()}@test.com` });
+  });
+
+  const createTask = (title: string, extra: object = {}) =>
+    authedAgent(app, user.token).post('/api/v1/tasks').send({ title, dueDate: '2026-06-01', ...extra });
+
+  describe('GET /api/v1/trash', () => {
+    it('TR-01: Deleted tasks and todos move to the trash', async () => {
+      const task = await createTask('Misclick');
+      const todo = await authedAgent(app, user.token).post('/api/v1/todos').send({ title: 'Milk' });
+
+      await authedAgent(app, user.token).delete(`/api/v1/tasks/${task.body.data._id}`);
+      await authedAgent(app, user.token).delete(`/api/v1/todos/${todo.body.data._id}`);
+      const tasks = await authedAgent(app, user.token).get('/api/v1/tasks');
+      const fetched = await authedAgent(app, user.token).get(`/api/v1/tasks/${task.body.data._id}`);
+      const trash = await authedAgent(app, user.token).get('/api/v1/trash');
+
+      expect(tasks.body.data).toEqual([]);
+      expect(fetched.status).toBe(404);
+      expect(trash.status).toBe(200);
+      expect(trash.body.data.tasks.map((t: any) => t.title)).toEqual(['Misclick']);
+      expect(trash.body.data.todos.map((t: any) => t.title)).toEqual(['Milk']);
+      expect(trash.body.data.tasks[0].deletedAt).toEqual(expect.any(String));
+    });
+  });
+
+  describe('POST /api/v1/trash/restore', () => {
+    it('TR-02: Restoring undoes a bulk delete, including occurrence IDs that cannot be restored', async () => {
+      const first = await createTask('A');
+      const second = await createTask('B');
+      const ids = [first.body.data._id, second.body.data._id];
+
+      await authedAgent(app, user.token).post('/api/v1/tasks/bulk-delete').send({ ids });
+      const restored = await authedAgent(app, user.token)
+        .post('/api/v1/trash/restore')
+        .send({ tasks: [...ids, `${ids[0]}_2026-06-02`] });
+      const tasks = await authedAgent(app, user.token).get('/api/v1/tasks');
+      const trash = await authedAgent(app, user.token).get('/api/v1/trash');
+
+      expect(restored.body.count).toBe(2);
+      expect(tasks.body.data.map((t: any) => t.title).sort()).toEqual(['A', 'B']);
+      expect(trash.body.data.tasks).toEqual([]);
+    });
+
+    it('TR-03: A restored task is sent again by delta sync', async () => {
+      const task = await createTask('Back');
+      await authedAgent(app, user.token).delete(`/api/v1/tasks/${task.body.data._id}`);
+      const { cursor } = (await authedAgent(app, user.token).get('/api/v1/sync')).body.data;
+
+      await authedAgent(app, user.token).post('/api/v1/trash/restore').send({ tasks: [task.body.data._id] });
+      const delta = await authedAgent(app, user.token).get('/api/v1/sync').query({ since: cursor });
+
+      expect(delta.body.data.tasks.updated.map((t: any) => t.title)).toEqual(['Back']);
+      expect(delta.body.data.tasks.deleted).toEqual([]);
+    });
+  });
+
+  describe('Purging', () => {
+    it('TR-04: Purged records are gone for good', async () => {
+      const task = await createTask('Gone');
+      await authedAgent(app, user.token).delete(`/api/v1/tasks/${task.body.data._id}`);
+
+      const purged = await authedAgent(app, user.token).post('/api/v1/trash/purge').send({ tasks: [task.body.data._id] });
+      const restored = await authedAgent(app, user.token).post('/api/v1/trash/restore').send({ tasks: [task.body.data._id] });
+
+      expect(purged.body.count).toBe(1);
+      expect(restored.body.count).toBe(0);
+      expect(await Task.countDocuments({ _id: task.body.data._id }, { withDeleted: true })).toBe(0);
+    });
+
+    it('TR-05: Emptying the trash purges everything; no auth returns 401', async () => {
+      const task = await createTask('Old');
+      const todo = await authedAgent(app, user.token).post('/api/v1/todos').send({ title: 'Old' });
+      await authedAgent(app, user.token).delete(`/api/v1/tasks/${task.body.data._id}`);
+      await authedAgent(app, user.token).delete(`/api/v1/todos/${todo.body.data._id}`);
+
+      const emptied = await authedAgent(app, user.token).delete('/api/v1/trash');
+      const trash = await authedAgent(app, user.token).get('/api/v1/trash');
+      const anonymous = await request(app).get('/api/v1/trash');
+
+      expect(emptied.body.count).toBe(2);
+      expect(trash.body.data.tasks).toEqual([]);
+      expect(trash.body.data.todos).toEqual([]);
+      expect(anonymous.status).toBe(401);
+    });
+
+    it('TR-06: Records are purged with their history once the retention period is up', async () => {
+      const task = await createTask('Expiring');
+      const id = task.body.data._id;
+      await authedAgent(app, user.token).delete(`/api/v1/tasks/${id}`);
+      const later = (days: number) => new Date(Date.now() + days * 24 * 60 * 60 * 1000);
+
+      expect(await trashService.purgeExpired(later(29))).toBe(0);
+      expect(await trashService.purgeExpired(later(31))).toBe(1);
+      expect(await Task.countDocuments({ _id: id }, { withDeleted: true })).toBe(0);
+      expect(await TaskEvent.countDocuments({ taskId: id })).toBe(0);
+    });
+
+    it('TR-07: Dependency links survive a restore and are cleared by a purge', async () => {
+      const collect = (await createTask('Collect data')).body.data._id;
+      const report = (await createTask('Write report')).body.data._id;
+      await authedAgent(app, user.token).post(`/api/v1/tasks/${report}/dependencies`).send({ taskId: collect });
+
+      await authedAgent(app, user.token).delete(`/api/v1/tasks/${collect}`);
+      await authedAgent(app, user.token).post('/api/v1/trash/restore').send({ tasks: [collect] });
+      const restored = await authedAgent(app, user.token).get(`/api/v1/tasks/${report}`);
+
+      await authedAgent(app, user.token).delete(`/api/v1/tasks/${collect}`);
+      await authedAgent(app, user.token).post('/api/v1/trash/purge').send({ tasks: [collect] });
+      const purged = await authedAgent(app, user.token).get(`/api/v1/tasks/${report}`);
+
+      expect(restored.body.data.blockedBy).toEqual([collect]);
+      expect(purged.body.data.blockedBy).toEqual([]);
+    });
+  });
+});
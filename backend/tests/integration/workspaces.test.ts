@@ -0,0 +1,184 @@
+import request from 'supertest';
+import mongoose from 'mongoose';
+import app from '../../src/app';
+import { createTestUser, authedAgent } from '../helpers/auth';
+import { Task, Workspace } from '../../src/database/models';
+
+describe('Workspaces Module', () => {
+  let owner: { token: string; userId: string };
+  let member: { token: string; userId: string };
+  let workspaceId: string;
+
+  const inWorkspace = (token: string, id = workspaceId) => {
+    const agent = authedAgent(app, token);
+    agent.set('X-Workspace-Id', id);
+    return agent;
+  };
+  const invite = (role: string) =>
+    authedAgent(app, owner.token).post(`/api/v1/workspaces/${workspaceId}/invitations`).send({ role });
+  const join = async (role: string) => {
+    const invitation = await invite(role);
+    return authedAgent(app, member.token).post(`/api/v1/workspaces/invitations/${invitation.body.data.token}/accept`);
+  };
+
+  beforeEach(async () => {
+    owner = await createTestUser(app, { email: `ws-owner${Date.now()}@test.com` });
+    member = await createTestUser(app, { email: `ws-member${Date.now()}@test.com` });
+    const created = await authedAgent(app, owner.token).post('/api/v1/workspaces').send({ name: 'Study group' });
+    workspaceId = created.body.data._id;
+  });
+
+  describe('CRUD /api/v1/workspaces', () => {
+    it('WS-01: Accounts start with a personal workspace and system templates', async () => {
+      const response = await authedAgent(app, member.token).get('/api/v1/workspaces');
+      const templates = await authedAgent(app, member.token).get('/api/v1/templates');
+
+      expect(response.status).toBe(200);
+      expect(response.body.data).toHaveLength(1);
+      expect(response.body.data[0]).toEqual(
+        expect.objectContaining({ name: 'Personal', isPersonal: true, members: [expect.objectContaining({ role: 'owner' })] })
+      );
+      expect(templates.body.data.filter((t: any) => t.isSystem)).toHaveLength(3);
+    });
+
+    it('WS-02: Records are scoped to the workspace in the header', async () => {
+      await authedAgent(app, owner.token).post('/api/v1/tasks').send({ title: 'Personal task', dueDate: '2026-06-01' });
+      await inWorkspace(owner.token).post('/api/v1/tasks').send({ title: 'Group task', dueDate: '2026-06-01' });
+
+      const personal = await authedAgent(app, owner.token).get('/api/v1/tasks');
+      const shared = await inWorkspace(owner.token).get('/api/v1/tasks');
+
+      expect(personal.body.data.map((t: any) => t.title)).toEqual(['Personal task']);
+      expect(shared.body.data.map((t: any) => t.title)).toEqual(['Group task']);
+    });
+
+    it('WS-03: Non-members get 404 and no auth returns 401', async () => {
+      const tasks = await inWorkspace(member.token).get('/api/v1/tasks');
+      const details = await authedAgent(app, member.token).get(`/api/v1/workspaces/${workspaceId}`);
+      const anonymous = await request(app).get('/api/v1/workspaces');
+
+      expect(tasks.status).toBe(404);
+      expect(details.status).toBe(404);
+      expect(anonymous.status).toBe(401);
+    });
+
+    it('WS-04: Personal workspaces cannot be deleted, shared ones take their records along', async () => {
+      const [personal] = (await authedAgent(app, owner.token).get('/api/v1/workspaces')).body.data;
+      await inWorkspace(owner.token).post('/api/v1/tasks').send({ title: 'Group task', dueDate: '2026-06-01' });
+
+      const refused = await authedAgent(app, owner.token).delete(`/api/v1/workspaces/${personal._id}`);
+      const deleted = await authedAgent(app, owner.token).delete(`/api/v1/workspaces/${workspaceId}`);
+
+      expect(refused.status).toBe(400);
+      expect(deleted.status).toBe(200);
+      expect(await Task.countDocuments({ workspaceId })).toBe(0);
+    });
+  });
+
+  describe('Members and roles', () => {
+    it('WS-10: Invitations add members once and then stop working', async () => {
+      const invitation = await invite('editor');
+      const accept = () =>
+        authedAgent(app, member.token).post(`/api/v1/workspaces/invitations/${invitation.body.data.token}/accept`);
+
+      const first = await accept();
+      const second = await accept();
+
+      expect(invitation.status).toBe(201);
+      expect(first.status).toBe(200);
+      expect(first.body.data.members).toEqual(
+        expect.arrayContaining([expect.objectContaining({ user: member.userId, role: 'editor' })])
+      );
+      expect(second.status).toBe(404);
+    });
+
+    it('WS-11: Editors share the board with the owner', async () => {
+      await join('editor');
+      await inWorkspace(owner.token).post('/api/v1/tasks').send({ title: 'Group task', dueDate: '2026-06-01' });
+
+      const created = await inWorkspace(member.token).post('/api/v1/tasks').send({ title: 'Member task', dueDate: '2026-06-01' });
+      const tasks = await inWorkspace(owner.token).get('/api/v1/tasks');
+
+      expect(created.status).toBe(201);
+      expect(created.body.data.createdBy).toBe(member.userId);
+      expect(tasks.body.data.map((t: any) => t.title).sort()).toEqual(['Group task', 'Member task']);
+    });
+
+    it('WS-12: Viewers can read but not write', async () => {
+      await join('viewer');
+      const task = await inWorkspace(owner.token).post('/api/v1/tasks').send({ title: 'Group task', dueDate: '2026-06-01' });
+
+      const read = await inWorkspace(member.token).get('/api/v1/tasks');
+      const suggest = await inWorkspace(member.token).post('/api/v1/scheduler/suggest').send({ taskId: task.body.data._id });
+      const parse = await inWorkspace(member.token).post('/api/v1/tasks/parse').send({ text: 'Read chapter 3 fri' });
+      const create = await inWorkspace(member.token).post('/api/v1/todos').send({ title: 'Nope' });
+      const toggle = await inWorkspace(member.token).patch(`/api/v1/tasks/${task.body.data._id}/toggle-complete`);
+
+      expect(read.body.data).toHaveLength(1);
+      expect(suggest.status).toBe(200);
+      expect(parse.status).toBe(200);
+      expect(create.status).toBe(403);
+      expect(toggle.status).toBe(403);
+    });
+
+    it('WS-13: Only owners manage the workspace', async () => {
+      await join('editor');
+
+      const rename = await authedAgent(app, member.token).patch(`/api/v1/workspaces/${workspaceId}`).send({ name: 'Mine' });
+      const reinvite = await authedAgent(app, member.token)
+        .post(`/api/v1/workspaces/${workspaceId}/invitations`)
+        .send({ role: 'viewer' });
+      const removeOwner = await authedAgent(app, member.token).delete(`/api/v1/workspaces/${workspaceId}/members/${owner.userId}`);
+
+      expect(rename.status).toBe(403);
+      expect(reinvite.status).toBe(403);
+      expect(removeOwner.status).toBe(403);
+    });
+
+    it('WS-14: Members can leave but the last owner cannot', async () => {
+      await join('editor');
+
+      const ownerLeaves = await authedAgent(app, owner.token).delete(`/api/v1/workspaces/${workspaceId}/members/${owner.userId}`);
+      const memberLeaves = await authedAgent(app, member.token).delete(`/api/v1/workspaces/${workspaceId}/members/${member.userId}`);
+      const afterwards = await inWorkspace(member.token).get('/api/v1/tasks');
+
+      expect(ownerLeaves.status).toBe(400);
+      expect(memberLeaves.status).toBe(200);
+      expect(afterwards.status).toBe(404);
+    });
+
+    it('WS-15: Owners change roles but keep at least one owner', async () => {
+      await join('viewer');
+
+      const promote = await authedAgent(app, owner.token)
+        .patch(`/api/v1/workspaces/${workspaceId}/members/${member.userId}`)
+        .send({ role: 'editor' });
+      const demoteSelf = await authedAgent(app, owner.token)
+        .patch(`/api/v1/workspaces/${workspaceId}/members/${owner.userId}`)
+        .send({ role: 'viewer' });
+
+      expect(promote.status).toBe(200);
+      expect(promote.body.data.members).toEqual(
+        expect.arrayContaining([expect.objectContaining({ user: member.userId, role: 'editor' })])
+      );
+      expect(demoteSelf.status).toBe(400);
+    });
+  });
+
+  describe('Existing accounts', () => {
+    it('WS-20: Records from before workspaces move into the personal workspace', async () => {
+      await authedAgent(app, owner.token).post('/api/v1/tasks').send({ title: 'Old task', dueDate: '2026-06-01' });
+      await Workspace.deleteOne({ createdBy: owner.userId, isPersonal: true });
+      await Task.collection.updateMany(
+        { createdBy: new mongoose.Types.ObjectId(owner.userId) },
+        { $unset: { workspaceId: '' } }
+      );
+
+      const tasks = await authedAgent(app, owner.token).get('/api/v1/tasks');
+      const templates = await authedAgent(app, owner.token).get('/api/v1/templates');
+
+      expect(tasks.body.data.map((t: any) => t.title)).toEqual(['Old task']);
+      expect(templates.body.data.filter((t: any) => t.isSystem).length).toBeGreaterThan(0);
+    });
+  });
+});
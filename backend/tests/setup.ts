@@ -1,19 +1,25 @@
 import 'dotenv/config';
-import { MongoMemoryServer } from 'mongodb-memory-server';
+import { MongoMemoryReplSet } from 'mongodb-memory-server';
 import mongoose from 'mongoose';
 
 process.env.MONGOMS_DISABLE_POSTINSTALL = '1';
 process.env.MONGOMS_SKIP_MONGOSH = '1';
 process.env.MONGOMS_STARTUP_TIMEOUT = '120000';
 
-let mongoServer: MongoMemoryServer;
+// A single-node replica set, since imports run inside transactions
+let mongoServer: MongoMemoryReplSet;
 
 beforeAll(async () => {
-  mongoServer = await MongoMemoryServer.create({
-    instance: {
+  mongoServer = await MongoMemoryReplSet.create({
+    replSet: {
+      count: 1,
       storageEngine: 'wiredTiger',
-      launchTimeout: 120000,
     },
+    instanceOpts: [
+      {
+        launchTimeout: 120000,
+      },
+    ],
     binary: {
       checkMD5: false,
     },
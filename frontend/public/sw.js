@@ -0,0 +1,64 @@
+/**
+ * Service worker for task reminders sent with Web Push.
+ *
+ * Notification actions call the API with the token that came in the push payload,
+ * since service workers cannot read the signed-in user's credentials.
+ */
+
+const API_BASE_URL = new URL(self.location.href).searchParams.get('api') || '/api/v1';
+
+const SNOOZE_MINUTES = 10;
+
+self.addEventListener('install', () => self.skipWaiting());
+
+self.addEventListener('activate', (event) => event.waitUntil(self.clients.claim()));
+
+self.addEventListener('push', (event) => {
+  if (!event.data) return;
+
+  const { title, body, tag, data } = event.data.json();
+  event.waitUntil(
+    self.registration.showNotification(title, {
+      body,
+      tag,
+      data,
+      icon: '/icon-192x192.png',
+      badge: '/icon-96x96.png',
+      requireInteraction: true,
+      actions: [
+        { action: 'snooze', title: `Snooze ${SNOOZE_MINUTES} min` },
+        { action: 'complete', title: 'Mark complete' },
+      ],
+    })
+  );
+});
+
+const callReminderAction = (data, action, body = {}) =>
+  fetch(`${API_BASE_URL}/notifications/reminders/${data.reminderId}/${action}`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({ token: data.token, ...body }),
+  });
+
+const openApp = async (url) => {
+  const windows = await self.clients.matchAll({ type: 'window', includeUncontrolled: true });
+  const existing = windows.find((client) => new URL(client.url).origin === self.location.origin);
+  if (existing) {
+    await existing.focus();
+    return existing.navigate(url);
+  }
+  return self.clients.openWindow(url);
+};
+
+self.addEventListener('notificationclick', (event) => {
+  const { data } = event.notification;
+  event.notification.close();
+
+  if (event.action === 'snooze') {
+    event.waitUntil(callReminderAction(data, 'snooze', { minutes: SNOOZE_MINUTES }));
+  } else if (event.action === 'complete') {
+    event.waitUntil(callReminderAction(data, 'complete'));
+  } else {
+    event.waitUntil(openApp(data?.url || '/'));
+  }
+});
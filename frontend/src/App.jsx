@@ -11,6 +11,9 @@ import dailyTips from "./lib/dailyTips";
 import { useDateRefresh } from "./hooks/useDateRefresh";
 import { useKeyboardShortcuts } from "./hooks/useKeyboardShortcuts";
 import { useOnboarding } from "./hooks/useOnboarding";
+import { useRealtimeSync } from "./hooks/useRealtimeSync";
+import { useDeltaSync } from "./hooks/useDeltaSync";
+import { useUndoableDelete } from "./hooks/useUndoableDelete";
 import { useIsMobile } from "./hooks/use-mobile";
 import { RotateCcw } from "lucide-react";
 import { Button } from "@/components/ui/button.jsx";
@@ -18,6 +21,7 @@ import CalendarView from "./components/CalendarView";
 import TaskList from "./components/TaskList";
 import SmartScheduler from "./components/SmartScheduler";
 import StatisticsView from "./components/StatisticsView";
+import FocusView from "./components/FocusView";
 import NotificationSystem from "./components/NotificationSystem";
 import SimpleTodoForm from "./components/SimpleTodoForm";
 import TaskForm from "./components/TaskForm";
@@ -32,6 +36,13 @@ import "./App.css";
 import Footer from "./components/Footer";
 import ShortcutsModal from "./components/ShortcutsModal";
 import DetailModal from "./components/modals/DetailModal";
+import RecurrenceScopeModal from "./components/modals/RecurrenceScopeModal";
+import PushReminderToggle from "./components/common/PushReminderToggle";
+import AvailabilitySettings from "./components/common/AvailabilitySettings";
+import DigestSettings from "./components/common/DigestSettings";
+import FixedEventSettings from "./components/common/FixedEventSettings";
+import TimeZoneSettings from "./components/common/TimeZoneSettings";
+import QuickAddBar from "./components/QuickAddBar";
 
 // Imported Modular Components
 import Header from "./components/layout/Header";
@@ -70,9 +81,13 @@ function App() {
 
   const {
     tasks,
+    calendarTasks,
+    setCalendarRange,
+    findTask,
     addTask: contextAddTask,
     updateTask: contextUpdateTask,
     deleteTask: contextDeleteTask,
+    bulkDeleteTasks: contextBulkDeleteTasks,
     toggleTaskComplete: contextToggleTaskComplete,
     toggleSubtaskComplete: contextToggleSubtaskComplete,
   } = useTasks();
@@ -87,6 +102,9 @@ function App() {
   const { getToday, now } = useDateRefresh();
   const isMobile = useIsMobile();
   const { resetTour } = useOnboarding();
+  useRealtimeSync();
+  useDeltaSync();
+  const notifyDeleted = useUndoableDelete();
   const navigate = useNavigate();
   const location = useLocation();
 
@@ -100,6 +118,7 @@ function App() {
   const [viewingType, setViewingType] = useState(null);
   const [showShortcutsModal, setShowShortcutsModal] = useState(false);
   const [dailyTip, setDailyTip] = useState(dailyTips[0]);
+  const [pendingSeriesDelete, setPendingSeriesDelete] = useState(null);
 
   // Effects must be called before conditional returns
   useEffect(() => {
@@ -211,22 +230,22 @@ function App() {
   // =========================================================================
   // TASK CRUD OPERATIONS
   // =========================================================================
-  const handleAddTask = (taskData) => {
-    const result = contextAddTask(taskData);
+  const handleAddTask = async (taskData) => {
+    const result = await contextAddTask(taskData);
 
     if (result.success) {
       setShowTaskForm(false);
-      if (result.tasksAdded) {
+      if (result.recurring) {
         showNotification({
           type: "success",
-          message: "Repeated tasks created",
+          message: "Recurring task created",
           details: result.message,
         });
       } else {
         showNotification({
           type: "success",
           message: "Task created successfully",
-          details: `"${result.task.title}" has been added to your list`,
+          details: `"${taskData.title}" has been added to your list`,
         });
       }
     } else {
@@ -236,10 +255,11 @@ function App() {
         details: result.message,
       });
     }
+    return result.success;
   };
 
-  const handleUpdateTask = (taskId, updates) => {
-    const result = contextUpdateTask(taskId, updates);
+  const handleUpdateTask = async (taskId, updates) => {
+    const result = await contextUpdateTask(taskId, updates);
     if (result.success) {
       setEditingTask(null);
       setShowTaskForm(false);
@@ -256,15 +276,54 @@ function App() {
     }
   };
 
-  const handleDeleteTask = (taskId) => {
-    const task = contextDeleteTask(taskId);
-    showNotification({
-      type: "info",
+  const deleteTaskWithScope = async (taskId, scope) => {
+    const task = await contextDeleteTask(taskId, { scope });
+    const wholeSeries = scope && scope !== "this" && task?.seriesId;
+    // Skipping a single date only changes the series rule, which the trash cannot bring back
+    const restorable = wholeSeries ? [taskId, task.seriesId] : task?.isOccurrence ? [] : [taskId];
+    notifyDeleted({
       message: "Task deleted",
-      details: `"${task?.title}" has been removed`,
+      details: `"${task?.title}" has been moved to the trash`,
+      tasks: restorable,
     });
   };
 
+  const handleBulkDeleteTasks = async (ids) => {
+    const result = await contextBulkDeleteTasks(ids);
+    if (!result.success) {
+      showNotification({
+        type: "error",
+        message: "Failed to delete tasks",
+        details: result.message,
+      });
+      return;
+    }
+    notifyDeleted({
+      message: `${ids.length} task${ids.length === 1 ? "" : "s"} deleted`,
+      details: "Moved to the trash",
+      tasks: ids,
+    });
+  };
+
+  const handleDeleteTodo = async (id) => {
+    const todo = await contextDeleteTodo(id);
+    notifyDeleted({
+      message: "TODO deleted",
+      details: todo ? `"${todo.title}" has been moved to the trash` : "TODO has been moved to the trash",
+      todos: [id],
+    });
+  };
+
+  const handleDeleteTask = (taskId) => {
+    const task = findTask(taskId);
+    // Occurrences of a series need to know how much of the series to remove
+    if (task?.seriesId) {
+      setPendingSeriesDelete(task);
+      return;
+    }
+    deleteTaskWithScope(taskId);
+  };
+
   const handleToggleTaskComplete = (taskId) => {
     const { task, newStatus } = contextToggleTaskComplete(taskId);
     showNotification({
@@ -293,7 +352,7 @@ function App() {
 
   // Handler for updating subtask properties (used for inline editing in detail view)
   const handleUpdateSubtask = (taskId, subtaskId, updates) => {
-    const task = tasks.find((t) => t.id === taskId);
+    const task = findTask(taskId);
     if (!task) return;
 
     const updatedSubtasks = task.subtasks.map((st) =>
@@ -458,6 +517,9 @@ function App() {
             }
             style={{ transition: "all 0.5s cubic-bezier(0.4,0,0.2,1)" }}
           >
+            {(location.pathname === "/tasks" || location.pathname === "/calendar") && (
+              <QuickAddBar onAddTask={handleAddTask} />
+            )}
             <Routes location={location}>
               <Route path="/calendar" element={
                 <motion.div
@@ -472,7 +534,8 @@ function App() {
                   <CalendarView
                     selectedDate={selectedDate}
                     onDateSelect={setSelectedDate}
-                    tasks={tasks}
+                    tasks={calendarTasks}
+                    onRangeChange={setCalendarRange}
                     onTaskClick={openTaskForm}
                     onCreateDate={(date) => openTaskForm(date, { isNew: true })}
                     onToggleComplete={handleToggleTaskComplete}
@@ -503,6 +566,7 @@ function App() {
                     onEditTask={editTaskDirectly}
                     onToggleComplete={handleToggleTaskComplete}
                     onDeleteTask={handleDeleteTask}
+                    onBulkDelete={handleBulkDeleteTasks}
                     onToggleSubtask={handleToggleSubtaskComplete}
                   />
                 </motion.div>
@@ -532,6 +596,19 @@ function App() {
                   <StatisticsView />
                 </motion.div>
               } />
+              <Route path="/focus" element={
+                <motion.div
+                  initial={{ opacity: 0, y: 20 }}
+                  animate={{ opacity: 1, y: 0 }}
+                  transition={{ duration: 0.3, ease: "easeOut" }}
+                >
+                  <FocusView
+                    tasks={tasks}
+                    onToggleSubtask={handleToggleSubtaskComplete}
+                    onShowNotification={showNotification}
+                  />
+                </motion.div>
+              } />
               <Route path="*" element={<NotFoundPage />} />
             </Routes>
           </div>
@@ -562,7 +639,7 @@ function App() {
           onEdit={handleEditItem}
           onDelete={(id) => {
             if (viewingType === "task") handleDeleteTask(id);
-            else contextDeleteTodo(id);
+            else handleDeleteTodo(id);
             closeDetailModal();
           }}
           onToggleSubtask={handleToggleSubtaskComplete}
@@ -595,6 +672,14 @@ function App() {
           />
         )}
 
+        <RecurrenceScopeModal
+          isOpen={!!pendingSeriesDelete}
+          onClose={() => setPendingSeriesDelete(null)}
+          title="Delete recurring task"
+          actionLabel="Delete"
+          onSelect={(scope) => deleteTaskWithScope(pendingSeriesDelete.id, scope)}
+        />
+
         <ShortcutsModal
           open={showShortcutsModal}
           onOpenChange={setShowShortcutsModal}
@@ -645,6 +730,16 @@ function App() {
                   />
                 </div>
 
+                <PushReminderToggle />
+
+                <TimeZoneSettings />
+
+                <AvailabilitySettings />
+
+                <FixedEventSettings />
+
+                <DigestSettings />
+
                 <div className="pt-4 border-t border-border">
                   <Button
                     variant="outline"
@@ -1,8 +1,13 @@
 import { useState, useEffect, memo, useMemo, useCallback, useRef } from 'react';
 import { useDateRefresh } from '../hooks/useDateRefresh';
 import { useLongPress } from '../hooks/useLongPress';
-import { ChevronLeft, ChevronRight, CheckCircle, Clock, Edit, Trash2, Maximize2, X, Download } from 'lucide-react';
+import { ChevronLeft, ChevronRight, CheckCircle, Clock, Edit, Trash2, Maximize2, X, Download, Lock } from 'lucide-react';
 import { isOverdue, formatTime12, pad } from '../utils/dateUtils';
+import { entriesForDate, taskOfEntry, blockLabel } from '../utils/scheduledBlocks';
+import { capacityByDate, loadShare, describeLoad, LOAD_COLORS } from '../utils/capacity';
+import { useCapacityQuery } from '../hooks/queries/taskQueries';
+import { useSettingsQuery } from '../hooks/queries/settingsQueries';
+import { isFixedEvent, DEFAULT_FIXED_RULES } from '../utils/fixedEvents';
 import { playCompleteSound } from '../utils/audioUtils';
 import { EmptyCalendarDay } from './common/EmptyState';
 import {
@@ -22,6 +27,8 @@ import {
 
 import { ConfirmDialog } from './ui/ConfirmDialog';
 import { exportToPDF, exportToJPEG } from '../utils/calendarExportUtils';
+import { exportICS, createCalendarFeed } from '../utils/storage';
+import { useApp } from '../contexts/AppContext';
 import ExportCalendarModal from './modals/ExportCalendarModal';
 
 // UI component mocks for demonstration; replace with your actual UI library imports in production.
@@ -32,10 +39,36 @@ const CardTitle = ({ children, ...props }) => <h3 {...props}>{children}</h3>;
 const CardContent = ({ children, ...props }) => <div {...props}>{children}</div>;
 const Badge = ({ children, variant, ...props }) => <span data-variant={variant} {...props}>{children}</span>;
 
+/**
+ * An amber or red strip for days whose work nearly fills, or overflows, the free time.
+ */
+const LoadBar = ({ day }) => {
+  if (!day || day.level === 'ok') return null;
+  const label = describeLoad(day);
+  return (
+    <div className="h-1 mb-1 rounded-full overflow-hidden" style={{ background: 'var(--muted)' }} title={label} aria-label={label}>
+      <div className="h-full rounded-full" style={{ width: `${loadShare(day) * 100}%`, background: LOAD_COLORS[day.level] }} />
+    </div>
+  );
+};
 
-const CalendarView = ({ selectedDate, onDateSelect, tasks, onTaskClick, onToggleComplete, expanded, onTaskDrop, onCreateDate, onEditTask, onDeleteTask, isMobile, mobileExpanded, onToggleMobileExpand }) => {
+/**
+ * Marks a fixed event, which the scheduler never moves.
+ */
+const FixedMark = () => (
+  <Lock
+    style={{ width: '0.7rem', height: '0.7rem', display: 'inline', marginRight: '0.2rem', verticalAlign: '-0.05rem' }}
+    aria-label="Fixed event"
+  />
+);
+
+const CalendarView = ({ selectedDate, onDateSelect, tasks, onRangeChange, onTaskClick, onToggleComplete, expanded, onTaskDrop, onCreateDate, onEditTask, onDeleteTask, isMobile, mobileExpanded, onToggleMobileExpand }) => {
   // Use the date refresh hook to handle midnight transitions
   const { now } = useDateRefresh();
+  const { data: capacity } = useCapacityQuery();
+  const loadByDate = useMemo(() => capacityByDate(capacity), [capacity]);
+  const { data: settings } = useSettingsQuery();
+  const fixedEventRules = settings?.fixedEventRules || DEFAULT_FIXED_RULES;
   
   // View mode state: 'month', 'week', '3day'
   const [viewMode, setViewMode] = useState('month');
@@ -66,6 +99,7 @@ const CalendarView = ({ selectedDate, onDateSelect, tasks, onTaskClick, onToggle
   const [currentMonth, setCurrentMonth] = useState(new Date());
   const calendarRef = useRef(null);
   const [isExportModalOpen, setIsExportModalOpen] = useState(false);
+  const { showNotification } = useApp();
 
   const handleExportPDF = () => {
     if (calendarRef.current) {
@@ -84,6 +118,37 @@ const CalendarView = ({ selectedDate, onDateSelect, tasks, onTaskClick, onToggle
     }
   };
 
+  const handleExportICS = async () => {
+    try {
+      await exportICS();
+    } catch {
+      showNotification({
+        type: "error",
+        message: "Export failed",
+        details: "Failed to export calendar as ICS.",
+      });
+    }
+  };
+
+  // Rotates the feed token, so previously shared links stop working
+  const handleSubscribe = async () => {
+    try {
+      const url = await createCalendarFeed();
+      await navigator.clipboard.writeText(url);
+      showNotification({
+        type: "success",
+        message: "Subscription link copied",
+        details: "Add it to your calendar app as a subscribed calendar. Older links no longer work.",
+      });
+    } catch {
+      showNotification({
+        type: "error",
+        message: "Could not create subscription link",
+        details: "Please try again.",
+      });
+    }
+  };
+
   const getDaysInMonth = (date) => {
     const year = date.getFullYear();
     const month = date.getMonth();
@@ -119,11 +184,13 @@ const CalendarView = ({ selectedDate, onDateSelect, tasks, onTaskClick, onToggle
     setDraggedTaskId(null);
   };
 
+  // Converts a Date object to a local date string for accurate task filtering
+  const toDateStr = (date) => `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+
   const getTasksForDate = (date) => {
     if (!date) return [];
-  // Converts a Date object to a local date string for accurate task filtering
-    const dateStr = `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
-    return tasks.filter(task => task.dueDate === dateStr);
+    // Split tasks show once per block
+    return entriesForDate(tasks, toDateStr(date));
   };
 
   const navigateMonth = (direction) => {
@@ -201,6 +268,15 @@ const CalendarView = ({ selectedDate, onDateSelect, tasks, onTaskClick, onToggle
   };
 
   const days = getDaysForView();
+
+  // Asks for the tasks of every day shown, so recurring tasks appear in any month
+  const shownDates = [...getDaysInMonth(currentMonth), ...days, selectedDate].filter(Boolean).map(toDateStr).sort();
+  const rangeFrom = shownDates[0];
+  const rangeTo = shownDates[shownDates.length - 1];
+  useEffect(() => {
+    onRangeChange?.({ from: rangeFrom, to: rangeTo });
+  }, [onRangeChange, rangeFrom, rangeTo]);
+  useEffect(() => () => onRangeChange?.(null), [onRangeChange]);
   const dayNames = viewMode === 'month' 
     ? ['Sat', 'Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri']
     : ['Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat', 'Sun'];
@@ -401,6 +477,7 @@ const CalendarView = ({ selectedDate, onDateSelect, tasks, onTaskClick, onToggle
                   <div className="text-sm font-semibold text-right mb-1" style={{ color: dayText }}>
                     {date.getDate()}
                   </div>
+                  <LoadBar day={loadByDate.get(toDateStr(date))} />
                   <div className="space-y-1 calendar-card-content" style={{ maxWidth: '100%', overflow: 'hidden' }}>
                     {(() => {
                       // In month view, always show all tasks
@@ -423,6 +500,7 @@ const CalendarView = ({ selectedDate, onDateSelect, tasks, onTaskClick, onToggle
                         ? 'var(--accent-foreground)'
                         : (task.isCompleted ? 'var(--success-foreground, #fff)' : 'var(--foreground)');
                       let opacity = 1;
+                      const fixed = isFixedEvent(task, fixedEventRules);
                       if (isOverdue(task, now)) {
                         bg = isDark ? '#7f1d1d' : '#fee2e2';
                         color = isDark ? '#fee2e2' : '#7f1d1d';
@@ -437,7 +515,7 @@ const CalendarView = ({ selectedDate, onDateSelect, tasks, onTaskClick, onToggle
                       
                       // Long press handler for mobile
                       const handleLongPress = () => {
-                        setMobileMenuTask(task);
+                        setMobileMenuTask(taskOfEntry(task));
                         setMobileMenuOpen(true);
                       };
                       
@@ -456,6 +534,8 @@ const CalendarView = ({ selectedDate, onDateSelect, tasks, onTaskClick, onToggle
                             gap: useDetailedCard ? '0.25rem' : '0', 
                             flexDirection: useDetailedCard ? 'column' : 'row', 
                             opacity: draggedTaskId === task.id ? 0.5 : opacity, 
+                            // Fixed events are locked in place
+                            border: fixed ? '1px dashed currentColor' : undefined,
                             maxWidth: '100%', 
                             overflow: 'hidden',
                             wordBreak: 'break-word',
@@ -463,9 +543,10 @@ const CalendarView = ({ selectedDate, onDateSelect, tasks, onTaskClick, onToggle
                           }}
                           onClick={(e) => {
                             e.stopPropagation();
-                            onTaskClick(task);
+                            onTaskClick(taskOfEntry(task));
                           }}
-                          draggable
+                          draggable={!fixed}
+                          title={fixed ? 'Fixed event: the scheduler plans around it' : undefined}
                           onDragStart={(e) => handleDragStart(e, task.id)}
                           onDragEnd={handleDragEnd}
                           onTouchStart={(e) => {
@@ -519,7 +600,7 @@ const CalendarView = ({ selectedDate, onDateSelect, tasks, onTaskClick, onToggle
                                   textOverflow: 'ellipsis',
                                   flex: 1,
                                   fontWeight: 500
-                                }}>{task.title}</span>
+                                }}>{fixed && <FixedMark />}{task.title}{blockLabel(task)}</span>
                                 {task.dueTime && (
                                   <span style={{ 
                                     fontWeight: 600, 
@@ -609,7 +690,7 @@ const CalendarView = ({ selectedDate, onDateSelect, tasks, onTaskClick, onToggle
                                 maxWidth: '100%',
                                 display: 'block',
                                 fontWeight: (viewMode === 'month' || viewMode === 'week') ? 400 : 500
-                              }}>{task.title}</span>
+                              }}>{fixed && <FixedMark />}{task.title}{blockLabel(task)}</span>
                               
                               {/* Hidden time for export - revealed by prepareCloneForExport */}
                               {task.dueTime && (
@@ -652,13 +733,13 @@ const CalendarView = ({ selectedDate, onDateSelect, tasks, onTaskClick, onToggle
                       );
                       
                       return (
-                        <ContextMenu key={task.id}>
+                        <ContextMenu key={task.entryKey}>
                           <ContextMenuTrigger asChild>
                             {taskContent}
                           </ContextMenuTrigger>
                           <ContextMenuContent className="w-48">
                             <ContextMenuItem onSelect={() => {
-                              if (onEditTask) onEditTask(task);
+                              if (onEditTask) onEditTask(taskOfEntry(task));
                             }}>
                               <Edit className="h-4 w-4 mr-2" />
                               Edit Task
@@ -770,12 +851,12 @@ const CalendarView = ({ selectedDate, onDateSelect, tasks, onTaskClick, onToggle
                     opacity = 1;
                   }
                       return (
-                        <ContextMenu key={task.id}>
+                        <ContextMenu key={task.entryKey}>
                           <ContextMenuTrigger asChild>
                             <div
                               className="flex items-center justify-between p-3 rounded-lg shadow-md cursor-pointer transition-all duration-200 hover:scale-[1.03] hover:shadow-lg hover:bg-[var(--accent)] hover:text-[var(--accent-foreground)] task-container overflow-hidden"
-                              style={{ background: bg, color, opacity }}
-                              onClick={() => onTaskClick(task)}
+                              style={{ background: bg, color, opacity, border: isFixedEvent(task, fixedEventRules) ? '1px dashed currentColor' : undefined }}
+                              onClick={() => onTaskClick(taskOfEntry(task))}
                             >
                               <div className="flex items-center space-x-3">
                                 <button
@@ -791,7 +872,7 @@ const CalendarView = ({ selectedDate, onDateSelect, tasks, onTaskClick, onToggle
                                 </button>
                                 <div>
                                   <h4 className="font-medium truncate" style={{ color: task.isCompleted ? 'var(--muted-foreground)' : color, textDecoration: task.isCompleted ? 'line-through' : 'none' }} title={task.title}>
-                                    {task.title}
+                                    {isFixedEvent(task, fixedEventRules) && <FixedMark />}{task.title}{blockLabel(task)}
                                   </h4>
                                   {task.description && (
                                     <p 
@@ -838,7 +919,7 @@ const CalendarView = ({ selectedDate, onDateSelect, tasks, onTaskClick, onToggle
                           </ContextMenuTrigger>
                           <ContextMenuContent className="w-48">
                             <ContextMenuItem onSelect={() => {
-                              if (onEditTask) onEditTask(task);
+                              if (onEditTask) onEditTask(taskOfEntry(task));
                             }}>
                               <Edit className="h-4 w-4 mr-2" />
                               Edit Task
@@ -889,6 +970,8 @@ const CalendarView = ({ selectedDate, onDateSelect, tasks, onTaskClick, onToggle
         onClose={() => setIsExportModalOpen(false)}
         onExportPDF={handleExportPDF}
         onExportJPEG={handleExportJPEG}
+        onExportICS={handleExportICS}
+        onSubscribe={handleSubscribe}
       />
       
       {/* Mobile Long-Press Context Menu */}
@@ -1018,6 +1101,7 @@ const CalendarView = ({ selectedDate, onDateSelect, tasks, onTaskClick, onToggle
                     <div className={`text-sm font-medium mb-1 ${isTodayDate ? 'text-primary' : ''}`}>
                       {dayNum}
                     </div>
+                    <LoadBar day={loadByDate.get(toDateStr(date))} />
                     {/* Task Titles - limit to 3, smaller text */}
                     <div className="space-y-[2px]">
                       {dayTasks.slice(0, 3).map(task => {
@@ -1033,7 +1117,7 @@ const CalendarView = ({ selectedDate, onDateSelect, tasks, onTaskClick, onToggle
                         
                         return (
                           <div
-                            key={task.id}
+                            key={task.entryKey}
                             className="text-[8px] leading-tight px-1 py-[2px] rounded shadow-sm line-clamp-2"
                             style={{ 
                               background: bgStyle, 
@@ -1042,11 +1126,12 @@ const CalendarView = ({ selectedDate, onDateSelect, tasks, onTaskClick, onToggle
                               WebkitLineClamp: 2,
                               WebkitBoxOrient: 'vertical',
                               overflow: 'hidden',
-                              wordBreak: 'break-word'
+                              wordBreak: 'break-word',
+                              border: isFixedEvent(task, fixedEventRules) ? '1px dashed currentColor' : undefined
                             }}
                             title={task.title}
                           >
-                            {task.title}
+                            {task.title}{blockLabel(task)}
                           </div>
                         );
                       })}
@@ -1070,7 +1155,7 @@ const CalendarView = ({ selectedDate, onDateSelect, tasks, onTaskClick, onToggle
               </h3>
               {(() => {
                 const dateStr = `${selectedDate.getFullYear()}-${pad(selectedDate.getMonth() + 1)}-${pad(selectedDate.getDate())}`;
-                const dayTasks = tasks.filter(t => t.dueDate === dateStr);
+                const dayTasks = entriesForDate(tasks, dateStr);
                 if (dayTasks.length === 0) {
                   return <p className="text-sm text-muted-foreground">No tasks for this day</p>;
                 }
@@ -1078,18 +1163,19 @@ const CalendarView = ({ selectedDate, onDateSelect, tasks, onTaskClick, onToggle
                   <div className="space-y-2">
                     {dayTasks.map(task => (
                       <div
-                        key={task.id}
-                        onClick={() => onTaskClick(task)}
+                        key={task.entryKey}
+                        onClick={() => onTaskClick(taskOfEntry(task))}
                         className={`
                           p-3 rounded-lg border cursor-pointer transition-all
                           hover:bg-muted/50
                           ${task.isCompleted ? 'opacity-60' : ''}
+                          ${isFixedEvent(task, fixedEventRules) ? 'border-dashed' : ''}
                         `}
                       >
                         {/* Row 1: Title + Time */}
                         <div className="flex items-center justify-between gap-2">
                           <span className={`${(viewMode === 'month' || viewMode === 'week') ? 'font-normal' : 'font-medium'} flex-1 ${task.isCompleted ? 'line-through' : ''}`}>
-                            {task.title}
+                            {isFixedEvent(task, fixedEventRules) && <FixedMark />}{task.title}{blockLabel(task)}
                           </span>
                           {task.dueTime && (
                             <span className="text-xs text-muted-foreground flex items-center gap-1 flex-shrink-0">
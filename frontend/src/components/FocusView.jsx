@@ -0,0 +1,337 @@
+import React, { useEffect, useMemo, useState } from "react";
+import { Card, CardContent, CardHeader, CardTitle } from "./ui/card";
+import { Button } from "./ui/button";
+import { Input } from "./ui/input";
+import { Checkbox } from "./ui/checkbox";
+import { Badge } from "./ui/badge";
+import { Brain, Coffee, Pause, Play, RotateCcw, Settings2, SkipForward } from "lucide-react";
+import { useCreateTimeEntryMutation, canTrackTime } from "../hooks/queries/timeEntryQueries";
+import { loadAppSetting, saveAppSetting } from "../utils/storage";
+import { playCompleteSound } from "../utils/audioUtils";
+import haptics from "../utils/haptics";
+import { pad, formatMinutes } from "../utils/dateUtils";
+import {
+  DEFAULT_FOCUS_SETTINGS,
+  PHASE_LABELS,
+  nextPhase,
+  phaseMinutes,
+  pickFocusTask,
+} from "../utils/focusSession";
+
+const SETTING_FIELDS = [
+  { key: "workMinutes", label: "Focus (min)" },
+  { key: "shortBreakMinutes", label: "Short break (min)" },
+  { key: "longBreakMinutes", label: "Long break (min)" },
+  { key: "cyclesBeforeLongBreak", label: "Cycles before long break" },
+];
+
+const formatCountdown = (ms) => {
+  const seconds = Math.max(0, Math.ceil(ms / 1000));
+  return `${pad(Math.floor(seconds / 60))}:${pad(seconds % 60)}`;
+};
+
+/**
+ * Lists the subtasks still open at the end of a focus cycle so they can be ticked off.
+ */
+const SubtaskReview = ({ task, onToggleSubtask, onClose }) => {
+  const pending = (task.subtasks || []).filter((st) => !st.isCompleted);
+  const [checked, setChecked] = useState([]);
+
+  const handleDone = () => {
+    checked.forEach((subtaskId) => onToggleSubtask(task.id, subtaskId));
+    if (checked.length > 0) haptics.success();
+    onClose();
+  };
+
+  return (
+    <div className="space-y-3 rounded-md border border-primary/40 bg-primary/5 p-4">
+      <p className="text-sm font-medium">Cycle complete. Did you finish any subtasks?</p>
+      <ul className="space-y-2">
+        {pending.map((st) => (
+          <li key={st.id} className="flex items-center gap-2 text-sm">
+            <Checkbox
+              id={`focus-subtask-${st.id}`}
+              checked={checked.includes(st.id)}
+              onCheckedChange={(value) =>
+                setChecked((prev) => (value ? [...prev, st.id] : prev.filter((id) => id !== st.id)))
+              }
+            />
+            <label htmlFor={`focus-subtask-${st.id}`}>{st.title}</label>
+          </li>
+        ))}
+      </ul>
+      <div className="flex gap-2">
+        <Button size="sm" onClick={handleDone} disabled={checked.length === 0}>
+          Mark done
+        </Button>
+        <Button size="sm" variant="ghost" onClick={onClose}>
+          Not yet
+        </Button>
+      </div>
+    </div>
+  );
+};
+
+/**
+ * Focus mode: runs work/break cycles on one task. Each finished work cycle is logged as
+ * time on the task. The session is kept on the device, so it carries on when the user
+ * switches views or reloads.
+ */
+const FocusView = ({ tasks, onToggleSubtask, onShowNotification }) => {
+  const [settings, setSettings] = useState(DEFAULT_FOCUS_SETTINGS);
+  // { taskId, phase, completedCycles, endsAt, remainingMs }; endsAt is null while paused
+  const [session, setSession] = useState(null);
+  const [loaded, setLoaded] = useState(false);
+  const [selectedTaskId, setSelectedTaskId] = useState("");
+  const [showSettings, setShowSettings] = useState(false);
+  const [reviewing, setReviewing] = useState(false);
+  const [now, setNow] = useState(Date.now());
+  const createEntry = useCreateTimeEntryMutation();
+
+  useEffect(() => {
+    Promise.all([
+      loadAppSetting("focusSettings", DEFAULT_FOCUS_SETTINGS),
+      loadAppSetting("focusSession", null),
+    ]).then(([savedSettings, savedSession]) => {
+      setSettings({ ...DEFAULT_FOCUS_SETTINGS, ...savedSettings });
+      setSession(savedSession);
+      setLoaded(true);
+    });
+  }, []);
+
+  useEffect(() => {
+    if (loaded) saveAppSetting("focusSettings", settings);
+  }, [settings, loaded]);
+
+  useEffect(() => {
+    if (loaded) saveAppSetting("focusSession", session);
+  }, [session, loaded]);
+
+  const pendingTasks = useMemo(() => tasks.filter((task) => !task.isCompleted), [tasks]);
+  const suggested = useMemo(() => pickFocusTask(tasks), [tasks]);
+  const task =
+    pendingTasks.find((t) => t.id === (session?.taskId ?? selectedTaskId)) ??
+    (session ? tasks.find((t) => t.id === session.taskId) : suggested);
+
+  const isRunning = !!session?.endsAt;
+
+  useEffect(() => {
+    if (!isRunning) return undefined;
+    const interval = setInterval(() => setNow(Date.now()), 1000);
+    return () => clearInterval(interval);
+  }, [isRunning]);
+
+  // Moves on to the next phase once the running one is over
+  useEffect(() => {
+    if (!session?.endsAt || now < session.endsAt) return;
+
+    const finished = session.phase;
+    const next = nextPhase(finished, session.completedCycles, settings);
+    playCompleteSound();
+    haptics.success();
+
+    if (finished === "work" && task) {
+      const endedAt = new Date(session.endsAt);
+      const startedAt = new Date(endedAt.getTime() - settings.workMinutes * 60000);
+      if (canTrackTime(task.id)) {
+        createEntry.mutate({
+          taskId: task.id,
+          startedAt: startedAt.toISOString(),
+          endedAt: endedAt.toISOString(),
+          note: "Focus session",
+        });
+      }
+      if ((task.subtasks || []).some((st) => !st.isCompleted)) setReviewing(true);
+      onShowNotification?.({
+        type: "success",
+        message: "Focus cycle complete",
+        details: `${formatMinutes(settings.workMinutes)} on "${task.title}". Time for a ${
+          next.phase === "longBreak" ? "long" : "short"
+        } break.`,
+      });
+    } else {
+      onShowNotification?.({ type: "info", message: "Break over", details: "Back to focus." });
+    }
+
+    setSession({
+      ...session,
+      ...next,
+      endsAt: Date.now() + phaseMinutes(next.phase, settings) * 60000,
+      remainingMs: null,
+    });
+  }, [now, session, settings, task, createEntry, onShowNotification]);
+
+  const handleStart = () => {
+    if (!task) return;
+    haptics.medium();
+    setNow(Date.now());
+    setSession({
+      taskId: task.id,
+      phase: "work",
+      completedCycles: 0,
+      endsAt: Date.now() + settings.workMinutes * 60000,
+      remainingMs: null,
+    });
+  };
+
+  const handlePause = () => {
+    haptics.light();
+    setSession({ ...session, endsAt: null, remainingMs: session.endsAt - Date.now() });
+  };
+
+  const handleResume = () => {
+    haptics.light();
+    setNow(Date.now());
+    setSession({ ...session, endsAt: Date.now() + session.remainingMs, remainingMs: null });
+  };
+
+  // Skipping ends the phase without logging it
+  const handleSkip = () => {
+    haptics.light();
+    const next = nextPhase(session.phase, session.completedCycles, settings);
+    setSession({
+      ...session,
+      phase: next.phase,
+      completedCycles: session.phase === "work" ? session.completedCycles : next.completedCycles,
+      endsAt: Date.now() + phaseMinutes(next.phase, settings) * 60000,
+      remainingMs: null,
+    });
+  };
+
+  const handleReset = () => {
+    haptics.light();
+    setSession(null);
+    setReviewing(false);
+  };
+
+  const handleSettingChange = (key, value) => {
+    const number = Math.max(1, Math.round(Number(value) || 0));
+    setSettings((prev) => ({ ...prev, [key]: number }));
+  };
+
+  const phase = session?.phase ?? "work";
+  const remaining = session
+    ? session.endsAt
+      ? session.endsAt - now
+      : session.remainingMs
+    : settings.workMinutes * 60000;
+  const total = phaseMinutes(phase, settings) * 60000;
+  const progress = Math.min(100, Math.max(0, ((total - remaining) / total) * 100));
+
+  return (
+    <Card>
+      <CardHeader className="flex flex-row items-center justify-between">
+        <CardTitle className="flex items-center gap-2">
+          {phase === "work" ? <Brain className="h-5 w-5" /> : <Coffee className="h-5 w-5" />}
+          Focus
+        </CardTitle>
+        <Button
+          variant="ghost"
+          size="icon"
+          onClick={() => setShowSettings((v) => !v)}
+          title="Focus settings"
+          aria-label="Focus settings"
+        >
+          <Settings2 className="h-4 w-4" />
+        </Button>
+      </CardHeader>
+      <CardContent className="space-y-6">
+        {showSettings && (
+          <div className="grid grid-cols-2 gap-3 sm:grid-cols-4">
+            {SETTING_FIELDS.map(({ key, label }) => (
+              <label key={key} className="space-y-1 text-xs text-muted-foreground">
+                <span>{label}</span>
+                <Input
+                  type="number"
+                  min="1"
+                  value={settings[key]}
+                  onChange={(e) => handleSettingChange(key, e.target.value)}
+                  className="h-8 text-sm"
+                />
+              </label>
+            ))}
+          </div>
+        )}
+
+        <div className="space-y-2">
+          {session ? (
+            <p className="text-lg font-semibold">{task?.title ?? "Task no longer available"}</p>
+          ) : pendingTasks.length === 0 ? (
+            <p className="text-sm text-muted-foreground">No pending tasks to focus on.</p>
+          ) : (
+            <select
+              value={task?.id ?? ""}
+              onChange={(e) => setSelectedTaskId(e.target.value)}
+              className="w-full rounded-md border border-input bg-background px-3 py-2 text-sm"
+              aria-label="Task to focus on"
+            >
+              {!task && <option value="">Choose a task…</option>}
+              {pendingTasks.map((t) => (
+                <option key={t.id} value={t.id}>
+                  {t.title}
+                  {t.id === suggested?.id ? " (scheduled now)" : ""}
+                </option>
+              ))}
+            </select>
+          )}
+          {task?.assignedSlot?.date && (
+            <p className="text-xs text-muted-foreground">
+              Scheduled {task.assignedSlot.date}
+              {task.assignedSlot.time ? ` at ${task.assignedSlot.time}` : ""}
+            </p>
+          )}
+        </div>
+
+        <div className="flex flex-col items-center gap-3 py-4">
+          <Badge variant={phase === "work" ? "default" : "secondary"}>{PHASE_LABELS[phase]}</Badge>
+          <span className="font-mono text-6xl tabular-nums">{formatCountdown(remaining)}</span>
+          <div className="h-2 w-full max-w-sm overflow-hidden rounded-full bg-muted">
+            <div className="h-full bg-primary transition-all" style={{ width: `${progress}%` }} />
+          </div>
+          <span className="text-xs text-muted-foreground">
+            {session?.completedCycles ?? 0} cycle{session?.completedCycles === 1 ? "" : "s"} completed
+          </span>
+        </div>
+
+        <div className="flex justify-center gap-2">
+          {!session && (
+            <Button onClick={handleStart} disabled={!task}>
+              <Play className="h-4 w-4 mr-1" /> Start focus
+            </Button>
+          )}
+          {session && (
+            <>
+              {isRunning ? (
+                <Button variant="outline" onClick={handlePause}>
+                  <Pause className="h-4 w-4 mr-1" /> Pause
+                </Button>
+              ) : (
+                <Button onClick={handleResume}>
+                  <Play className="h-4 w-4 mr-1" /> Resume
+                </Button>
+              )}
+              <Button variant="outline" onClick={handleSkip}>
+                <SkipForward className="h-4 w-4 mr-1" /> Skip
+              </Button>
+              <Button variant="ghost" onClick={handleReset}>
+                <RotateCcw className="h-4 w-4 mr-1" /> End session
+              </Button>
+            </>
+          )}
+        </div>
+
+        {task && !canTrackTime(task.id) && (
+          <p className="text-center text-xs text-muted-foreground">
+            Sign in and sync this task to log focus time against it.
+          </p>
+        )}
+
+        {reviewing && task && (
+          <SubtaskReview task={task} onToggleSubtask={onToggleSubtask} onClose={() => setReviewing(false)} />
+        )}
+      </CardContent>
+    </Card>
+  );
+};
+
+export default FocusView;
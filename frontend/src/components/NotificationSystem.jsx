@@ -80,6 +80,19 @@ const NotificationSystem = ({ notifications, onDismiss }) => {
                       : notification.details}
                   </p>
                 )}
+                {notification.action && (
+                  <Button
+                    variant="outline"
+                    size="sm"
+                    className="mt-2 h-7"
+                    onClick={() => {
+                      notification.action.onClick()
+                      handleDismiss(notification.id)
+                    }}
+                  >
+                    {notification.action.label}
+                  </Button>
+                )}
               </div>
               <Button
                 variant="ghost"
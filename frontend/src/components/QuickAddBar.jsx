@@ -0,0 +1,73 @@
+import React, { useMemo, useState } from "react";
+import { Plus } from "lucide-react";
+import { Button } from "./ui/button";
+import QuickAddInput from "./common/QuickAddInput";
+import { parseQuickAdd } from "../utils/quickAddParser";
+import { getToday, formatTime12, formatMinutes } from "../utils/dateUtils";
+
+const PRIORITY_LABELS = { high: "High", medium: "Medium", low: "Low" };
+
+/**
+ * Describes what the parser understood, e.g. "2026-10-16 · 3:00 PM · 2h · weekly".
+ */
+const describeParsed = (parsed) =>
+  [
+    parsed.dueDate,
+    parsed.dueTime && formatTime12(parsed.dueTime),
+    parsed.estimatedDuration && formatMinutes(parsed.estimatedDuration),
+    parsed.repeatFrequency &&
+      (parsed.repeatUntil ? `${parsed.repeatFrequency} until ${parsed.repeatUntil}` : parsed.repeatFrequency),
+    parsed.priority && `${PRIORITY_LABELS[parsed.priority]} priority`,
+    ...parsed.tags.map((tag) => `#${tag}`),
+  ]
+    .filter(Boolean)
+    .join(" · ");
+
+/**
+ * One-line task entry: "Submit lab report fri 3pm 2h #physics !high every week".
+ * Recognised phrases are highlighted as the user types; a task without a date is due today.
+ */
+const QuickAddBar = ({ onAddTask }) => {
+  const [text, setText] = useState("");
+  const [saving, setSaving] = useState(false);
+  const parsed = useMemo(() => parseQuickAdd(text, getToday()), [text]);
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    if (!parsed.title || saving) return;
+
+    const taskData = { dueDate: getToday() };
+    Object.entries(parsed).forEach(([key, value]) => {
+      if (key !== "tokens" && value !== undefined) taskData[key] = value;
+    });
+
+    setSaving(true);
+    const added = await onAddTask(taskData);
+    setSaving(false);
+    if (added) setText("");
+  };
+
+  const summary = describeParsed(parsed);
+
+  return (
+    <form onSubmit={handleSubmit} className="mb-6 space-y-1">
+      <div className="flex gap-2">
+        <div className="flex-1">
+          <QuickAddInput
+            value={text}
+            tokens={parsed.tokens}
+            onChange={(e) => setText(e.target.value)}
+            placeholder='Quick add, e.g. "Submit lab report fri 3pm 2h #physics !high"'
+            aria-label="Quick add task"
+          />
+        </div>
+        <Button type="submit" disabled={!parsed.title || saving}>
+          <Plus className="h-4 w-4 mr-1" /> Add
+        </Button>
+      </div>
+      {text && summary && <p className="px-1 text-xs text-muted-foreground">{summary}</p>}
+    </form>
+  );
+};
+
+export default QuickAddBar;
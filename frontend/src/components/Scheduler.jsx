@@ -2,24 +2,25 @@
 // This component handles automatic rescheduling and suggestions for optimal task placement
 
 export class TaskScheduler {
-  constructor(tasks = [], availableHours = { start: "13:00", end: "22:00" }) {
+  constructor(tasks = [], availableHours = { start: "13:00", end: "22:00" }, availability = null) {
     this.tasks = tasks;
     this.availableHours = availableHours;
+    // Weekly template and dated overrides from the account settings
+    this.availability = availability;
+  }
+
+  // The windows the user is available in on a date
+  windowsFor(dateStr) {
+    const hours = (this.availableHours && this.availableHours.start && this.availableHours.end)
+      ? this.availableHours
+      : { start: "13:00", end: "22:00" };
+    return windowsOn(dateStr, hours, this.availability);
   }
 
   // Find available time slots for a task
   findAvailableSlots(task, date = new Date()) {
     const slots = [];
     const taskDuration = task.estimatedDuration || 60; // minutes
-    // Use availableHours for start/end
-    const startTimeStr = (this.availableHours && this.availableHours.start) ? this.availableHours.start : "13:00";
-    const endTimeStr = (this.availableHours && this.availableHours.end) ? this.availableHours.end : "22:00";
-    const startDate = new Date(date);
-    const [startHour, startMin] = startTimeStr.split(":").map(Number);
-    startDate.setHours(startHour, startMin, 0, 0);
-    const endDate = new Date(date);
-    const [endHour, endMin] = endTimeStr.split(":").map(Number);
-    endDate.setHours(endHour, endMin, 0, 0);
 
     // Get existing tasks for the date
     const dateStr = date.toISOString().split('T')[0]
@@ -38,28 +39,27 @@ export class TaskScheduler {
     })
 
     // If scheduling for today, only suggest slots after current time
-    let currentTime = this.timeToMinutes(startTimeStr);
-    const endTime = this.timeToMinutes(endTimeStr);
     const now = new Date();
     const isToday = date.toDateString() === now.toDateString();
-    let minStartTime = currentTime;
+    let minStartTime = 0;
     if (isToday) {
-      const nowMinutes = now.getHours() * 60 + now.getMinutes();
-      if (nowMinutes > currentTime) {
-        // Round up to next 30-min increment
-        minStartTime = Math.ceil(nowMinutes / 30) * 30;
-      }
+      // Round up to next 30-min increment
+      minStartTime = Math.ceil((now.getHours() * 60 + now.getMinutes()) / 30) * 30;
     }
 
-    // Find gaps between existing tasks
-    for (let i = 0; i <= existingTasks.length; i++) {
-      let nextTaskTime
-      
-      if (i === existingTasks.length) {
-        nextTaskTime = endTime
-      } else {
-        nextTaskTime = this.timeToMinutes(existingTasks[i].dueTime)
-      }
+    this.windowsFor(dateStr).forEach(window => {
+      let currentTime = this.timeToMinutes(window.start)
+      const endTime = this.timeToMinutes(window.end)
+
+      // Find gaps between existing tasks, within the window
+      for (let i = 0; i <= existingTasks.length; i++) {
+        let nextTaskTime
+
+        if (i === existingTasks.length) {
+          nextTaskTime = endTime
+        } else {
+          nextTaskTime = Math.min(this.timeToMinutes(existingTasks[i].dueTime), endTime)
+        }
 
         // For today, only suggest slots after minStartTime
         let slotStart = Math.max(currentTime, minStartTime)
@@ -77,10 +77,11 @@ export class TaskScheduler {
         }
 
         if (i < existingTasks.length) {
-          const taskDuration = existingTasks[i].estimatedDuration || 60
-          currentTime = nextTaskTime + taskDuration
+          const taskEnd = this.timeToMinutes(existingTasks[i].dueTime) + (existingTasks[i].estimatedDuration || 60)
+          currentTime = Math.max(currentTime, taskEnd)
         }
-    }
+      }
+    })
 
     return slots
   }
@@ -254,6 +255,7 @@ import { Button } from '@/components/ui/button.jsx'
 import { Card, CardContent, CardHeader, CardTitle } from '@/components/ui/card.jsx'
 import { Badge } from '@/components/ui/badge.jsx'
 import { formatDateTimeContext } from '@/lib/utils.js'
+import { windowsOn } from '@/utils/availability.js'
 
 export const SchedulingSuggestions = ({ task, tasks, onAcceptSuggestion, onDismiss }) => {
   const [scheduler] = useState(() => new TaskScheduler(tasks))
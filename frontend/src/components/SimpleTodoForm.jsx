@@ -8,9 +8,10 @@
  * - Priority
  *
  * They are stored separately and don't appear in the calendar.
+ * A priority typed into the title ("!high") is highlighted and picked up.
  */
 
-import { useState, memo } from "react";
+import { useState, useMemo, memo } from "react";
 import { CheckCircle, X, Save } from "lucide-react";
 import { Button } from "@/components/ui/button.jsx";
 import {
@@ -19,7 +20,6 @@ import {
   CardHeader,
   CardTitle,
 } from "@/components/ui/card.jsx";
-import { Input } from "@/components/ui/input.jsx";
 import { Textarea } from "@/components/ui/textarea.jsx";
 import {
   Select,
@@ -30,6 +30,15 @@ import {
 } from "@/components/ui/select.jsx";
 import { Label } from "@/components/ui/label.jsx";
 import { useKeyboardShortcuts } from "@/hooks/useKeyboardShortcuts";
+import QuickAddInput from "@/components/common/QuickAddInput";
+import { parseQuickAdd } from "@/utils/quickAddParser";
+import { getToday } from "@/utils/dateUtils";
+
+// TODOs only have a priority, so other phrases stay part of the title
+const parsePriority = (title) => {
+  const { priority, tokens } = parseQuickAdd(title, getToday());
+  return { priority, tokens: tokens.filter((token) => token.type === "priority") };
+};
 
 function SimpleTodoForm({ todo, onSave, onCancel }) {
   const [formData, setFormData] = useState(() => {
@@ -48,11 +57,18 @@ function SimpleTodoForm({ todo, onSave, onCancel }) {
   });
 
   const [errors, setErrors] = useState({});
+  const { tokens: titleTokens } = useMemo(() => parsePriority(formData.title), [formData.title]);
+
+  const titleWithoutTokens = () =>
+    titleTokens
+      .reduceRight((title, token) => title.slice(0, token.start) + title.slice(token.end), formData.title)
+      .replace(/\s+/g, " ")
+      .trim();
 
   const validateForm = () => {
     const newErrors = {};
 
-    if (!formData.title.trim()) {
+    if (!titleWithoutTokens()) {
       newErrors.title = "Title is required";
     }
 
@@ -68,7 +84,7 @@ function SimpleTodoForm({ todo, onSave, onCancel }) {
     }
 
     const todoData = {
-      title: formData.title.trim(),
+      title: titleWithoutTokens(),
       description: formData.description.trim(),
       priority: formData.priority,
     };
@@ -77,9 +93,11 @@ function SimpleTodoForm({ todo, onSave, onCancel }) {
   };
 
   const handleChange = (field, value) => {
+    const { priority } = field === "title" ? parsePriority(value) : {};
     setFormData((prev) => ({
       ...prev,
       [field]: value,
+      ...(priority && { priority }),
     }));
     if (errors[field]) {
       setErrors((prev) => ({
@@ -121,11 +139,12 @@ function SimpleTodoForm({ todo, onSave, onCancel }) {
               {/* Title input (required) */}
               <div className="space-y-2">
                 <Label htmlFor="title">Title *</Label>
-                <Input
+                <QuickAddInput
                   id="title"
                   value={formData.title}
+                  tokens={titleTokens}
                   onChange={(e) => handleChange("title", e.target.value)}
-                  placeholder="What needs to be done?"
+                  placeholder="What needs to be done? Add !high for priority"
                   className={errors.title ? "border-red-500" : ""}
                   autoFocus
                 />
@@ -5,12 +5,17 @@ import { Button } from '@/components/ui/button.jsx'
 import { Card, CardContent, CardHeader, CardTitle } from '@/components/ui/card.jsx'
 import { Badge } from '@/components/ui/badge.jsx'
 import { TaskScheduler, SchedulingSuggestions, ConflictWarning } from './Scheduler'
+import { useSettingsQuery } from '../hooks/queries/settingsQueries'
+import { isFixedEvent, DEFAULT_FIXED_RULES } from '../utils/fixedEvents'
 
 const SmartScheduler = ({ tasks, onUpdateTask, onShowNotification, availableHours }) => {
   // Use the date refresh hook to handle midnight transitions
   const { now } = useDateRefresh();
+  const { data: settings } = useSettingsQuery();
+  const availability = settings?.availability;
+  const fixedEventRules = settings?.fixedEventRules || DEFAULT_FIXED_RULES;
   
-  const [scheduler] = useState(() => new TaskScheduler(tasks, availableHours))
+  const [scheduler] = useState(() => new TaskScheduler(tasks, availableHours, availability))
   const [pendingSuggestions, setPendingSuggestions] = useState([])
   const [autoRescheduling] = useState(false)
   const [rescheduleSuggestions, setRescheduleSuggestions] = useState({})
@@ -21,7 +26,8 @@ const SmartScheduler = ({ tasks, onUpdateTask, onShowNotification, availableHour
     if (availableHours) {
       scheduler.availableHours = availableHours
     }
-  }, [tasks, scheduler, availableHours])
+    scheduler.availability = availability
+  }, [tasks, scheduler, availableHours, availability])
 
   // Check for tasks that need rescheduling
   useEffect(() => {
@@ -29,7 +35,8 @@ const SmartScheduler = ({ tasks, onUpdateTask, onShowNotification, availableHour
       const newAutoSuggestions = []
 
       tasks.forEach(task => {
-        if (task.isCompleted || !task.dueDate) return
+        // Fixed events keep their time, even once they are past
+        if (task.isCompleted || !task.dueDate || isFixedEvent(task, fixedEventRules)) return
 
         const dueDate = new Date(task.dueDate + (task.dueTime ? `T${task.dueTime}` : ''))
         const isOverdue = dueDate < now
@@ -85,7 +92,7 @@ const SmartScheduler = ({ tasks, onUpdateTask, onShowNotification, availableHour
     const interval = setInterval(checkForRescheduling, 5 * 60 * 1000) // Check every 5 minutes
 
     return () => clearInterval(interval)
-  }, [tasks, scheduler, now])
+  }, [tasks, scheduler, now, availability, fixedEventRules])
 
   // Show slot suggestions for rescheduling overdue task
   const handleShowRescheduleSuggestions = (taskId) => {
@@ -163,15 +170,9 @@ const SmartScheduler = ({ tasks, onUpdateTask, onShowNotification, availableHour
   }
 
   const handleOptimizeSchedule = () => {
-    const excludedTags = ['lecture', 'section', 'meeting', 'deadline', 'course'];
-    const unscheduledTasks = tasks.filter(task => {
-      if (task.isCompleted || !task.dueDate || task.assignedSlot) return false;
-      if (Array.isArray(task.tags)) {
-        // Exclude if any tag matches excludedTags
-        return !task.tags.some(tag => excludedTags.includes(tag));
-      }
-      return true;
-    });
+    const unscheduledTasks = tasks.filter(task =>
+      !task.isCompleted && task.dueDate && !task.assignedSlot && !isFixedEvent(task, fixedEventRules)
+    );
 
     const optimizations = [];
 
@@ -204,7 +205,7 @@ const SmartScheduler = ({ tasks, onUpdateTask, onShowNotification, availableHour
 
   const getOverdueTasks = () => {
     return tasks.filter(task => {
-      if (task.isCompleted || !task.dueDate) return false;
+      if (task.isCompleted || !task.dueDate || isFixedEvent(task, fixedEventRules)) return false;
       if (!task.dueTime) {
         // No dueTime: overdue if the day is over
         const dayEnd = new Date(task.dueDate + 'T23:59:59');
@@ -13,6 +13,8 @@ import {
 } from '@/components/ui/dropdown-menu.jsx';
 import { ConfirmDialog } from '@/components/ui/ConfirmDialog';
 import haptics from '../utils/haptics';
+import AssigneeChips from './common/AssigneeChips';
+import { useWorkspaceMembersQuery } from '../hooks/queries/workspaceQueries';
 
 export function SortableTodoItem({ todo, toggleTodoComplete, openTodoForm, onEditTodo, deleteTodo }) {
   const {
@@ -39,6 +41,8 @@ export function SortableTodoItem({ todo, toggleTodoComplete, openTodoForm, onEdi
     position: 'relative',
   };
 
+  const { data: members = [] } = useWorkspaceMembersQuery();
+
   // Delete confirmation state
   const [showDeleteConfirm, setShowDeleteConfirm] = useState(false);
 
@@ -160,8 +164,9 @@ export function SortableTodoItem({ todo, toggleTodoComplete, openTodoForm, onEdi
           )}
         </div>
 
-        {/* Right: Priority badge + Kebab menu */}
+        {/* Right: Assignees + Priority badge + Kebab menu */}
         <div className="flex items-center gap-1.5 flex-shrink-0">
+          <AssigneeChips ids={todo.assignees} members={members} max={2} />
           <Badge
             variant={
               todo.priority === "high"
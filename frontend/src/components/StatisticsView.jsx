@@ -1,15 +1,17 @@
 import React, { useMemo, useEffect, useState } from "react";
 import { motion } from "framer-motion";
 import { useTasks } from "../contexts/TaskContext";
+import { useProjectsQuery } from "../hooks/queries/projectQueries";
+import { useEstimateAccuracyQuery } from "../hooks/queries/timeEntryQueries";
 import { Card, CardContent, CardHeader, CardTitle } from "./ui/card";
 import { Badge } from "./ui/badge";
-import { CheckCircle, Clock, AlertCircle, BarChart2, PieChart as PieIcon } from "lucide-react";
+import { CheckCircle, Clock, AlertCircle, BarChart2, PieChart as PieIcon, FolderKanban, Timer } from "lucide-react";
 import { Pie, Bar } from "@visx/shape";
 import { Group } from "@visx/group";
 import { scaleOrdinal, scaleBand, scaleLinear } from "@visx/scale";
 import { AxisBottom, AxisLeft } from "@visx/axis";
 import { ParentSize } from "@visx/responsive";
-import { pad } from "../utils/dateUtils";
+import { pad, formatMinutes } from "../utils/dateUtils";
 
 // Color constants
 const COLORS = {
@@ -20,8 +22,14 @@ const COLORS = {
   medium: "#eab308",
   low: "#3b82f6",
   bar: "#8b5cf6", // violet-500
+  noProject: "#94a3b8", // slate-400
+  estimated: "#94a3b8", // slate-400
+  actual: "#8b5cf6", // violet-500
 };
 
+// Tags beyond this many are left out of the accuracy chart
+const MAX_ACCURACY_TAGS = 8;
+
 // Animation variants
 const containerVariants = {
   hidden: { opacity: 0 },
@@ -124,8 +132,100 @@ const AnimatedNumber = ({ value, duration = 1000 }) => {
   return <>{displayValue}</>;
 };
 
+// Estimated vs logged minutes side by side for each group
+const EstimateAccuracyChart = ({ title, data }) => (
+  <div className="space-y-2">
+    <h4 className="text-sm font-medium text-muted-foreground">{title}</h4>
+    <div className="h-[240px]">
+      <ParentSize>
+        {({ width, height }) => {
+          const xMax = width - 60;
+          const yMax = height - 50;
+
+          const xScale = scaleBand({
+            range: [0, xMax],
+            domain: data.map(d => d.key),
+            padding: 0.3,
+          });
+          const groupScale = scaleBand({
+            range: [0, xScale.bandwidth()],
+            domain: ["estimatedMinutes", "actualMinutes"],
+            padding: 0.1,
+          });
+          const yScale = scaleLinear({
+            range: [yMax, 0],
+            domain: [0, Math.max(60, ...data.flatMap(d => [d.estimatedMinutes, d.actualMinutes]))],
+            nice: true,
+          });
+
+          return (
+            <svg width={width} height={height}>
+              <Group left={50} top={20}>
+                <AxisBottom
+                  top={yMax}
+                  scale={xScale}
+                  tickLabelProps={() => ({
+                    fill: "currentColor",
+                    fontSize: 11,
+                    textAnchor: "middle",
+                  })}
+                  stroke="currentColor"
+                  tickStroke="currentColor"
+                />
+                <AxisLeft
+                  scale={yScale}
+                  numTicks={4}
+                  tickFormat={v => formatMinutes(v)}
+                  tickLabelProps={() => ({
+                    fill: "currentColor",
+                    fontSize: 11,
+                    textAnchor: "end",
+                    dx: -4,
+                    dy: 3,
+                  })}
+                  stroke="currentColor"
+                  tickStroke="currentColor"
+                />
+                {data.map(d => (
+                  <Group key={`accuracy-${d.key}`} left={xScale(d.key)}>
+                    {["estimatedMinutes", "actualMinutes"].map(field => {
+                      const barHeight = yMax - (yScale(d[field]) ?? 0);
+                      return (
+                        <Bar
+                          key={field}
+                          x={groupScale(field)}
+                          y={yMax - barHeight}
+                          width={groupScale.bandwidth()}
+                          height={barHeight}
+                          fill={field === "actualMinutes" ? COLORS.actual : COLORS.estimated}
+                          rx={3}
+                        />
+                      );
+                    })}
+                    <text
+                      x={xScale.bandwidth() / 2}
+                      y={Math.min(yScale(d.estimatedMinutes), yScale(d.actualMinutes)) - 5}
+                      textAnchor="middle"
+                      fill="currentColor"
+                      fontSize={11}
+                    >
+                      ×{d.ratio}
+                    </text>
+                  </Group>
+                ))}
+              </Group>
+            </svg>
+          );
+        }}
+      </ParentSize>
+    </div>
+  </div>
+);
+
 const StatisticsView = () => {
   const { tasks, getPendingTasks, getCompletedTasks } = useTasks();
+  const { data: projects = [] } = useProjectsQuery({ includeArchived: true });
+  const { data: accuracy } = useEstimateAccuracyQuery();
 
   // Metrics
   const totalTasks = tasks.length;
@@ -156,6 +256,24 @@ const StatisticsView = () => {
     ].filter(d => d.value > 0);
   }, [tasks]);
 
+  // Completion per project, in project order, with unassigned tasks last
+  const projectProgress = useMemo(() => {
+    const counts = new Map();
+    tasks.forEach(t => {
+      const key = t.projectId || null;
+      const entry = counts.get(key) || { total: 0, completed: 0 };
+      entry.total++;
+      if (t.isCompleted) entry.completed++;
+      counts.set(key, entry);
+    });
+    return [
+      ...projects
+        .filter(p => counts.has(p.id))
+        .map(p => ({ id: p.id, name: p.name, color: p.color, ...counts.get(p.id) })),
+      ...(counts.has(null) ? [{ id: "none", name: "No project", color: COLORS.noProject, ...counts.get(null) }] : []),
+    ];
+  }, [tasks, projects]);
+
   return (
     <motion.div 
       className="space-y-6"
@@ -582,6 +700,90 @@ const StatisticsView = () => {
             </CardContent>
           </Card>
         </div>
+
+        {/* Per-project progress */}
+        {projects.length > 0 && projectProgress.length > 0 && (
+          <div className="md:col-span-2">
+            <Card className="bg-card/80 backdrop-blur-sm">
+              <CardHeader>
+                <CardTitle className="flex items-center gap-2">
+                  <FolderKanban className="h-5 w-5 text-primary" />
+                  Progress by Project
+                </CardTitle>
+              </CardHeader>
+              <CardContent className="space-y-4">
+                {projectProgress.map((p) => {
+                  const rate = Math.round((p.completed / p.total) * 100);
+                  return (
+                    <div key={p.id} className="space-y-1">
+                      <div className="flex items-center justify-between text-sm">
+                        <span className="flex items-center gap-2 font-medium">
+                          <span className="h-2.5 w-2.5 rounded-full" style={{ backgroundColor: p.color }} />
+                          {p.name}
+                        </span>
+                        <span className="text-muted-foreground tabular-nums">
+                          {p.completed}/{p.total} · {rate}%
+                        </span>
+                      </div>
+                      <div className="h-2 rounded-full bg-muted overflow-hidden">
+                        <motion.div
+                          className="h-full rounded-full"
+                          style={{ backgroundColor: p.color }}
+                          initial={{ width: 0 }}
+                          animate={{ width: `${rate}%` }}
+                          transition={{ duration: 0.6, ease: "easeOut" }}
+                        />
+                      </div>
+                    </div>
+                  );
+                })}
+              </CardContent>
+            </Card>
+          </div>
+        )}
+
+        {/* Estimated vs logged time */}
+        {accuracy && (
+          <div className="md:col-span-2">
+            <Card className="bg-card/80 backdrop-blur-sm">
+              <CardHeader>
+                <CardTitle className="flex items-center gap-2">
+                  <Timer className="h-5 w-5 text-primary" />
+                  Estimate Accuracy
+                </CardTitle>
+              </CardHeader>
+              <CardContent>
+                {accuracy.byPriority.length === 0 ? (
+                  <div className="py-8 text-center text-muted-foreground">
+                    Log time on tasks with an estimate and complete them to see how your estimates hold up
+                  </div>
+                ) : (
+                  <div className="space-y-4">
+                    <div className="grid grid-cols-1 md:grid-cols-2 gap-6">
+                      <EstimateAccuracyChart title="By priority" data={accuracy.byPriority} />
+                      {accuracy.byTag.length > 0 && (
+                        <EstimateAccuracyChart
+                          title="By tag"
+                          data={accuracy.byTag.slice(0, MAX_ACCURACY_TAGS)}
+                        />
+                      )}
+                    </div>
+                    <div className="flex justify-center gap-4 text-sm text-muted-foreground">
+                      <span className="flex items-center gap-2">
+                        <span className="w-3 h-3 rounded-full" style={{ backgroundColor: COLORS.estimated }} />
+                        Estimated
+                      </span>
+                      <span className="flex items-center gap-2">
+                        <span className="w-3 h-3 rounded-full" style={{ backgroundColor: COLORS.actual }} />
+                        Logged (×&nbsp;estimate)
+                      </span>
+                    </div>
+                  </div>
+                )}
+              </CardContent>
+            </Card>
+          </div>
+        )}
       </motion.div>
     </motion.div>
   );
@@ -33,6 +33,22 @@ import { useKeyboardShortcuts } from "@/hooks/useKeyboardShortcuts";
 import { getTagColorClass } from "@/utils/tagUtils";
 import { pad } from "@/utils/dateUtils";
 import { UnsavedChangesModal } from "@/components/ui/UnsavedChangesModal";
+import { useProjectsQuery, useCreateProjectMutation } from "@/hooks/queries/projectQueries";
+import { useWorkspaceMembersQuery } from "@/hooks/queries/workspaceQueries";
+
+const REMINDER_OPTIONS = [
+  { minutes: 0, label: "At due time" },
+  { minutes: 5, label: "5 min before" },
+  { minutes: 15, label: "15 min before" },
+  { minutes: 30, label: "30 min before" },
+  { minutes: 60, label: "1 hour before" },
+  { minutes: 1440, label: "1 day before" },
+];
+
+// A task's isFixed flag: fixed events keep their time, flexible tasks can be moved,
+// and null leaves it to the user's fixed-event rules
+const FLAG_BY_SCHEDULING = { auto: null, fixed: true, flexible: false };
+const SCHEDULING_BY_FLAG = new Map(Object.entries(FLAG_BY_SCHEDULING).map(([key, flag]) => [flag, key]));
 
 const TaskForm = ({ task, initialDate, onSave, onCancel }) => {
   const [formData, setFormData] = useState(() => {
@@ -45,9 +61,13 @@ const TaskForm = ({ task, initialDate, onSave, onCancel }) => {
         priority: task && task.priority ? task.priority : "medium",
         estimatedDuration: task.estimatedDuration || 60,
         tags: task.tags || [],
+        projectId: task.projectId || null,
+        assignees: task.assignees || [],
+        reminders: task.reminders || [],
         repeatUntil: task.repeatUntil || "",
         repeatFrequency: task.repeatFrequency || "none",
         subtasks: task.subtasks || [],
+        isFixed: task.isFixed ?? null,
       };
     }
     return {
@@ -59,9 +79,13 @@ const TaskForm = ({ task, initialDate, onSave, onCancel }) => {
       priority: "medium",
       estimatedDuration: 60,
       tags: [],
+      projectId: null,
+      assignees: [],
+      reminders: [],
       repeatUntil: "",
       repeatFrequency: "none",
       subtasks: [],
+      isFixed: null,
     };
   });
 
@@ -106,6 +130,10 @@ const TaskForm = ({ task, initialDate, onSave, onCancel }) => {
 
   const [errors, setErrors] = useState({});
 
+  // Occurrences of a recurring series ask how far an edit should reach
+  const isOccurrence = Boolean(task?.seriesId);
+  const [scope, setScope] = useState("this");
+
   const validateForm = () => {
     const newErrors = {};
 
@@ -159,18 +187,50 @@ const TaskForm = ({ task, initialDate, onSave, onCancel }) => {
       estimatedDuration: duration,
       dueDate,
       dueTime,
+      // Reminders count back from the due time
+      reminders: dueTime ? formData.reminders : [],
       tags: formData.tags
         .map((tag) => tag.trim())
         .filter((tag) => tag.length > 0),
     };
 
     if (task) {
-      onSave({ ...taskData, id: task.id });
+      onSave({ ...taskData, id: task.id, ...(isOccurrence && { scope }) });
     } else {
       onSave(taskData);
     }
   };
 
+  const { data: projects = [] } = useProjectsQuery({ includeArchived: true });
+  const createProject = useCreateProjectMutation();
+
+  const { data: members = [] } = useWorkspaceMembersQuery();
+
+  const toggleReminder = (minutes) => {
+    const reminders = formData.reminders.includes(minutes)
+      ? formData.reminders.filter((m) => m !== minutes)
+      : [...formData.reminders, minutes].sort((a, b) => a - b);
+    handleChange("reminders", reminders);
+  };
+
+  const toggleAssignee = (userId) => {
+    const assignees = formData.assignees.includes(userId)
+      ? formData.assignees.filter((id) => id !== userId)
+      : [...formData.assignees, userId];
+    handleChange("assignees", assignees);
+  };
+
+  const handleProjectChange = (value) => {
+    if (value !== "__new") {
+      handleChange("projectId", value === "none" ? null : value);
+      return;
+    }
+    const name = window.prompt("New project name")?.trim();
+    if (name) {
+      createProject.mutate({ name }, { onSuccess: (project) => handleChange("projectId", project.id) });
+    }
+  };
+
   const handleChange = (field, value) => {
     setFormData((prev) => ({
       ...prev,
@@ -292,9 +352,11 @@ const TaskForm = ({ task, initialDate, onSave, onCancel }) => {
         priority: defaults.priority || "medium",
         estimatedDuration: defaults.estimatedDuration || 60,
         tags: defaults.tags || [],
+        reminders: [],
         repeatUntil: "",
         repeatFrequency: "none",
         subtasks: [],
+        isFixed: null,
       }));
       setSelectedTemplate(template.name);
     }
@@ -505,6 +567,29 @@ const TaskForm = ({ task, initialDate, onSave, onCancel }) => {
                 />
               </div>
 
+              {/* Reminders, sent as push notifications before the due time */}
+              {formData.dueTime && (
+                <div className="space-y-2">
+                  <Label>Reminders</Label>
+                  <div className="flex flex-wrap gap-2">
+                    {REMINDER_OPTIONS.map(({ minutes, label }) => (
+                      <button
+                        key={minutes}
+                        type="button"
+                        onClick={() => toggleReminder(minutes)}
+                        className={`px-2 py-1 rounded text-xs border ${
+                          formData.reminders.includes(minutes)
+                            ? "bg-primary text-primary-foreground border-primary"
+                            : "bg-background text-muted-foreground border-border hover:bg-muted"
+                        }`}
+                      >
+                        {label}
+                      </button>
+                    ))}
+                  </div>
+                </div>
+              )}
+
               <div className="space-y-2">
                 <Label htmlFor="estimatedDuration">Estimated Duration *</Label>
                 <div className="flex gap-2">
@@ -652,6 +737,64 @@ const TaskForm = ({ task, initialDate, onSave, onCancel }) => {
                   </SelectContent>
                 </Select>
               </div>
+              <div className="space-y-2">
+                <Label htmlFor="scheduling">Scheduling</Label>
+                <Select
+                  value={SCHEDULING_BY_FLAG.get(formData.isFixed)}
+                  onValueChange={(value) => handleChange("isFixed", FLAG_BY_SCHEDULING[value])}
+                >
+                  <SelectTrigger id="scheduling">
+                    <SelectValue />
+                  </SelectTrigger>
+                  <SelectContent>
+                    <SelectItem value="auto">Automatic (follow my rules)</SelectItem>
+                    <SelectItem value="fixed">Fixed time</SelectItem>
+                    <SelectItem value="flexible">Flexible</SelectItem>
+                  </SelectContent>
+                </Select>
+              </div>
+              <div className="space-y-2">
+                <Label htmlFor="project">Project</Label>
+                <Select value={formData.projectId || "none"} onValueChange={handleProjectChange}>
+                  <SelectTrigger id="project">
+                    <SelectValue placeholder="No project" />
+                  </SelectTrigger>
+                  <SelectContent>
+                    <SelectItem value="none">No project</SelectItem>
+                    {projects
+                      .filter((project) => !project.isArchived || project.id === formData.projectId)
+                      .map((project) => (
+                        <SelectItem key={project.id} value={project.id}>
+                          {project.name}
+                        </SelectItem>
+                      ))}
+                    <SelectItem value="__new">+ New project…</SelectItem>
+                  </SelectContent>
+                </Select>
+              </div>
+              {members.length > 1 && (
+                <div className="space-y-2">
+                  <Label>Assignees</Label>
+                  <div className="flex flex-wrap gap-2">
+                    {members.map((member) => {
+                      const selected = formData.assignees.includes(member.id);
+                      return (
+                        <Button
+                          key={member.id}
+                          type="button"
+                          size="sm"
+                          variant={selected ? "default" : "outline"}
+                          onClick={() => toggleAssignee(member.id)}
+                          aria-pressed={selected}
+                          title={member.email}
+                        >
+                          {member.name}
+                        </Button>
+                      );
+                    })}
+                  </div>
+                </div>
+              )}
 
               {/* Estimated duration and repeat options */}
               <div className="space-y-2">
@@ -661,6 +804,7 @@ const TaskForm = ({ task, initialDate, onSave, onCancel }) => {
                   onValueChange={(value) =>
                     handleChange("repeatFrequency", value)
                   }
+                  disabled={isOccurrence && scope === "this"}
                 >
                   <SelectTrigger>
                     <SelectValue placeholder="Select repeat frequency" />
@@ -682,7 +826,10 @@ const TaskForm = ({ task, initialDate, onSave, onCancel }) => {
                   value={formData.repeatUntil}
                   onChange={(e) => handleChange("repeatUntil", e.target.value)}
                   min={formData.dueDate}
-                  disabled={formData.repeatFrequency === "none"}
+                  disabled={
+                    formData.repeatFrequency === "none" ||
+                    (isOccurrence && scope === "this")
+                  }
                 />
                 <p className="text-sm text-gray-500">
                   If set, this task will repeat according to the selected
@@ -690,6 +837,22 @@ const TaskForm = ({ task, initialDate, onSave, onCancel }) => {
                 </p>
               </div>
 
+              {isOccurrence && (
+                <div className="space-y-2">
+                  <Label htmlFor="recurrenceScope">Apply changes to</Label>
+                  <Select value={scope} onValueChange={setScope}>
+                    <SelectTrigger id="recurrenceScope">
+                      <SelectValue placeholder="Select occurrences" />
+                    </SelectTrigger>
+                    <SelectContent>
+                      <SelectItem value="this">This occurrence</SelectItem>
+                      <SelectItem value="following">This and following</SelectItem>
+                      <SelectItem value="all">All occurrences</SelectItem>
+                    </SelectContent>
+                  </Select>
+                </div>
+              )}
+
               {/* Form action buttons: save or cancel */}
               <div className="flex space-x-2 pt-4">
                 <Button
@@ -3,6 +3,9 @@ import { useState, memo, useMemo, useCallback, useEffect } from "react";
 import { motion, AnimatePresence } from "framer-motion";
 import { useDateRefresh } from "../hooks/useDateRefresh";
 import { useBulkActions } from "../hooks/useBulkActions";
+import { useProjectsQuery } from "../hooks/queries/projectQueries";
+import { useWorkspaceMembersQuery } from "../hooks/queries/workspaceQueries";
+import { useApp } from "../contexts/AppContext";
 import { CheckCircle, Clock, Calendar, Trash2, Filter, ListChecks, ChevronDown, ChevronUp, Copy, CalendarPlus, Edit, MoreVertical, ChevronLeft, ChevronRight, X, CheckSquare, Square, Check } from "lucide-react";
 import { isOverdue } from "../utils/dateUtils";
 import { playCompleteSound } from "../utils/audioUtils";
@@ -27,6 +30,7 @@ import {
 } from "@/components/ui/dropdown-menu.jsx";
 import { EmptyState } from "./common/EmptyState";
 import HighlightText from "./common/HighlightText";
+import AssigneeChips from "./common/AssigneeChips";
 import { ConfirmDialog } from "./ui/ConfirmDialog";
 
 const FilterDropdown = ({ value, onChange, options, placeholder, width = "w-32" }) => {
@@ -96,13 +100,14 @@ function TagFilter({ tasks, tagFilter, setTagFilter }) {
   );
 }
 
-const TaskList = ({ tasks, onTaskClick, onEditTask, onToggleComplete, onDeleteTask, onToggleSubtask }) => {
+const TaskList = ({ tasks, onTaskClick, onEditTask, onToggleComplete, onDeleteTask, onBulkDelete, onToggleSubtask }) => {
   // Use the date refresh hook to handle midnight transitions
   const { getToday, getTomorrow, getDayAfterTomorrow, now } = useDateRefresh();
   
   // Bulk actions state
   const {
     selectedIds,
+    selectedArray,
     isSelectMode,
     hasSelection,
     selectionCount,
@@ -129,12 +134,10 @@ const TaskList = ({ tasks, onTaskClick, onEditTask, onToggleComplete, onDeleteTa
   const handleBulkDelete = useCallback(() => {
     if (window.confirm(`Delete ${selectionCount} selected task(s)?`)) {
       haptics.medium();
-      selectedIds.forEach(id => {
-        onDeleteTask(id);
-      });
+      onBulkDelete(selectedArray);
       exitSelectMode();
     }
-  }, [selectedIds, selectionCount, onDeleteTask, exitSelectMode]);
+  }, [selectedArray, selectionCount, onBulkDelete, exitSelectMode]);
   
   const [expandedTasks, setExpandedTasks] = useState(new Set());
 
@@ -159,10 +162,32 @@ const TaskList = ({ tasks, onTaskClick, onEditTask, onToggleComplete, onDeleteTa
       timeStr
     );
   }
-  const [filter, setFilter] = useState("all"); // Task status filter: all, pending, completed
+  const [filter, setFilter] = useState("all"); // Task status filter: all, pending, blocked, completed
   const [tagFilter, setTagFilter] = useState([]); // Selected tags for filtering
   const [sortBy, setSortBy] = useState("dueDate"); // Sorting method: dueDate, priority, title
   const [dayFilter, setDayFilter] = useState("today"); // Day filter: today, tomorrow, week, etc.
+  const [projectFilter, setProjectFilter] = useState("all"); // Project id, "none" or "all"
+  const [assigneeFilter, setAssigneeFilter] = useState("all"); // "me", "unassigned" or "all"
+
+  const { user } = useApp();
+  const { data: members = [] } = useWorkspaceMembersQuery();
+
+  // Archived projects are still listed so their tasks keep a label
+  const { data: projects = [] } = useProjectsQuery({ includeArchived: true });
+  const projectsById = useMemo(
+    () => new Map(projects.map((project) => [project.id, project])),
+    [projects]
+  );
+
+  // A task is blocked while any of its prerequisites is still pending
+  const blockedIds = useMemo(() => {
+    const pending = new Set(tasks.filter((task) => !task.isCompleted).map((task) => task.id));
+    return new Set(
+      tasks
+        .filter((task) => !task.isCompleted && task.blockedBy?.some((id) => pending.has(id)))
+        .map((task) => task.id)
+    );
+  }, [tasks]);
   
   // Pagination state
   const [currentPage, setCurrentPage] = useState(1);
@@ -188,6 +213,9 @@ const TaskList = ({ tasks, onTaskClick, onEditTask, onToggleComplete, onDeleteTa
       case "pending":
         filteredTasks = filteredTasks.filter((task) => !task.isCompleted);
         break;
+      case "blocked":
+        filteredTasks = filteredTasks.filter((task) => blockedIds.has(task.id));
+        break;
       case "completed":
         filteredTasks = filteredTasks.filter((task) => task.isCompleted);
         break;
@@ -204,6 +232,20 @@ const TaskList = ({ tasks, onTaskClick, onEditTask, onToggleComplete, onDeleteTa
       );
     }
 
+    // Project filter
+    if (projectFilter === "none") {
+      filteredTasks = filteredTasks.filter((task) => !task.projectId);
+    } else if (projectFilter !== "all") {
+      filteredTasks = filteredTasks.filter((task) => task.projectId === projectFilter);
+    }
+
+    // Assignee filter
+    if (assigneeFilter === "me") {
+      filteredTasks = filteredTasks.filter((task) => task.assignees?.includes(user?.id));
+    } else if (assigneeFilter === "unassigned") {
+      filteredTasks = filteredTasks.filter((task) => !task.assignees?.length);
+    }
+
     // Day filter
     if (dayFilter !== "all") {
       const todayStr = getToday();
@@ -284,7 +326,7 @@ const TaskList = ({ tasks, onTaskClick, onEditTask, onToggleComplete, onDeleteTa
   // Reset to first page when filters change
   useEffect(() => {
     setCurrentPage(1);
-  }, [filter, tagFilter, sortBy, dayFilter, search]);
+  }, [filter, tagFilter, sortBy, dayFilter, projectFilter, assigneeFilter, search]);
 
   // Renders the main task list UI with filters, search, and summary
   return (
@@ -311,6 +353,7 @@ const TaskList = ({ tasks, onTaskClick, onEditTask, onToggleComplete, onDeleteTa
                         options={[
                           { value: "all", label: "All Statuses" },
                           { value: "pending", label: "Pending" },
+                          { value: "blocked", label: "Blocked" },
                           { value: "completed", label: "Completed" },
                         ]}
                       />
@@ -343,6 +386,34 @@ const TaskList = ({ tasks, onTaskClick, onEditTask, onToggleComplete, onDeleteTa
                           }))
                         ]}
                       />
+                      {projects.length > 0 && (
+                        <FilterDropdown
+                          value={projectFilter}
+                          onChange={setProjectFilter}
+                          width="w-32"
+                          placeholder="All Projects"
+                          options={[
+                            { value: "all", label: "All Projects" },
+                            { value: "none", label: "No Project" },
+                            ...projects
+                              .filter((project) => !project.isArchived)
+                              .map((project) => ({ value: project.id, label: project.name })),
+                          ]}
+                        />
+                      )}
+                      {members.length > 1 && (
+                        <FilterDropdown
+                          value={assigneeFilter}
+                          onChange={setAssigneeFilter}
+                          width="w-32"
+                          placeholder="Everyone"
+                          options={[
+                            { value: "all", label: "Everyone" },
+                            { value: "me", label: "Assigned to me" },
+                            { value: "unassigned", label: "Unassigned" },
+                          ]}
+                        />
+                      )}
                       <FilterDropdown
                         value={sortBy}
                         onChange={setSortBy}
@@ -596,7 +667,33 @@ const TaskList = ({ tasks, onTaskClick, onEditTask, onToggleComplete, onDeleteTa
                         >
                           <HighlightText text={task.title} query={search} />
                         </h3>
+                        <AssigneeChips ids={task.assignees} members={members} />
                         <div className="flex flex-wrap gap-1 mt-1">
+                          {blockedIds.has(task.id) && (
+                            <Badge
+                              variant="outline"
+                              className="text-xs border-amber-500 text-amber-600 dark:text-amber-400"
+                              title={`Waiting on ${task.blockedBy
+                                .map((id) => tasks.find((t) => t.id === id)?.title)
+                                .filter(Boolean)
+                                .join(", ")}`}
+                            >
+                              Blocked
+                            </Badge>
+                          )}
+                          {projectsById.has(task.projectId) && (
+                            <Badge
+                              variant="outline"
+                              className="text-xs truncate max-w-[120px]"
+                              style={{ borderColor: projectsById.get(task.projectId).color }}
+                            >
+                              <span
+                                className="h-2 w-2 rounded-full mr-1 shrink-0"
+                                style={{ backgroundColor: projectsById.get(task.projectId).color }}
+                              />
+                              {projectsById.get(task.projectId).name}
+                            </Badge>
+                          )}
                           {Array.isArray(task.tags) &&
                             task.tags.map((tag) => (
                               <Badge
@@ -0,0 +1,41 @@
+import React from "react";
+import { Avatar, AvatarFallback } from "@/components/ui/avatar";
+
+const initials = (name = "") =>
+  name
+    .split(/\s+/)
+    .filter(Boolean)
+    .slice(0, 2)
+    .map((part) => part[0].toUpperCase())
+    .join("");
+
+/**
+ * Overlapping initials for the members a task or TODO is assigned to.
+ */
+const AssigneeChips = ({ ids = [], members = [], max = 3 }) => {
+  const assigned = ids.map((id) => members.find((m) => m.id === id)).filter(Boolean);
+  if (assigned.length === 0) return null;
+
+  const hidden = assigned.length - max;
+  return (
+    <div
+      className="flex -space-x-1.5 shrink-0"
+      title={assigned.map((member) => member.name).join(", ")}
+    >
+      {assigned.slice(0, max).map((member) => (
+        <Avatar key={member.id} className="size-5 ring-2 ring-background">
+          <AvatarFallback className="text-[9px] font-semibold bg-primary/15 text-primary">
+            {initials(member.name)}
+          </AvatarFallback>
+        </Avatar>
+      ))}
+      {hidden > 0 && (
+        <Avatar className="size-5 ring-2 ring-background">
+          <AvatarFallback className="text-[9px]">+{hidden}</AvatarFallback>
+        </Avatar>
+      )}
+    </div>
+  );
+};
+
+export default AssigneeChips;
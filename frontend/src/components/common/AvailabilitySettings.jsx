@@ -0,0 +1,196 @@
+import React, { useState } from "react";
+import { Plus, X } from "lucide-react";
+import { Button } from "../ui/button";
+import { useApp } from "../../contexts/AppContext";
+import { useSettingsQuery, useUpdateSettingsMutation } from "../../hooks/queries/settingsQueries";
+import { windowsProblem } from "../../utils/availability";
+import { getToday } from "../../utils/dateUtils";
+
+const WEEKDAYS = ["Sun", "Mon", "Tue", "Wed", "Thu", "Fri", "Sat"];
+
+// Monday first
+const WEEK_ORDER = [1, 2, 3, 4, 5, 6, 0];
+
+const inputClass = "border rounded-md px-2 py-1 text-sm dark:bg-gray-800";
+
+/**
+ * A new window picks up where the day's last one ends; the first one is a working day.
+ */
+const nextWindow = (windows) => {
+  const last = windows[windows.length - 1];
+  return last && last.end < "23:00" ? { start: last.end, end: "23:00" } : { start: "09:00", end: "17:00" };
+};
+
+const WindowList = ({ windows, onChange, emptyLabel }) => (
+  <div className="flex flex-wrap items-center gap-2">
+    {windows.length === 0 && <span className="text-xs text-muted-foreground">{emptyLabel}</span>}
+    {windows.map((window, index) => (
+      <span key={index} className="flex items-center gap-1">
+        <input
+          type="time"
+          value={window.start}
+          onChange={(e) => onChange(windows.map((w, i) => (i === index ? { ...w, start: e.target.value } : w)))}
+          className={inputClass}
+          aria-label="Window start"
+        />
+        –
+        <input
+          type="time"
+          value={window.end}
+          onChange={(e) => onChange(windows.map((w, i) => (i === index ? { ...w, end: e.target.value } : w)))}
+          className={inputClass}
+          aria-label="Window end"
+        />
+        <Button
+          type="button"
+          variant="ghost"
+          size="sm"
+          onClick={() => onChange(windows.filter((_, i) => i !== index))}
+          aria-label="Remove window"
+        >
+          <X className="h-3 w-3" />
+        </Button>
+      </span>
+    ))}
+    <Button type="button" variant="ghost" size="sm" onClick={() => onChange([...windows, nextWindow(windows)])}>
+      <Plus className="h-3 w-3" /> Window
+    </Button>
+  </div>
+);
+
+const AvailabilityEditor = ({ initial }) => {
+  const { showNotification } = useApp();
+  const updateSettings = useUpdateSettingsMutation();
+  const [weekly, setWeekly] = useState(() => initial.weekly || []);
+  const [overrides, setOverrides] = useState(() => initial.overrides || []);
+
+  const windowsOf = (weekday) => weekly.filter((w) => w.weekday === weekday);
+  const setDay = (weekday, windows) =>
+    setWeekly([...weekly.filter((w) => w.weekday !== weekday), ...windows.map((w) => ({ ...w, weekday }))]);
+  const setOverride = (index, changes) =>
+    setOverrides(overrides.map((o, i) => (i === index ? { ...o, ...changes } : o)));
+
+  const save = () => {
+    const problem =
+      WEEK_ORDER.map((weekday) => windowsProblem(windowsOf(weekday))).find(Boolean) ||
+      overrides
+        .map((o) =>
+          o.from && o.to && o.from <= o.to
+            ? windowsProblem(o.windows)
+            : "Each exception needs a start date on or before its end date"
+        )
+        .find(Boolean);
+    if (problem) {
+      showNotification({ type: "error", message: "Could not save availability", details: problem });
+      return;
+    }
+
+    updateSettings.mutate(
+      { availability: { weekly, overrides } },
+      {
+        onSuccess: () => showNotification({ type: "success", message: "Availability saved" }),
+        onError: (error) =>
+          showNotification({
+            type: "error",
+            message: "Could not save availability",
+            details: error.response?.data?.message || error.message,
+          }),
+      }
+    );
+  };
+
+  return (
+    <div className="space-y-3">
+      <div className="space-y-1">
+        <span className="block text-sm font-medium">Weekly availability</span>
+        {WEEK_ORDER.map((weekday) => (
+          <div key={weekday} className="flex items-start gap-2">
+            <span className="w-10 pt-1 text-sm">{WEEKDAYS[weekday]}</span>
+            <WindowList
+              windows={windowsOf(weekday)}
+              onChange={(windows) => setDay(weekday, windows)}
+              emptyLabel={weekly.length ? "Day off" : "Default hours"}
+            />
+          </div>
+        ))}
+        <p className="text-xs text-muted-foreground">
+          Leave a gap between windows for breaks. Until any window is set, every day uses your default hours.
+        </p>
+      </div>
+
+      <div className="space-y-1">
+        <span className="block text-sm font-medium">Exceptions</span>
+        {overrides.map((override, index) => (
+          <div key={index} className="space-y-1 rounded-md border p-2">
+            <div className="flex flex-wrap items-center gap-1">
+              <input
+                type="date"
+                value={override.from}
+                onChange={(e) => setOverride(index, { from: e.target.value })}
+                className={inputClass}
+                aria-label="Exception start date"
+              />
+              –
+              <input
+                type="date"
+                value={override.to}
+                onChange={(e) => setOverride(index, { to: e.target.value })}
+                className={inputClass}
+                aria-label="Exception end date"
+              />
+              <input
+                type="text"
+                value={override.label || ""}
+                onChange={(e) => setOverride(index, { label: e.target.value })}
+                placeholder="e.g. Holiday"
+                className={`${inputClass} flex-1`}
+                aria-label="Exception label"
+              />
+              <Button
+                type="button"
+                variant="ghost"
+                size="sm"
+                onClick={() => setOverrides(overrides.filter((_, i) => i !== index))}
+                aria-label="Remove exception"
+              >
+                <X className="h-3 w-3" />
+              </Button>
+            </div>
+            <WindowList
+              windows={override.windows}
+              onChange={(windows) => setOverride(index, { windows })}
+              emptyLabel="Away"
+            />
+          </div>
+        ))}
+        <Button
+          type="button"
+          variant="ghost"
+          size="sm"
+          onClick={() => setOverrides([...overrides, { from: getToday(), to: getToday(), windows: [], label: "" }])}
+        >
+          <Plus className="h-3 w-3" /> Exception
+        </Button>
+      </div>
+
+      <Button type="button" variant="outline" size="sm" onClick={save} disabled={updateSettings.isPending}>
+        Save availability
+      </Button>
+    </div>
+  );
+};
+
+/**
+ * Weekly working windows and dated exceptions, such as holidays, used when the server
+ * plans and suggests slots. Edits are kept locally until saved.
+ */
+const AvailabilitySettings = () => {
+  const { isLoggedIn } = useApp();
+  const { data: settings } = useSettingsQuery();
+
+  if (!isLoggedIn() || !settings) return null;
+
+  return <AvailabilityEditor initial={settings.availability || {}} />;
+};
+
+export default AvailabilitySettings;
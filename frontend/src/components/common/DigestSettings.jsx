@@ -0,0 +1,79 @@
+import React from "react";
+import { useApp } from "../../contexts/AppContext";
+import { useSettingsQuery, useUpdateSettingsMutation } from "../../hooks/queries/settingsQueries";
+
+const WEEKDAYS = ["Sunday", "Monday", "Tuesday", "Wednesday", "Thursday", "Friday", "Saturday"];
+
+/**
+ * Opt-in for the morning email digest. Changes save straight away; the time is read in
+ * the time zone chosen above.
+ */
+const DigestSettings = () => {
+  const { isLoggedIn, showNotification } = useApp();
+  const { data: settings } = useSettingsQuery();
+  const updateSettings = useUpdateSettingsMutation();
+
+  if (!isLoggedIn() || !settings) return null;
+
+  const digest = settings.digest || { frequency: "off", time: "07:00", weekday: 1 };
+  const save = (changes) =>
+    updateSettings.mutate(
+      { digest: changes },
+      {
+        onError: (error) =>
+          showNotification({
+            type: "error",
+            message: "Could not change the email digest",
+            details: error.response?.data?.message || error.message,
+          }),
+      }
+    );
+
+  return (
+    <div className="space-y-2">
+      <label htmlFor="digest-frequency" className="block text-sm font-medium">
+        Email digest
+      </label>
+      <div className="flex flex-wrap gap-2">
+        <select
+          id="digest-frequency"
+          value={digest.frequency}
+          onChange={(e) => save({ frequency: e.target.value })}
+          className="border rounded-md px-3 py-2 dark:bg-gray-800"
+        >
+          <option value="off">Off</option>
+          <option value="daily">Daily</option>
+          <option value="weekly">Weekly</option>
+        </select>
+        {digest.frequency === "weekly" && (
+          <select
+            value={digest.weekday}
+            onChange={(e) => save({ weekday: Number(e.target.value) })}
+            className="border rounded-md px-3 py-2 dark:bg-gray-800"
+            aria-label="Digest day"
+          >
+            {WEEKDAYS.map((day, index) => (
+              <option key={day} value={index}>
+                {day}
+              </option>
+            ))}
+          </select>
+        )}
+        {digest.frequency !== "off" && (
+          <input
+            type="time"
+            value={digest.time}
+            onChange={(e) => e.target.value && save({ time: e.target.value })}
+            className="border rounded-md px-3 py-2 dark:bg-gray-800"
+            aria-label="Digest time"
+          />
+        )}
+      </div>
+      <p className="text-xs text-muted-foreground">
+        Today's tasks, overdue work and suggested slots, sent to your email at this time in your time zone.
+      </p>
+    </div>
+  );
+};
+
+export default DigestSettings;
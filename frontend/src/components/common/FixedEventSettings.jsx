@@ -0,0 +1,112 @@
+import React, { useState } from "react";
+import { Plus, X } from "lucide-react";
+import { Button } from "../ui/button";
+import { useApp } from "../../contexts/AppContext";
+import { useSettingsQuery, useUpdateSettingsMutation } from "../../hooks/queries/settingsQueries";
+import { FIXED_RULE_TYPES, DEFAULT_FIXED_RULES } from "../../utils/fixedEvents";
+
+const inputClass = "border rounded-md px-2 py-1 text-sm dark:bg-gray-800";
+
+const PLACEHOLDERS = {
+  tag: "e.g. lecture",
+  source: "Calendar name, or * for any",
+  title: "e.g. Standup*",
+};
+
+const FixedEventEditor = ({ initial }) => {
+  const { showNotification } = useApp();
+  const updateSettings = useUpdateSettingsMutation();
+  const [rules, setRules] = useState(initial);
+
+  const setRule = (index, changes) => setRules(rules.map((r, i) => (i === index ? { ...r, ...changes } : r)));
+
+  const save = () => {
+    const filled = rules.filter((rule) => rule.value.trim());
+    updateSettings.mutate(
+      { fixedEventRules: filled },
+      {
+        onSuccess: () => {
+          setRules(filled);
+          showNotification({ type: "success", message: "Fixed-event rules saved" });
+        },
+        onError: (error) =>
+          showNotification({
+            type: "error",
+            message: "Could not save fixed-event rules",
+            details: error.response?.data?.message || error.message,
+          }),
+      }
+    );
+  };
+
+  return (
+    <div className="space-y-1">
+      <span className="block text-sm font-medium">Fixed events</span>
+      {rules.length === 0 && <p className="text-xs text-muted-foreground">No rules; every task can be moved.</p>}
+      {rules.map((rule, index) => (
+        <div key={index} className="flex flex-wrap items-center gap-1">
+          <select
+            value={rule.type}
+            onChange={(e) => setRule(index, { type: e.target.value })}
+            className={inputClass}
+            aria-label="Rule type"
+          >
+            {FIXED_RULE_TYPES.map(({ value, label }) => (
+              <option key={value} value={value}>
+                {label}
+              </option>
+            ))}
+          </select>
+          <input
+            type="text"
+            value={rule.value}
+            onChange={(e) => setRule(index, { value: e.target.value })}
+            placeholder={PLACEHOLDERS[rule.type]}
+            maxLength={100}
+            className={`${inputClass} flex-1`}
+            aria-label="Rule value"
+          />
+          <Button
+            type="button"
+            variant="ghost"
+            size="sm"
+            onClick={() => setRules(rules.filter((_, i) => i !== index))}
+            aria-label="Remove rule"
+          >
+            <X className="h-3 w-3" />
+          </Button>
+        </div>
+      ))}
+      <div className="flex flex-wrap gap-2">
+        <Button type="button" variant="ghost" size="sm" onClick={() => setRules([...rules, { type: "tag", value: "" }])}>
+          <Plus className="h-3 w-3" /> Rule
+        </Button>
+        <Button type="button" variant="ghost" size="sm" onClick={() => setRules(DEFAULT_FIXED_RULES)}>
+          Restore defaults
+        </Button>
+      </div>
+      <p className="text-xs text-muted-foreground">
+        Matching tasks keep their time: the scheduler plans around them and never suggests moving them. A task set to
+        fixed or flexible in its own form ignores these rules.
+      </p>
+      <Button type="button" variant="outline" size="sm" onClick={save} disabled={updateSettings.isPending}>
+        Save rules
+      </Button>
+    </div>
+  );
+};
+
+/**
+ * The rules deciding which tasks are fixed events, by tag, imported calendar or title
+ * pattern. Edits are kept locally until saved.
+ */
+const FixedEventSettings = () => {
+  const { isLoggedIn } = useApp();
+  const { data: settings } = useSettingsQuery();
+
+  if (!isLoggedIn() || !settings) return null;
+
+  return <FixedEventEditor initial={settings.fixedEventRules || DEFAULT_FIXED_RULES} />;
+};
+
+export default FixedEventSettings;
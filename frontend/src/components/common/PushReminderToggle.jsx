@@ -0,0 +1,70 @@
+import React, { useEffect, useState } from "react";
+import { Switch } from "@/components/ui/switch";
+import { useApp } from "../../contexts/AppContext";
+import {
+  isPushSupported,
+  getPushSubscription,
+  subscribeToPush,
+  unsubscribeFromPush,
+} from "../../utils/pushNotifications";
+
+/**
+ * Turns task reminders on or off for this browser. Reminders are sent by the server,
+ * so guests cannot have them.
+ */
+const PushReminderToggle = () => {
+  const { isLoggedIn, showNotification } = useApp();
+  const [enabled, setEnabled] = useState(false);
+  const [busy, setBusy] = useState(false);
+
+  useEffect(() => {
+    getPushSubscription()
+      .then((subscription) => setEnabled(!!subscription))
+      .catch(() => setEnabled(false));
+  }, []);
+
+  if (!isPushSupported()) return null;
+
+  const handleChange = async (checked) => {
+    setBusy(true);
+    try {
+      if (checked) {
+        await subscribeToPush();
+      } else {
+        await unsubscribeFromPush();
+      }
+      setEnabled(checked);
+    } catch (error) {
+      showNotification({
+        type: "error",
+        message: "Could not change reminders",
+        details: error.response?.data?.message || error.message,
+      });
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  return (
+    <div className="flex items-center justify-between gap-4">
+      <div>
+        <label htmlFor="push-reminders" className="block text-sm font-medium">
+          Task reminders
+        </label>
+        <p className="text-xs text-muted-foreground">
+          {isLoggedIn()
+            ? "Notify this device before tasks are due"
+            : "Sign in to get reminders on this device"}
+        </p>
+      </div>
+      <Switch
+        id="push-reminders"
+        checked={enabled}
+        disabled={busy || !isLoggedIn()}
+        onCheckedChange={handleChange}
+      />
+    </div>
+  );
+};
+
+export default PushReminderToggle;
@@ -0,0 +1,59 @@
+import React, { useRef } from "react";
+import { cn } from "@/lib/utils";
+import { segmentText } from "../../utils/quickAddParser";
+
+const TOKEN_STYLES = {
+  date: "bg-sky-200/70 dark:bg-sky-800/60",
+  time: "bg-indigo-200/70 dark:bg-indigo-800/60",
+  duration: "bg-amber-200/70 dark:bg-amber-800/60",
+  tag: "bg-emerald-200/70 dark:bg-emerald-800/60",
+  priority: "bg-rose-200/70 dark:bg-rose-800/60",
+  recurrence: "bg-violet-200/70 dark:bg-violet-800/60",
+};
+
+/**
+ * A text input that highlights the phrases the quick-add parser recognised. The
+ * highlights are drawn on a layer behind the transparent input, kept in step with its
+ * horizontal scroll.
+ */
+const QuickAddInput = ({ value, tokens, className, onScroll, ...props }) => {
+  const backdropRef = useRef(null);
+
+  const handleScroll = (e) => {
+    if (backdropRef.current) backdropRef.current.scrollLeft = e.currentTarget.scrollLeft;
+    onScroll?.(e);
+  };
+
+  return (
+    <div className="relative">
+      <div
+        ref={backdropRef}
+        aria-hidden="true"
+        className="absolute inset-0 overflow-hidden whitespace-pre rounded-md border border-transparent px-3 py-1 text-base leading-7 text-transparent md:text-sm"
+      >
+        {segmentText(value, tokens).map((segment, index) =>
+          segment.type ? (
+            <mark key={index} className={cn("rounded-sm text-transparent", TOKEN_STYLES[segment.type])}>
+              {segment.text}
+            </mark>
+          ) : (
+            <span key={index}>{segment.text}</span>
+          )
+        )}
+      </div>
+      <input
+        type="text"
+        value={value}
+        onScroll={handleScroll}
+        className={cn(
+          "placeholder:text-muted-foreground border-input relative flex h-9 w-full min-w-0 rounded-md border bg-transparent px-3 py-1 text-base leading-7 shadow-xs outline-none md:text-sm",
+          "focus-visible:border-ring focus-visible:ring-ring/50 focus-visible:ring-[3px]",
+          className
+        )}
+        {...props}
+      />
+    </div>
+  );
+};
+
+export default QuickAddInput;
@@ -0,0 +1,69 @@
+import React from "react";
+import { Button } from "../ui/button";
+import { useApp } from "../../contexts/AppContext";
+import { useSettingsQuery, useUpdateSettingsMutation } from "../../hooks/queries/settingsQueries";
+
+const deviceTimeZone = () => Intl.DateTimeFormat().resolvedOptions().timeZone;
+
+const timeZoneOptions = (current) => {
+  const zones = typeof Intl.supportedValuesOf === "function" ? Intl.supportedValuesOf("timeZone") : [];
+  return [...new Set([current, deviceTimeZone(), "UTC", ...zones])];
+};
+
+/**
+ * The zone the server uses for "today", overdue tasks and suggested slot times.
+ */
+const TimeZoneSettings = () => {
+  const { isLoggedIn, showNotification } = useApp();
+  const { data: settings } = useSettingsQuery();
+  const updateSettings = useUpdateSettingsMutation();
+
+  if (!isLoggedIn() || !settings) return null;
+
+  const current = settings.timeZone || "UTC";
+  const device = deviceTimeZone();
+  const save = (timeZone) =>
+    updateSettings.mutate(
+      { timeZone },
+      {
+        onError: (error) =>
+          showNotification({
+            type: "error",
+            message: "Could not change the time zone",
+            details: error.response?.data?.message || error.message,
+          }),
+      }
+    );
+
+  return (
+    <div className="space-y-2">
+      <label htmlFor="settings-time-zone" className="block text-sm font-medium">
+        Time zone
+      </label>
+      <div className="flex flex-wrap gap-2">
+        <select
+          id="settings-time-zone"
+          value={current}
+          onChange={(e) => save(e.target.value)}
+          className="border rounded-md px-3 py-2 dark:bg-gray-800"
+        >
+          {timeZoneOptions(current).map((zone) => (
+            <option key={zone} value={zone}>
+              {zone.replace(/_/g, " ")}
+            </option>
+          ))}
+        </select>
+        {current !== device && (
+          <Button type="button" variant="outline" size="sm" className="self-center" onClick={() => save(device)}>
+            Use {device.replace(/_/g, " ")} (this device)
+          </Button>
+        )}
+      </div>
+      <p className="text-xs text-muted-foreground">
+        Decides when your day starts for today's tasks, overdue work and suggested slots.
+      </p>
+    </div>
+  );
+};
+
+export default TimeZoneSettings;
@@ -1,11 +1,16 @@
-import React from "react";
+import React, { useState } from "react";
 import { useNavigate } from "react-router-dom";
 import { useQueryClient } from "@tanstack/react-query";
 import { useApp } from "../../contexts/AppContext";
 import { Button } from "../ui/button";
-import { Keyboard, Upload, Download, Plus, Settings, Moon, Sun, LogOut } from "lucide-react";
+import { Keyboard, Upload, Download, Plus, Settings, Moon, Sun, LogOut, Trash2 } from "lucide-react";
 import { importAllData, importICS, exportAllData } from "../../utils/storage";
 import { useIsMobile } from "../../hooks/use-mobile";
+import ImportPreviewModal from "../modals/ImportPreviewModal";
+import TrashModal from "../modals/TrashModal";
+import WorkspaceSwitcher from "./WorkspaceSwitcher";
+import SyncStatus from "./SyncStatus";
+import RunningTimer from "./RunningTimer";
 
 const Header = ({
   onOpenShortcuts,
@@ -21,6 +26,8 @@ const Header = ({
     logout,
   } = useApp();
   const isMobile = useIsMobile();
+  const [pendingImport, setPendingImport] = useState(null);
+  const [showTrash, setShowTrash] = useState(false);
 
   const handleLogout = async () => {
     await logout();
@@ -59,16 +66,9 @@ const Header = ({
     }
     const name = file.name.toLowerCase();
     if (name.endsWith(".json")) {
-      importAllData(file)
-        .then(({ tasksImported, todosImported }) => {
-          queryClient.invalidateQueries({ queryKey: ['tasks'] });
-          queryClient.invalidateQueries({ queryKey: ['todos'] });
-          showNotification({
-            type: "success",
-            message: "Data imported successfully",
-            details: `${tasksImported} tasks and ${todosImported} TODOs imported from ${file.name}`,
-          });
-        })
+      // Preview the changes first; the import itself runs once the user picks a mode
+      importAllData(file, "dryRun")
+        .then((report) => setPendingImport({ file, report }))
         .catch((err) => {
           showNotification({
             type: "error",
@@ -78,12 +78,16 @@ const Header = ({
         });
     } else if (name.endsWith(".ics")) {
       importICS(file)
-        .then(({ tasksAdded }) => {
+        .then(({ tasksAdded, tasksUpdated = 0, skipped = [] }) => {
           queryClient.invalidateQueries({ queryKey: ['tasks'] });
+          const extras = [
+            tasksUpdated > 0 && `${tasksUpdated} updated`,
+            skipped.length > 0 && `${skipped.length} skipped`,
+          ].filter(Boolean);
           showNotification({
             type: "success",
             message: "Calendar imported",
-            details: `${tasksAdded} events imported from ${file.name}`,
+            details: `${tasksAdded} events imported from ${file.name}${extras.length ? ` (${extras.join(", ")})` : ""}`,
           });
         })
         .catch((err) => {
@@ -103,6 +107,38 @@ const Header = ({
     e.target.value = "";
   };
 
+  const handleConfirmImport = (mode) => {
+    const { file } = pendingImport;
+    setPendingImport(null);
+    importAllData(file, mode)
+      .then(({ tasksImported, todosImported }) => {
+        queryClient.invalidateQueries({ queryKey: ['tasks'] });
+        queryClient.invalidateQueries({ queryKey: ['todos'] });
+        showNotification({
+          type: "success",
+          message: "Data imported successfully",
+          details: `${tasksImported} tasks and ${todosImported} TODOs imported from ${file.name}`,
+        });
+      })
+      .catch((err) => {
+        showNotification({
+          type: "error",
+          message: "Import failed",
+          details: err.message,
+        });
+      });
+  };
+
+  const importPreview = (
+    <ImportPreviewModal
+      isOpen={!!pendingImport}
+      onClose={() => setPendingImport(null)}
+      onConfirm={handleConfirmImport}
+      report={pendingImport?.report}
+      fileName={pendingImport?.file.name}
+    />
+  );
+
   if (isMobile) {
     return (
       <header className="mb-4 sticky top-0 z-40 bg-background/80 backdrop-blur-md border-b pb-3 pt-2 -mx-4 px-4">
@@ -119,6 +155,9 @@ const Header = ({
           </div>
           
           <div className="flex items-center space-x-4">
+             <RunningTimer compact />
+             <SyncStatus compact />
+             <WorkspaceSwitcher compact />
              <Button
                 variant="ghost"
                 size="icon"
@@ -155,6 +194,15 @@ const Header = ({
             >
               {isDarkMode ? <Moon className="h-5 w-5" /> : <Sun className="h-5 w-5" />}
             </Button>
+            <Button
+              variant="ghost"
+              size="icon"
+              onClick={() => setShowTrash(true)}
+              className="rounded-full"
+              title="Trash"
+            >
+              <Trash2 className="h-5 w-5" />
+            </Button>
             <Button
               variant="ghost"
               size="icon"
@@ -174,6 +222,8 @@ const Header = ({
             </Button>
           </div>
         </div>
+        {importPreview}
+        <TrashModal isOpen={showTrash} onClose={() => setShowTrash(false)} />
       </header>
     );
   }
@@ -204,6 +254,9 @@ const Header = ({
           </div>
         </div>
         <div className="flex items-center space-x-3 header-controls">
+          <RunningTimer />
+          <SyncStatus />
+          <WorkspaceSwitcher />
           {/* Settings and Dark Mode */}
           <div className="flex items-center space-x-2 header-buttons">
             <Button
@@ -227,6 +280,16 @@ const Header = ({
               <Settings className="h-4 w-4 mr-2" />
               Settings
             </Button>
+            <Button
+              variant="outline"
+              size="sm"
+              aria-label="Trash"
+              onClick={() => setShowTrash(true)}
+              className="transition-all duration-300 hover:shadow-md active:scale-95 button"
+            >
+              <Trash2 className="h-4 w-4 mr-2" />
+              Trash
+            </Button>
             <Button
               variant="outline"
               size="sm"
@@ -301,6 +364,8 @@ const Header = ({
           </Button>
         </div>
       </div>
+      {importPreview}
+      <TrashModal isOpen={showTrash} onClose={() => setShowTrash(false)} />
     </header>
   );
 };
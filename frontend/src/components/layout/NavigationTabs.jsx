@@ -2,7 +2,7 @@ import React from "react";
 import { NavLink } from "react-router-dom";
 import { Button } from "../ui/button";
 import { useApp } from "../../contexts/AppContext";
-import { Calendar, CheckCircle, Sparkles, BarChart2, Expand, ChevronsDownUp } from "lucide-react";
+import { Calendar, CheckCircle, Sparkles, BarChart2, Brain, Expand, ChevronsDownUp } from "lucide-react";
 import { useIsMobile } from "../../hooks/use-mobile";
 import { useLocation } from "react-router-dom";
 
@@ -14,6 +14,7 @@ const NavigationTabs = ({ currentView, setCurrentView }) => {
   const isCalendar = location.pathname === "/calendar";
   const isScheduler = location.pathname === "/scheduler";
   const isStatistics = location.pathname === "/statistics";
+  const isFocus = location.pathname === "/focus";
 
   return (
     <div className="flex space-x-2 mb-8 navigation-container items-center relative">
@@ -35,6 +36,10 @@ const NavigationTabs = ({ currentView, setCurrentView }) => {
         <BarChart2 className="h-4 w-4" />
         <span>Statistics</span>
       </NavLink>
+      <NavLink to="/focus" className={({ isActive }) => isActive || isFocus ? "inline-flex items-center space-x-2 transition-all duration-300 hover:shadow-md active:scale-95 bg-primary text-primary-foreground shadow-xs rounded-md text-sm font-medium h-9 px-4 py-2" : "inline-flex items-center justify-center gap-2 whitespace-nowrap rounded-md text-sm font-medium transition-all disabled:pointer-events-none disabled:opacity-50 border border-input bg-background shadow-xs hover:bg-accent hover:text-accent-foreground dark:bg-input/30 dark:border-input dark:hover:bg-input/50 h-9 px-4 py-2"}>
+        <Brain className="h-4 w-4" />
+        <span>Focus</span>
+      </NavLink>
       {!isMobile && isCalendar && (
         <div
           style={{
@@ -0,0 +1,51 @@
+import React, { useEffect, useState } from "react";
+import { Button } from "../ui/button";
+import { Square, Timer } from "lucide-react";
+import { useRunningTimerQuery, useStopTimerMutation } from "../../hooks/queries/timeEntryQueries";
+import { formatElapsed } from "../../utils/dateUtils";
+
+/**
+ * Shows the timer running on a task, with a button to stop it. Hidden while no
+ * timer is running.
+ */
+const RunningTimer = ({ compact = false }) => {
+  const { data: entry } = useRunningTimerQuery();
+  const stopTimer = useStopTimerMutation();
+  const [now, setNow] = useState(Date.now());
+
+  useEffect(() => {
+    if (!entry) return undefined;
+    const interval = setInterval(() => setNow(Date.now()), 1000);
+    return () => clearInterval(interval);
+  }, [entry]);
+
+  if (!entry) return null;
+
+  const task = entry.taskId;
+  const elapsed = formatElapsed(now - new Date(entry.startedAt).getTime());
+
+  return (
+    <div className="flex items-center gap-1 rounded-md border border-primary/40 bg-primary/5 pl-2 text-sm">
+      <Timer className="h-4 w-4 text-primary" />
+      {!compact && (
+        <span className="max-w-[10rem] truncate" title={task?.title}>
+          {task?.title}
+        </span>
+      )}
+      <span className="font-mono tabular-nums">{elapsed}</span>
+      <Button
+        variant="ghost"
+        size="icon"
+        className="h-8 w-8"
+        title="Stop timer"
+        aria-label="Stop timer"
+        disabled={stopTimer.isPending}
+        onClick={() => stopTimer.mutate(task?._id)}
+      >
+        <Square className="h-4 w-4 fill-current" />
+      </Button>
+    </div>
+  );
+};
+
+export default RunningTimer;
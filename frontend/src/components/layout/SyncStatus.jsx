@@ -0,0 +1,48 @@
+import React, { useState } from "react";
+import { Button } from "../ui/button";
+import { AlertTriangle, CloudUpload } from "lucide-react";
+import { useSyncConflictsQuery, usePendingChangesQuery } from "../../hooks/queries/syncQueries";
+import SyncConflictsModal from "../modals/SyncConflictsModal";
+
+/**
+ * Shows offline changes still waiting to sync and any conflicts they ran into.
+ * Hidden while everything is in sync.
+ */
+const SyncStatus = ({ compact = false }) => {
+  const [isOpen, setIsOpen] = useState(false);
+  const { data: conflicts = [] } = useSyncConflictsQuery();
+  const { data: pendingCount = 0 } = usePendingChangesQuery();
+
+  if (conflicts.length === 0 && pendingCount === 0) return null;
+
+  const hasConflicts = conflicts.length > 0;
+  const Icon = hasConflicts ? AlertTriangle : CloudUpload;
+  const label = hasConflicts
+    ? `${conflicts.length} conflict${conflicts.length === 1 ? "" : "s"}`
+    : `${pendingCount} to sync`;
+
+  return (
+    <>
+      <Button
+        variant="outline"
+        size="sm"
+        onClick={() => setIsOpen(true)}
+        className={`transition-all duration-300 hover:shadow-md active:scale-95 button ${
+          hasConflicts ? "border-amber-500 text-amber-600 dark:text-amber-400" : ""
+        }`}
+        title={hasConflicts ? "Resolve sync conflicts" : "Offline changes waiting to sync"}
+      >
+        <Icon className={`h-4 w-4 ${compact ? "" : "mr-2"}`} />
+        {!compact && label}
+      </Button>
+      <SyncConflictsModal
+        isOpen={isOpen}
+        onClose={() => setIsOpen(false)}
+        conflicts={conflicts}
+        pendingCount={pendingCount}
+      />
+    </>
+  );
+};
+
+export default SyncStatus;
@@ -0,0 +1,145 @@
+import React from "react";
+import { useApp } from "../../contexts/AppContext";
+import { Button } from "../ui/button";
+import {
+  DropdownMenu,
+  DropdownMenuContent,
+  DropdownMenuItem,
+  DropdownMenuLabel,
+  DropdownMenuSeparator,
+  DropdownMenuTrigger,
+} from "../ui/dropdown-menu";
+import { Check, ChevronDown, Plus, UserPlus, Users } from "lucide-react";
+import {
+  useWorkspacesQuery,
+  useActiveWorkspace,
+  useCreateWorkspaceMutation,
+  useCreateInvitationMutation,
+  useAcceptInvitationMutation,
+} from "../../hooks/queries/workspaceQueries";
+
+const ROLE_LABELS = { owner: "Owner", editor: "Editor", viewer: "Viewer" };
+
+/**
+ * Lists the user's workspaces and switches between them. Owners of a shared
+ * workspace can invite members; anyone can join one with an invitation code.
+ */
+const WorkspaceSwitcher = ({ compact = false }) => {
+  const { user, showNotification } = useApp();
+  const { data: workspaces = [] } = useWorkspacesQuery();
+  const { activeWorkspaceId, switchWorkspace } = useActiveWorkspace();
+  const createWorkspace = useCreateWorkspaceMutation();
+  const createInvitation = useCreateInvitationMutation();
+  const acceptInvitation = useAcceptInvitationMutation();
+
+  const active =
+    workspaces.find((w) => w.id === activeWorkspaceId) ||
+    workspaces.find((w) => w.isPersonal);
+  const roleIn = (workspace) =>
+    workspace.members.find((m) => m.user === user?.id)?.role;
+
+  const notifyError = (message, error) =>
+    showNotification({
+      type: "error",
+      message,
+      details: error.response?.data?.message || error.message,
+    });
+
+  const handleCreate = () => {
+    const name = window.prompt("Workspace name")?.trim();
+    if (!name) return;
+    createWorkspace.mutate(
+      { name },
+      {
+        onSuccess: (workspace) => switchWorkspace(workspace),
+        onError: (error) => notifyError("Could not create workspace", error),
+      }
+    );
+  };
+
+  const handleInvite = (role) => {
+    createInvitation.mutate(
+      { workspaceId: active.id, role },
+      {
+        onSuccess: async ({ token, expiresAt }) => {
+          await navigator.clipboard?.writeText(token).catch(() => {});
+          showNotification({
+            type: "success",
+            message: `${ROLE_LABELS[role]} invitation created`,
+            details: `Code ${token} was copied to your clipboard. It works once and expires on ${new Date(expiresAt).toLocaleDateString()}.`,
+          });
+        },
+        onError: (error) => notifyError("Could not create invitation", error),
+      }
+    );
+  };
+
+  const handleJoin = () => {
+    const token = window.prompt("Invitation code")?.trim();
+    if (!token) return;
+    acceptInvitation.mutate(token, {
+      onSuccess: (workspace) => {
+        switchWorkspace(workspace);
+        showNotification({ type: "success", message: `Joined ${workspace.name}` });
+      },
+      onError: (error) => notifyError("Could not join workspace", error),
+    });
+  };
+
+  if (!active) return null;
+
+  return (
+    <DropdownMenu>
+      <DropdownMenuTrigger asChild>
+        <Button
+          variant="outline"
+          size="sm"
+          className="transition-all duration-300 hover:shadow-md active:scale-95 button max-w-[180px]"
+          title="Switch workspace"
+        >
+          <Users className={`h-4 w-4 shrink-0 ${compact ? "" : "mr-2"}`} />
+          {!compact && <span className="truncate">{active.name}</span>}
+          <ChevronDown className="h-3 w-3 ml-1 shrink-0" />
+        </Button>
+      </DropdownMenuTrigger>
+      <DropdownMenuContent align="end" className="w-60">
+        <DropdownMenuLabel>Workspaces</DropdownMenuLabel>
+        {workspaces.map((workspace) => (
+          <DropdownMenuItem
+            key={workspace.id}
+            onClick={() => workspace.id !== active.id && switchWorkspace(workspace)}
+          >
+            <Check className={`h-4 w-4 mr-2 ${workspace.id === active.id ? "" : "invisible"}`} />
+            <span className="truncate flex-1">{workspace.name}</span>
+            {!workspace.isPersonal && (
+              <span className="text-xs text-muted-foreground ml-2">{ROLE_LABELS[roleIn(workspace)]}</span>
+            )}
+          </DropdownMenuItem>
+        ))}
+        <DropdownMenuSeparator />
+        {!active.isPersonal && roleIn(active) === "owner" && (
+          <>
+            <DropdownMenuItem onClick={() => handleInvite("editor")}>
+              <UserPlus className="h-4 w-4 mr-2" />
+              Invite editor
+            </DropdownMenuItem>
+            <DropdownMenuItem onClick={() => handleInvite("viewer")}>
+              <UserPlus className="h-4 w-4 mr-2" />
+              Invite viewer
+            </DropdownMenuItem>
+          </>
+        )}
+        <DropdownMenuItem onClick={handleJoin}>
+          <Users className="h-4 w-4 mr-2" />
+          Join with invitation…
+        </DropdownMenuItem>
+        <DropdownMenuItem onClick={handleCreate}>
+          <Plus className="h-4 w-4 mr-2" />
+          New workspace…
+        </DropdownMenuItem>
+      </DropdownMenuContent>
+    </DropdownMenu>
+  );
+};
+
+export default WorkspaceSwitcher;
@@ -7,16 +7,16 @@ import {
   DialogDescription,
 } from "@/components/ui/dialog";
 import { Button } from "@/components/ui/button";
-import { FileDown, Image } from "lucide-react";
+import { FileDown, Image, CalendarPlus, Link } from "lucide-react";
 
-const ExportCalendarModal = ({ isOpen, onClose, onExportPDF, onExportJPEG }) => {
+const ExportCalendarModal = ({ isOpen, onClose, onExportPDF, onExportJPEG, onExportICS, onSubscribe }) => {
   return (
     <Dialog open={isOpen} onOpenChange={onClose}>
       <DialogContent className="w-full max-w-sm rounded-xl gap-4 p-6 bg-card">
         <DialogHeader>
           <DialogTitle className="text-xl font-bold">Export Calendar</DialogTitle>
           <DialogDescription>
-            Choose a format to export your calendar view.
+            Choose a format to export your calendar.
           </DialogDescription>
         </DialogHeader>
 
@@ -50,6 +50,36 @@ const ExportCalendarModal = ({ isOpen, onClose, onExportPDF, onExportJPEG }) =>
               <span className="text-xs text-muted-foreground font-normal">Best for sharing</span>
             </div>
           </Button>
+
+          <Button
+            className="w-full justify-start h-12 text-base"
+            variant="outline"
+            onClick={() => {
+              onExportICS();
+              onClose();
+            }}
+          >
+            <CalendarPlus className="mr-3 h-5 w-5 text-green-500" />
+            <div className="flex flex-col items-start">
+              <span className="font-semibold">Export as ICS</span>
+              <span className="text-xs text-muted-foreground font-normal">Import into other calendar apps</span>
+            </div>
+          </Button>
+
+          <Button
+            className="w-full justify-start h-12 text-base"
+            variant="outline"
+            onClick={() => {
+              onSubscribe();
+              onClose();
+            }}
+          >
+            <Link className="mr-3 h-5 w-5 text-primary" />
+            <div className="flex flex-col items-start">
+              <span className="font-semibold">Copy subscription link</span>
+              <span className="text-xs text-muted-foreground font-normal">Keeps other calendars in sync</span>
+            </div>
+          </Button>
         </div>
 
         <div className="flex justify-end pt-2">
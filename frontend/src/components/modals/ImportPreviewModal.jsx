@@ -0,0 +1,91 @@
+import React from "react";
+import {
+  Dialog,
+  DialogContent,
+  DialogHeader,
+  DialogTitle,
+  DialogDescription,
+} from "@/components/ui/dialog";
+import { Button } from "@/components/ui/button";
+import { AlertTriangle } from "lucide-react";
+
+const COLUMNS = [
+  { key: "created", label: "New" },
+  { key: "updated", label: "Updated" },
+  { key: "skipped", label: "Unchanged" },
+  { key: "conflicting", label: "Conflicts" },
+];
+
+/**
+ * Shows what a JSON backup import would change (from a dry run) and lets the
+ * user merge it into their data or replace everything with it.
+ */
+const ImportPreviewModal = ({ isOpen, onClose, onConfirm, report, fileName }) => {
+  if (!report) return null;
+
+  const rows = [
+    { label: "Tasks", counts: report.tasks },
+    { label: "TODOs", counts: report.todos },
+    { label: "Templates", counts: report.templates },
+  ].filter((row) => row.counts);
+
+  return (
+    <Dialog open={isOpen} onOpenChange={onClose}>
+      <DialogContent className="w-full max-w-md rounded-xl gap-4 p-6 bg-card">
+        <DialogHeader>
+          <DialogTitle className="text-xl font-bold">Import backup</DialogTitle>
+          <DialogDescription>
+            Merging {fileName} would make these changes. Nothing has been imported yet.
+          </DialogDescription>
+        </DialogHeader>
+
+        <table className="w-full text-sm">
+          <thead>
+            <tr className="text-muted-foreground">
+              <th className="text-left font-medium py-1" />
+              {COLUMNS.map((column) => (
+                <th key={column.key} className="text-right font-medium py-1">
+                  {column.label}
+                </th>
+              ))}
+            </tr>
+          </thead>
+          <tbody>
+            {rows.map((row) => (
+              <tr key={row.label} className="border-t border-border">
+                <td className="py-2 font-semibold">{row.label}</td>
+                {COLUMNS.map((column) => (
+                  <td key={column.key} className="py-2 text-right tabular-nums">
+                    {row.counts[column.key]}
+                  </td>
+                ))}
+              </tr>
+            ))}
+          </tbody>
+        </table>
+
+        {report.conflicts.length > 0 && (
+          <div className="flex gap-2 rounded-lg bg-amber-500/10 p-3 text-sm text-amber-700 dark:text-amber-400">
+            <AlertTriangle className="h-4 w-4 mt-0.5 shrink-0" />
+            <span>
+              {report.conflicts.length} item{report.conflicts.length === 1 ? " has" : "s have"} been
+              changed here since the backup was made and will be kept as they are when merging.
+            </span>
+          </div>
+        )}
+
+        <div className="flex flex-wrap justify-end gap-2 pt-2">
+          <Button variant="ghost" onClick={onClose}>
+            Cancel
+          </Button>
+          <Button variant="destructive" onClick={() => onConfirm("replace")}>
+            Replace all
+          </Button>
+          <Button onClick={() => onConfirm("merge")}>Merge</Button>
+        </div>
+      </DialogContent>
+    </Dialog>
+  );
+};
+
+export default ImportPreviewModal;
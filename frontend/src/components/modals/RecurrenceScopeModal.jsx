@@ -0,0 +1,59 @@
+import React from "react";
+import {
+  Dialog,
+  DialogContent,
+  DialogHeader,
+  DialogTitle,
+  DialogDescription,
+} from "@/components/ui/dialog";
+import { Button } from "@/components/ui/button";
+import { CalendarDays, CalendarRange, Repeat } from "lucide-react";
+
+const RECURRENCE_SCOPES = [
+  { value: "this", label: "This occurrence", hint: "Only this date", Icon: CalendarDays },
+  { value: "following", label: "This and following", hint: "From this date onwards", Icon: CalendarRange },
+  { value: "all", label: "All occurrences", hint: "The whole series", Icon: Repeat },
+];
+
+const RecurrenceScopeModal = ({ isOpen, onClose, onSelect, title = "Recurring task", actionLabel = "Apply to" }) => {
+  return (
+    <Dialog open={isOpen} onOpenChange={onClose}>
+      <DialogContent className="w-full max-w-sm rounded-xl gap-4 p-6 bg-card">
+        <DialogHeader>
+          <DialogTitle className="text-xl font-bold">{title}</DialogTitle>
+          <DialogDescription>
+            {actionLabel} which occurrences of this task?
+          </DialogDescription>
+        </DialogHeader>
+
+        <div className="flex flex-col gap-3 py-4">
+          {RECURRENCE_SCOPES.map((option) => (
+            <Button
+              key={option.value}
+              className="w-full justify-start h-12 text-base"
+              variant="outline"
+              onClick={() => {
+                onSelect(option.value);
+                onClose();
+              }}
+            >
+              <option.Icon className="mr-3 h-5 w-5 text-primary" />
+              <div className="flex flex-col items-start">
+                <span className="font-semibold">{option.label}</span>
+                <span className="text-xs text-muted-foreground font-normal">{option.hint}</span>
+              </div>
+            </Button>
+          ))}
+        </div>
+
+        <div className="flex justify-end pt-2">
+          <Button variant="ghost" onClick={onClose}>
+            Cancel
+          </Button>
+        </div>
+      </DialogContent>
+    </Dialog>
+  );
+};
+
+export default RecurrenceScopeModal;
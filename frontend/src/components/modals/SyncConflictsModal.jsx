@@ -0,0 +1,99 @@
+import React from "react";
+import {
+  Dialog,
+  DialogContent,
+  DialogHeader,
+  DialogTitle,
+  DialogDescription,
+} from "@/components/ui/dialog";
+import { Button } from "@/components/ui/button";
+import { useResolveConflictMutation } from "@/hooks/queries/syncQueries";
+
+const formatValue = (value) => {
+  if (value === null || value === undefined || value === "") return "—";
+  if (Array.isArray(value)) return value.length ? value.map(formatValue).join(", ") : "—";
+  if (typeof value === "object") return JSON.stringify(value);
+  return String(value);
+};
+
+const describe = (conflict) => {
+  switch (conflict.kind) {
+    case "field":
+      return `"${conflict.field}" was changed here and on another device.`;
+    case "deleted":
+      return "Edited here but deleted on another device.";
+    default:
+      return `The server refused this change: ${conflict.message}`;
+  }
+};
+
+/**
+ * Lists offline changes that could not be applied as made and lets the user
+ * decide which version to keep.
+ */
+const SyncConflictsModal = ({ isOpen, onClose, conflicts, pendingCount }) => {
+  const resolveConflict = useResolveConflictMutation();
+  const resolve = (conflict, keep) => resolveConflict.mutate({ conflict, keep });
+
+  return (
+    <Dialog open={isOpen} onOpenChange={onClose}>
+      <DialogContent className="w-full max-w-lg rounded-xl gap-4 p-6 bg-card">
+        <DialogHeader>
+          <DialogTitle className="text-xl font-bold">Sync conflicts</DialogTitle>
+          <DialogDescription>
+            {pendingCount > 0
+              ? `${pendingCount} offline change${pendingCount === 1 ? "" : "s"} waiting to sync.`
+              : "All offline changes have been sent."}
+          </DialogDescription>
+        </DialogHeader>
+
+        {conflicts.length === 0 ? (
+          <p className="text-sm text-muted-foreground">No conflicts to resolve.</p>
+        ) : (
+          <ul className="flex flex-col gap-3 max-h-[60vh] overflow-y-auto">
+            {conflicts.map((conflict) => (
+              <li key={conflict.id} className="rounded-lg border p-3 space-y-2">
+                <div>
+                  <p className="font-medium truncate">
+                    {conflict.title || `Untitled ${conflict.entity}`}
+                  </p>
+                  <p className="text-xs text-muted-foreground">{describe(conflict)}</p>
+                </div>
+                {conflict.kind === "field" && (
+                  <div className="grid grid-cols-2 gap-2 text-sm">
+                    <div>
+                      <span className="text-xs text-muted-foreground">This device</span>
+                      <p className="break-words">{formatValue(conflict.local)}</p>
+                    </div>
+                    <div>
+                      <span className="text-xs text-muted-foreground">Server</span>
+                      <p className="break-words">{formatValue(conflict.remote)}</p>
+                    </div>
+                  </div>
+                )}
+                <div className="flex justify-end gap-2">
+                  {conflict.kind === "rejected" ? (
+                    <Button size="sm" variant="outline" onClick={() => resolve(conflict, "remote")}>
+                      Discard change
+                    </Button>
+                  ) : (
+                    <>
+                      <Button size="sm" variant="outline" onClick={() => resolve(conflict, "remote")}>
+                        {conflict.kind === "deleted" ? "Keep deleted" : "Keep server"}
+                      </Button>
+                      <Button size="sm" onClick={() => resolve(conflict, "local")}>
+                        {conflict.kind === "deleted" ? "Restore mine" : "Keep mine"}
+                      </Button>
+                    </>
+                  )}
+                </div>
+              </li>
+            ))}
+          </ul>
+        )}
+      </DialogContent>
+    </Dialog>
+  );
+};
+
+export default SyncConflictsModal;
@@ -0,0 +1,103 @@
+import React from "react";
+import { RotateCcw, Trash2 } from "lucide-react";
+import {
+  Dialog,
+  DialogContent,
+  DialogHeader,
+  DialogTitle,
+  DialogDescription,
+} from "@/components/ui/dialog";
+import { Button } from "@/components/ui/button";
+import {
+  useTrashQuery,
+  useRestoreTrashMutation,
+  usePurgeTrashMutation,
+  useEmptyTrashMutation,
+} from "@/hooks/queries/trashQueries";
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const daysLeft = (deletedAt, retentionDays) =>
+  Math.max(0, retentionDays - Math.floor((Date.now() - new Date(deletedAt).getTime()) / DAY_MS));
+
+/**
+ * Lists deleted tasks and TODOs, which can be restored or deleted for good until
+ * they are purged automatically.
+ */
+const TrashModal = ({ isOpen, onClose }) => {
+  const { data, isLoading } = useTrashQuery({ enabled: isOpen });
+  const restore = useRestoreTrashMutation();
+  const purge = usePurgeTrashMutation();
+  const emptyTrash = useEmptyTrashMutation();
+
+  const items = [
+    ...(data?.tasks ?? []).map((record) => ({ record, kind: "tasks", label: "Task" })),
+    ...(data?.todos ?? []).map((record) => ({ record, kind: "todos", label: "TODO" })),
+  ].sort((a, b) => new Date(b.record.deletedAt) - new Date(a.record.deletedAt));
+
+  const handleEmpty = () => {
+    if (window.confirm(`Delete ${items.length} item(s) forever? This cannot be undone.`)) {
+      emptyTrash.mutate();
+    }
+  };
+
+  return (
+    <Dialog open={isOpen} onOpenChange={onClose}>
+      <DialogContent className="w-full max-w-lg rounded-xl gap-4 p-6 bg-card">
+        <DialogHeader>
+          <DialogTitle className="text-xl font-bold">Trash</DialogTitle>
+          <DialogDescription>
+            {data
+              ? `Deleted items are removed for good, with their history, after ${data.retentionDays} days.`
+              : "Deleted tasks and TODOs."}
+          </DialogDescription>
+        </DialogHeader>
+
+        {isLoading ? (
+          <p className="text-sm text-muted-foreground">Loading…</p>
+        ) : items.length === 0 ? (
+          <p className="text-sm text-muted-foreground">The trash is empty.</p>
+        ) : (
+          <ul className="flex flex-col gap-2 max-h-[60vh] overflow-y-auto">
+            {items.map(({ record, kind, label }) => (
+              <li key={record.id} className="flex items-center gap-3 rounded-lg border p-3">
+                <div className="flex-1 min-w-0">
+                  <p className="font-medium truncate">{record.title}</p>
+                  <p className="text-xs text-muted-foreground">
+                    {label} · {daysLeft(record.deletedAt, data.retentionDays)} days left
+                  </p>
+                </div>
+                <Button
+                  size="sm"
+                  variant="outline"
+                  onClick={() => restore.mutate({ [kind]: [record.id] })}
+                  title="Restore"
+                >
+                  <RotateCcw className="h-4 w-4" />
+                </Button>
+                <Button
+                  size="sm"
+                  variant="outline"
+                  onClick={() => purge.mutate({ [kind]: [record.id] })}
+                  title="Delete forever"
+                >
+                  <Trash2 className="h-4 w-4" />
+                </Button>
+              </li>
+            ))}
+          </ul>
+        )}
+
+        {items.length > 0 && (
+          <div className="flex justify-end">
+            <Button variant="destructive" size="sm" onClick={handleEmpty} disabled={emptyTrash.isPending}>
+              Empty trash
+            </Button>
+          </div>
+        )}
+      </DialogContent>
+    </Dialog>
+  );
+};
+
+export default TrashModal;
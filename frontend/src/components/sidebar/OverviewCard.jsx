@@ -5,6 +5,41 @@ import { Card, CardHeader, CardTitle, CardContent } from "../ui/card";
 import { Badge } from "../ui/badge";
 import { AlertCircle } from "lucide-react";
 import { isOverdue } from "../../utils/dateUtils";
+import { useCapacityQuery } from "../../hooks/queries/taskQueries";
+
+// More than this and the list would crowd the sidebar
+const MAX_AT_RISK = 5;
+
+/**
+ * Tasks the server expects to miss their due date at the current load.
+ */
+const AtRiskList = () => {
+  const { data: capacity } = useCapacityQuery();
+  const atRisk = capacity?.atRisk || [];
+  if (atRisk.length === 0) return null;
+
+  return (
+    <div className="pt-2 border-t border-border/50 space-y-2">
+      <div className="flex justify-between items-center">
+        <span className="text-sm font-medium">At risk</span>
+        <Badge variant="destructive" className="font-semibold">
+          {atRisk.length}
+        </Badge>
+      </div>
+      <ul className="space-y-1">
+        {atRisk.slice(0, MAX_AT_RISK).map((task) => (
+          <li key={task.taskId} className="text-xs" title={task.message}>
+            <span className="font-medium">{task.title}</span>
+            <span className="text-muted-foreground"> · due {task.dueDate}</span>
+          </li>
+        ))}
+      </ul>
+      {atRisk.length > MAX_AT_RISK && (
+        <p className="text-xs text-muted-foreground">+{atRisk.length - MAX_AT_RISK} more</p>
+      )}
+    </div>
+  );
+};
 
 const OverviewCard = () => {
   const { tasks, getPendingTasks, getCompletedTasks } = useTasks();
@@ -59,6 +94,7 @@ const OverviewCard = () => {
               </Badge>
             </div>
           </div>
+          <AtRiskList />
         </div>
       </CardContent>
     </Card>
@@ -21,6 +21,7 @@ import { SortableTodoItem } from "../SortableTodoItem";
 import { EmptyTodoList } from "../common/EmptyState";
 
 import { useApp } from "../../contexts/AppContext";
+import { useUndoableDelete } from "../../hooks/useUndoableDelete";
 
 const QuickTodosCard = ({ onOpenTodoForm, onEditTodo }) => {
   const {
@@ -31,6 +32,7 @@ const QuickTodosCard = ({ onOpenTodoForm, onEditTodo }) => {
   } = useTodos();
   
   const { showNotification } = useApp();
+  const notifyDeleted = useUndoableDelete();
 
   const [showCompletedTodos, setShowCompletedTodos] = useState(false);
   const [completedTodosPage, setCompletedTodosPage] = useState(1);
@@ -76,12 +78,12 @@ const QuickTodosCard = ({ onOpenTodoForm, onEditTodo }) => {
     }
   };
 
-  const handleDeleteTodo = (id) => {
-    const todo = deleteTodo(id);
-    showNotification({
-      type: "success",
+  const handleDeleteTodo = async (id) => {
+    const todo = await deleteTodo(id);
+    notifyDeleted({
       message: "TODO deleted",
-      details: todo ? `"${todo.title}" has been removed` : "TODO has been removed",
+      details: todo ? `"${todo.title}" has been moved to the trash` : "TODO has been moved to the trash",
+      todos: [id],
     });
   };
 
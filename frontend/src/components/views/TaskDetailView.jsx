@@ -8,12 +8,238 @@ import {
   Square,
   AlignLeft,
   Flag,
+  History,
+  Timer,
+  Play,
+  Trash2,
 } from "lucide-react";
 import { Badge } from "@/components/ui/badge";
+import { Button } from "@/components/ui/button";
 import { Input } from "@/components/ui/input";
 import { Textarea } from "@/components/ui/textarea";
 import { cn } from "@/lib/utils";
 import { getTagColorClass } from "@/utils/tagUtils";
+import { useTaskHistoryQuery } from "@/hooks/queries/taskQueries";
+import {
+  canTrackTime,
+  useTimeEntriesQuery,
+  useRunningTimerQuery,
+  useStartTimerMutation,
+  useStopTimerMutation,
+  useCreateTimeEntryMutation,
+  useDeleteTimeEntryMutation,
+} from "@/hooks/queries/timeEntryQueries";
+import { formatMinutes } from "@/utils/dateUtils";
+
+const FIELD_LABELS = {
+  title: "title",
+  description: "description",
+  dueDate: "due date",
+  dueTime: "due time",
+  priority: "priority",
+  estimatedDuration: "duration",
+  assignedSlot: "scheduled slot",
+  tags: "tags",
+  projectId: "project",
+  assignees: "assignees",
+  blockedBy: "dependencies",
+  repeatFrequency: "repeat",
+  repeatUntil: "repeat end",
+  recurrence: "recurrence rule",
+};
+
+// Fields holding IDs, which mean nothing to the reader
+const REFERENCE_FIELDS = ["projectId", "assignees", "blockedBy"];
+
+const ACTION_LABELS = {
+  created: "created the task",
+  deleted: "deleted the task",
+  restored: "restored the task from the trash",
+};
+
+const formatValue = (value) => {
+  if (value === null || value === "" || (Array.isArray(value) && value.length === 0)) {
+    return "none";
+  }
+  if (Array.isArray(value)) return value.join(", ");
+  if (typeof value === "object") {
+    return value.rrule || [value.date, value.time].filter(Boolean).join(" ");
+  }
+  return String(value);
+};
+
+const describeChange = ({ field, from, to, subtask }) => {
+  switch (field) {
+    case "isCompleted":
+      return to ? "marked it complete" : "reopened it";
+    case "subtask":
+      return to === null ? `removed subtask "${from}"` : `added subtask "${to}"`;
+    case "subtask.title":
+      return `renamed subtask "${from}" to "${to}"`;
+    case "subtask.isCompleted":
+      return `${to ? "completed" : "reopened"} subtask "${subtask}"`;
+    case "occurrence":
+      return `skipped the occurrence on ${from}`;
+    case "description":
+      return "edited the description";
+    case "scheduledBlocks":
+      return to?.length ? `split it into ${to.length} blocks` : "removed the scheduled blocks";
+    case "isFixed":
+      if (to === null) return "left fixed or flexible to the rules";
+      return to ? "made it a fixed event" : "made it flexible";
+    case "reminders":
+      return to?.length
+        ? `set reminders ${to.map((m) => (m === 0 ? "at the due time" : `${formatMinutes(m)} before`)).join(", ")}`
+        : "removed the reminders";
+    default: {
+      const label = FIELD_LABELS[field] || field;
+      if (REFERENCE_FIELDS.includes(field)) return `changed ${label}`;
+      return `changed ${label} from ${formatValue(from)} to ${formatValue(to)}`;
+    }
+  }
+};
+
+const TaskTimeTracking = ({ task }) => {
+  const { data: entries = [] } = useTimeEntriesQuery(task.id);
+  const { data: running } = useRunningTimerQuery();
+  const startTimer = useStartTimerMutation();
+  const stopTimer = useStopTimerMutation();
+  const createEntry = useCreateTimeEntryMutation();
+  const deleteEntry = useDeleteTimeEntryMutation();
+  const [manualMinutes, setManualMinutes] = useState("");
+
+  const isRunningHere = running?.taskId?._id === task.id;
+  const logged = entries.reduce((sum, entry) => sum + (entry.minutes || 0), 0);
+
+  // Manual entries end now and go back as far as the minutes logged
+  const handleLog = (e) => {
+    e.preventDefault();
+    const minutes = Number(manualMinutes);
+    if (!minutes || minutes <= 0) return;
+    const endedAt = new Date();
+    const startedAt = new Date(endedAt.getTime() - minutes * 60000);
+    createEntry.mutate(
+      { taskId: task.id, startedAt: startedAt.toISOString(), endedAt: endedAt.toISOString() },
+      { onSuccess: () => setManualMinutes("") }
+    );
+  };
+
+  return (
+    <div className="space-y-3">
+      <div className="flex items-center justify-between gap-2">
+        <div className="flex items-center gap-2 text-sm font-semibold text-foreground/80">
+          <Timer className="h-4 w-4" />
+          <span>Time</span>
+          <span className="text-xs text-muted-foreground font-normal">
+            {formatMinutes(logged)} logged
+            {task.estimatedDuration ? ` of ${formatMinutes(task.estimatedDuration)} estimated` : ""}
+          </span>
+        </div>
+        <Button
+          variant={isRunningHere ? "destructive" : "outline"}
+          size="sm"
+          disabled={startTimer.isPending || stopTimer.isPending}
+          onClick={() => (isRunningHere ? stopTimer : startTimer).mutate(task.id)}
+        >
+          {isRunningHere ? (
+            <Square className="h-3.5 w-3.5 mr-1 fill-current" />
+          ) : (
+            <Play className="h-3.5 w-3.5 mr-1" />
+          )}
+          {isRunningHere ? "Stop" : "Start timer"}
+        </Button>
+      </div>
+      <form onSubmit={handleLog} className="flex items-center gap-2 pl-6">
+        <Input
+          type="number"
+          min="1"
+          value={manualMinutes}
+          onChange={(e) => setManualMinutes(e.target.value)}
+          placeholder="Minutes spent"
+          className="h-8 text-sm w-36"
+        />
+        <Button type="submit" variant="secondary" size="sm" disabled={!manualMinutes || createEntry.isPending}>
+          Log time
+        </Button>
+      </form>
+      {entries.length > 0 && (
+        <ul className="space-y-1 pl-6 text-sm">
+          {entries.map((entry) => (
+            <li key={entry.id} className="flex items-center gap-2 text-muted-foreground group">
+              <span className="w-16 font-mono text-foreground">
+                {entry.endedAt ? formatMinutes(entry.minutes) : "running"}
+              </span>
+              <span className="flex-1 truncate">
+                {new Date(entry.startedAt).toLocaleString(undefined, {
+                  month: "short",
+                  day: "numeric",
+                  hour: "2-digit",
+                  minute: "2-digit",
+                })}
+                {entry.user?.name ? ` · ${entry.user.name}` : ""}
+              </span>
+              {entry.endedAt && (
+                <button
+                  type="button"
+                  onClick={() => deleteEntry.mutate({ taskId: task.id, entryId: entry.id })}
+                  className="opacity-0 group-hover:opacity-100 hover:text-destructive transition-opacity"
+                  title="Delete entry"
+                  aria-label="Delete entry"
+                >
+                  <Trash2 className="h-3.5 w-3.5" />
+                </button>
+              )}
+            </li>
+          ))}
+        </ul>
+      )}
+    </div>
+  );
+};
+
+const TaskHistory = ({ taskId }) => {
+  const { data: events = [], isLoading } = useTaskHistoryQuery(taskId);
+
+  if (isLoading || events.length === 0) return null;
+
+  return (
+    <div className="space-y-3">
+      <div className="flex items-center gap-2 text-sm font-semibold text-foreground/80">
+        <History className="h-4 w-4" />
+        <span>History</span>
+      </div>
+      <ol className="space-y-3 pl-2 border-l-2 border-border/50 ml-2">
+        {events.map((event) => (
+          <li key={event.id} className="relative pl-4 text-sm">
+            <span className="absolute -left-[5px] top-1.5 h-2 w-2 rounded-full bg-muted-foreground/60" />
+            <div className="flex flex-wrap items-baseline gap-x-2">
+              <span className="font-medium">
+                {event.actor?.name || "Someone"}
+              </span>
+              <span className="text-xs text-muted-foreground">
+                {new Date(event.createdAt).toLocaleString(undefined, {
+                  month: "short",
+                  day: "numeric",
+                  hour: "2-digit",
+                  minute: "2-digit",
+                })}
+              </span>
+            </div>
+            <ul className="text-muted-foreground">
+              {event.action === "updated" ? (
+                event.changes.map((change, index) => (
+                  <li key={index}>{describeChange(change)}</li>
+                ))
+              ) : (
+                <li>{ACTION_LABELS[event.action]}</li>
+              )}
+            </ul>
+          </li>
+        ))}
+      </ol>
+    </div>
+  );
+};
 
 const TaskDetailView = ({
   task,
@@ -287,6 +513,12 @@ const TaskDetailView = ({
           </div>
         </div>
       )}
+
+      {/* Time tracking */}
+      {canTrackTime(task.id) && <TaskTimeTracking task={task} />}
+
+      {/* History */}
+      <TaskHistory taskId={task.id} />
     </div>
   );
 };
@@ -94,7 +94,7 @@ export function AppProvider({ children }) {
 
     setTimeout(() => {
       dismissNotification(id);
-    }, 5000);
+    }, notification.duration ?? 5000);
   }, []);
 
   const dismissNotification = useCallback((id) => {
@@ -1,10 +1,12 @@
-import { createContext, useContext, useCallback, useMemo } from 'react';
+import { createContext, useContext, useCallback, useMemo, useState } from 'react';
 import { useQueryClient } from '@tanstack/react-query';
 import {
   useTasksQuery,
+  useTaskRangeQuery,
   useCreateTaskMutation,
   useUpdateTaskMutation,
   useDeleteTaskMutation,
+  useBulkDeleteTasksMutation,
   useToggleTaskCompleteMutation,
   useAddSubtaskMutation,
   useUpdateSubtaskMutation,
@@ -13,7 +15,6 @@ import {
   setTasksCache,
 } from '../hooks/queries/taskQueries';
 import { playCompleteSound } from '../utils/audioUtils';
-import { pad } from '../utils/dateUtils';
 
 const TaskContext = createContext(null);
 
@@ -28,10 +29,15 @@ export function useTasks() {
 export function TaskProvider({ children }) {
   const queryClient = useQueryClient();
   const { data: tasks = [], isLoading, error, refetch } = useTasksQuery();
+  // The days the calendar shows; the task list only holds occurrences near today
+  const [calendarRange, setCalendarRange] = useState(null);
+  const { data: rangeTasks } = useTaskRangeQuery(calendarRange);
+  const calendarTasks = calendarRange && rangeTasks ? rangeTasks : tasks;
   
   const createTaskMutation = useCreateTaskMutation();
   const updateTaskMutation = useUpdateTaskMutation();
   const deleteTaskMutation = useDeleteTaskMutation();
+  const bulkDeleteMutation = useBulkDeleteTasksMutation();
   const toggleCompleteMutation = useToggleTaskCompleteMutation();
   const addSubtaskMutation = useAddSubtaskMutation();
   const updateSubtaskMutation = useUpdateSubtaskMutation();
@@ -63,71 +69,18 @@ export function TaskProvider({ children }) {
     });
   }, [tasks]);
 
+  const findTask = useCallback(
+    (taskId) => tasks.find(t => t.id === taskId) || calendarTasks.find(t => t.id === taskId),
+    [tasks, calendarTasks]
+  );
+
   const setTasks = useCallback((newTasks) => {
     setTasksCache(queryClient, newTasks);
   }, [queryClient]);
 
   const addTask = useCallback(async (taskData) => {
-    if (taskData.repeatUntil && taskData.repeatFrequency !== 'none' && taskData.dueDate) {
-      const repeatedTasks = [];
-      let currentDate = new Date(`${taskData.dueDate}T${taskData.dueTime || '00:00'}`);
-      const repeatUntilDate = new Date(`${taskData.repeatUntil}T${taskData.dueTime || '00:00'}`);
-      let i = 0;
-      let conflictFound = false;
-
-      while (currentDate <= repeatUntilDate) {
-        const candidateDate = `${currentDate.getFullYear()}-${pad(currentDate.getMonth() + 1)}-${pad(currentDate.getDate())}`;
-        const candidateTime = `${pad(currentDate.getHours())}:${pad(currentDate.getMinutes())}`;
-        const candidate = { ...taskData, dueDate: candidateDate, dueTime: candidateTime };
-
-        if (hasTimeConflict(candidate, [...tasks, ...repeatedTasks])) {
-          conflictFound = true;
-          break;
-        }
-
-        repeatedTasks.push({
-          ...candidate,
-          id: Date.now() + i,
-          isCompleted: false,
-          assignedSlot: null,
-        });
-
-        switch (taskData.repeatFrequency) {
-          case 'daily':
-            currentDate.setDate(currentDate.getDate() + 1);
-            break;
-          case 'weekly':
-            currentDate.setDate(currentDate.getDate() + 7);
-            break;
-          case 'monthly':
-            currentDate.setMonth(currentDate.getMonth() + 1);
-            break;
-          case 'yearly':
-            currentDate.setFullYear(currentDate.getFullYear() + 1);
-            break;
-          default:
-            break;
-        }
-        i++;
-      }
-
-      if (conflictFound) {
-        return { 
-          success: false, 
-          message: 'One or more repeated tasks overlap with existing tasks.' 
-        };
-      }
-
-      for (const task of repeatedTasks) {
-        await createTaskMutation.mutateAsync(task).catch(() => {});
-      }
-      
-      return { 
-        success: true, 
-        tasksAdded: repeatedTasks.length,
-        message: `${repeatedTasks.length} tasks created (${taskData.repeatFrequency} until ${taskData.repeatUntil})`
-      };
-    }
+    // Recurring tasks are stored once as a series; the server expands the occurrences
+    const isRecurring = taskData.repeatFrequency && taskData.repeatFrequency !== 'none';
 
     if (hasTimeConflict(taskData)) {
       return { 
@@ -140,9 +93,19 @@ export function TaskProvider({ children }) {
       const result = await createTaskMutation.mutateAsync(taskData);
       // If it's an offline/queued task, it's already saved locally
       if (result?._queued || result?._optimistic) {
-        return { success: true, offline: true };
+        return { success: true, offline: true, task: taskData };
       }
-      return { success: true };
+      if (isRecurring) {
+        return {
+          success: true,
+          recurring: true,
+          task: result,
+          message: taskData.repeatUntil
+            ? `Repeats ${taskData.repeatFrequency} until ${taskData.repeatUntil}`
+            : `Repeats ${taskData.repeatFrequency}`,
+        };
+      }
+      return { success: true, task: result };
     } catch (error) {
       // Check if the task was still added optimistically
       const cachedTasks = queryClient.getQueryData(['tasks']) || [];
@@ -154,10 +117,10 @@ export function TaskProvider({ children }) {
       }
       return { success: false, message: error.message || 'Failed to create task' };
     }
-  }, [tasks, hasTimeConflict, createTaskMutation, queryClient]);
+  }, [hasTimeConflict, createTaskMutation, queryClient]);
 
-  const updateTask = useCallback(async (taskId, updates) => {
-    const taskToUpdate = tasks.find(t => t.id === taskId);
+  const updateTask = useCallback(async (taskId, { scope, ...updates }) => {
+    const taskToUpdate = findTask(taskId);
     if (!taskToUpdate) return { success: false, message: 'Task not found' };
     
     const taskWithUpdates = { ...taskToUpdate, ...updates, id: taskId };
@@ -170,25 +133,40 @@ export function TaskProvider({ children }) {
     }
 
     try {
-      await updateTaskMutation.mutateAsync({ id: taskId, updates });
+      await updateTaskMutation.mutateAsync({ id: taskId, updates, scope });
       return { success: true };
     } catch (error) {
       return { success: false, message: error.message || 'Failed to update task' };
     }
-  }, [tasks, hasTimeConflict, updateTaskMutation]);
+  }, [findTask, hasTimeConflict, updateTaskMutation]);
 
-  const deleteTask = useCallback(async (taskId) => {
-    const task = tasks.find(t => t.id === taskId);
+  const deleteTask = useCallback(async (taskId, { scope } = {}) => {
+    const task = findTask(taskId);
     try {
-      await deleteTaskMutation.mutateAsync(taskId);
+      await deleteTaskMutation.mutateAsync({ id: taskId, scope });
       return task;
     } catch (error) {
       return task;
     }
-  }, [tasks, deleteTaskMutation]);
+  }, [findTask, deleteTaskMutation]);
+
+  const bulkDeleteTasks = useCallback(async (ids) => {
+    const deleted = ids.map(findTask).filter(Boolean);
+    try {
+      // Offline and guest deletes are queued or stored one by one
+      if (!navigator.onLine || !localStorage.getItem('authToken')) {
+        await Promise.all(ids.map((id) => deleteTaskMutation.mutateAsync({ id })));
+      } else {
+        await bulkDeleteMutation.mutateAsync(ids);
+      }
+      return { tasks: deleted, success: true };
+    } catch (error) {
+      return { tasks: deleted, success: false, message: error.message || 'Failed to delete tasks' };
+    }
+  }, [findTask, deleteTaskMutation, bulkDeleteMutation]);
 
   const toggleTaskComplete = useCallback(async (taskId) => {
-    const task = tasks.find(t => t.id === taskId);
+    const task = findTask(taskId);
     const newStatus = !task?.isCompleted;
 
     try {
@@ -200,7 +178,7 @@ export function TaskProvider({ children }) {
     } catch (error) {
       return { task, newStatus, success: false, error: error.message };
     }
-  }, [tasks, toggleCompleteMutation]);
+  }, [findTask, toggleCompleteMutation]);
 
   const toggleSubtaskComplete = useCallback(async (taskId, subtaskId) => {
     try {
@@ -246,6 +224,7 @@ export function TaskProvider({ children }) {
     createTaskMutation.isPending ||
     updateTaskMutation.isPending ||
     deleteTaskMutation.isPending ||
+    bulkDeleteMutation.isPending ||
     toggleCompleteMutation.isPending ||
     addSubtaskMutation.isPending ||
     updateSubtaskMutation.isPending ||
@@ -254,6 +233,9 @@ export function TaskProvider({ children }) {
 
   const value = useMemo(() => ({
     tasks,
+    calendarTasks,
+    setCalendarRange,
+    findTask,
     setTasks,
     isLoading,
     isMutating: isAnyMutationLoading,
@@ -262,6 +244,7 @@ export function TaskProvider({ children }) {
     addTask,
     updateTask,
     deleteTask,
+    bulkDeleteTasks,
     toggleTaskComplete,
     toggleSubtaskComplete,
     addSubtask,
@@ -282,6 +265,8 @@ export function TaskProvider({ children }) {
     },
   }), [
     tasks,
+    calendarTasks,
+    findTask,
     isLoading,
     isAnyMutationLoading,
     error,
@@ -289,6 +274,7 @@ export function TaskProvider({ children }) {
     addTask,
     updateTask,
     deleteTask,
+    bulkDeleteTasks,
     toggleTaskComplete,
     toggleSubtaskComplete,
     addSubtask,
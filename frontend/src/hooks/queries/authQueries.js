@@ -1,5 +1,5 @@
 import { useQuery, useMutation, useQueryClient } from '@tanstack/react-query';
-import apiClient from '../../lib/api';
+import apiClient, { setActiveWorkspaceId } from '../../lib/api';
 
 const AUTH_QUERY_KEY = ['auth'];
 
@@ -67,6 +67,7 @@ export const useLogoutMutation = () => {
       localStorage.removeItem('authToken');
       localStorage.removeItem('refreshToken');
       localStorage.removeItem('user');
+      setActiveWorkspaceId(null);
 
       return true;
     },
@@ -0,0 +1,68 @@
+import { useQuery, useMutation, useQueryClient } from '@tanstack/react-query';
+import apiClient from '../../lib/api';
+
+const PROJECTS_QUERY_KEY = ['projects'];
+
+const isAuthenticated = () => !!localStorage.getItem('authToken');
+
+export const useProjectsQuery = ({ includeArchived = false } = {}) => {
+  return useQuery({
+    queryKey: [...PROJECTS_QUERY_KEY, { includeArchived }],
+    queryFn: async () => {
+      if (!isAuthenticated()) {
+        return [];
+      }
+      const response = await apiClient.get('/projects', {
+        params: includeArchived ? { includeArchived: true } : undefined,
+      });
+      return response.data.data || [];
+    },
+    staleTime: 1000 * 60 * 5,
+    gcTime: 1000 * 60 * 30,
+  });
+};
+
+export const useCreateProjectMutation = () => {
+  const queryClient = useQueryClient();
+
+  return useMutation({
+    mutationFn: async (projectData) => {
+      const response = await apiClient.post('/projects', projectData);
+      return response.data.data;
+    },
+    onSettled: () => {
+      queryClient.invalidateQueries({ queryKey: PROJECTS_QUERY_KEY });
+    },
+  });
+};
+
+export const useUpdateProjectMutation = () => {
+  const queryClient = useQueryClient();
+
+  return useMutation({
+    mutationFn: async ({ id, updates }) => {
+      const response = await apiClient.patch(`/projects/${id}`, updates);
+      return response.data.data;
+    },
+    onSettled: () => {
+      queryClient.invalidateQueries({ queryKey: PROJECTS_QUERY_KEY });
+    },
+  });
+};
+
+export const useDeleteProjectMutation = () => {
+  const queryClient = useQueryClient();
+
+  return useMutation({
+    mutationFn: async (id) => {
+      const response = await apiClient.delete(`/projects/${id}`);
+      return response.data.data;
+    },
+    onSettled: () => {
+      // Tasks and TODOs of a deleted project lose their projectId
+      queryClient.invalidateQueries({ queryKey: PROJECTS_QUERY_KEY });
+      queryClient.invalidateQueries({ queryKey: ['tasks'] });
+      queryClient.invalidateQueries({ queryKey: ['todos'] });
+    },
+  });
+};
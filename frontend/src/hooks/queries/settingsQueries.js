@@ -0,0 +1,38 @@
+import { useQuery, useMutation, useQueryClient } from '@tanstack/react-query';
+import apiClient from '../../lib/api';
+import { CAPACITY_QUERY_KEY } from './taskQueries';
+
+const SETTINGS_QUERY_KEY = ['settings'];
+
+const isAuthenticated = () => !!localStorage.getItem('authToken');
+
+/**
+ * Settings stored on the signed-in user's account, such as the email digest.
+ */
+export const useSettingsQuery = () => {
+  return useQuery({
+    queryKey: SETTINGS_QUERY_KEY,
+    queryFn: async () => {
+      const response = await apiClient.get('/settings');
+      return response.data.data;
+    },
+    enabled: isAuthenticated(),
+    staleTime: 1000 * 60 * 5,
+  });
+};
+
+export const useUpdateSettingsMutation = () => {
+  const queryClient = useQueryClient();
+
+  return useMutation({
+    mutationFn: async (patch) => {
+      const response = await apiClient.patch('/settings', patch);
+      return response.data.data;
+    },
+    onSuccess: (settings) => {
+      queryClient.setQueryData(SETTINGS_QUERY_KEY, settings);
+      // Free time per day depends on the availability settings
+      queryClient.invalidateQueries({ queryKey: CAPACITY_QUERY_KEY });
+    },
+  });
+};
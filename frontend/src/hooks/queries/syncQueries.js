@@ -0,0 +1,144 @@
+import { useQuery, useMutation, useQueryClient } from '@tanstack/react-query';
+import apiClient from '../../lib/api';
+import { toRequestBody } from '../../utils/syncMerge';
+import { enqueueMutation, listConflicts, removeConflict, countQueuedMutations } from '../../utils/syncQueue';
+import { applyDelta, currentWorkspaceKey, loadSyncCursor } from '../../utils/syncMirror';
+import { applyTaskChange } from './taskQueries';
+import { applyTodoChange } from './todoQueries';
+
+export const SYNC_QUERY_KEY = ['sync'];
+
+const ENDPOINTS = { task: '/tasks', todo: '/todos' };
+
+/**
+ * Queues a change made offline for replay. Guest data stays on the device.
+ */
+export const queueOfflineChange = async (queryClient, mutation) => {
+  if (!localStorage.getItem('authToken')) return;
+  await enqueueMutation(mutation);
+  queryClient.invalidateQueries({ queryKey: SYNC_QUERY_KEY });
+};
+
+// Recurring tasks are expanded into occurrences by the server, so they are refetched
+const isRecurring = (task) => !!task.recurrence || !!task.seriesId;
+
+let pendingSync = null;
+let syncAgain = false;
+
+/**
+ * Fetches what changed since the workspace was last synced, stores it in the mirror
+ * and patches the cached lists with it.
+ */
+async function pullChanges(queryClient) {
+  const workspaceKey = currentWorkspaceKey();
+  const since = await loadSyncCursor(workspaceKey);
+  const response = await apiClient.get('/sync', { params: since ? { since } : undefined });
+  const delta = response.data.data;
+  await applyDelta(workspaceKey, delta);
+
+  // The lists belong to another workspace by now
+  if (workspaceKey !== currentWorkspaceKey()) return;
+
+  if (delta.reset || delta.tasks.updated.some(isRecurring)) {
+    applyTaskChange(queryClient, { action: 'reset' });
+  } else {
+    delta.tasks.updated.forEach((data) => applyTaskChange(queryClient, { action: 'upsert', data }));
+    delta.tasks.deleted.forEach((id) => applyTaskChange(queryClient, { action: 'delete', id }));
+  }
+
+  if (delta.reset) {
+    applyTodoChange(queryClient, { action: 'reset' });
+  } else {
+    delta.todos.updated.forEach((data) => applyTodoChange(queryClient, { action: 'upsert', data }));
+    delta.todos.deleted.forEach((id) => applyTodoChange(queryClient, { action: 'delete', id }));
+  }
+}
+
+/**
+ * Brings the mirror and the cached task and TODO lists up to date with the server.
+ * Calls made while a sync is running share it and trigger one more pass afterwards.
+ * Offline, for guests, or if the sync fails, the lists are simply refetched.
+ */
+export const syncChanges = (queryClient) => {
+  const refetch = () => {
+    applyTaskChange(queryClient, { action: 'reset' });
+    applyTodoChange(queryClient, { action: 'reset' });
+  };
+
+  if (!navigator.onLine || !localStorage.getItem('authToken')) {
+    refetch();
+    return Promise.resolve();
+  }
+  if (pendingSync) {
+    syncAgain = true;
+    return pendingSync;
+  }
+
+  pendingSync = (async () => {
+    do {
+      syncAgain = false;
+      await pullChanges(queryClient);
+    } while (syncAgain);
+  })()
+    .catch((error) => {
+      console.error('Delta sync failed:', error);
+      refetch();
+    })
+    .finally(() => {
+      pendingSync = null;
+    });
+  return pendingSync;
+};
+
+/**
+ * Finds the last copy of a record fetched from the server, which replays compare
+ * against to see what changed there in the meantime.
+ */
+export const findServerCopy = (queryClient, queryKey, id) => {
+  for (const [, data] of queryClient.getQueriesData({ queryKey })) {
+    const record = Array.isArray(data) && data.find((item) => item.id === id && !item._optimistic && !item._offline);
+    if (record) return record;
+  }
+  return null;
+};
+
+export const useSyncConflictsQuery = () => {
+  return useQuery({
+    queryKey: [...SYNC_QUERY_KEY, 'conflicts'],
+    queryFn: listConflicts,
+    staleTime: Infinity,
+  });
+};
+
+export const usePendingChangesQuery = () => {
+  return useQuery({
+    queryKey: [...SYNC_QUERY_KEY, 'pending'],
+    queryFn: countQueuedMutations,
+    staleTime: Infinity,
+  });
+};
+
+/**
+ * Settles a sync conflict. Keeping the local version writes it to the server;
+ * keeping the server version just drops the local change.
+ */
+export const useResolveConflictMutation = () => {
+  const queryClient = useQueryClient();
+
+  return useMutation({
+    mutationFn: async ({ conflict, keep }) => {
+      const endpoint = ENDPOINTS[conflict.entity];
+      if (keep === 'local' && conflict.kind === 'field') {
+        await apiClient.patch(`${endpoint}/${conflict.entityId}`, { [conflict.field]: conflict.local });
+      } else if (keep === 'local' && conflict.kind === 'deleted') {
+        await apiClient.post(endpoint, toRequestBody(conflict.local));
+      }
+      await removeConflict(conflict.id);
+    },
+    onSettled: () => {
+      queryClient.invalidateQueries({ queryKey: SYNC_QUERY_KEY });
+      queryClient.invalidateQueries({ queryKey: ['tasks'] });
+      queryClient.invalidateQueries({ queryKey: ['todos'] });
+    },
+  });
+};
@@ -1,13 +1,27 @@
-import { useQuery, useMutation, useQueryClient } from '@tanstack/react-query';
+import { useQuery, useMutation, useQueryClient, keepPreviousData } from '@tanstack/react-query';
 import apiClient from '../../lib/api';
 import { loadTasksAsync, saveTasks } from '../../utils/storage';
+import { createLocalId, isLocalId } from '../../utils/syncMerge';
+import { loadMirror, saveMirror } from '../../utils/syncMirror';
+import { expandTasks } from '../../utils/occurrences';
+import { queueOfflineChange, findServerCopy, syncChanges } from './syncQueries';
 
 const TASKS_QUERY_KEY = ['tasks'];
+// Kept apart from the task lists, which are patched in place by live updates
+const TASK_HISTORY_QUERY_KEY = ['taskHistory'];
+
+export const CAPACITY_QUERY_KEY = [...TASKS_QUERY_KEY, 'capacity'];
 
 const isOnline = () => navigator.onLine;
 const isAuthenticated = () => !!localStorage.getItem('authToken');
 
-export const useTasksQuery = (filters = { limit: 1000 }) => {
+// Signed-in users work on the synced mirror while offline; guest data lives in local storage
+const loadOfflineTasks = () => (isAuthenticated() ? loadMirror('task') : loadTasksAsync());
+const saveOfflineTasks = (tasks) => (isAuthenticated() ? saveMirror('task', tasks) : saveTasks(tasks));
+
+const DEFAULT_TASK_FILTERS = { limit: 1000 };
+
+export const useTasksQuery = (filters = DEFAULT_TASK_FILTERS, options = {}) => {
   return useQuery({
     queryKey: [...TASKS_QUERY_KEY, filters],
     queryFn: async () => {
@@ -15,8 +29,8 @@ export const useTasksQuery = (filters = { limit: 1000 }) => {
         return [];
       }
       if (!isOnline()) {
-        const localTasks = await loadTasksAsync();
-        return localTasks;
+        // The mirror holds series as stored; the server's list holds their occurrences
+        return expandTasks(await loadOfflineTasks(), filters);
       }
       const params = new URLSearchParams(filters).toString();
       const response = await apiClient.get(`/tasks?${params}`);
@@ -24,9 +38,17 @@ export const useTasksQuery = (filters = { limit: 1000 }) => {
     },
     staleTime: 1000 * 60 * 5,
     gcTime: 1000 * 60 * 30,
+    ...options,
   });
 };
 
+/**
+ * Tasks due from `range.from` to `range.to`, with recurring tasks expanded over that
+ * range however far it is from today. The previous range stays shown while the next loads.
+ */
+export const useTaskRangeQuery = (range) =>
+  useTasksQuery({ ...DEFAULT_TASK_FILTERS, ...range }, { enabled: !!range, placeholderData: keepPreviousData });
+
 export const useTaskByIdQuery = (taskId) => {
   return useQuery({
     queryKey: [...TASKS_QUERY_KEY, 'detail', taskId],
@@ -38,21 +60,37 @@ export const useTaskByIdQuery = (taskId) => {
   });
 };
 
+/**
+ * Activity history of one task, newest first. Only tasks the server knows about have one.
+ */
+export const useTaskHistoryQuery = (taskId) => {
+  return useQuery({
+    queryKey: [...TASK_HISTORY_QUERY_KEY, taskId],
+    queryFn: async () => {
+      const response = await apiClient.get(`/tasks/${taskId}/history`);
+      return response.data.data || [];
+    },
+    enabled: !!taskId && !isLocalId(taskId) && isAuthenticated() && isOnline(),
+    staleTime: 1000 * 60,
+  });
+};
+
 export const useCreateTaskMutation = () => {
   const queryClient = useQueryClient();
 
   return useMutation({
     mutationFn: async (taskData) => {
       if (!isOnline() || !isAuthenticated()) {
-        const localTasks = await loadTasksAsync();
+        const localTasks = await loadOfflineTasks();
         const offlineTask = {
           ...taskData,
-          id: `offline_${Date.now()}`,
+          id: createLocalId(),
           _offline: true,
           createdAt: new Date().toISOString(),
           isCompleted: false,
         };
-        await saveTasks([...localTasks, offlineTask]);
+        await saveOfflineTasks([...localTasks, offlineTask]);
+        await queueOfflineChange(queryClient, { entity: 'task', type: 'create', entityId: offlineTask.id, payload: taskData });
         queryClient.setQueryData(TASKS_QUERY_KEY, (old = []) => [...old, offlineTask]);
         return { ...offlineTask, _queued: true };
       }
@@ -81,7 +119,7 @@ export const useCreateTaskMutation = () => {
       }
     },
     onSettled: () => {
-      queryClient.invalidateQueries({ queryKey: TASKS_QUERY_KEY });
+      syncChanges(queryClient);
     },
   });
 };
@@ -90,19 +128,23 @@ export const useUpdateTaskMutation = () => {
   const queryClient = useQueryClient();
 
   return useMutation({
-    mutationFn: async ({ id, updates }) => {
+    mutationFn: async ({ id, updates, scope }) => {
       if (!isOnline() || !isAuthenticated()) {
-        const localTasks = await loadTasksAsync();
+        const localTasks = await loadOfflineTasks();
+        const base = findServerCopy(queryClient, TASKS_QUERY_KEY, id) || localTasks.find((t) => t.id === id);
+        await queueOfflineChange(queryClient, { entity: 'task', type: 'update', entityId: id, payload: updates, base });
         const updatedTasks = localTasks.map((t) =>
           t.id === id ? { ...t, ...updates, _offline: true, updatedAt: new Date().toISOString() } : t
         );
-        await saveTasks(updatedTasks);
+        await saveOfflineTasks(updatedTasks);
         queryClient.setQueryData(TASKS_QUERY_KEY, (old = []) =>
           old.map(t => t.id === id ? { ...t, ...updates, _offline: true } : t)
         );
         return { id, ...updates, _queued: true };
       }
-      const response = await apiClient.patch(`/tasks/${id}`, updates);
+      const response = await apiClient.patch(`/tasks/${id}`, updates, {
+        params: scope ? { scope } : undefined,
+      });
       return response.data.data;
     },
     onMutate: async ({ id, updates }) => {
@@ -123,7 +165,7 @@ export const useUpdateTaskMutation = () => {
       }
     },
     onSettled: () => {
-      queryClient.invalidateQueries({ queryKey: TASKS_QUERY_KEY });
+      syncChanges(queryClient);
     },
   });
 };
@@ -132,20 +174,23 @@ export const useDeleteTaskMutation = () => {
   const queryClient = useQueryClient();
 
   return useMutation({
-    mutationFn: async (id) => {
+    mutationFn: async ({ id, scope }) => {
       if (!isOnline() || !isAuthenticated()) {
-        const localTasks = await loadTasksAsync();
+        const localTasks = await loadOfflineTasks();
         const filteredTasks = localTasks.filter((t) => t.id !== id);
-        await saveTasks(filteredTasks);
+        await queueOfflineChange(queryClient, { entity: 'task', type: 'delete', entityId: id });
+        await saveOfflineTasks(filteredTasks);
         queryClient.setQueryData(TASKS_QUERY_KEY, (old = []) =>
           old.filter(t => t.id !== id)
         );
         return { id, _queued: true };
       }
-      await apiClient.delete(`/tasks/${id}`);
+      await apiClient.delete(`/tasks/${id}`, {
+        params: scope ? { scope } : undefined,
+      });
       return { id };
     },
-    onMutate: async (id) => {
+    onMutate: async ({ id }) => {
       await queryClient.cancelQueries({ queryKey: TASKS_QUERY_KEY });
       const previousTasks = queryClient.getQueryData(TASKS_QUERY_KEY);
       
@@ -155,13 +200,13 @@ export const useDeleteTaskMutation = () => {
       
       return { previousTasks };
     },
-    onError: (err, id, context) => {
+    onError: (err, variables, context) => {
       if (context?.previousTasks) {
         queryClient.setQueryData(TASKS_QUERY_KEY, context.previousTasks);
       }
     },
     onSettled: () => {
-      queryClient.invalidateQueries({ queryKey: TASKS_QUERY_KEY });
+      syncChanges(queryClient);
     },
   });
 };
@@ -172,14 +217,21 @@ export const useToggleTaskCompleteMutation = () => {
   return useMutation({
     mutationFn: async (id) => {
       if (!isOnline() || !isAuthenticated()) {
-        const localTasks = await loadTasksAsync();
+        const localTasks = await loadOfflineTasks();
         const task = localTasks.find((t) => t.id === id);
         if (task) {
           const newStatus = !task.isCompleted;
+          await queueOfflineChange(queryClient, {
+            entity: 'task',
+            type: 'update',
+            entityId: id,
+            payload: { isCompleted: newStatus },
+            base: findServerCopy(queryClient, TASKS_QUERY_KEY, id) || task,
+          });
           const updatedTasks = localTasks.map((t) =>
             t.id === id ? { ...t, isCompleted: newStatus, _offline: true } : t
           );
-          await saveTasks(updatedTasks);
+          await saveOfflineTasks(updatedTasks);
           queryClient.setQueryData(TASKS_QUERY_KEY, (old = []) =>
             old.map(t => t.id === id ? { ...t, isCompleted: newStatus, _offline: true } : t)
           );
@@ -211,7 +263,7 @@ export const useToggleTaskCompleteMutation = () => {
       }
     },
     onSettled: () => {
-      queryClient.invalidateQueries({ queryKey: TASKS_QUERY_KEY });
+      syncChanges(queryClient);
     },
   });
 };
@@ -243,7 +295,7 @@ export const useBulkCompleteTasksMutation = () => {
       }
     },
     onSettled: () => {
-      queryClient.invalidateQueries({ queryKey: TASKS_QUERY_KEY });
+      syncChanges(queryClient);
     },
   });
 };
@@ -273,7 +325,7 @@ export const useBulkDeleteTasksMutation = () => {
       }
     },
     onSettled: () => {
-      queryClient.invalidateQueries({ queryKey: TASKS_QUERY_KEY });
+      syncChanges(queryClient);
     },
   });
 };
@@ -291,6 +343,22 @@ export const useTaskStatisticsQuery = () => {
   });
 };
 
+/**
+ * Work per day against the user's availability over the next two weeks, and the tasks
+ * likely to miss their due date at that load.
+ */
+export const useCapacityQuery = () => {
+  return useQuery({
+    queryKey: CAPACITY_QUERY_KEY,
+    queryFn: async () => {
+      const response = await apiClient.get('/scheduler/capacity');
+      return response.data.data;
+    },
+    enabled: isAuthenticated(),
+    staleTime: 1000 * 60 * 5,
+  });
+};
+
 export const useAddSubtaskMutation = () => {
   const queryClient = useQueryClient();
 
@@ -333,7 +401,7 @@ export const useAddSubtaskMutation = () => {
       }
     },
     onSettled: () => {
-      queryClient.invalidateQueries({ queryKey: TASKS_QUERY_KEY });
+      syncChanges(queryClient);
     },
   });
 };
@@ -373,7 +441,7 @@ export const useUpdateSubtaskMutation = () => {
       }
     },
     onSettled: () => {
-      queryClient.invalidateQueries({ queryKey: TASKS_QUERY_KEY });
+      syncChanges(queryClient);
     },
   });
 };
@@ -411,7 +479,7 @@ export const useDeleteSubtaskMutation = () => {
       }
     },
     onSettled: () => {
-      queryClient.invalidateQueries({ queryKey: TASKS_QUERY_KEY });
+      syncChanges(queryClient);
     },
   });
 };
@@ -451,7 +519,7 @@ export const useToggleSubtaskCompleteMutation = () => {
       }
     },
     onSettled: () => {
-      queryClient.invalidateQueries({ queryKey: TASKS_QUERY_KEY });
+      syncChanges(queryClient);
     },
   });
 };
@@ -463,3 +531,39 @@ export const getTasksFromCache = (queryClient) => {
 export const setTasksCache = (queryClient, tasks) => {
   queryClient.setQueryData(TASKS_QUERY_KEY, tasks);
 };
+
+/**
+ * Shows the mirrored tasks until the task list has been fetched. They are marked as
+ * stale, so the list is still fetched right away.
+ */
+export const seedTasksFromMirror = async (queryClient) => {
+  const queryKey = [...TASKS_QUERY_KEY, DEFAULT_TASK_FILTERS];
+  const tasks = await loadMirror('task');
+  if (tasks.length > 0 && !queryClient.getQueryData(queryKey)) {
+    queryClient.setQueryData(queryKey, expandTasks(tasks), { updatedAt: 0 });
+  }
+};
+
+/**
+ * Applies a change pushed by the server to the cached task lists. A reset means
+ * too much changed to patch, so the lists are refetched instead.
+ */
+export const applyTaskChange = (queryClient, change) => {
+  if (change.action === 'reset') {
+    queryClient.invalidateQueries({ queryKey: TASKS_QUERY_KEY });
+    queryClient.invalidateQueries({ queryKey: TASK_HISTORY_QUERY_KEY });
+    return;
+  }
+
+  const id = change.action === 'delete' ? change.id : change.data.id;
+  queryClient.setQueriesData({ queryKey: TASKS_QUERY_KEY }, (old) => {
+    if (!Array.isArray(old)) return old;
+    if (change.action === 'delete') return old.filter((task) => task.id !== id);
+    return old.some((task) => task.id === id)
+      ? old.map((task) => (task.id === id ? change.data : task))
+      : [...old, change.data];
+  });
+  queryClient.invalidateQueries({ queryKey: [...TASKS_QUERY_KEY, 'statistics'] });
+  queryClient.invalidateQueries({ queryKey: CAPACITY_QUERY_KEY });
+  queryClient.invalidateQueries({ queryKey: TASK_HISTORY_QUERY_KEY });
+};
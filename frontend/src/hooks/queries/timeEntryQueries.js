@@ -0,0 +1,92 @@
+import { useQuery, useMutation, useQueryClient } from '@tanstack/react-query';
+import apiClient from '../../lib/api';
+import { isLocalId } from '../../utils/syncMerge';
+
+export const TIME_ENTRIES_QUERY_KEY = ['timeEntries'];
+
+const isOnline = () => navigator.onLine;
+const isAuthenticated = () => !!localStorage.getItem('authToken');
+
+const entriesPath = (taskId) => `/tasks/${taskId}/time-entries`;
+
+/**
+ * Time is logged on the server, so guests and tasks created offline have none yet.
+ */
+export const canTrackTime = (taskId) => !!taskId && !isLocalId(taskId) && isAuthenticated();
+
+/**
+ * Time logged on one task, newest first.
+ */
+export const useTimeEntriesQuery = (taskId) => {
+  return useQuery({
+    queryKey: [...TIME_ENTRIES_QUERY_KEY, 'task', taskId],
+    queryFn: async () => {
+      const response = await apiClient.get(entriesPath(taskId));
+      return response.data.data || [];
+    },
+    enabled: canTrackTime(taskId) && isOnline(),
+  });
+};
+
+/**
+ * The signed-in user's running timer in the active workspace, or null. It lives on
+ * the server, so it keeps running across reloads and devices.
+ */
+export const useRunningTimerQuery = () => {
+  return useQuery({
+    queryKey: [...TIME_ENTRIES_QUERY_KEY, 'running'],
+    queryFn: async () => {
+      const response = await apiClient.get('/tasks/time-entries/running');
+      return response.data.data;
+    },
+    enabled: isAuthenticated(),
+    staleTime: 1000 * 60,
+  });
+};
+
+export const useEstimateAccuracyQuery = () => {
+  return useQuery({
+    queryKey: [...TIME_ENTRIES_QUERY_KEY, 'accuracy'],
+    queryFn: async () => {
+      const response = await apiClient.get('/tasks/time-entries/accuracy');
+      return response.data.data;
+    },
+    enabled: isAuthenticated(),
+    staleTime: 1000 * 60 * 5,
+  });
+};
+
+const useTimeEntryMutation = (mutationFn) => {
+  const queryClient = useQueryClient();
+
+  return useMutation({
+    mutationFn,
+    onSettled: () => {
+      queryClient.invalidateQueries({ queryKey: TIME_ENTRIES_QUERY_KEY });
+    },
+  });
+};
+
+export const useStartTimerMutation = () =>
+  useTimeEntryMutation(async (taskId) => {
+    const response = await apiClient.post(`${entriesPath(taskId)}/start`);
+    return response.data.data;
+  });
+
+export const useStopTimerMutation = () =>
+  useTimeEntryMutation(async (taskId) => {
+    const response = await apiClient.post(`${entriesPath(taskId)}/stop`);
+    return response.data.data;
+  });
+
+export const useCreateTimeEntryMutation = () =>
+  useTimeEntryMutation(async ({ taskId, startedAt, endedAt, note }) => {
+    const response = await apiClient.post(entriesPath(taskId), { startedAt, endedAt, note });
+    return response.data.data;
+  });
+
+export const useDeleteTimeEntryMutation = () =>
+  useTimeEntryMutation(async ({ taskId, entryId }) => {
+    await apiClient.delete(`${entriesPath(taskId)}/${entryId}`);
+    return { id: entryId };
+  });
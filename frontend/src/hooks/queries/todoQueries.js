@@ -1,12 +1,19 @@
 import { useQuery, useMutation, useQueryClient } from '@tanstack/react-query';
 import apiClient from '../../lib/api';
 import { loadTodosAsync, saveTodos } from '../../utils/storage';
+import { createLocalId } from '../../utils/syncMerge';
+import { loadMirror, saveMirror } from '../../utils/syncMirror';
+import { queueOfflineChange, findServerCopy, syncChanges } from './syncQueries';
 
 const TODOS_QUERY_KEY = ['todos'];
 
 const isOnline = () => navigator.onLine;
 const isAuthenticated = () => !!localStorage.getItem('authToken');
 
+// Signed-in users work on the synced mirror while offline; guest data lives in local storage
+const loadOfflineTodos = () => (isAuthenticated() ? loadMirror('todo') : loadTodosAsync());
+const saveOfflineTodos = (todos) => (isAuthenticated() ? saveMirror('todo', todos) : saveTodos(todos));
+
 export const useTodosQuery = () => {
   return useQuery({
     queryKey: TODOS_QUERY_KEY,
@@ -15,7 +22,7 @@ export const useTodosQuery = () => {
         return [];
       }
       if (!isOnline()) {
-        const localTodos = await loadTodosAsync();
+        const localTodos = await loadOfflineTodos();
         return localTodos;
       }
       const response = await apiClient.get('/todos?limit=1000');
@@ -43,17 +50,18 @@ export const useCreateTodoMutation = () => {
   return useMutation({
     mutationFn: async (todoData) => {
       if (!isOnline() || !isAuthenticated()) {
-        const localTodos = await loadTodosAsync();
+        const localTodos = await loadOfflineTodos();
         const maxOrder = localTodos.reduce((max, t) => Math.max(max, t.order || 0), 0);
         const offlineTodo = {
           ...todoData,
-          id: `offline_${Date.now()}`,
+          id: createLocalId(),
           _offline: true,
           order: maxOrder + 1,
           isCompleted: false,
           createdAt: new Date().toISOString(),
         };
-        await saveTodos([...localTodos, offlineTodo]);
+        await saveOfflineTodos([...localTodos, offlineTodo]);
+        await queueOfflineChange(queryClient, { entity: 'todo', type: 'create', entityId: offlineTodo.id, payload: todoData });
         queryClient.setQueryData(TODOS_QUERY_KEY, (old = []) => [...old, offlineTodo]);
         return { ...offlineTodo, _queued: true };
       }
@@ -64,7 +72,7 @@ export const useCreateTodoMutation = () => {
       await queryClient.cancelQueries({ queryKey: TODOS_QUERY_KEY });
       const previousTodos = queryClient.getQueryData(TODOS_QUERY_KEY);
       
-      const localTodos = await loadTodosAsync();
+      const localTodos = await loadOfflineTodos();
       const maxOrder = localTodos.reduce((max, t) => Math.max(max, t.order || 0), 0);
       
       const optimisticTodo = {
@@ -86,7 +94,7 @@ export const useCreateTodoMutation = () => {
       }
     },
     onSettled: () => {
-      queryClient.invalidateQueries({ queryKey: TODOS_QUERY_KEY });
+      syncChanges(queryClient);
     },
   });
 };
@@ -97,11 +105,13 @@ export const useUpdateTodoMutation = () => {
   return useMutation({
     mutationFn: async ({ id, updates }) => {
       if (!isOnline() || !isAuthenticated()) {
-        const localTodos = await loadTodosAsync();
+        const localTodos = await loadOfflineTodos();
+        const base = findServerCopy(queryClient, TODOS_QUERY_KEY, id) || localTodos.find((t) => t.id === id);
+        await queueOfflineChange(queryClient, { entity: 'todo', type: 'update', entityId: id, payload: updates, base });
         const updatedTodos = localTodos.map((t) =>
           t.id === id ? { ...t, ...updates, _offline: true, updatedAt: new Date().toISOString() } : t
         );
-        await saveTodos(updatedTodos);
+        await saveOfflineTodos(updatedTodos);
         queryClient.setQueryData(TODOS_QUERY_KEY, (old = []) =>
           old.map(t => t.id === id ? { ...t, ...updates, _offline: true } : t)
         );
@@ -128,7 +138,7 @@ export const useUpdateTodoMutation = () => {
       }
     },
     onSettled: () => {
-      queryClient.invalidateQueries({ queryKey: TODOS_QUERY_KEY });
+      syncChanges(queryClient);
     },
   });
 };
@@ -139,9 +149,10 @@ export const useDeleteTodoMutation = () => {
   return useMutation({
     mutationFn: async (id) => {
       if (!isOnline() || !isAuthenticated()) {
-        const localTodos = await loadTodosAsync();
+        const localTodos = await loadOfflineTodos();
         const filteredTodos = localTodos.filter((t) => t.id !== id);
-        await saveTodos(filteredTodos);
+        await queueOfflineChange(queryClient, { entity: 'todo', type: 'delete', entityId: id });
+        await saveOfflineTodos(filteredTodos);
         queryClient.setQueryData(TODOS_QUERY_KEY, (old = []) =>
           old.filter(t => t.id !== id)
         );
@@ -166,7 +177,7 @@ export const useDeleteTodoMutation = () => {
       }
     },
     onSettled: () => {
-      queryClient.invalidateQueries({ queryKey: TODOS_QUERY_KEY });
+      syncChanges(queryClient);
     },
   });
 };
@@ -177,14 +188,21 @@ export const useToggleTodoCompleteMutation = () => {
   return useMutation({
     mutationFn: async (id) => {
       if (!isOnline() || !isAuthenticated()) {
-        const localTodos = await loadTodosAsync();
+        const localTodos = await loadOfflineTodos();
         const todo = localTodos.find((t) => t.id === id);
         if (todo) {
           const newStatus = !todo.isCompleted;
+          await queueOfflineChange(queryClient, {
+            entity: 'todo',
+            type: 'update',
+            entityId: id,
+            payload: { isCompleted: newStatus },
+            base: findServerCopy(queryClient, TODOS_QUERY_KEY, id) || todo,
+          });
           const updatedTodos = localTodos.map((t) =>
             t.id === id ? { ...t, isCompleted: newStatus, _offline: true } : t
           );
-          await saveTodos(updatedTodos);
+          await saveOfflineTodos(updatedTodos);
           queryClient.setQueryData(TODOS_QUERY_KEY, (old = []) =>
             old.map(t => t.id === id ? { ...t, isCompleted: newStatus, _offline: true } : t)
           );
@@ -216,7 +234,7 @@ export const useToggleTodoCompleteMutation = () => {
       }
     },
     onSettled: () => {
-      queryClient.invalidateQueries({ queryKey: TODOS_QUERY_KEY });
+      syncChanges(queryClient);
     },
   });
 };
@@ -227,7 +245,7 @@ export const useReorderTodosMutation = () => {
   return useMutation({
     mutationFn: async ({ activeId, overId }) => {
       if (!isOnline() || !isAuthenticated()) {
-        const localTodos = await loadTodosAsync();
+        const localTodos = await loadOfflineTodos();
         const oldIndex = localTodos.findIndex((t) => t.id === activeId);
         const newIndex = localTodos.findIndex((t) => t.id === overId);
 
@@ -245,7 +263,8 @@ export const useReorderTodosMutation = () => {
           _offline: true,
         }));
 
-        await saveTodos(reorderedTodos);
+        await saveOfflineTodos(reorderedTodos);
+        await queueOfflineChange(queryClient, { entity: 'todo', type: 'reorder', payload: { activeId, overId } });
         queryClient.setQueryData(TODOS_QUERY_KEY, reorderedTodos);
         return { activeId, overId, _queued: true };
       }
@@ -281,7 +300,7 @@ export const useReorderTodosMutation = () => {
       }
     },
     onSettled: () => {
-      queryClient.invalidateQueries({ queryKey: TODOS_QUERY_KEY });
+      syncChanges(queryClient);
     },
   });
 };
@@ -293,3 +312,32 @@ export const getTodosFromCache = (queryClient) => {
 export const setTodosCache = (queryClient, todos) => {
   queryClient.setQueryData(TODOS_QUERY_KEY, todos);
 };
+
+/**
+ * Shows the mirrored TODOs until the list has been fetched, marked as stale so it
+ * is still fetched right away.
+ */
+export const seedTodosFromMirror = async (queryClient) => {
+  const todos = await loadMirror('todo');
+  if (todos.length > 0 && !queryClient.getQueryData(TODOS_QUERY_KEY)) {
+    queryClient.setQueryData(TODOS_QUERY_KEY, todos.sort((a, b) => a.order - b.order), { updatedAt: 0 });
+  }
+};
+
+/**
+ * Applies a change pushed by the server to the cached TODO list, keeping it in order.
+ */
+export const applyTodoChange = (queryClient, change) => {
+  if (change.action === 'reset') {
+    queryClient.invalidateQueries({ queryKey: TODOS_QUERY_KEY });
+    return;
+  }
+
+  const id = change.action === 'delete' ? change.id : change.data.id;
+  queryClient.setQueryData(TODOS_QUERY_KEY, (old) => {
+    if (!Array.isArray(old)) return old;
+    const rest = old.filter((todo) => todo.id !== id);
+    if (change.action === 'delete') return rest;
+    return [...rest, change.data].sort((a, b) => a.order - b.order);
+  });
+};
@@ -0,0 +1,65 @@
+import { useQuery, useMutation, useQueryClient } from '@tanstack/react-query';
+import apiClient from '../../lib/api';
+import { syncChanges } from './syncQueries';
+
+export const TRASH_QUERY_KEY = ['trash'];
+
+const isAuthenticated = () => !!localStorage.getItem('authToken');
+
+export const useTrashQuery = ({ enabled = true } = {}) => {
+  return useQuery({
+    queryKey: TRASH_QUERY_KEY,
+    queryFn: async () => {
+      const response = await apiClient.get('/trash');
+      return response.data.data;
+    },
+    enabled: enabled && isAuthenticated(),
+  });
+};
+
+/**
+ * Brings trashed records back. Takes `{ tasks, todos }` ID lists, as returned
+ * when deleting, so it also undoes a delete.
+ */
+export const useRestoreTrashMutation = () => {
+  const queryClient = useQueryClient();
+
+  return useMutation({
+    mutationFn: async ({ tasks = [], todos = [] }) => {
+      const response = await apiClient.post('/trash/restore', { tasks, todos });
+      return response.data.count;
+    },
+    onSettled: () => {
+      queryClient.invalidateQueries({ queryKey: TRASH_QUERY_KEY });
+      syncChanges(queryClient);
+    },
+  });
+};
+
+export const usePurgeTrashMutation = () => {
+  const queryClient = useQueryClient();
+
+  return useMutation({
+    mutationFn: async ({ tasks = [], todos = [] }) => {
+      const response = await apiClient.post('/trash/purge', { tasks, todos });
+      return response.data.count;
+    },
+    onSettled: () => {
+      queryClient.invalidateQueries({ queryKey: TRASH_QUERY_KEY });
+    },
+  });
+};
+
+export const useEmptyTrashMutation = () => {
+  const queryClient = useQueryClient();
+
+  return useMutation({
+    mutationFn: async () => {
+      const response = await apiClient.delete('/trash');
+      return response.data.count;
+    },
+    onSettled: () => {
+      queryClient.invalidateQueries({ queryKey: TRASH_QUERY_KEY });
+    },
+  });
+};
@@ -0,0 +1,95 @@
+import { useQuery, useMutation, useQueryClient } from '@tanstack/react-query';
+import apiClient, { getActiveWorkspaceId, setActiveWorkspaceId } from '../../lib/api';
+
+const WORKSPACES_QUERY_KEY = ['workspaces'];
+
+const isAuthenticated = () => !!localStorage.getItem('authToken');
+
+export const useWorkspacesQuery = () => {
+  return useQuery({
+    queryKey: WORKSPACES_QUERY_KEY,
+    queryFn: async () => {
+      if (!isAuthenticated()) {
+        return [];
+      }
+      const response = await apiClient.get('/workspaces');
+      return response.data.data || [];
+    },
+    staleTime: 1000 * 60 * 5,
+    gcTime: 1000 * 60 * 30,
+  });
+};
+
+/**
+ * Returns the active workspace id (null means the personal workspace) and a
+ * function that switches to another one and refetches everything for it.
+ */
+export const useActiveWorkspace = () => {
+  const queryClient = useQueryClient();
+
+  const switchWorkspace = (workspace) => {
+    setActiveWorkspaceId(workspace.isPersonal ? null : workspace.id);
+    queryClient.resetQueries();
+  };
+
+  return { activeWorkspaceId: getActiveWorkspaceId(), switchWorkspace };
+};
+
+export const useCreateWorkspaceMutation = () => {
+  const queryClient = useQueryClient();
+
+  return useMutation({
+    mutationFn: async (workspaceData) => {
+      const response = await apiClient.post('/workspaces', workspaceData);
+      return response.data.data;
+    },
+    onSettled: () => {
+      queryClient.invalidateQueries({ queryKey: WORKSPACES_QUERY_KEY });
+    },
+  });
+};
+
+export const useCreateInvitationMutation = () => {
+  return useMutation({
+    mutationFn: async ({ workspaceId, role }) => {
+      const response = await apiClient.post(`/workspaces/${workspaceId}/invitations`, { role });
+      return response.data.data;
+    },
+  });
+};
+
+export const useAcceptInvitationMutation = () => {
+  const queryClient = useQueryClient();
+
+  return useMutation({
+    mutationFn: async (token) => {
+      const response = await apiClient.post(`/workspaces/invitations/${encodeURIComponent(token)}/accept`);
+      return response.data.data;
+    },
+    onSettled: () => {
+      queryClient.invalidateQueries({ queryKey: WORKSPACES_QUERY_KEY });
+    },
+  });
+};
+
+/**
+ * Members of the active workspace as `{ id, name, email, role }`.
+ */
+export const useWorkspaceMembersQuery = () => {
+  const { data: workspaces = [] } = useWorkspacesQuery();
+  const { activeWorkspaceId } = useActiveWorkspace();
+  const active =
+    workspaces.find((w) => w.id === activeWorkspaceId) || workspaces.find((w) => w.isPersonal);
+
+  return useQuery({
+    queryKey: [...WORKSPACES_QUERY_KEY, active?.id, 'members'],
+    queryFn: async () => {
+      const response = await apiClient.get(`/workspaces/${active.id}`);
+      return response.data.data.members
+        .filter((member) => member.user)
+        .map((member) => ({ ...member.user, id: member.user.id || member.user._id, role: member.role }));
+    },
+    enabled: !!active,
+    staleTime: 1000 * 60 * 5,
+  });
+};
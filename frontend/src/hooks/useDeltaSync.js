@@ -0,0 +1,34 @@
+import { useEffect } from 'react';
+import { useQueryClient } from '@tanstack/react-query';
+import { useApp } from '../contexts/AppContext';
+import { seedTasksFromMirror } from './queries/taskQueries';
+import { seedTodosFromMirror } from './queries/todoQueries';
+import { syncChanges } from './queries/syncQueries';
+import { useWorkspacesQuery, useActiveWorkspace } from './queries/workspaceQueries';
+
+/**
+ * Starts the task and TODO lists from the device's mirror of the workspace, then
+ * fetches only what changed since the last visit. Runs again when the connection
+ * comes back.
+ */
+export function useDeltaSync() {
+  const queryClient = useQueryClient();
+  const { user } = useApp();
+  useWorkspacesQuery();
+  const { activeWorkspaceId } = useActiveWorkspace();
+
+  useEffect(() => {
+    if (!user) return undefined;
+
+    const handleOnline = () => syncChanges(queryClient);
+
+    Promise.all([seedTasksFromMirror(queryClient), seedTodosFromMirror(queryClient)])
+      .catch((error) => console.error('Failed to load the local mirror:', error))
+      .then(() => navigator.onLine && syncChanges(queryClient));
+
+    window.addEventListener('online', handleOnline);
+    return () => window.removeEventListener('online', handleOnline);
+  }, [user, activeWorkspaceId, queryClient]);
+}
+
+export default useDeltaSync;
@@ -1,68 +1,156 @@
-import { useEffect, useCallback } from 'react';
+import { useEffect, useCallback, useRef } from 'react';
 import { useQueryClient } from '@tanstack/react-query';
 import apiClient from '../lib/api';
+import {
+  getQueuedMutations,
+  getQueuedMutation,
+  markSending,
+  removeMutation,
+  deferMutation,
+  remapEntityId,
+  recordConflict,
+} from '../utils/syncQueue';
+import { mergeChanges, toRequestBody } from '../utils/syncMerge';
+import { removeFromMirror } from '../utils/syncMirror';
+import { SYNC_QUERY_KEY, syncChanges } from './queries/syncQueries';
 
-const SYNC_QUEUE_KEY = 'offline_sync_queue';
+const ENDPOINTS = { task: '/tasks', todo: '/todos' };
 
+const BASE_RETRY_DELAY_MS = 2000;
+const MAX_RETRY_DELAY_MS = 5 * 60 * 1000;
+
+const retryDelay = (attempts) => Math.min(BASE_RETRY_DELAY_MS * 2 ** attempts, MAX_RETRY_DELAY_MS);
+
+// Lost connections, rate limits and server errors are retried; anything else is final
+const isTransient = (error) =>
+  !error.response || error.response.status === 429 || error.response.status >= 500;
+
+const isNotFound = (error) => error.response?.status === 404;
+
+/**
+ * Sends one queued change, in the workspace it was made in. Updates are merged with
+ * the server's current copy so edits made elsewhere in the meantime are not lost.
+ */
+async function replay(entry) {
+  const endpoint = ENDPOINTS[entry.entity];
+  // An empty header selects the personal workspace; the change must not move elsewhere
+  const config = { headers: { 'X-Workspace-Id': entry.workspaceId ?? '' }, keepWorkspace: true };
+  const conflict = { entity: entry.entity, entityId: entry.entityId, title: entry.base?.title ?? entry.payload.title };
+
+  switch (entry.type) {
+    case 'create': {
+      // A retry after a lost response gets the record the first attempt created
+      const response = await apiClient.post(endpoint, toRequestBody(entry.payload), {
+        ...config,
+        headers: { ...config.headers, 'Idempotency-Key': entry.entityId },
+      });
+      await remapEntityId(entry.entityId, response.data.data.id);
+      // The server's copy arrives with the next delta sync
+      await removeFromMirror(entry.entity, entry.entityId);
+      return;
+    }
+    case 'update': {
+      let remote;
+      try {
+        remote = (await apiClient.get(`${endpoint}/${entry.entityId}`, config)).data.data;
+      } catch (error) {
+        if (!isNotFound(error)) throw error;
+        await recordConflict({ ...conflict, kind: 'deleted', local: { ...entry.base, ...entry.payload } });
+        return;
+      }
+
+      const { updates, conflicts } = mergeChanges(entry.base, entry.payload, remote);
+      if (Object.keys(updates).length > 0) {
+        await apiClient.patch(`${endpoint}/${entry.entityId}`, updates, config);
+      }
+      for (const fieldConflict of conflicts) {
+        await recordConflict({ ...conflict, kind: 'field', title: remote.title, ...fieldConflict });
+      }
+      return;
+    }
+    case 'delete':
+      try {
+        await apiClient.delete(`${endpoint}/${entry.entityId}`, config);
+      } catch (error) {
+        if (!isNotFound(error)) throw error;
+      }
+      return;
+    case 'reorder':
+      await apiClient.patch('/todos/reorder', entry.payload, config);
+      return;
+    default:
+      return;
+  }
+}
+
+/**
+ * Replays changes made offline once the connection is back. The queue is replayed
+ * in order and waits on a failing change, retrying it with exponential backoff.
+ * Changes that cannot be applied as made end up in the sync conflicts list.
+ */
 export function useOfflineSync() {
   const queryClient = useQueryClient();
+  const processingRef = useRef(false);
+  const retryTimerRef = useRef(null);
 
   const isOnline = () => navigator.onLine;
   const isAuthenticated = () => !!localStorage.getItem('authToken');
 
   const processQueue = useCallback(async () => {
-    if (!isOnline() || !isAuthenticated()) return;
+    if (processingRef.current || !isOnline() || !isAuthenticated()) return;
+    processingRef.current = true;
+    clearTimeout(retryTimerRef.current);
 
-    const queue = JSON.parse(localStorage.getItem(SYNC_QUEUE_KEY) || '[]');
-    if (queue.length === 0) return;
+    let replayed = 0;
+    try {
+      const queue = await getQueuedMutations();
+      for (const { seq } of queue) {
+        // Replaying a creation rewrites the local ID in the changes after it, so each
+        // change is read again just before it is sent
+        const entry = await getQueuedMutation(seq);
+        if (!entry) continue;
 
-    const processedIds = [];
+        // Later changes may build on this one, so nothing overtakes it
+        const wait = entry.nextAttemptAt - Date.now();
+        if (wait > 0) {
+          retryTimerRef.current = setTimeout(processQueue, wait);
+          break;
+        }
 
-    for (const action of queue) {
-      try {
-        switch (action.type) {
-          case 'CREATE_TASK':
-            await apiClient.post('/tasks', action.data);
-            break;
-          case 'UPDATE_TASK':
-            await apiClient.patch(`/tasks/${action.data.id}`, action.data.updates);
-            break;
-          case 'DELETE_TASK':
-            await apiClient.delete(`/tasks/${action.id}`);
-            break;
-          case 'TOGGLE_TASK':
-            await apiClient.patch(`/tasks/${action.id}/toggle-complete`);
-            break;
-          case 'CREATE_TODO':
-            await apiClient.post('/todos', action.data);
-            break;
-          case 'UPDATE_TODO':
-            await apiClient.patch(`/todos/${action.data.id}`, action.data.updates);
-            break;
-          case 'DELETE_TODO':
-            await apiClient.delete(`/todos/${action.id}`);
-            break;
-          case 'TOGGLE_TODO':
-            await apiClient.patch(`/todos/${action.id}/toggle-complete`);
-            break;
-          case 'REORDER_TODOS':
-            await apiClient.patch('/todos/reorder', { activeId: action.data.activeId, overId: action.data.overId });
-            break;
-          default:
+        try {
+          await markSending(seq);
+          await replay(entry);
+        } catch (error) {
+          if (isTransient(error)) {
+            const delay = retryDelay(entry.attempts);
+            await deferMutation(entry, delay);
+            retryTimerRef.current = setTimeout(processQueue, delay);
             break;
+          }
+          await recordConflict({
+            kind: 'rejected',
+            entity: entry.entity,
+            entityId: entry.entityId,
+            title: entry.base?.title ?? entry.payload.title,
+            local: entry.payload,
+            message: error.response?.data?.message || error.message,
+          });
         }
-        processedIds.push(action.timestamp);
-      } catch (error) {
-        console.error('Failed to sync offline action:', action, error);
+        await removeMutation(entry.seq);
+        replayed += 1;
       }
+    } catch (error) {
+      console.error('Failed to replay offline changes:', error);
+    } finally {
+      processingRef.current = false;
     }
 
-    const remainingQueue = queue.filter(item => !processedIds.includes(item.timestamp));
-    localStorage.setItem(SYNC_QUEUE_KEY, JSON.stringify(remainingQueue));
-
-    if (remainingQueue.length === 0) {
+    if (replayed > 0) {
+      await syncChanges(queryClient);
+      // Records created offline are still listed under their local IDs
       queryClient.invalidateQueries({ queryKey: ['tasks'] });
       queryClient.invalidateQueries({ queryKey: ['todos'] });
+      queryClient.invalidateQueries({ queryKey: SYNC_QUERY_KEY });
     }
   }, [queryClient]);
 
@@ -80,6 +168,7 @@ export function useOfflineSync() {
 
     return () => {
       window.removeEventListener('online', handleOnline);
+      clearTimeout(retryTimerRef.current);
     };
   }, [processQueue]);
 
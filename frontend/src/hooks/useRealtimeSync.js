@@ -0,0 +1,93 @@
+import { useEffect } from 'react';
+import { useQueryClient } from '@tanstack/react-query';
+import apiClient from '../lib/api';
+import { useApp } from '../contexts/AppContext';
+import { applyTaskChange } from './queries/taskQueries';
+import { applyTodoChange } from './queries/todoQueries';
+import { syncChanges } from './queries/syncQueries';
+import { useWorkspacesQuery, useActiveWorkspace } from './queries/workspaceQueries';
+
+const RECONNECT_DELAY_MS = 5000;
+
+// Templates are kept on the device, so only task and TODO changes reach a cache
+const HANDLERS = {
+  task: applyTaskChange,
+  todo: applyTodoChange,
+};
+
+async function readEvents(response, onEvent) {
+  const reader = response.body.pipeThrough(new TextDecoderStream()).getReader();
+  let buffer = '';
+  for (;;) {
+    const { value, done } = await reader.read();
+    if (done) return;
+
+    buffer += value;
+    const frames = buffer.split('\n\n');
+    buffer = frames.pop();
+    for (const frame of frames) {
+      const data = frame.split('\n').find((line) => line.startsWith('data: '));
+      if (data) onEvent(JSON.parse(data.slice('data: '.length)));
+    }
+  }
+}
+
+/**
+ * Keeps the task and TODO caches in step with changes made on other devices or by
+ * other workspace members, using the server's event stream. EventSource cannot send
+ * the auth header, so the stream is read with fetch.
+ */
+export function useRealtimeSync() {
+  const queryClient = useQueryClient();
+  const { user } = useApp();
+  // Switching workspace resets this query, which re-renders with the new id
+  useWorkspacesQuery();
+  const { activeWorkspaceId } = useActiveWorkspace();
+
+  useEffect(() => {
+    if (!user) return undefined;
+
+    const controller = new AbortController();
+    let reconnectTimer;
+    let hasConnected = false;
+
+    const connect = async () => {
+      try {
+        const headers = { Authorization: `Bearer ${localStorage.getItem('authToken')}` };
+        if (activeWorkspaceId) headers['X-Workspace-Id'] = activeWorkspaceId;
+
+        const response = await fetch(`${apiClient.defaults.baseURL}/events`, {
+          headers,
+          signal: controller.signal,
+        });
+
+        if (response.status === 401) {
+          // Lets the API client refresh the access token before the next attempt
+          await apiClient.get('/auth/me').catch(() => {});
+        } else if (response.ok) {
+          if (hasConnected) {
+            // Changes made while the stream was down were missed
+            syncChanges(queryClient);
+          }
+          hasConnected = true;
+          await readEvents(response, (change) => HANDLERS[change.resource]?.(queryClient, change));
+        }
+      } catch (error) {
+        if (controller.signal.aborted) return;
+        console.error('Realtime sync disconnected:', error);
+      }
+
+      if (!controller.signal.aborted) {
+        reconnectTimer = setTimeout(connect, RECONNECT_DELAY_MS);
+      }
+    };
+
+    connect();
+    return () => {
+      controller.abort();
+      clearTimeout(reconnectTimer);
+    };
+  }, [user, activeWorkspaceId, queryClient]);
+}
+
+export default useRealtimeSync;
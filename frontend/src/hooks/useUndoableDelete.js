@@ -0,0 +1,38 @@
+import { useCallback } from 'react';
+import { useApp } from '../contexts/AppContext';
+import { useRestoreTrashMutation } from './queries/trashQueries';
+
+const UNDO_DURATION_MS = 8000;
+
+/**
+ * Announces a delete with an Undo button that brings the records back from the trash.
+ * Guest data and deletes made offline never reach the trash, so those get a plain notice.
+ *
+ * @returns {Function} `({ message, details, tasks, todos })`, with the IDs that were deleted
+ */
+export function useUndoableDelete() {
+  const { showNotification } = useApp();
+  const { mutate: restoreTrash } = useRestoreTrashMutation();
+
+  return useCallback(({ message, details, tasks = [], todos = [] }) => {
+    const canUndo = navigator.onLine && !!localStorage.getItem('authToken') && tasks.length + todos.length > 0;
+    const undo = () =>
+      restoreTrash({ tasks, todos }, {
+        onSuccess: (count) => showNotification({
+          type: count > 0 ? 'success' : 'warning',
+          message: count > 0 ? 'Delete undone' : 'Nothing to restore',
+          details: count > 0 ? `${count} item${count === 1 ? '' : 's'} restored` : 'It may have been purged from the trash already',
+        }),
+        onError: () => showNotification({ type: 'error', message: 'Could not undo the delete' }),
+      });
+
+    showNotification({
+      type: 'info',
+      message,
+      details,
+      ...(canUndo && { action: { label: 'Undo', onClick: undo }, duration: UNDO_DURATION_MS }),
+    });
+  }, [showNotification, restoreTrash]);
+}
+
+export default useUndoableDelete;
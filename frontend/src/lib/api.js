@@ -1,6 +1,19 @@
 import axios from 'axios';
 
-const API_BASE_URL = import.meta.env.VITE_API_URL || 'http://localhost:5000/api/v1';
+export const API_BASE_URL = import.meta.env.VITE_API_URL || 'http://localhost:5000/api/v1';
+
+const WORKSPACE_KEY = 'workspaceId';
+
+// Requests without a workspace act on the user's personal workspace
+export const getActiveWorkspaceId = () => localStorage.getItem(WORKSPACE_KEY);
+
+export const setActiveWorkspaceId = (id) => {
+  if (id) {
+    localStorage.setItem(WORKSPACE_KEY, id);
+  } else {
+    localStorage.removeItem(WORKSPACE_KEY);
+  }
+};
 
 export const apiClient = axios.create({
   baseURL: API_BASE_URL,
@@ -15,6 +28,11 @@ apiClient.interceptors.request.use(
     if (token) {
       config.headers.Authorization = `Bearer ${token}`;
     }
+    const workspaceId = getActiveWorkspaceId();
+    // Replayed offline changes name the workspace they were made in
+    if (workspaceId && config.headers['X-Workspace-Id'] === undefined) {
+      config.headers['X-Workspace-Id'] = workspaceId;
+    }
     return config;
   },
   (error) => {
@@ -27,6 +45,20 @@ apiClient.interceptors.response.use(
   async (error) => {
     const originalRequest = error.config;
 
+    // The active workspace was deleted or the user was removed from it
+    if (
+      error.response?.status === 404 &&
+      error.response.data?.message === 'Workspace not found' &&
+      originalRequest.headers['X-Workspace-Id'] &&
+      !originalRequest.keepWorkspace &&
+      !originalRequest._retry
+    ) {
+      originalRequest._retry = true;
+      setActiveWorkspaceId(null);
+      delete originalRequest.headers['X-Workspace-Id'];
+      return apiClient(originalRequest);
+    }
+
     if (error.response?.status === 401 && !originalRequest._retry) {
       originalRequest._retry = true;
 
@@ -47,6 +79,7 @@ apiClient.interceptors.response.use(
         localStorage.removeItem('authToken');
         localStorage.removeItem('refreshToken');
         localStorage.removeItem('user');
+        setActiveWorkspaceId(null);
         window.location.href = '/login';
         return Promise.reject(refreshError);
       }
@@ -10,6 +10,7 @@ import { TaskProvider } from './contexts/TaskContext'
 import { TodoProvider } from './contexts/TodoContext'
 import ErrorBoundary from './components/common/ErrorBoundary'
 import useOfflineSync from './hooks/useOfflineSync'
+import { registerServiceWorker } from './utils/pushNotifications'
 import { useState, useEffect } from 'react'
 
 function OfflineSyncManager() {
@@ -17,6 +18,8 @@ function OfflineSyncManager() {
   return null;
 }
 
+registerServiceWorker();
+
 const queryClient = new QueryClient({
   defaultOptions: {
     queries: {
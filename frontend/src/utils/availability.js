@@ -0,0 +1,67 @@
+/**
+ * @module availability
+ *
+ * Weekly availability templates with dated overrides, resolved the same way the
+ * server's scheduler resolves them.
+ */
+
+const toMinutes = (time) => {
+  const [hours, minutes] = time.split(':').map(Number);
+  return hours * 60 + minutes;
+};
+
+/**
+ * @param {string} date - YYYY-MM-DD
+ * @returns {number} 0 (Sunday) to 6
+ */
+export const weekdayOf = (date) => new Date(`${date}T00:00:00Z`).getUTCDay();
+
+/**
+ * The windows, earliest first, in which the user can be scheduled on a date. An
+ * override covering the date wins, the last one if several do; otherwise the weekly
+ * template applies, where a weekday without windows is a day off. Without a template
+ * every day uses `availableHours`.
+ *
+ * @param {string} date - YYYY-MM-DD
+ * @param {{start: string, end: string}} availableHours
+ * @param {{weekly: Array, overrides: Array}} [availability]
+ * @returns {Array<{start: string, end: string}>}
+ */
+export const windowsOn = (date, availableHours, availability) => {
+  const weekly = availability?.weekly || [];
+  const overrides = availability?.overrides || [];
+
+  const override = overrides.filter((o) => o.from <= date && date <= o.to).pop();
+  let windows;
+  if (override) {
+    windows = override.windows;
+  } else if (weekly.length) {
+    const weekday = weekdayOf(date);
+    windows = weekly.filter((w) => w.weekday === weekday);
+  } else {
+    windows = [availableHours];
+  }
+
+  return windows
+    .map(({ start, end }) => ({ start, end }))
+    .sort((a, b) => toMinutes(a.start) - toMinutes(b.start));
+};
+
+/**
+ * Checks one day's windows before they are saved.
+ *
+ * @param {Array<{start: string, end: string}>} windows
+ * @returns {string|null} What is wrong with them, or null if nothing is
+ */
+export const windowsProblem = (windows) => {
+  const sorted = [...windows].sort((a, b) => a.start.localeCompare(b.start));
+  for (let i = 0; i < sorted.length; i++) {
+    if (!sorted[i].start || !sorted[i].end || sorted[i].start >= sorted[i].end) {
+      return 'Each window must start before it ends';
+    }
+    if (i > 0 && sorted[i].start < sorted[i - 1].end) {
+      return `Windows overlap at ${sorted[i].start}`;
+    }
+  }
+  return null;
+};
@@ -0,0 +1,56 @@
+import { weekdayOf, windowsOn, windowsProblem } from './availability';
+
+const HOURS = { start: '13:00', end: '22:00' };
+
+// 2026-10-19 is a Monday
+const availability = {
+    weekly: [
+        { weekday: 1, start: '13:00', end: '17:00' },
+        { weekday: 1, start: '09:00', end: '12:00' },
+        { weekday: 2, start: '10:00', end: '16:00' },
+    ],
+    overrides: [
+        { from: '2026-10-26', to: '2026-10-30', windows: [], label: 'Holiday' },
+        { from: '2026-10-27', to: '2026-10-27', windows: [{ start: '18:00', end: '20:00' }] },
+    ],
+};
+
+describe('availability', () => {
+    describe('windowsOn', () => {
+        it('should use the weekly template, earliest window first', () => {
+            expect(weekdayOf('2026-10-19')).toBe(1);
+            expect(windowsOn('2026-10-19', HOURS, availability)).toEqual([
+                { start: '09:00', end: '12:00' },
+                { start: '13:00', end: '17:00' },
+            ]);
+        });
+
+        it('should treat weekdays without windows as days off', () => {
+            expect(windowsOn('2026-10-21', HOURS, availability)).toEqual([]);
+        });
+
+        it('should let the last override covering a date win', () => {
+            expect(windowsOn('2026-10-26', HOURS, availability)).toEqual([]);
+            expect(windowsOn('2026-10-27', HOURS, availability)).toEqual([{ start: '18:00', end: '20:00' }]);
+        });
+
+        it('should fall back to the available hours without a template', () => {
+            expect(windowsOn('2026-10-19', HOURS, undefined)).toEqual([HOURS]);
+            expect(windowsOn('2026-10-19', HOURS, { weekly: [], overrides: [] })).toEqual([HOURS]);
+        });
+    });
+
+    describe('windowsProblem', () => {
+        it('should accept windows with a gap between them', () => {
+            expect(windowsProblem(availability.weekly.slice(0, 2))).toBeNull();
+        });
+
+        it('should reject inverted and overlapping windows', () => {
+            expect(windowsProblem([{ start: '12:00', end: '09:00' }])).toBe('Each window must start before it ends');
+            expect(windowsProblem([
+                { start: '09:00', end: '12:00' },
+                { start: '11:30', end: '14:00' },
+            ])).toBe('Windows overlap at 11:30');
+        });
+    });
+});
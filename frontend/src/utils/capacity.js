@@ -0,0 +1,36 @@
+/**
+ * @module capacity
+ *
+ * The server's work-per-day forecast, shaped for the calendar's load bars.
+ */
+import { formatMinutes } from './dateUtils';
+
+export const LOAD_COLORS = {
+  tight: '#f59e0b',
+  over: '#ef4444',
+};
+
+/**
+ * @param {{days: Array}} [capacity] - As returned by the capacity endpoint
+ * @returns {Map<string, Object>} The days keyed by YYYY-MM-DD
+ */
+export const capacityByDate = (capacity) => new Map((capacity?.days || []).map((day) => [day.date, day]));
+
+/**
+ * How much of the day's free time the work fills, from 0 to 1. A day with work but no
+ * free time is full.
+ *
+ * @param {{availableMinutes: number, plannedMinutes: number}} day
+ * @returns {number}
+ */
+export const loadShare = (day) => {
+  if (!day.availableMinutes) return day.plannedMinutes ? 1 : 0;
+  return Math.min(1, day.plannedMinutes / day.availableMinutes);
+};
+
+/**
+ * @param {{availableMinutes: number, plannedMinutes: number}} day
+ * @returns {string} e.g. "9h planned, 6h free"
+ */
+export const describeLoad = (day) =>
+  `${formatMinutes(day.plannedMinutes)} planned, ${day.availableMinutes ? `${formatMinutes(day.availableMinutes)} free` : 'no free time'}`;
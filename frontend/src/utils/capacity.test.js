@@ -0,0 +1,29 @@
+import { capacityByDate, loadShare, describeLoad } from './capacity';
+
+const capacity = {
+    days: [
+        { date: '2026-11-05', availableMinutes: 360, plannedMinutes: 540, level: 'over' },
+        { date: '2026-11-06', availableMinutes: 360, plannedMinutes: 300, level: 'tight' },
+        { date: '2026-11-07', availableMinutes: 0, plannedMinutes: 90, level: 'over' },
+    ],
+    atRisk: [],
+};
+
+describe('capacity', () => {
+    it('should key the days by date', () => {
+        expect(capacityByDate(capacity).get('2026-11-06').level).toBe('tight');
+        expect(capacityByDate(undefined).size).toBe(0);
+    });
+
+    it('should cap the load share at a full day', () => {
+        expect(loadShare(capacity.days[0])).toBe(1);
+        expect(loadShare(capacity.days[1])).toBeCloseTo(0.83, 2);
+        expect(loadShare(capacity.days[2])).toBe(1);
+        expect(loadShare({ availableMinutes: 0, plannedMinutes: 0 })).toBe(0);
+    });
+
+    it('should describe the work against the free time', () => {
+        expect(describeLoad(capacity.days[0])).toBe('9h planned, 6h free');
+        expect(describeLoad(capacity.days[2])).toBe('1h 30m planned, no free time');
+    });
+});
@@ -114,3 +114,27 @@ export function isTomorrow(dateStr) {
     tomorrow.setDate(tomorrow.getDate() + 1);
     return dateStr === formatDate(tomorrow);
 }
+
+/**
+ * Formats a number of minutes as hours and minutes.
+ * 
+ * @param {number} minutes - Whole minutes
+ * @returns {string} e.g. "45m", "2h" or "1h 30m"
+ */
+export function formatMinutes(minutes) {
+    const hours = Math.floor(minutes / 60);
+    const mins = Math.round(minutes % 60);
+    if (hours === 0) return `${mins}m`;
+    return mins === 0 ? `${hours}h` : `${hours}h ${mins}m`;
+}
+
+/**
+ * Formats the time a timer has been running as a clock.
+ * 
+ * @param {number} ms - Elapsed milliseconds
+ * @returns {string} Elapsed time in H:MM:SS format
+ */
+export function formatElapsed(ms) {
+    const seconds = Math.max(0, Math.floor(ms / 1000));
+    return `${Math.floor(seconds / 3600)}:${pad(Math.floor(seconds / 60) % 60)}:${pad(seconds % 60)}`;
+}
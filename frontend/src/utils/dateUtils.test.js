@@ -1,4 +1,4 @@
-import { isOverdue } from './dateUtils';
+import { isOverdue, formatMinutes, formatElapsed } from './dateUtils';
 
 describe('dateUtils', () => {
     describe('isOverdue', () => {
@@ -32,4 +32,19 @@ describe('dateUtils', () => {
             expect(isOverdue(task, new Date())).toBe(false);
         });
     });
+
+    describe('formatMinutes', () => {
+        it('should show hours and minutes', () => {
+            expect(formatMinutes(45)).toBe('45m');
+            expect(formatMinutes(120)).toBe('2h');
+            expect(formatMinutes(90)).toBe('1h 30m');
+        });
+    });
+
+    describe('formatElapsed', () => {
+        it('should format elapsed time as a clock', () => {
+            expect(formatElapsed(0)).toBe('0:00:00');
+            expect(formatElapsed((3600 + 5 * 60 + 9) * 1000)).toBe('1:05:09');
+        });
+    });
 });
@@ -29,6 +29,29 @@ db.version(2).stores({
     templates: '++id' // For Part 5: Task Templates
 });
 
+// Version 3: Offline mutation queue and the conflicts found while replaying it
+db.version(3).stores({
+    tasks: '++id, dueDate, priority, isCompleted',
+    todos: '++id, isCompleted, order',
+    settings: 'key',
+    templates: '++id',
+    syncQueue: '++seq, entityId',
+    syncConflicts: '++id, entityId'
+});
+
+// Version 4: Mirror of the server's records per workspace, kept current by delta sync
+db.version(4).stores({
+    tasks: '++id, dueDate, priority, isCompleted',
+    todos: '++id, isCompleted, order',
+    settings: 'key',
+    templates: '++id',
+    syncQueue: '++seq, entityId',
+    syncConflicts: '++id, entityId',
+    mirrorTasks: 'id, workspaceKey',
+    mirrorTodos: 'id, workspaceKey',
+    mirrorTemplates: 'id, workspaceKey'
+});
+
 /**
  * Saves a setting to the settings table.
  * 
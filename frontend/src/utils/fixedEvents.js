@@ -0,0 +1,49 @@
+/**
+ * @module fixedEvents
+ *
+ * Which tasks are fixed events the scheduler plans around, decided the same way the
+ * server's scheduler decides it.
+ */
+
+export const FIXED_RULE_TYPES = [
+  { value: 'tag', label: 'Tag' },
+  { value: 'source', label: 'Imported calendar' },
+  { value: 'title', label: 'Title pattern' },
+];
+
+// What the server starts every user with, until their settings load
+export const DEFAULT_FIXED_RULES = ['lecture', 'section', 'meeting', 'deadline', 'course'].map((value) => ({
+  type: 'tag',
+  value,
+}));
+
+const titlePattern = (value) =>
+  new RegExp(`^${value.split('*').map((part) => part.replace(/[.+?^${}()|[\]\\]/g, '\\$&')).join('.*')}$`, 'i');
+
+const matches = (task, { type, value }) => {
+  const wanted = value.trim().toLowerCase();
+  switch (type) {
+    case 'tag':
+      return (task.tags || []).some((tag) => tag.toLowerCase() === wanted);
+    case 'source':
+      return task.type === 'ics-import' && (wanted === '*' || (task.icsSource || '').toLowerCase() === wanted);
+    case 'title':
+      return titlePattern(value.trim()).test(task.title || '');
+    default:
+      return false;
+  }
+};
+
+/**
+ * A task's own `isFixed` flag wins; without one, the task is fixed when any rule
+ * matches: a tag, the calendar it was imported from ('*' for any), or a title
+ * pattern where '*' stands for any text. Matching ignores case.
+ *
+ * @param {Object} task
+ * @param {Array<{type: string, value: string}>} [rules]
+ * @returns {boolean}
+ */
+export const isFixedEvent = (task, rules = DEFAULT_FIXED_RULES) => {
+  if (typeof task.isFixed === 'boolean') return task.isFixed;
+  return rules.some((rule) => matches(task, rule));
+};
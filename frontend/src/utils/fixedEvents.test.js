@@ -0,0 +1,32 @@
+import { isFixedEvent, DEFAULT_FIXED_RULES } from './fixedEvents';
+
+const rules = [
+    { type: 'tag', value: 'lab' },
+    { type: 'source', value: 'University' },
+    { type: 'title', value: 'Standup*' },
+];
+
+describe('fixedEvents', () => {
+    it('should fix the default tags until the user sets rules', () => {
+        expect(isFixedEvent({ title: 'Algorithms', tags: ['Lecture'] })).toBe(true);
+        expect(isFixedEvent({ title: 'Essay', tags: ['writing'] }, DEFAULT_FIXED_RULES)).toBe(false);
+    });
+
+    it('should match tags, imported calendars and title patterns regardless of case', () => {
+        expect(isFixedEvent({ title: 'Chemistry', tags: ['LAB'] }, rules)).toBe(true);
+        expect(isFixedEvent({ title: 'Office hours', type: 'ics-import', icsSource: 'university' }, rules)).toBe(true);
+        expect(isFixedEvent({ title: 'standup (team)' }, rules)).toBe(true);
+        expect(isFixedEvent({ title: 'Daily standup' }, rules)).toBe(false);
+        expect(isFixedEvent({ title: 'Office hours', icsSource: 'University' }, rules)).toBe(false);
+    });
+
+    it('should match any imported task for the * calendar', () => {
+        expect(isFixedEvent({ title: 'Gym', type: 'ics-import' }, [{ type: 'source', value: '*' }])).toBe(true);
+    });
+
+    it('should let the task flag override the rules', () => {
+        expect(isFixedEvent({ title: 'Chemistry', tags: ['lab'], isFixed: false }, rules)).toBe(false);
+        expect(isFixedEvent({ title: 'Essay', tags: [], isFixed: true }, rules)).toBe(true);
+        expect(isFixedEvent({ title: 'Chemistry', tags: ['lab'], isFixed: null }, rules)).toBe(true);
+    });
+});
@@ -0,0 +1,71 @@
+/**
+ * @module focusSession
+ *
+ * Work/break cycles for focus mode, and picking the task to focus on.
+ */
+
+export const DEFAULT_FOCUS_SETTINGS = {
+  workMinutes: 25,
+  shortBreakMinutes: 5,
+  longBreakMinutes: 15,
+  cyclesBeforeLongBreak: 4,
+};
+
+export const PHASE_LABELS = {
+  work: 'Focus',
+  shortBreak: 'Short break',
+  longBreak: 'Long break',
+};
+
+/**
+ * @param {'work'|'shortBreak'|'longBreak'} phase
+ * @param {Object} settings - Focus settings
+ * @returns {number} How long the phase lasts, in minutes
+ */
+export const phaseMinutes = (phase, settings) => {
+  if (phase === 'shortBreak') return settings.shortBreakMinutes;
+  if (phase === 'longBreak') return settings.longBreakMinutes;
+  return settings.workMinutes;
+};
+
+/**
+ * Works out what follows a finished phase. Every work phase is followed by a break,
+ * and every `cyclesBeforeLongBreak`th break is a long one.
+ *
+ * @param {'work'|'shortBreak'|'longBreak'} phase - The phase that just finished
+ * @param {number} completedCycles - Work phases finished before this one
+ * @param {Object} settings - Focus settings
+ * @returns {{phase: string, completedCycles: number}}
+ */
+export const nextPhase = (phase, completedCycles, settings) => {
+  if (phase !== 'work') return { phase: 'work', completedCycles };
+
+  const cycles = completedCycles + 1;
+  const longBreak = settings.cyclesBeforeLongBreak > 0 && cycles % settings.cyclesBeforeLongBreak === 0;
+  return { phase: longBreak ? 'longBreak' : 'shortBreak', completedCycles: cycles };
+};
+
+const slotStart = (task) => new Date(`${task.assignedSlot.date}T${task.assignedSlot.time || '00:00'}`);
+
+/**
+ * Picks the task to focus on: the pending task whose scheduled slot is under way, or
+ * else the one scheduled next.
+ *
+ * @param {Object[]} tasks
+ * @param {Date} [now=new Date()]
+ * @returns {Object|null}
+ */
+export const pickFocusTask = (tasks, now = new Date()) => {
+  const scheduled = tasks
+    .filter((task) => !task.isCompleted && task.assignedSlot?.date)
+    .map((task) => {
+      const start = slotStart(task);
+      const end = new Date(start.getTime() + (task.estimatedDuration || 0) * 60000);
+      return { task, start, end };
+    })
+    .filter(({ end, start }) => end > now || start >= now)
+    .sort((a, b) => a.start - b.start);
+
+  const current = scheduled.find(({ start, end }) => start <= now && now < end);
+  return (current ?? scheduled.find(({ start }) => start >= now))?.task ?? null;
+};
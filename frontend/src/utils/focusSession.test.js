@@ -0,0 +1,47 @@
+import { DEFAULT_FOCUS_SETTINGS, nextPhase, phaseMinutes, pickFocusTask } from './focusSession';
+
+describe('focusSession', () => {
+    describe('nextPhase', () => {
+        it('should follow work with a short break and count the cycle', () => {
+            expect(nextPhase('work', 0, DEFAULT_FOCUS_SETTINGS)).toEqual({ phase: 'shortBreak', completedCycles: 1 });
+        });
+
+        it('should take a long break after the configured number of cycles', () => {
+            expect(nextPhase('work', 3, DEFAULT_FOCUS_SETTINGS)).toEqual({ phase: 'longBreak', completedCycles: 4 });
+            expect(phaseMinutes('longBreak', DEFAULT_FOCUS_SETTINGS)).toBe(15);
+        });
+
+        it('should go back to work after a break', () => {
+            expect(nextPhase('longBreak', 4, DEFAULT_FOCUS_SETTINGS)).toEqual({ phase: 'work', completedCycles: 4 });
+        });
+    });
+
+    describe('pickFocusTask', () => {
+        const now = new Date('2026-03-02T10:15:00');
+        const task = (id, date, time, extra = {}) => ({
+            id, title: id, isCompleted: false, estimatedDuration: 60, assignedSlot: { date, time }, ...extra,
+        });
+
+        it('should pick the task whose slot is under way', () => {
+            const tasks = [task('later', '2026-03-02', '13:00'), task('now', '2026-03-02', '10:00')];
+
+            expect(pickFocusTask(tasks, now).id).toBe('now');
+        });
+
+        it('should fall back to the next scheduled task, skipping finished and completed ones', () => {
+            const tasks = [
+                task('past', '2026-03-02', '08:00'),
+                task('done', '2026-03-02', '11:00', { isCompleted: true }),
+                task('tomorrow', '2026-03-03', '09:00'),
+                task('next', '2026-03-02', '12:00'),
+                { id: 'unscheduled', isCompleted: false, assignedSlot: null },
+            ];
+
+            expect(pickFocusTask(tasks, now).id).toBe('next');
+        });
+
+        it('should return null when nothing is scheduled', () => {
+            expect(pickFocusTask([{ id: 'a', isCompleted: false }], now)).toBeNull();
+        });
+    });
+});
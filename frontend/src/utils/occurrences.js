@@ -0,0 +1,278 @@
+/**
+ * @module occurrences
+ *
+ * Recurring tasks expanded into their occurrences the way the server expands the
+ * task list. The offline mirror holds series as they are stored, so lists read from
+ * it are expanded here.
+ */
+
+import { getToday } from './dateUtils';
+
+const WEEKDAYS = ['SU', 'MO', 'TU', 'WE', 'TH', 'FR', 'SA'];
+const FREQUENCIES = ['DAILY', 'WEEKLY', 'MONTHLY', 'YEARLY'];
+const MAX_ITERATIONS = 10000;
+const MAX_OCCURRENCES = 500;
+
+// The range the server expands a task list over when it is given none
+const LOOKBACK_DAYS = 14;
+const EXPANSION_DAYS = 90;
+
+const toUTCDate = (dateStr) => {
+  const [year, month, day] = dateStr.split('-').map(Number);
+  return new Date(Date.UTC(year, month - 1, day));
+};
+
+const fromUTCDate = (date) => date.toISOString().split('T')[0];
+
+const addDays = (dateStr, days) => {
+  const date = toUTCDate(dateStr);
+  date.setUTCDate(date.getUTCDate() + days);
+  return fromUTCDate(date);
+};
+
+const daysInMonth = (year, month) => new Date(Date.UTC(year, month + 1, 0)).getUTCDate();
+
+/**
+ * @param {string} rule - e.g. "FREQ=WEEKLY;BYDAY=MO,WE;UNTIL=20261220"
+ * @returns {Object|null} The parsed rule, or null if it cannot be read
+ */
+export const parseRRule = (rule) => {
+  const parsed = { interval: 1 };
+
+  for (const part of rule.replace(/^RRULE:/i, '').split(';').filter(Boolean)) {
+    const [rawKey, rawValue] = part.split('=');
+    const key = rawKey?.trim().toUpperCase();
+    const value = rawValue?.trim().toUpperCase();
+    if (!key || !value) continue;
+
+    switch (key) {
+      case 'FREQ':
+        if (!FREQUENCIES.includes(value)) return null;
+        parsed.freq = value;
+        break;
+      case 'INTERVAL':
+        parsed.interval = Math.max(1, parseInt(value, 10) || 1);
+        break;
+      case 'COUNT':
+        parsed.count = Math.max(1, parseInt(value, 10) || 1);
+        break;
+      case 'UNTIL': {
+        const digits = value.replace(/[^0-9]/g, '');
+        if (digits.length < 8) return null;
+        parsed.until = `${digits.substring(0, 4)}-${digits.substring(4, 6)}-${digits.substring(6, 8)}`;
+        break;
+      }
+      case 'BYDAY': {
+        const days = value.split(',').map((token) => token.match(/^([+-]?\d{1,2})?(SU|MO|TU|WE|TH|FR|SA)$/));
+        if (days.some((match) => !match)) return null;
+        parsed.byDay = days.map((match) => ({
+          weekday: WEEKDAYS.indexOf(match[2]),
+          ordinal: match[1] ? parseInt(match[1], 10) : undefined,
+        }));
+        break;
+      }
+      case 'BYMONTHDAY':
+        parsed.byMonthDay = value.split(',').map((d) => parseInt(d, 10)).filter((d) => !isNaN(d) && d !== 0);
+        break;
+      case 'BYMONTH':
+        parsed.byMonth = value.split(',').map((m) => parseInt(m, 10)).filter((m) => m >= 1 && m <= 12);
+        break;
+    }
+  }
+
+  return parsed.freq ? parsed : null;
+};
+
+const nthWeekdayOfMonth = (year, month, weekday, ordinal) => {
+  const total = daysInMonth(year, month);
+  if (ordinal > 0) {
+    const firstWeekday = new Date(Date.UTC(year, month, 1)).getUTCDay();
+    const day = 1 + ((weekday - firstWeekday + 7) % 7) + (ordinal - 1) * 7;
+    return day <= total ? day : null;
+  }
+  const lastWeekday = new Date(Date.UTC(year, month, total)).getUTCDay();
+  const day = total - ((lastWeekday - weekday + 7) % 7) + (ordinal + 1) * 7;
+  return day >= 1 ? day : null;
+};
+
+const monthCandidates = (year, month, rule, start) => {
+  const total = daysInMonth(year, month);
+  const days = new Set();
+
+  for (const d of rule.byMonthDay || []) {
+    const day = d > 0 ? d : total + d + 1;
+    if (day >= 1 && day <= total) days.add(day);
+  }
+
+  for (const { weekday, ordinal } of rule.byDay || []) {
+    if (ordinal) {
+      const day = nthWeekdayOfMonth(year, month, weekday, ordinal);
+      if (day) days.add(day);
+    } else {
+      for (let day = 1; day <= total; day++) {
+        if (new Date(Date.UTC(year, month, day)).getUTCDay() === weekday) days.add(day);
+      }
+    }
+  }
+
+  if (!rule.byMonthDay?.length && !rule.byDay?.length && start.getUTCDate() <= total) {
+    days.add(start.getUTCDate());
+  }
+
+  return [...days].sort((a, b) => a - b);
+};
+
+const periodCandidates = (periodStart, rule, start) => {
+  const year = periodStart.getUTCFullYear();
+  const month = periodStart.getUTCMonth();
+
+  switch (rule.freq) {
+    case 'DAILY': {
+      const weekdays = rule.byDay?.map((d) => d.weekday);
+      if (weekdays && !weekdays.includes(periodStart.getUTCDay())) return [];
+      return [new Date(periodStart)];
+    }
+    case 'WEEKLY': {
+      const weekdays = rule.byDay?.length ? rule.byDay.map((d) => d.weekday) : [start.getUTCDay()];
+      return weekdays
+        .map((weekday) => {
+          const date = new Date(periodStart);
+          date.setUTCDate(date.getUTCDate() + ((weekday - periodStart.getUTCDay() + 7) % 7));
+          return date;
+        })
+        .sort((a, b) => a.getTime() - b.getTime());
+    }
+    case 'MONTHLY':
+      return monthCandidates(year, month, rule, start).map((day) => new Date(Date.UTC(year, month, day)));
+    default: {
+      const months = rule.byMonth?.length
+        ? [...rule.byMonth].sort((a, b) => a - b).map((m) => m - 1)
+        : [start.getUTCMonth()];
+      return months.flatMap((m) => {
+        if (rule.byDay?.length || rule.byMonthDay?.length) {
+          return monthCandidates(year, m, rule, start).map((day) => new Date(Date.UTC(year, m, day)));
+        }
+        const day = start.getUTCDate();
+        return day <= daysInMonth(year, m) ? [new Date(Date.UTC(year, m, day))] : [];
+      });
+    }
+  }
+};
+
+const firstPeriod = (start, rule) => {
+  switch (rule.freq) {
+    case 'WEEKLY': {
+      // Weeks start on Monday (RFC 5545 default WKST)
+      const date = new Date(start);
+      date.setUTCDate(date.getUTCDate() - ((date.getUTCDay() + 6) % 7));
+      return date;
+    }
+    case 'MONTHLY':
+      return new Date(Date.UTC(start.getUTCFullYear(), start.getUTCMonth(), 1));
+    case 'YEARLY':
+      return new Date(Date.UTC(start.getUTCFullYear(), 0, 1));
+    default:
+      return new Date(start);
+  }
+};
+
+const nextPeriod = (periodStart, rule) => {
+  const next = new Date(periodStart);
+  switch (rule.freq) {
+    case 'DAILY':
+      next.setUTCDate(next.getUTCDate() + rule.interval);
+      break;
+    case 'WEEKLY':
+      next.setUTCDate(next.getUTCDate() + 7 * rule.interval);
+      break;
+    case 'MONTHLY':
+      next.setUTCMonth(next.getUTCMonth() + rule.interval, 1);
+      break;
+    default:
+      next.setUTCFullYear(next.getUTCFullYear() + rule.interval, 0, 1);
+  }
+  return next;
+};
+
+/**
+ * Dates (YYYY-MM-DD) a rule produces from `dtstart` within [rangeStart, rangeEnd].
+ * COUNT counts excluded dates too, as RFC 5545 requires.
+ *
+ * @param {string} dtstart
+ * @param {Object} rule - As returned by parseRRule
+ * @param {{exdates?: string[], rangeStart: string, rangeEnd: string}} options
+ * @returns {string[]}
+ */
+export const expandRRule = (dtstart, rule, { exdates = [], rangeStart, rangeEnd }) => {
+  const start = toUTCDate(dtstart);
+  const excluded = new Set(exdates);
+  const results = [];
+
+  let period = firstPeriod(start, rule);
+  let generated = 0;
+
+  for (let i = 0; i < MAX_ITERATIONS; i++) {
+    for (const candidate of periodCandidates(period, rule, start)) {
+      if (candidate < start) continue;
+      if (rule.byMonth?.length && !rule.byMonth.includes(candidate.getUTCMonth() + 1)) continue;
+
+      const date = fromUTCDate(candidate);
+      if ((rule.until && date > rule.until) || date > rangeEnd) return results;
+
+      generated++;
+      if (rule.count && generated > rule.count) return results;
+      if (excluded.has(date) || date < rangeStart) continue;
+
+      results.push(date);
+      if (results.length >= MAX_OCCURRENCES) return results;
+    }
+    period = nextPeriod(period, rule);
+  }
+
+  return results;
+};
+
+const buildOccurrence = (series, date) => {
+  const { recurrence, ...base } = series;
+  const seriesId = series.id || series._id;
+  const id = `${seriesId}_${date}`;
+
+  return {
+    ...base,
+    _id: id,
+    id,
+    seriesId,
+    recurrenceId: date,
+    recurrence,
+    dueDate: date,
+    assignedSlot: base.assignedSlot?.time ? { date, time: base.assignedSlot.time } : null,
+    isCompleted: false,
+    completedAt: undefined,
+    subtasks: (base.subtasks || []).map((s) => ({ ...s, isCompleted: false })),
+    isOccurrence: true,
+  };
+};
+
+/**
+ * Replaces every series among `tasks` with its occurrences from `from` to `to`.
+ * Without a range, occurrences are listed from two weeks ago to 90 days ahead, as
+ * in the server's task list. A rule that cannot be read leaves the series as it is.
+ *
+ * @param {Array<Object>} tasks - Tasks as stored, e.g. from the mirror
+ * @param {{from?: string, to?: string}} [range]
+ * @returns {Array<Object>}
+ */
+export const expandTasks = (tasks, { from, to } = {}) => {
+  const today = getToday();
+  const rangeStart = from || addDays(today, -LOOKBACK_DAYS);
+  const rangeEnd = to || addDays(today, EXPANSION_DAYS);
+
+  return tasks.flatMap((task) => {
+    const rule = task.recurrence?.rrule && task.dueDate && parseRRule(task.recurrence.rrule);
+    if (!rule) return [task];
+
+    return expandRRule(task.dueDate, rule, { exdates: task.recurrence.exdates, rangeStart, rangeEnd }).map(
+      (date) => buildOccurrence(task, date)
+    );
+  });
+};
@@ -0,0 +1,60 @@
+import { parseRRule, expandRRule, expandTasks } from './occurrences';
+
+const standup = {
+    id: '64b7f0c2a1b2c3d4e5f60718',
+    title: 'Standup',
+    dueDate: '2026-03-02',
+    dueTime: '09:00',
+    isCompleted: true,
+    subtasks: [{ id: 's1', title: 'Notes', isCompleted: true }],
+    recurrence: { rrule: 'FREQ=WEEKLY;BYDAY=MO,WE', exdates: ['2026-03-04'] },
+};
+
+describe('occurrences', () => {
+    describe('expandRRule', () => {
+        it('should honour COUNT, counting excluded dates', () => {
+            const dates = expandRRule('2026-03-02', parseRRule('FREQ=DAILY;COUNT=3'), {
+                exdates: ['2026-03-03'],
+                rangeStart: '2026-01-01',
+                rangeEnd: '2026-12-31',
+            });
+            expect(dates).toEqual(['2026-03-02', '2026-03-04']);
+        });
+
+        it('should expand monthly rules by weekday ordinal and month day', () => {
+            const range = { rangeStart: '2026-01-01', rangeEnd: '2026-03-31' };
+            expect(expandRRule('2026-01-01', parseRRule('FREQ=MONTHLY;BYDAY=-1FR'), range)).toEqual([
+                '2026-01-30',
+                '2026-02-27',
+                '2026-03-27',
+            ]);
+            expect(expandRRule('2026-01-31', parseRRule('FREQ=MONTHLY;BYMONTHDAY=31'), range)).toEqual([
+                '2026-01-31',
+                '2026-03-31',
+            ]);
+        });
+    });
+
+    describe('expandTasks', () => {
+        it('should replace a series with its open occurrences in the range', () => {
+            const tasks = expandTasks([standup], { from: '2026-03-01', to: '2026-03-10' });
+
+            expect(tasks.map((t) => t.dueDate)).toEqual(['2026-03-02', '2026-03-09']);
+            expect(tasks[0]).toMatchObject({
+                id: `${standup.id}_2026-03-02`,
+                seriesId: standup.id,
+                recurrenceId: '2026-03-02',
+                isOccurrence: true,
+                isCompleted: false,
+            });
+            expect(tasks[0].subtasks[0].isCompleted).toBe(false);
+        });
+
+        it('should keep other tasks and series whose rule cannot be read', () => {
+            const essay = { id: 'essay', title: 'Essay', dueDate: '2026-03-05' };
+            const broken = { ...standup, recurrence: { rrule: 'FREQ=HOURLY' } };
+
+            expect(expandTasks([essay, broken], { from: '2026-03-01', to: '2026-03-10' })).toEqual([essay, broken]);
+        });
+    });
+});
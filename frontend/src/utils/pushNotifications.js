@@ -0,0 +1,81 @@
+/**
+ * @module pushNotifications
+ *
+ * Registers the service worker and subscribes this browser to task reminders sent
+ * with Web Push.
+ */
+
+import apiClient, { API_BASE_URL } from '../lib/api';
+
+/**
+ * @returns {boolean} True if the browser can receive push notifications
+ */
+export const isPushSupported = () =>
+  'serviceWorker' in navigator && 'PushManager' in window && 'Notification' in window;
+
+/**
+ * Registers the service worker. It is told the API's address so notification
+ * actions can reach it.
+ * @returns {Promise<ServiceWorkerRegistration|null>}
+ */
+export async function registerServiceWorker() {
+  if (!('serviceWorker' in navigator)) return null;
+  try {
+    return await navigator.serviceWorker.register(`/sw.js?api=${encodeURIComponent(API_BASE_URL)}`);
+  } catch (error) {
+    console.debug('Service worker registration failed:', error.message);
+    return null;
+  }
+}
+
+// VAPID keys come as URL-safe base64, while the Push API wants raw bytes
+const urlBase64ToUint8Array = (base64) => {
+  const padded = (base64 + '='.repeat((4 - (base64.length % 4)) % 4)).replace(/-/g, '+').replace(/_/g, '/');
+  return Uint8Array.from(atob(padded), (char) => char.charCodeAt(0));
+};
+
+/**
+ * @returns {Promise<PushSubscription|null>} This browser's subscription, if it has one
+ */
+export async function getPushSubscription() {
+  if (!isPushSupported()) return null;
+  const registration = await navigator.serviceWorker.ready;
+  return registration.pushManager.getSubscription();
+}
+
+/**
+ * Asks for permission, subscribes the browser and registers the subscription with the
+ * server. Due times are read in the user's time zone setting.
+ * @returns {Promise<PushSubscription>}
+ */
+export async function subscribeToPush() {
+  if (!isPushSupported()) throw new Error('This browser does not support push notifications');
+
+  const permission = await Notification.requestPermission();
+  if (permission !== 'granted') throw new Error('Notifications are blocked for this site');
+
+  const registration = await navigator.serviceWorker.ready;
+  let subscription = await registration.pushManager.getSubscription();
+  if (!subscription) {
+    const response = await apiClient.get('/notifications/vapid-public-key');
+    subscription = await registration.pushManager.subscribe({
+      userVisibleOnly: true,
+      applicationServerKey: urlBase64ToUint8Array(response.data.data.publicKey),
+    });
+  }
+
+  await apiClient.post('/notifications/subscriptions', subscription.toJSON());
+  return subscription;
+}
+
+/**
+ * Stops reminders on this browser.
+ * @returns {Promise<void>}
+ */
+export async function unsubscribeFromPush() {
+  const subscription = await getPushSubscription();
+  if (!subscription) return;
+
+  await apiClient.delete('/notifications/subscriptions', { data: { endpoint: subscription.endpoint } });
+  await subscription.unsubscribe();
+}
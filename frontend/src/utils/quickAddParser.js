@@ -0,0 +1,311 @@
+/**
+ * @module quickAddParser
+ *
+ * Reads task fields out of a quick-add line such as
+ * "Submit lab report fri 3pm 2h #physics !high every week until dec 20".
+ * Mirrors the server's parser (POST /tasks/parse) so the input can be highlighted as
+ * the user types.
+ */
+
+const WEEKDAYS = {
+  sun: 0, sunday: 0,
+  mon: 1, monday: 1,
+  tue: 2, tues: 2, tuesday: 2,
+  wed: 3, wednesday: 3,
+  thu: 4, thur: 4, thurs: 4, thursday: 4,
+  fri: 5, friday: 5,
+  sat: 6, saturday: 6,
+};
+
+const MONTHS = {
+  jan: 1, january: 1,
+  feb: 2, february: 2,
+  mar: 3, march: 3,
+  apr: 4, april: 4,
+  may: 5,
+  jun: 6, june: 6,
+  jul: 7, july: 7,
+  aug: 8, august: 8,
+  sep: 9, sept: 9, september: 9,
+  oct: 10, october: 10,
+  nov: 11, november: 11,
+  dec: 12, december: 12,
+};
+
+const FREQUENCIES = {
+  day: 'daily',
+  week: 'weekly',
+  month: 'monthly',
+  year: 'yearly',
+};
+
+const PRIORITIES = {
+  high: 'high', h: 'high', 1: 'high',
+  medium: 'medium', med: 'medium', m: 'medium', 2: 'medium',
+  low: 'low', l: 'low', 3: 'low',
+};
+
+const HOUR_UNITS = /^(h|hr|hrs|hour|hours)$/;
+const MINUTE_UNITS = /^(m|min|mins|minute|minutes)$/;
+
+// Own keys only, so words like "constructor" are not looked up on the prototype
+const lookup = (table, word) =>
+  word !== undefined && Object.prototype.hasOwnProperty.call(table, word) ? table[word] : undefined;
+
+const pad = (n) => String(n).padStart(2, '0');
+
+const addDays = (date, days) => {
+  const [year, month, day] = date.split('-').map(Number);
+  return new Date(Date.UTC(year, month - 1, day + days)).toISOString().split('T')[0];
+};
+
+const dayOfWeek = (date) => new Date(`${date}T00:00:00Z`).getUTCDay();
+
+const isValidDate = (year, month, day) => {
+  const date = new Date(Date.UTC(year, month - 1, day));
+  return date.getUTCFullYear() === year && date.getUTCMonth() === month - 1 && date.getUTCDate() === day;
+};
+
+// The weekday on or after `today`
+const upcomingWeekday = (today, weekday) => addDays(today, (weekday - dayOfWeek(today) + 7) % 7);
+
+/**
+ * Reads a date starting at `words[i]`: today, tomorrow, a weekday ("fri", "next fri"),
+ * "in 3 days", "next week", a month and day ("dec 20", "20 dec 2027") or YYYY-MM-DD.
+ * Dates without a year fall on their next occurrence.
+ */
+const matchDate = (words, i, today) => {
+  const [first, second, third] = [words[i]?.lower, words[i + 1]?.lower, words[i + 2]?.lower];
+
+  if (first === 'today') return { length: 1, date: today };
+  if (first === 'tomorrow' || first === 'tmr' || first === 'tmrw') return { length: 1, date: addDays(today, 1) };
+  const weekday = lookup(WEEKDAYS, first);
+  if (weekday !== undefined) return { length: 1, date: upcomingWeekday(today, weekday) };
+
+  if (first === 'next' && second === 'week') return { length: 2, date: addDays(today, 7) };
+  // "next fri" is the Friday a week after "fri"
+  const nextWeekday = first === 'next' ? lookup(WEEKDAYS, second) : undefined;
+  if (nextWeekday !== undefined) {
+    return { length: 2, date: addDays(upcomingWeekday(today, nextWeekday), 7) };
+  }
+
+  if (first === 'in' && /^\d+$/.test(second ?? '') && /^(day|days|week|weeks)$/.test(third ?? '')) {
+    const days = Number(second) * (third.startsWith('week') ? 7 : 1);
+    return { length: 3, date: addDays(today, days) };
+  }
+
+  const iso = first?.match(/^(\d{4})-(\d{2})-(\d{2})$/);
+  if (iso && isValidDate(Number(iso[1]), Number(iso[2]), Number(iso[3]))) {
+    return { length: 1, date: first };
+  }
+
+  const dayPattern = /^(\d{1,2})(st|nd|rd|th)?,?$/;
+  // "dec 20" or "20 dec"
+  const month = lookup(MONTHS, first) ?? lookup(MONTHS, second);
+  const day = (lookup(MONTHS, first) ? second : first)?.match(dayPattern);
+  if (!month || !day) return null;
+
+  const [todayYear] = today.split('-').map(Number);
+  if (/^\d{4}$/.test(third ?? '')) {
+    const year = Number(third);
+    return isValidDate(year, month, Number(day[1]))
+      ? { length: 3, date: `${year}-${pad(month)}-${pad(Number(day[1]))}` }
+      : null;
+  }
+  for (const year of [todayYear, todayYear + 1]) {
+    const date = `${year}-${pad(month)}-${pad(Number(day[1]))}`;
+    if (isValidDate(year, month, Number(day[1])) && date >= today) return { length: 2, date };
+  }
+  return null;
+};
+
+/**
+ * Reads a time: "3pm", "3:30 pm", "15:00", "noon" or "midnight".
+ */
+const matchTime = (words, i) => {
+  const [first, second] = [words[i]?.lower, words[i + 1]?.lower];
+
+  if (first === 'noon') return { length: 1, time: '12:00' };
+  if (first === 'midnight') return { length: 1, time: '00:00' };
+
+  const twelveHour = (hour, minute, meridiem, length) => {
+    if (hour < 1 || hour > 12 || minute > 59) return null;
+    const hours = (hour % 12) + (meridiem.startsWith('p') ? 12 : 0);
+    return { length, time: `${pad(hours)}:${pad(minute)}` };
+  };
+
+  const joined = first?.match(/^(\d{1,2})(?::(\d{2}))?(am|pm|a|p)$/);
+  if (joined) return twelveHour(Number(joined[1]), Number(joined[2] ?? 0), joined[3], 1);
+
+  const bare = first?.match(/^(\d{1,2})(?::(\d{2}))?$/);
+  if (bare && (second === 'am' || second === 'pm')) {
+    return twelveHour(Number(bare[1]), Number(bare[2] ?? 0), second, 2);
+  }
+  if (bare && bare[2] !== undefined && Number(bare[1]) < 24 && Number(bare[2]) < 60) {
+    return { length: 1, time: `${pad(Number(bare[1]))}:${bare[2]}` };
+  }
+  return null;
+};
+
+/**
+ * Reads a duration in minutes: "2h", "1.5h", "45m", "1h30m" or "90 min".
+ */
+const matchDuration = (words, i) => {
+  const [first, second] = [words[i]?.lower, words[i + 1]?.lower];
+  let length = 1;
+  let minutes = null;
+
+  const combined = first?.match(/^(\d+)h(\d+)(m|min)?$/);
+  const joined = first?.match(/^(\d+(?:\.\d+)?)([a-z]+)$/);
+  if (combined) {
+    minutes = Number(combined[1]) * 60 + Number(combined[2]);
+  } else if (joined && HOUR_UNITS.test(joined[2])) {
+    minutes = Math.round(Number(joined[1]) * 60);
+  } else if (joined && MINUTE_UNITS.test(joined[2]) && !joined[1].includes('.')) {
+    minutes = Number(joined[1]);
+  } else if (/^\d+(\.\d+)?$/.test(first ?? '') && second) {
+    length = 2;
+    if (HOUR_UNITS.test(second)) minutes = Math.round(Number(first) * 60);
+    else if (MINUTE_UNITS.test(second)) minutes = Math.round(Number(first));
+  }
+
+  return minutes && minutes > 0 ? { length, minutes } : null;
+};
+
+// Matchers in the order they are tried. Prefixes such as "on" or "at" belong to the
+// token only when what follows matches.
+const MATCHERS = [
+  {
+    type: 'tag',
+    match: (words, i, _today, parsed) => {
+      const tag = words[i].text.match(/^#([\p{L}\p{N}_-]+)[,;.]*$/u)?.[1];
+      return tag ? { length: 1, fields: { tags: [...new Set([...parsed.tags, tag])] } } : null;
+    },
+  },
+  {
+    type: 'priority',
+    match: (words, i, _today, parsed) => {
+      const priority = lookup(PRIORITIES, words[i].lower.match(/^!(\w+)$/)?.[1]);
+      return priority && !parsed.priority ? { length: 1, fields: { priority } } : null;
+    },
+  },
+  {
+    type: 'recurrence',
+    match: (words, i, today, parsed) => {
+      if (parsed.repeatFrequency || words[i].lower !== 'every') return null;
+      const unit = words[i + 1]?.lower;
+      const weekday = lookup(WEEKDAYS, unit);
+      const fields = {};
+      if (lookup(FREQUENCIES, unit)) {
+        fields.repeatFrequency = lookup(FREQUENCIES, unit);
+      } else if (weekday !== undefined) {
+        // "every fri" starts on the coming Friday
+        fields.repeatFrequency = 'weekly';
+        if (!parsed.dueDate) fields.dueDate = upcomingWeekday(today, weekday);
+      } else {
+        return null;
+      }
+
+      const until = words[i + 2]?.lower === 'until' ? matchDate(words, i + 3, today) : null;
+      if (until) fields.repeatUntil = until.date;
+      return { length: until ? 3 + until.length : 2, fields };
+    },
+  },
+  {
+    type: 'date',
+    match: (words, i, today, parsed) => {
+      if (parsed.dueDate) return null;
+      const prefixed = /^(on|by|due)$/.test(words[i].lower) ? 1 : 0;
+      const date = matchDate(words, i + prefixed, today);
+      return date ? { length: prefixed + date.length, fields: { dueDate: date.date } } : null;
+    },
+  },
+  {
+    type: 'time',
+    match: (words, i, _today, parsed) => {
+      if (parsed.dueTime) return null;
+      const prefixed = words[i].lower === 'at' ? 1 : 0;
+      const time = matchTime(words, i + prefixed);
+      return time ? { length: prefixed + time.length, fields: { dueTime: time.time } } : null;
+    },
+  },
+  {
+    type: 'duration',
+    match: (words, i, _today, parsed) => {
+      if (parsed.estimatedDuration) return null;
+      const prefixed = words[i].lower === 'for' ? 1 : 0;
+      const duration = matchDuration(words, i + prefixed);
+      return duration ? { length: prefixed + duration.length, fields: { estimatedDuration: duration.minutes } } : null;
+    },
+  },
+];
+
+/**
+ * Parses a quick-add line into task fields. Words that are not understood make up the
+ * title, and each recognised phrase is returned as a token with its position in `text`,
+ * for highlighting. Only the first date, time, duration, priority and recurrence count;
+ * later ones stay in the title.
+ *
+ * @param {string} text - The line as typed
+ * @param {string} today - The date relative words are read from, as YYYY-MM-DD
+ * @returns {{title: string, dueDate?: string, dueTime?: string, estimatedDuration?: number,
+ *   tags: string[], priority?: string, repeatFrequency?: string, repeatUntil?: string,
+ *   tokens: {type: string, text: string, start: number, end: number}[]}}
+ */
+export const parseQuickAdd = (text, today) => {
+  const words = [...text.matchAll(/\S+/g)].map((match) => ({
+    text: match[0],
+    // Trailing punctuation does not stop a word matching
+    lower: match[0].toLowerCase().replace(/[,;.]+$/, ''),
+    start: match.index,
+    end: match.index + match[0].length,
+  }));
+
+  const parsed = { tags: [] };
+  const titleWords = [];
+  const tokens = [];
+
+  for (let i = 0; i < words.length; ) {
+    let matched = null;
+    for (const { type, match } of MATCHERS) {
+      const result = match(words, i, today, parsed);
+      if (result) {
+        matched = { type, ...result };
+        break;
+      }
+    }
+
+    if (!matched) {
+      titleWords.push(words[i].text);
+      i++;
+      continue;
+    }
+
+    const start = words[i].start;
+    const end = words[i + matched.length - 1].end;
+    Object.assign(parsed, matched.fields);
+    tokens.push({ type: matched.type, text: text.slice(start, end), start, end });
+    i += matched.length;
+  }
+
+  return { title: titleWords.join(' '), ...parsed, tokens };
+};
+
+/**
+ * Splits text into plain and token segments, for rendering highlights.
+ *
+ * @param {string} text
+ * @param {{type: string, start: number, end: number}[]} tokens - Sorted, non-overlapping
+ * @returns {{text: string, type: string|null}[]}
+ */
+export const segmentText = (text, tokens) => {
+  const segments = [];
+  let position = 0;
+  for (const token of tokens) {
+    if (token.start > position) segments.push({ text: text.slice(position, token.start), type: null });
+    segments.push({ text: text.slice(token.start, token.end), type: token.type });
+    position = token.end;
+  }
+  if (position < text.length) segments.push({ text: text.slice(position), type: null });
+  return segments;
+};
@@ -0,0 +1,68 @@
+import { parseQuickAdd, segmentText } from './quickAddParser';
+
+// 2026-10-15 is a Thursday
+const TODAY = '2026-10-15';
+
+describe('quickAddParser', () => {
+    describe('parseQuickAdd', () => {
+        it('should read every kind of field out of the text', () => {
+            const parsed = parseQuickAdd('Submit lab report fri 3pm 2h #physics !high every week until dec 20', TODAY);
+
+            expect(parsed).toMatchObject({
+                title: 'Submit lab report',
+                dueDate: '2026-10-16',
+                dueTime: '15:00',
+                estimatedDuration: 120,
+                tags: ['physics'],
+                priority: 'high',
+                repeatFrequency: 'weekly',
+                repeatUntil: '2026-12-20',
+            });
+            expect(parsed.tokens.map((t) => t.type)).toEqual(['date', 'time', 'duration', 'tag', 'priority', 'recurrence']);
+        });
+
+        it('should read relative and absolute dates', () => {
+            expect(parseQuickAdd('a today', TODAY).dueDate).toBe('2026-10-15');
+            expect(parseQuickAdd('a thu', TODAY).dueDate).toBe('2026-10-15');
+            expect(parseQuickAdd('a next fri', TODAY).dueDate).toBe('2026-10-23');
+            expect(parseQuickAdd('a in 2 weeks', TODAY).dueDate).toBe('2026-10-29');
+            expect(parseQuickAdd('a 3 jan', TODAY).dueDate).toBe('2027-01-03');
+            expect(parseQuickAdd('a 2026-11-02', TODAY).dueDate).toBe('2026-11-02');
+        });
+
+        it('should read times and durations in their common forms', () => {
+            expect(parseQuickAdd('a at 9:30 am for 1h30m', TODAY)).toMatchObject({ dueTime: '09:30', estimatedDuration: 90 });
+            expect(parseQuickAdd('a 12am 1.5 hours', TODAY)).toMatchObject({ dueTime: '00:00', estimatedDuration: 90 });
+            expect(parseQuickAdd('a 18:05 45m', TODAY)).toMatchObject({ dueTime: '18:05', estimatedDuration: 45 });
+        });
+
+        it('should keep prefixes, repeated fields and unknown words in the title', () => {
+            const parsed = parseQuickAdd('Meet at the cafe on fri or sat', TODAY);
+
+            expect(parsed.title).toBe('Meet at the cafe or sat');
+            expect(parsed.tokens).toEqual([{ type: 'date', text: 'on fri', start: 17, end: 23 }]);
+        });
+
+        it('should not treat words like constructor as dates', () => {
+            expect(parseQuickAdd('constructor every toString', TODAY)).toEqual({
+                title: 'constructor every toString',
+                tags: [],
+                tokens: [],
+            });
+        });
+    });
+
+    describe('segmentText', () => {
+        it('should split the text around the tokens', () => {
+            const text = 'Read fri #books';
+            const { tokens } = parseQuickAdd(text, TODAY);
+
+            expect(segmentText(text, tokens)).toEqual([
+                { text: 'Read ', type: null },
+                { text: 'fri', type: 'date' },
+                { text: ' ', type: null },
+                { text: '#books', type: 'tag' },
+            ]);
+        });
+    });
+});
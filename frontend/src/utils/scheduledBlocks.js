@@ -0,0 +1,51 @@
+/**
+ * @module scheduledBlocks
+ *
+ * Tasks the scheduler split into several blocks of time, laid out day by day.
+ */
+
+/**
+ * What a calendar day shows. Each block of a split task on the date is an entry of
+ * its own, carrying the block's time and length; a split task still shows on its due
+ * date when no block falls on it. Other tasks show on their due date as they are.
+ *
+ * @param {Array<Object>} tasks
+ * @param {string} dateStr - YYYY-MM-DD
+ * @returns {Array<Object>} Tasks and block entries, each with a unique `entryKey`
+ */
+export const entriesForDate = (tasks, dateStr) =>
+  tasks.flatMap((task) => {
+    const blocks = task.scheduledBlocks || [];
+    const entries = blocks
+      .map((block, index) => ({ block, index }))
+      .filter(({ block }) => block.date === dateStr)
+      .map(({ block, index }) => ({
+        ...task,
+        dueTime: block.time,
+        estimatedDuration: block.duration,
+        block: { index, count: blocks.length, task },
+        entryKey: `${task.id}:${index}`,
+      }));
+
+    if (!entries.length && task.dueDate === dateStr) {
+      entries.push({ ...task, entryKey: task.id });
+    }
+    return entries;
+  });
+
+/**
+ * The task behind a calendar entry, for edits that must not pick up a block's time.
+ *
+ * @param {Object} entry
+ * @returns {Object}
+ */
+export const taskOfEntry = (entry) => entry.block?.task || entry;
+
+/**
+ * Shown after a block's title, e.g. " (2/3)"; empty for whole tasks.
+ *
+ * @param {Object} entry
+ * @returns {string}
+ */
+export const blockLabel = (entry) =>
+  entry.block && entry.block.count > 1 ? ` (${entry.block.index + 1}/${entry.block.count})` : '';
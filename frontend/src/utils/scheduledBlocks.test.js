@@ -0,0 +1,46 @@
+import { entriesForDate, taskOfEntry, blockLabel } from './scheduledBlocks';
+
+const thesis = {
+    id: 'thesis',
+    title: 'Thesis draft',
+    dueDate: '2026-11-06',
+    dueTime: '17:00',
+    estimatedDuration: 400,
+    scheduledBlocks: [
+        { date: '2026-11-02', time: '09:00', duration: 180 },
+        { date: '2026-11-02', time: '14:00', duration: 60 },
+        { date: '2026-11-03', time: '09:00', duration: 160 },
+    ],
+};
+const email = { id: 'email', title: 'Email', dueDate: '2026-11-02', dueTime: '11:00', scheduledBlocks: [] };
+
+describe('scheduledBlocks', () => {
+    describe('entriesForDate', () => {
+        it('should show each block on its own date with its time and length', () => {
+            const entries = entriesForDate([thesis, email], '2026-11-02');
+
+            expect(entries.map((e) => [e.entryKey, e.dueTime, e.estimatedDuration])).toEqual([
+                ['thesis:0', '09:00', 180],
+                ['thesis:1', '14:00', 60],
+                ['email', '11:00', undefined],
+            ]);
+            expect(entries.map(blockLabel)).toEqual([' (1/3)', ' (2/3)', '']);
+        });
+
+        it('should keep a split task on its due date when no block falls on it', () => {
+            expect(entriesForDate([thesis], '2026-11-06').map((e) => [e.entryKey, e.dueTime])).toEqual([
+                ['thesis', '17:00'],
+            ]);
+            expect(entriesForDate([thesis], '2026-11-04')).toEqual([]);
+        });
+    });
+
+    describe('taskOfEntry', () => {
+        it('should return the task behind a block', () => {
+            const [block] = entriesForDate([thesis], '2026-11-03');
+
+            expect(taskOfEntry(block)).toBe(thesis);
+            expect(taskOfEntry(email)).toBe(email);
+        });
+    });
+});
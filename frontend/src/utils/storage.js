@@ -238,18 +238,51 @@ export const exportAllData = async () => {
   }
 };
 
+/**
+ * Exports all tasks as an iCalendar (.ics) file, in the user's time zone, and downloads it.
+ */
+export const exportICS = async () => {
+  try {
+    const response = await apiClient.get('/data/export/ics', { responseType: 'blob' });
+
+    const url = URL.createObjectURL(response.data);
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = `cortex-tasks-${new Date().toISOString().split('T')[0]}.ics`;
+    document.body.appendChild(link);
+    link.click();
+    document.body.removeChild(link);
+    URL.revokeObjectURL(url);
+  } catch (error) {
+    console.error('Error exporting ICS:', error);
+    throw error;
+  }
+};
+
+/**
+ * Creates a secret calendar feed URL other calendar apps can subscribe to.
+ * Any previously issued feed URL stops working.
+ * @returns {Promise<string>} The feed URL.
+ */
+export const createCalendarFeed = async () => {
+  const response = await apiClient.post('/data/feed');
+  return response.data.data.url;
+};
+
 /**
  * Imports tasks and TODOs from a user-selected JSON file via backend API.
+ * 'merge' keeps existing data, 'replace' overwrites it and 'dryRun' only reports what would change.
  * @param {File} file - The JSON file object.
- * @returns {Promise<{tasksImported: number, todosImported: number}>}
+ * @param {'merge'|'replace'|'dryRun'} [mode='merge'] - How the backup is applied.
+ * @returns {Promise<{mode: string, tasksImported: number, todosImported: number, templatesImported: number, tasks: object, todos: object, templates: object, conflicts: Array}>}
  */
-export const importAllData = async (file) => {
+export const importAllData = async (file, mode = 'merge') => {
   try {
     const text = await file.text();
     const json = JSON.parse(text);
     
-    const response = await apiClient.post('/data/import/json', json);
-    return response.data; // { status: 'success', tasksImported, todosImported }
+    const response = await apiClient.post('/data/import/json', json, { params: { mode } });
+    return response.data; // { status: 'success', mode, tasksImported, todosImported, templatesImported, tasks, todos, templates, conflicts }
   } catch (error) {
     console.error('Error importing data:', error);
     const message = error.response?.data?.message || 'Failed to import data. Please ensure the file is a valid Cortex backup exported from the cloud.';
@@ -259,14 +292,15 @@ export const importAllData = async (file) => {
 
 /**
  * Imports events from an ICS file via backend API.
+ * Zoned event times are converted into the user's time zone setting.
  * @param {File} file - The .ics file selected by the user.
- * @returns {Promise<{tasksAdded: number}>}
+ * @returns {Promise<{tasksAdded: number, tasksUpdated: number, skipped: Array}>}
  */
 export const importICS = async (file) => {
   try {
     const text = await file.text();
     const response = await apiClient.post('/data/import/ics', { file: text });
-    return response.data; // { status: 'success', tasksAdded }
+    return response.data; // { status: 'success', tasksAdded, tasksUpdated, skipped }
   } catch (error) {
     console.error('Error importing ICS:', error);
     throw new Error(error.response?.data?.message || 'Failed to import ICS file. Please try again.');
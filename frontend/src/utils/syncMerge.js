@@ -0,0 +1,65 @@
+/**
+ * @module syncMerge
+ *
+ * Three-way merge of changes made offline with the server's current copy of a record.
+ */
+
+const LOCAL_ID_PREFIX = 'local_';
+
+/**
+ * Creates an ID for a record made offline. It is swapped for the server's ID once the
+ * record has been created there.
+ * @returns {string}
+ */
+export const createLocalId = () =>
+  `${LOCAL_ID_PREFIX}${globalThis.crypto?.randomUUID?.() ?? `${Date.now()}_${Math.random().toString(36).slice(2)}`}`;
+
+/**
+ * @param {string|number} id
+ * @returns {boolean} True if the record has not reached the server yet
+ */
+export const isLocalId = (id) => typeof id === 'string' && id.startsWith(LOCAL_ID_PREFIX);
+
+// Bookkeeping the client adds to records, which the server does not accept back
+const CLIENT_FIELDS = ['id', '_id', '_offline', '_optimistic', '_queued', 'workspaceKey', 'createdAt', 'updatedAt'];
+
+/**
+ * @param {Object} record
+ * @returns {Object} The record's fields without client-side bookkeeping, ready to send
+ */
+export const toRequestBody = (record) =>
+  Object.fromEntries(Object.entries(record).filter(([field]) => !CLIENT_FIELDS.includes(field)));
+
+const sameValue = (a, b) => JSON.stringify(a ?? null) === JSON.stringify(b ?? null);
+
+/**
+ * Merges offline changes into the server's copy of a record.
+ *
+ * If the server copy has not changed since `base` was taken (compared by `updatedAt`),
+ * every local change applies. Otherwise each field is decided on its own: fields the
+ * server left alone take the local value, fields both sides set to the same value are
+ * skipped, and fields both sides changed differently are reported as conflicts.
+ *
+ * @param {Object|null} base - The record as it was when the change was made offline
+ * @param {Object} changes - The fields changed offline
+ * @param {Object} remote - The record as it is on the server now
+ * @returns {{ updates: Object, conflicts: Array<{ field: string, base: any, local: any, remote: any }> }}
+ */
+export function mergeChanges(base, changes, remote) {
+  const unchangedOnServer =
+    !base?.updatedAt || new Date(remote.updatedAt).getTime() <= new Date(base.updatedAt).getTime();
+  if (unchangedOnServer) {
+    return { updates: { ...changes }, conflicts: [] };
+  }
+
+  const updates = {};
+  const conflicts = [];
+  for (const [field, local] of Object.entries(changes)) {
+    if (sameValue(remote[field], base[field])) {
+      updates[field] = local;
+    } else if (!sameValue(remote[field], local)) {
+      conflicts.push({ field, base: base[field], local, remote: remote[field] });
+    }
+  }
+  return { updates, conflicts };
+}
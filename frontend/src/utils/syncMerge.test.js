@@ -0,0 +1,45 @@
+import { mergeChanges, createLocalId, isLocalId } from './syncMerge';
+
+describe('syncMerge', () => {
+    const base = { title: 'Plan', priority: 'low', tags: ['a'], updatedAt: '2026-03-01T10:00:00.000Z' };
+
+    describe('mergeChanges', () => {
+        it('should apply every change when the server copy is unchanged', () => {
+            const remote = { ...base };
+
+            expect(mergeChanges(base, { title: 'Plan trip', priority: 'high' }, remote)).toEqual({
+                updates: { title: 'Plan trip', priority: 'high' },
+                conflicts: [],
+            });
+        });
+
+        it('should keep fields the server did not touch and report the ones it did', () => {
+            const remote = { ...base, priority: 'medium', updatedAt: '2026-03-01T11:00:00.000Z' };
+
+            expect(mergeChanges(base, { title: 'Plan trip', priority: 'high' }, remote)).toEqual({
+                updates: { title: 'Plan trip' },
+                conflicts: [{ field: 'priority', base: 'low', local: 'high', remote: 'medium' }],
+            });
+        });
+
+        it('should skip fields both sides changed to the same value', () => {
+            const remote = { ...base, tags: ['a', 'b'], updatedAt: '2026-03-01T11:00:00.000Z' };
+
+            expect(mergeChanges(base, { tags: ['a', 'b'] }, remote)).toEqual({ updates: {}, conflicts: [] });
+        });
+
+        it('should apply every change when there is no base, as for records created offline', () => {
+            const remote = { ...base, updatedAt: '2026-03-01T11:00:00.000Z' };
+
+            expect(mergeChanges(null, { priority: 'high' }, remote).updates).toEqual({ priority: 'high' });
+        });
+    });
+
+    describe('local ids', () => {
+        it('should tell offline ids apart from server ids', () => {
+            expect(isLocalId(createLocalId())).toBe(true);
+            expect(isLocalId('64b000000000000000000000')).toBe(false);
+            expect(isLocalId(3)).toBe(false);
+        });
+    });
+});
@@ -0,0 +1,96 @@
+/**
+ * @module syncMirror
+ *
+ * Copy of the signed-in user's tasks, TODOs and templates in IndexedDB, one set per
+ * workspace. It is kept current with the server's delta sync endpoint so the app can
+ * start from it and keep working offline.
+ */
+
+import db, { saveSetting, loadSetting } from './db';
+import { getActiveWorkspaceId } from '../lib/api';
+import { isLocalId } from './syncMerge';
+
+const TABLES = {
+  task: 'mirrorTasks',
+  todo: 'mirrorTodos',
+  template: 'mirrorTemplates',
+};
+
+// Keys of the sync response for each mirrored entity
+const COLLECTIONS = {
+  task: 'tasks',
+  todo: 'todos',
+  template: 'templates',
+};
+
+/**
+ * @returns {string} Key of the active workspace's records; the personal workspace has no ID on the client
+ */
+export const currentWorkspaceKey = () => getActiveWorkspaceId() || 'personal';
+
+const cursorKey = (workspaceKey) => `syncCursor:${workspaceKey}`;
+
+/**
+ * @param {string} [workspaceKey]
+ * @returns {Promise<string|null>} Cursor of the last sync, or null if the workspace was never synced
+ */
+export const loadSyncCursor = (workspaceKey = currentWorkspaceKey()) => loadSetting(cursorKey(workspaceKey));
+
+/**
+ * @param {'task'|'todo'|'template'} entity
+ * @returns {Promise<Object[]>} The active workspace's mirrored records
+ */
+export async function loadMirror(entity) {
+  return db[TABLES[entity]].where('workspaceKey').equals(currentWorkspaceKey()).toArray();
+}
+
+/**
+ * Replaces the active workspace's records of one entity, e.g. after a change made offline.
+ *
+ * @param {'task'|'todo'|'template'} entity
+ * @param {Object[]} records
+ */
+export async function saveMirror(entity, records) {
+  const workspaceKey = currentWorkspaceKey();
+  const table = db[TABLES[entity]];
+  await db.transaction('rw', table, async () => {
+    await table.where('workspaceKey').equals(workspaceKey).delete();
+    await table.bulkPut(records.map((record) => ({ ...record, workspaceKey })));
+  });
+}
+
+/**
+ * @param {'task'|'todo'|'template'} entity
+ * @param {string} id
+ */
+export async function removeFromMirror(entity, id) {
+  await db[TABLES[entity]].delete(id);
+}
+
+/**
+ * Applies a response of `GET /sync` to a workspace's mirror and stores its cursor.
+ * A reset replaces everything except records created offline that are still queued.
+ *
+ * @param {string} workspaceKey - Workspace the changes were requested for
+ * @param {Object} delta - `{ cursor, reset, tasks, todos, templates }`, each with `updated` and `deleted`
+ */
+export async function applyDelta(workspaceKey, delta) {
+  const tables = Object.values(TABLES).map((name) => db[name]);
+
+  await db.transaction('rw', [...tables, db.settings], async () => {
+    for (const [entity, collection] of Object.entries(COLLECTIONS)) {
+      const table = db[TABLES[entity]];
+      const { updated, deleted } = delta[collection];
+
+      if (delta.reset) {
+        await table
+          .where('workspaceKey').equals(workspaceKey)
+          .filter((record) => !isLocalId(record.id))
+          .delete();
+      }
+      await table.bulkPut(updated.map((record) => ({ ...record, workspaceKey })));
+      await table.bulkDelete(deleted);
+    }
+    await saveSetting(cursorKey(workspaceKey), delta.cursor);
+  });
+}
@@ -0,0 +1,128 @@
+/**
+ * @module syncQueue
+ *
+ * Durable queue of changes made while offline, kept in IndexedDB until the server
+ * has accepted them. Entries are replayed in order by `useOfflineSync`.
+ */
+
+import db from './db';
+import { getActiveWorkspaceId } from '../lib/api';
+import { isLocalId } from './syncMerge';
+
+/**
+ * Adds a change to the queue. Changes to a record that was created offline and has
+ * not been sent yet are folded into its pending creation instead; once the creation
+ * is on its way they are queued behind it.
+ *
+ * @param {Object} mutation
+ * @param {'task'|'todo'} mutation.entity
+ * @param {'create'|'update'|'delete'|'reorder'} mutation.type
+ * @param {string} [mutation.entityId]
+ * @param {Object} [mutation.payload] - Request body, or the changed fields for updates
+ * @param {Object} [mutation.base] - The record before the change, used to detect conflicts
+ */
+export async function enqueueMutation({ entity, type, entityId, payload = {}, base = null }) {
+  await db.transaction('rw', db.syncQueue, async () => {
+    if (isLocalId(entityId) && type !== 'create') {
+      const pendingCreate = await db.syncQueue
+        .where('entityId').equals(entityId)
+        .filter((entry) => entry.type === 'create' && !entry.sending)
+        .first();
+
+      if (pendingCreate && type === 'delete') {
+        await db.syncQueue.where('entityId').equals(entityId).delete();
+        return;
+      }
+      if (pendingCreate && type === 'update') {
+        await db.syncQueue.update(pendingCreate.seq, { payload: { ...pendingCreate.payload, ...payload } });
+        return;
+      }
+    }
+
+    await db.syncQueue.add({
+      entity,
+      type,
+      entityId,
+      payload,
+      base,
+      workspaceId: getActiveWorkspaceId(),
+      attempts: 0,
+      nextAttemptAt: 0,
+      createdAt: new Date().toISOString(),
+    });
+  });
+}
+
+/**
+ * @returns {Promise<Array<Object>>} Queued changes, oldest first
+ */
+export async function getQueuedMutations() {
+  return db.syncQueue.orderBy('seq').toArray();
+}
+
+/**
+ * @returns {Promise<Object|undefined>} The queued change as stored now, or nothing once removed
+ */
+export async function getQueuedMutation(seq) {
+  return db.syncQueue.get(seq);
+}
+
+/**
+ * Marks a change as being sent, so later changes are no longer folded into it. The
+ * mark stays on a retry: changes already queued behind it must not be overtaken.
+ */
+export async function markSending(seq) {
+  await db.syncQueue.update(seq, { sending: true });
+}
+
+export async function removeMutation(seq) {
+  await db.syncQueue.delete(seq);
+}
+
+/**
+ * Schedules another attempt for a change the server could not take yet.
+ */
+export async function deferMutation(entry, delayMs) {
+  await db.syncQueue.update(entry.seq, {
+    attempts: entry.attempts + 1,
+    nextAttemptAt: Date.now() + delayMs,
+  });
+}
+
+/**
+ * Points queued changes at the server's ID for a record created offline.
+ */
+export async function remapEntityId(localId, serverId) {
+  await db.transaction('rw', db.syncQueue, async () => {
+    await db.syncQueue.where('entityId').equals(localId).modify({ entityId: serverId });
+    await db.syncQueue
+      .filter((entry) => entry.type === 'reorder')
+      .modify((entry) => {
+        if (entry.payload.activeId === localId) entry.payload.activeId = serverId;
+        if (entry.payload.overId === localId) entry.payload.overId = serverId;
+      });
+  });
+}
+
+export async function countQueuedMutations() {
+  return db.syncQueue.count();
+}
+
+/**
+ * Records a change that could not be applied as made, for the user to settle.
+ *
+ * @param {Object} conflict
+ * @param {'field'|'deleted'|'rejected'} conflict.kind - A field changed on both sides,
+ *   the record was deleted on the server, or the server refused the change
+ */
+export async function recordConflict(conflict) {
+  await db.syncConflicts.add({ ...conflict, createdAt: new Date().toISOString() });
+}
+
+export async function listConflicts() {
+  return db.syncConflicts.orderBy('id').toArray();
+}
+
+export async function removeConflict(id) {
+  await db.syncConflicts.delete(id);
+}